@@ -1,53 +1,23 @@
 require('dotenv').config();
-const cloudinary = require('cloudinary').v2;
+const { getStorageDriver } = require('../../src/storage');
 
 const PREFIX = 'goat-screams/audio/';
 
-async function listAll() {
-  const out = [];
-  let cursor;
-  do {
-    const res = await cloudinary.api.resources({
-      type: 'upload',
-      resource_type: 'video',
-      prefix: PREFIX,
-      max_results: 500,
-      next_cursor: cursor,
-    });
-    out.push(
-      ...res.resources.map(r => ({
-        id: r.public_id,
-        bytes: r.bytes,
-        duration: r.duration,
-        format: r.format,
-      }))
-    );
-    cursor = res.next_cursor;
-  } while (cursor);
-  return out;
-}
-
 async function main() {
-  const { CLOUDINARY_URL, CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } =
-    process.env;
-  if (
-    !CLOUDINARY_URL &&
-    (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET)
-  ) {
-    console.error('Missing Cloudinary env');
-    process.exit(2);
-  }
-  cloudinary.config({
-    secure: true,
-    cloud_name: CLOUDINARY_CLOUD_NAME,
-    api_key: CLOUDINARY_API_KEY,
-    api_secret: CLOUDINARY_API_SECRET,
-  });
+  // Scans whichever backend STORAGE_DRIVER selects (cloudinary, local or s3)
+  const driver = getStorageDriver();
+  const assets = (await driver.list(PREFIX)).map(asset => ({
+    id: asset.key,
+    bytes: asset.bytes,
+    hash: asset.hash,
+    format: asset.format,
+  }));
 
-  const assets = await listAll();
+  // Same size and same content digest; assets without a digest cannot be compared
   const groups = new Map();
   for (const a of assets) {
-    const key = `${a.bytes}|${a.duration || 0}`;
+    if (!a.hash) continue;
+    const key = `${a.bytes}|${a.hash}`;
     if (!groups.has(key)) groups.set(key, []);
     groups.get(key).push(a.id);
   }
@@ -59,7 +29,9 @@ async function main() {
   console.log(
     JSON.stringify(
       {
+        driver: driver.name,
         total: assets.length,
+        unhashed: assets.filter(a => !a.hash).length,
         duplicateGroups: dups.length,
         samples: dups.slice(0, 5),
       },
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+// Refit the intensity model (data/intensity-calibration.json) against the curated intensities
+// in data/analysis-map.json. Each clip's duration and levels are measured from its audio: the
+// curators' clip file under --dir when it is there, else the scream's stored audio read through
+// the media source of the stream proxy (MEDIA_DIR mirror or upstream). Notes and tones come
+// from the analysis map.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { decodeAudio } = require('../src/audio/decode');
+const { measureAudio } = require('../src/services/analysis');
+const { getMediaSource, readMedia, screamAudioTarget } = require('../src/services/mediaSource');
+const {
+  CALIBRATION_PATH,
+  INTENSITY_FEATURES,
+  curatedSamples,
+  fitIntensityModel,
+} = require('../src/audio/intensity');
+
+const argv = yargs(hideBin(process.argv))
+  .option('map', {
+    type: 'string',
+    default: path.join(process.cwd(), 'data/analysis-map.json'),
+    describe: 'Curated analysis map (intensity, notes and source_file by scream ID)',
+  })
+  .option('dir', {
+    type: 'string',
+    default: path.join(process.cwd(), 'screams'),
+    describe: 'Directory the source_file paths of the analysis map are relative to',
+  })
+  .option('data', {
+    type: 'string',
+    default: path.join(process.cwd(), 'data/screams-public.json'),
+    describe: 'Catalog whose stored audio is read for clips missing from --dir',
+  })
+  .option('out', {
+    type: 'string',
+    default: CALIBRATION_PATH,
+    describe: 'Calibration file to write',
+  })
+  .option('lambda', {
+    type: 'number',
+    default: 1,
+    describe: 'Ridge penalty (higher values shrink the weights)',
+  })
+  .option('limit', {
+    type: 'number',
+    describe: 'Limit number of clips measured (for testing)',
+  })
+  .option('dry-run', {
+    type: 'boolean',
+    default: false,
+    describe: 'Print the fitted calibration without writing it',
+  })
+  .help()
+  .parse();
+
+/**
+ * Read a curated clip: the curators' file, else the scream's stored audio
+ * @returns {Promise<Buffer|null>} Encoded audio, or null when neither is available
+ */
+async function readClip(entry, scream, mediaSource) {
+  const file = entry.source_file && path.join(argv.dir, entry.source_file);
+  if (file && fs.existsSync(file)) return fsp.readFile(file);
+  const target = scream && (await screamAudioTarget(scream));
+  const media = target && (await readMedia(mediaSource, target));
+  return media ? media.buffer : null;
+}
+
+async function main() {
+  const map = JSON.parse(await fsp.readFile(argv.map, 'utf8'));
+  const screams = new Map(
+    JSON.parse(await fsp.readFile(argv.data, 'utf8')).map(scream => [scream.id, scream])
+  );
+  let ids = Object.keys(map).filter(id => Number.isFinite(map[id].intensity));
+  if (argv.limit) ids = ids.slice(0, argv.limit);
+
+  const mediaSource = getMediaSource();
+  const measurements = {};
+  let missing = 0;
+  for (const id of ids) {
+    try {
+      const clip = await readClip(map[id], screams.get(id), mediaSource);
+      if (!clip) {
+        missing += 1;
+        continue;
+      }
+      const { duration, rms_decibels, peak_decibels } = measureAudio(await decodeAudio(clip));
+      measurements[id] = { duration, rms_decibels, peak_decibels };
+    } catch (err) {
+      console.warn(`Skipping ${id}: ${err.message}`);
+    }
+  }
+
+  const samples = curatedSamples(map, measurements);
+  console.log(`Measured ${samples.length} of ${ids.length} curated clips (${missing} not found)`);
+
+  const fitted = fitIntensityModel(samples, { lambda: argv.lambda });
+  const calibration = {
+    model: 'linear',
+    source: path.relative(process.cwd(), argv.map),
+    features: INTENSITY_FEATURES,
+    intercept: Number(fitted.intercept.toFixed(4)),
+    weights: Object.fromEntries(
+      Object.entries(fitted.weights).map(([name, weight]) => [name, Number(weight.toFixed(4))])
+    ),
+    lambda: argv.lambda,
+    samples: fitted.samples,
+    mean_absolute_error: Number(fitted.mean_absolute_error.toFixed(3)),
+  };
+
+  console.log(JSON.stringify(calibration, null, 2));
+  if (argv['dry-run']) return;
+  await fsp.writeFile(argv.out, `${JSON.stringify(calibration, null, 2)}\n`);
+  console.log(`Wrote ${argv.out}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
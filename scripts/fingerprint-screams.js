@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Compute acoustic fingerprints for every scream, so new submissions can be checked for copies.
+// Static mode (default) writes the data/screams-fingerprints.json sidecar, which
+// scripts/sync-json-to-mongo.js carries into the database; --mongo stores them on the screams in
+// MONGODB_URI. With --report, likely duplicates within the catalog are listed afterwards.
+// Audio is read through the media source of the stream proxy (MEDIA_DIR mirror or upstream).
+
+require('dotenv').config();
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const mongoose = require('mongoose');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { decodeAudio } = require('../src/audio/decode');
+const { computeFingerprint, compareFingerprints } = require('../src/audio/fingerprint');
+const { mediaKey, getMediaSource, readMedia } = require('../src/services/mediaSource');
+const { signMediaUrl } = require('../src/services/storage');
+const { DUPLICATE_THRESHOLD } = require('../src/services/duplicates');
+const {
+  getStaticScreams,
+  loadFingerprintSidecar,
+  FINGERPRINTS_PATH,
+} = require('../src/utils/staticScreams');
+const GoatScream = require('../src/models/GoatScream');
+
+const argv = yargs(hideBin(process.argv))
+  .option('mongo', {
+    type: 'boolean',
+    default: false,
+    describe: 'Store fingerprints on the screams in MONGODB_URI instead of the sidecar',
+  })
+  .option('out', {
+    type: 'string',
+    default: FINGERPRINTS_PATH,
+    describe: 'Sidecar file to write in static mode',
+  })
+  .option('force', {
+    type: 'boolean',
+    default: false,
+    describe: 'Recompute fingerprints that already exist',
+  })
+  .option('limit', {
+    type: 'number',
+    describe: 'Limit number of screams processed (for testing)',
+  })
+  .option('report', {
+    type: 'boolean',
+    default: false,
+    describe: 'List likely duplicate screams once fingerprints are up to date',
+  })
+  .option('threshold', {
+    type: 'number',
+    default: DUPLICATE_THRESHOLD,
+    describe: 'Lowest similarity (0-1) reported as a likely duplicate',
+  })
+  .help()
+  .parse();
+
+/**
+ * Fingerprint a scream from its highest-quality WAV or MP3
+ */
+async function fingerprintScream(source, scream) {
+  const audio = scream.media?.audio || {};
+  const url = audio.wav?.high || audio.mp3?.high || audio.mp3?.medium;
+  if (!url) throw new Error('no audio url');
+  const media = await readMedia(source, { url: await signMediaUrl(url), key: mediaKey(url) });
+  if (!media) throw new Error('audio not found');
+  const fingerprint = computeFingerprint(await decodeAudio(media.buffer));
+  if (!fingerprint) throw new Error('too short or silent to fingerprint');
+  return fingerprint;
+}
+
+/**
+ * Compare every pair of fingerprints
+ */
+function findDuplicatePairs(fingerprints, threshold) {
+  const entries = Object.entries(fingerprints);
+  const pairs = [];
+  for (let i = 0; i < entries.length; i += 1) {
+    for (let j = i + 1; j < entries.length; j += 1) {
+      const match = compareFingerprints(entries[i][1], entries[j][1]);
+      if (match && match.similarity >= threshold) {
+        pairs.push({ a: entries[i][0], b: entries[j][0], ...match });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+async function main() {
+  let screams;
+  let existing;
+  if (argv.mongo) {
+    if (!process.env.MONGODB_URI) {
+      console.error('Missing MONGODB_URI');
+      process.exit(2);
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    screams = await GoatScream.find({}, { _id: 0, id: 1, media: 1, fingerprint: 1 }).lean();
+    existing = Object.fromEntries(
+      screams.filter(scream => scream.fingerprint).map(scream => [scream.id, scream.fingerprint])
+    );
+  } else {
+    screams = getStaticScreams();
+    existing = fs.existsSync(argv.out) ? loadFingerprintSidecar(argv.out) : {};
+  }
+
+  let pending = screams.filter(scream => argv.force || !existing[scream.id]);
+  const skipped = screams.length - pending.length;
+  if (argv.limit) pending = pending.slice(0, argv.limit);
+
+  const source = getMediaSource();
+  const fingerprints = { ...existing };
+  let done = 0;
+  const failures = [];
+  for (const scream of pending) {
+    try {
+      const fingerprint = await fingerprintScream(source, scream);
+      if (argv.mongo) {
+        await GoatScream.updateOne({ id: scream.id }, { $set: { fingerprint } });
+      }
+      fingerprints[scream.id] = fingerprint;
+      done += 1;
+    } catch (err) {
+      failures.push({ id: scream.id, message: err.message });
+    }
+  }
+
+  if (!argv.mongo && done) {
+    await fsp.writeFile(argv.out, `${JSON.stringify(fingerprints, null, 2)}\n`);
+    console.log(`Wrote ${argv.out}`);
+  }
+  console.log(
+    `Fingerprinted ${done} screams (${skipped} already present, ${failures.length} failed)`
+  );
+  failures.slice(0, 20).forEach(failure => console.warn(` - ${failure.id}: ${failure.message}`));
+
+  if (argv.report) {
+    const pairs = findDuplicatePairs(fingerprints, argv.threshold);
+    console.log(`\n${pairs.length} likely duplicate pairs (similarity >= ${argv.threshold})`);
+    pairs.slice(0, 50).forEach(pair => {
+      console.log(` ${pair.similarity.toFixed(3)}  ${pair.a} ~ ${pair.b} (offset ${pair.offset}s)`);
+    });
+  }
+  if (argv.mongo) await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
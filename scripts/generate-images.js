@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+// Pre-render the default images of GET /api/v1/screams/:id/image for every scream and keep them
+// in storage (goat-screams/images/<id>/), so image requests read them instead of decoding audio.
+// Newly approved screams get theirs from a queued job; this backfills the existing catalog:
+// the data/screams-public.json snapshot by default, or the screams in MONGODB_URI with --mongo.
+// Audio is read through the media source of the stream proxy (MEDIA_DIR mirror or upstream).
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { getMediaSource } = require('../src/services/mediaSource');
+const { prerenderImages } = require('../src/services/renderedImages');
+const { getStaticScreams } = require('../src/utils/staticScreams');
+const GoatScream = require('../src/models/GoatScream');
+
+const argv = yargs(hideBin(process.argv))
+  .option('mongo', {
+    type: 'boolean',
+    default: false,
+    describe: 'Render the screams in MONGODB_URI instead of the snapshot',
+  })
+  .option('force', {
+    type: 'boolean',
+    default: false,
+    describe: 'Render images that are already in storage again',
+  })
+  .option('limit', {
+    type: 'number',
+    describe: 'Limit number of screams processed (for testing)',
+  })
+  .help()
+  .parse();
+
+async function main() {
+  let screams;
+  if (argv.mongo) {
+    if (!process.env.MONGODB_URI) {
+      console.error('Missing MONGODB_URI');
+      process.exit(2);
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    screams = await GoatScream.find({}, { _id: 0, id: 1, media: 1 }).lean();
+  } else {
+    screams = getStaticScreams();
+  }
+  if (argv.limit) screams = screams.slice(0, argv.limit);
+
+  const mediaSource = getMediaSource();
+  let rendered = 0;
+  let stored = 0;
+  const failures = [];
+  for (const scream of screams) {
+    try {
+      const result = await prerenderImages(scream, { mediaSource, force: argv.force });
+      rendered += result.rendered.length;
+      stored += result.stored;
+    } catch (err) {
+      failures.push({ id: scream.id, message: err.message });
+    }
+  }
+
+  console.log(
+    `Rendered ${rendered} images for ${screams.length} screams ` +
+      `(${stored} already stored, ${failures.length} screams failed)`
+  );
+  failures.slice(0, 20).forEach(failure => console.warn(` - ${failure.id}: ${failure.message}`));
+  if (argv.mongo) await mongoose.disconnect();
+  if (failures.length) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
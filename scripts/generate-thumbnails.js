@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+// Pre-render thumbnail images and fill in media.thumbnail.
+// Renders the same PNG as GET /api/v1/screams/:id/image, uploads it through the storage driver
+// (goat-screams/thumbnails/<id>.png) and records the URL on the scream: in the
+// data/screams-public.json snapshot by default, or in MONGODB_URI with --mongo.
+// Audio is read through the media source of the stream proxy (MEDIA_DIR mirror or upstream).
+
+require('dotenv').config();
+
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { decodeAudio, toMono } = require('../src/audio/decode');
+const {
+  IMAGE_TYPES,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_WIDTH,
+  MAX_IMAGE_HEIGHT,
+  renderImage,
+} = require('../src/audio/image');
+const { mediaKey, getMediaSource, readMedia } = require('../src/services/mediaSource');
+const { signMediaUrl, uploadThumbnail } = require('../src/services/storage');
+const GoatScream = require('../src/models/GoatScream');
+
+const SNAPSHOT_PATH = path.resolve(__dirname, '../data/screams-public.json');
+
+const argv = yargs(hideBin(process.argv))
+  .option('mongo', {
+    type: 'boolean',
+    default: false,
+    describe: 'Update the screams in MONGODB_URI instead of the snapshot',
+  })
+  .option('snapshot', {
+    type: 'string',
+    default: SNAPSHOT_PATH,
+    describe: 'Snapshot file to update in static mode',
+  })
+  .option('type', {
+    choices: IMAGE_TYPES,
+    default: 'spectrogram',
+    describe: 'Image to render',
+  })
+  .option('width', {
+    type: 'number',
+    default: 320,
+    describe: 'Thumbnail width in pixels',
+  })
+  .option('height', {
+    type: 'number',
+    default: 120,
+    describe: 'Thumbnail height in pixels',
+  })
+  .option('force', {
+    type: 'boolean',
+    default: false,
+    describe: 'Regenerate screams that already have a thumbnail',
+  })
+  .option('limit', {
+    type: 'number',
+    describe: 'Limit number of screams processed (for testing)',
+  })
+  .option('dry-run', {
+    type: 'boolean',
+    default: false,
+    describe: 'Render thumbnails without uploading them or updating screams',
+  })
+  .check(args => {
+    if (args.width < MIN_IMAGE_SIZE || args.width > MAX_IMAGE_WIDTH) {
+      throw new Error(`--width must be between ${MIN_IMAGE_SIZE} and ${MAX_IMAGE_WIDTH}`);
+    }
+    if (args.height < MIN_IMAGE_SIZE || args.height > MAX_IMAGE_HEIGHT) {
+      throw new Error(`--height must be between ${MIN_IMAGE_SIZE} and ${MAX_IMAGE_HEIGHT}`);
+    }
+    return true;
+  })
+  .help()
+  .parse();
+
+/**
+ * Render a scream's thumbnail from its medium-quality MP3 into a temporary file
+ */
+async function renderThumbnail(source, scream, dir) {
+  const url = scream.media?.audio?.mp3?.medium || scream.media?.audio?.mp3?.high;
+  if (!url) throw new Error('no mp3 url');
+  const media = await readMedia(source, { url: await signMediaUrl(url), key: mediaKey(url) });
+  if (!media) throw new Error('audio not found');
+
+  const { sampleRate, channels } = await decodeAudio(media.buffer);
+  const png = renderImage(toMono(channels), sampleRate, {
+    type: argv.type,
+    format: 'png',
+    width: argv.width,
+    height: argv.height,
+  });
+  const file = path.join(dir, `${scream.id}.png`);
+  await fsp.writeFile(file, png);
+  return file;
+}
+
+async function main() {
+  let screams;
+  if (argv.mongo) {
+    if (!process.env.MONGODB_URI) {
+      console.error('Missing MONGODB_URI');
+      process.exit(2);
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    screams = await GoatScream.find({}, { _id: 0, id: 1, media: 1 }).lean();
+  } else {
+    screams = JSON.parse(await fsp.readFile(argv.snapshot, 'utf8'));
+  }
+
+  let pending = screams.filter(scream => argv.force || !scream.media?.thumbnail);
+  const skipped = screams.length - pending.length;
+  if (argv.limit) pending = pending.slice(0, argv.limit);
+
+  const source = getMediaSource();
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'goat-thumbnails-'));
+  let done = 0;
+  const failures = [];
+  try {
+    for (const scream of pending) {
+      try {
+        const file = await renderThumbnail(source, scream, dir);
+        if (!argv.dryRun) {
+          const { url } = await uploadThumbnail(file, scream.id);
+          if (argv.mongo) {
+            await GoatScream.updateOne({ id: scream.id }, { $set: { 'media.thumbnail': url } });
+          } else {
+            scream.media = { ...scream.media, thumbnail: url };
+          }
+        }
+        done += 1;
+      } catch (err) {
+        failures.push({ id: scream.id, message: err.message });
+      }
+    }
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+
+  if (!argv.mongo && !argv.dryRun && done) {
+    await fsp.writeFile(argv.snapshot, `${JSON.stringify(screams, null, 2)}\n`);
+    console.log(`Updated ${argv.snapshot}`);
+  }
+  console.log(
+    `${argv.dryRun ? 'Rendered' : 'Generated'} ${done} thumbnails ` +
+      `(${skipped} already present, ${failures.length} failed)`
+  );
+  failures.slice(0, 20).forEach(failure => console.warn(` - ${failure.id}: ${failure.message}`));
+  if (argv.mongo) await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
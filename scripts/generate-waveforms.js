@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+// Generate waveform peaks for every scream.
+// Static mode (default) writes the data/screams-waveforms.json sidecar served when MongoDB is
+// off; --mongo upserts Waveform documents for the screams in the database.
+// Audio is read through the media source of the stream proxy (MEDIA_DIR mirror or upstream).
+
+require('dotenv').config();
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const mongoose = require('mongoose');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { decodeAudio, toMono } = require('../src/audio/decode');
+const { computeWaveform } = require('../src/audio/waveform');
+const { mediaKey, getMediaSource, readMedia } = require('../src/services/mediaSource');
+const { signMediaUrl } = require('../src/services/storage');
+const { getStaticScreams, WAVEFORMS_PATH } = require('../src/utils/staticScreams');
+const GoatScream = require('../src/models/GoatScream');
+const Waveform = require('../src/models/Waveform');
+
+const argv = yargs(hideBin(process.argv))
+  .option('mongo', {
+    type: 'boolean',
+    default: false,
+    describe: 'Store Waveform documents for the screams in MONGODB_URI instead of the sidecar',
+  })
+  .option('out', {
+    type: 'string',
+    default: WAVEFORMS_PATH,
+    describe: 'Sidecar file to write in static mode',
+  })
+  .option('force', {
+    type: 'boolean',
+    default: false,
+    describe: 'Regenerate waveforms that already exist',
+  })
+  .option('limit', {
+    type: 'number',
+    describe: 'Limit number of screams processed (for testing)',
+  })
+  .help()
+  .parse();
+
+/**
+ * Read a scream's medium-quality MP3 in full through the media source
+ */
+async function readAudio(source, scream) {
+  const url = scream.media?.audio?.mp3?.medium || scream.media?.audio?.mp3?.high;
+  if (!url) throw new Error('no mp3 url');
+  const media = await readMedia(source, { url: await signMediaUrl(url), key: mediaKey(url) });
+  if (!media) throw new Error('audio not found');
+  return media.buffer;
+}
+
+async function main() {
+  let screams;
+  let existing;
+  if (argv.mongo) {
+    if (!process.env.MONGODB_URI) {
+      console.error('Missing MONGODB_URI');
+      process.exit(2);
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    screams = await GoatScream.find({}, { _id: 0, id: 1, media: 1 }).lean();
+    const stored = await Waveform.find({}, { _id: 0, scream_id: 1 }).lean();
+    existing = new Set(stored.map(doc => doc.scream_id));
+  } else {
+    screams = getStaticScreams();
+    existing = fs.existsSync(argv.out) ? JSON.parse(await fsp.readFile(argv.out, 'utf8')) : {};
+  }
+
+  const has = id => (argv.mongo ? existing.has(id) : Boolean(existing[id]));
+  let pending = screams.filter(scream => argv.force || !has(scream.id));
+  const skipped = screams.length - pending.length;
+  if (argv.limit) pending = pending.slice(0, argv.limit);
+
+  const source = getMediaSource();
+  const sidecar = argv.mongo ? null : { ...existing };
+  let done = 0;
+  const failures = [];
+  for (const scream of pending) {
+    try {
+      const { sampleRate, channels } = await decodeAudio(await readAudio(source, scream));
+      const mono = toMono(channels);
+      const waveform = {
+        duration: Number((mono.length / sampleRate).toFixed(2)),
+        resolutions: computeWaveform(mono),
+      };
+      if (argv.mongo) {
+        await Waveform.updateOne({ scream_id: scream.id }, { $set: waveform }, { upsert: true });
+      } else {
+        sidecar[scream.id] = waveform;
+      }
+      done += 1;
+    } catch (err) {
+      failures.push({ id: scream.id, message: err.message });
+    }
+  }
+
+  if (sidecar) {
+    await fsp.writeFile(argv.out, `${JSON.stringify(sidecar)}\n`);
+    console.log(`Wrote ${argv.out}`);
+  }
+  console.log(
+    `Generated ${done} waveforms (${skipped} already present, ${failures.length} failed)`
+  );
+  failures.slice(0, 20).forEach(failure => console.warn(` - ${failure.id}: ${failure.message}`));
+  if (argv.mongo) await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
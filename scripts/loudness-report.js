@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+// Report screams whose loudness is off target, so curators can fix them before an export.
+// Reads the data/screams-public.json snapshot (measured with `pnpm run measure:loudness`) and
+// flags screams that are unmeasured, further than --tolerance LU from --target LUFS, or whose
+// true peak exceeds --max-true-peak dBTP. Writes a JSON report to audit/logs/.
+
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const SNAPSHOT_PATH = path.resolve(__dirname, '../data/screams-public.json');
+
+const argv = yargs(hideBin(process.argv))
+  .option('snapshot', {
+    type: 'string',
+    default: SNAPSHOT_PATH,
+    describe: 'Snapshot file to check',
+  })
+  .option('target', {
+    type: 'number',
+    default: -16,
+    describe: 'Target integrated loudness in LUFS',
+  })
+  .option('tolerance', {
+    type: 'number',
+    default: 5,
+    describe: 'Allowed distance from the target in LU',
+  })
+  .option('max-true-peak', {
+    type: 'number',
+    default: -1,
+    describe: 'Highest allowed true peak in dBTP',
+  })
+  .option('strict', {
+    type: 'boolean',
+    default: false,
+    describe: 'Exit with status 1 when any scream is flagged',
+  })
+  .help()
+  .parse();
+
+/**
+ * Reasons a scream needs curator attention (empty when it is within limits)
+ */
+function checkScream(audio = {}) {
+  const { integrated_lufs: lufs, true_peak_dbtp: truePeak } = audio;
+  if (typeof truePeak !== 'number') return ['unmeasured'];
+
+  const issues = [];
+  if (typeof lufs !== 'number') {
+    issues.push('silent');
+  } else if (lufs > argv.target + argv.tolerance) {
+    issues.push('too_loud');
+  } else if (lufs < argv.target - argv.tolerance) {
+    issues.push('too_quiet');
+  }
+  if (truePeak > argv.maxTruePeak) issues.push('true_peak');
+  return issues;
+}
+
+function main() {
+  const screams = JSON.parse(fs.readFileSync(argv.snapshot, 'utf8'));
+  const items = screams
+    .map(scream => ({
+      id: scream.id,
+      title: scream.title,
+      integrated_lufs: scream.audio?.integrated_lufs ?? null,
+      loudness_range_lu: scream.audio?.loudness_range_lu ?? null,
+      true_peak_dbtp: scream.audio?.true_peak_dbtp ?? null,
+      issues: checkScream(scream.audio),
+    }))
+    .filter(item => item.issues.length)
+    // Furthest from the target first
+    .sort(
+      (a, b) =>
+        Math.abs((b.integrated_lufs ?? argv.target) - argv.target) -
+        Math.abs((a.integrated_lufs ?? argv.target) - argv.target)
+    );
+
+  const counts = {};
+  items.forEach(item => {
+    item.issues.forEach(issue => {
+      counts[issue] = (counts[issue] || 0) + 1;
+    });
+  });
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    snapshot: argv.snapshot,
+    target_lufs: argv.target,
+    tolerance_lu: argv.tolerance,
+    max_true_peak_dbtp: argv.maxTruePeak,
+    total_screams: screams.length,
+    total_issues: items.length,
+    counts,
+    items,
+  };
+
+  const outDir = path.join(process.cwd(), 'audit', 'logs');
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  const filePath = path.join(outDir, `loudness-report-${report.generated_at.slice(0, 10)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+
+  console.log(
+    `Loudness report: ${items.length} of ${screams.length} screams flagged ` +
+      `(target ${argv.target} ±${argv.tolerance} LUFS, true peak ≤ ${argv.maxTruePeak} dBTP)`
+  );
+  Object.entries(counts).forEach(([issue, count]) => console.log(` ${issue}: ${count}`));
+  items
+    .slice(0, 20)
+    .forEach(item =>
+      console.warn(
+        ` - ${item.id}: ${item.issues.join(', ')} ` +
+          `(${item.integrated_lufs ?? '-'} LUFS, ${item.true_peak_dbtp ?? '-'} dBTP)`
+      )
+    );
+  console.log(`Report: ${filePath}`);
+
+  if (argv.strict && items.length) process.exit(1);
+}
+
+main();
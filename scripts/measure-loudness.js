@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+// Measure EBU R128 loudness (integrated LUFS, loudness range, true peak) for every scream.
+// Results are stored in audio.integrated_lufs, audio.loudness_range_lu and audio.true_peak_dbtp:
+// in the data/screams-public.json snapshot by default, or in MONGODB_URI with --mongo.
+// Audio is read through the media source of the stream proxy (MEDIA_DIR mirror or upstream).
+// Run `pnpm run report:loudness` afterwards to list screams outside the target range.
+
+require('dotenv').config();
+
+const fsp = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { decodeAudio } = require('../src/audio/decode');
+const { measureLoudness } = require('../src/audio/loudness');
+const { mediaKey, getMediaSource, readMedia } = require('../src/services/mediaSource');
+const { signMediaUrl } = require('../src/services/storage');
+const GoatScream = require('../src/models/GoatScream');
+
+const SNAPSHOT_PATH = path.resolve(__dirname, '../data/screams-public.json');
+
+const argv = yargs(hideBin(process.argv))
+  .option('mongo', {
+    type: 'boolean',
+    default: false,
+    describe: 'Update the screams in MONGODB_URI instead of the snapshot',
+  })
+  .option('snapshot', {
+    type: 'string',
+    default: SNAPSHOT_PATH,
+    describe: 'Snapshot file to update in static mode',
+  })
+  .option('force', {
+    type: 'boolean',
+    default: false,
+    describe: 'Measure screams that already have loudness values',
+  })
+  .option('limit', {
+    type: 'number',
+    describe: 'Limit number of screams processed (for testing)',
+  })
+  .option('dry-run', {
+    type: 'boolean',
+    default: false,
+    describe: 'Print measurements without updating screams',
+  })
+  .help()
+  .parse();
+
+/**
+ * Measure a scream from its highest-quality WAV or MP3
+ */
+async function measureScream(source, scream) {
+  const audio = scream.media?.audio || {};
+  const url = audio.wav?.high || audio.mp3?.high || audio.mp3?.medium;
+  if (!url) throw new Error('no audio url');
+  const media = await readMedia(source, { url: await signMediaUrl(url), key: mediaKey(url) });
+  if (!media) throw new Error('audio not found');
+  return measureLoudness(await decodeAudio(media.buffer));
+}
+
+async function main() {
+  let screams;
+  if (argv.mongo) {
+    if (!process.env.MONGODB_URI) {
+      console.error('Missing MONGODB_URI');
+      process.exit(2);
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    screams = await GoatScream.find({}, { _id: 0, id: 1, media: 1, audio: 1 }).lean();
+  } else {
+    screams = JSON.parse(await fsp.readFile(argv.snapshot, 'utf8'));
+  }
+
+  let pending = screams.filter(
+    scream => argv.force || typeof scream.audio?.true_peak_dbtp !== 'number'
+  );
+  const skipped = screams.length - pending.length;
+  if (argv.limit) pending = pending.slice(0, argv.limit);
+
+  const source = getMediaSource();
+  let done = 0;
+  const failures = [];
+  for (const scream of pending) {
+    try {
+      const loudness = await measureScream(source, scream);
+      if (argv.dryRun) {
+        console.log(
+          ` ${scream.id}: ${loudness.integrated_lufs ?? '-inf'} LUFS, ` +
+            `LRA ${loudness.loudness_range_lu} LU, ${loudness.true_peak_dbtp} dBTP`
+        );
+      } else if (argv.mongo) {
+        await GoatScream.updateOne(
+          { id: scream.id },
+          {
+            $set: {
+              'audio.integrated_lufs': loudness.integrated_lufs,
+              'audio.loudness_range_lu': loudness.loudness_range_lu,
+              'audio.true_peak_dbtp': loudness.true_peak_dbtp,
+            },
+          }
+        );
+      } else {
+        scream.audio = { ...scream.audio, ...loudness };
+      }
+      done += 1;
+    } catch (err) {
+      failures.push({ id: scream.id, message: err.message });
+    }
+  }
+
+  if (!argv.mongo && !argv.dryRun && done) {
+    await fsp.writeFile(argv.snapshot, `${JSON.stringify(screams, null, 2)}\n`);
+    console.log(`Updated ${argv.snapshot}`);
+  }
+  console.log(`Measured ${done} screams (${skipped} already measured, ${failures.length} failed)`);
+  failures.slice(0, 20).forEach(failure => console.warn(` - ${failure.id}: ${failure.message}`));
+  if (argv.mongo) await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message);
+  process.exit(1);
+});
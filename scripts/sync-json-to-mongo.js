@@ -10,6 +10,7 @@ const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 const GoatScream = require('../src/models/GoatScream');
+const { loadFingerprintSidecar, FINGERPRINTS_PATH } = require('../src/utils/staticScreams');
 
 const JSON_PATH = path.resolve(__dirname, '../data/screams-public.json');
 
@@ -33,6 +34,10 @@ async function main() {
   const approvedScreams = jsonData.filter(s => s.approved !== false);
   console.log(`Approved screams: ${approvedScreams.length}`);
 
+  // Fingerprints live in a sidecar so the snapshot served by the API stays small
+  const fingerprints = loadFingerprintSidecar(FINGERPRINTS_PATH);
+  console.log(`Fingerprints: ${Object.keys(fingerprints).length}`);
+
   console.log('Connecting to MongoDB...');
   await mongoose.connect(uri);
 
@@ -48,6 +53,7 @@ async function main() {
       // Ensure approved is set
       const doc = {
         ...scream,
+        ...(fingerprints[scream.id] ? { fingerprint: fingerprints[scream.id] } : {}),
         approved: true,
       };
 
@@ -88,6 +94,17 @@ async function main() {
     console.warn(`⚠ Count mismatch: Expected ${approvedScreams.length}, got ${finalCount}`);
   }
 
+  // Screams synced without a fingerprint are invisible to duplicate detection until computed
+  const unfingerprinted = await GoatScream.countDocuments({
+    approved: true,
+    fingerprint: { $in: [null, ''] },
+  });
+  if (unfingerprinted > 0) {
+    console.warn(
+      `⚠ ${unfingerprinted} screams have no fingerprint; run \`pnpm run generate:fingerprints --mongo\` to compute them from the audio`
+    );
+  }
+
   await mongoose.disconnect();
 }
 
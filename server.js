@@ -6,8 +6,12 @@ const mongoose = require('mongoose');
 const { getStaticSource, getStaticScreams } = require('./src/utils/staticScreams');
 const { info: logInfo, warn: logWarn, error: logError } = require('./src/utils/logger');
 const errorTracking = require('./src/services/errorTracking');
+const { createSubmissionWorker } = require('./src/services/submissionJobs');
+const { createImageWorker } = require('./src/services/renderedImages');
 
 let server = null;
+let submissionWorker = null;
+let imageWorker = null;
 let isShuttingDown = false;
 
 // Export function to check shutdown status (for readiness endpoint)
@@ -44,6 +48,16 @@ async function gracefulShutdown(signal) {
           logInfo('Flushing error tracking events...');
           await errorTracking.flush(2000);
 
+          // Let the submission being processed finish; queued ones wait for the next start
+          if (submissionWorker) {
+            logInfo('Stopping submission worker...');
+            await submissionWorker.stop();
+          }
+          if (imageWorker) {
+            logInfo('Stopping image worker...');
+            await imageWorker.stop();
+          }
+
           // Close MongoDB connection if connected
           const dbStatus = getDbStatus();
           if (dbStatus.connected) {
@@ -63,7 +77,9 @@ async function gracefulShutdown(signal) {
       });
     });
   } else {
-    // No server instance, just close DB
+    // No server instance, just stop the workers and close DB
+    if (submissionWorker) await submissionWorker.stop();
+    if (imageWorker) await imageWorker.stop();
     const dbStatus = getDbStatus();
     if (dbStatus.connected) {
       try {
@@ -109,6 +125,14 @@ process.on('unhandledRejection', (reason, _promise) => {
       process.exit(1);
     }
     logInfo(`Connected to MongoDB at ${status.uri}`);
+
+    // Submissions are analysed and stored in the background (see services/submissionJobs)
+    submissionWorker = createSubmissionWorker();
+    submissionWorker.start();
+    logInfo(`Submission worker started (${submissionWorker.queue.name} queue)`);
+    // Images of approved screams are drawn ahead of time (see services/renderedImages)
+    imageWorker = createImageWorker();
+    imageWorker.start();
   } else {
     logInfo(`Serving static dataset from ${getStaticSource()}`);
     // Sanity check for placeholder URLs
@@ -48,6 +48,8 @@ app.use(
 app.use(
   cors({
     origin: '*',
+    // Resumable submission uploads report progress in headers
+    exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length'],
   })
 );
 app.use(compression());
@@ -255,8 +257,10 @@ v1Router.use('/keys', keyRoutes);
 v1Router.use('/screams', require('./routes/screams'));
 v1Router.use('/search', require('./routes/search'));
 v1Router.use('/stats', require('./routes/stats'));
+v1Router.use('/media', require('./routes/media'));
 v1Router.use('/submissions', require('./routes/submissions'));
 v1Router.use('/moderation', require('./routes/moderation'));
+v1Router.use('/remixes', require('./routes/remixes'));
 
 app.use('/api/v1', v1Router);
 
@@ -0,0 +1,191 @@
+const fsp = require('fs/promises');
+const { ValidationError } = require('../errors');
+
+/**
+ * Audio decoding to planar float PCM.
+ *
+ * WAV is parsed here; MP3, Ogg Vorbis and FLAC go through the WebAssembly decoders of the
+ * wasm-audio-decoders project, so nothing depends on ffmpeg or native addons.
+ * Decoded audio is { sampleRate, channels: Float32Array[] } with samples in [-1, 1].
+ */
+
+// WAVE format tags (RIFF fmt chunk)
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Detect the container of an audio buffer from its leading bytes
+ * @param {Buffer} buffer - Encoded audio
+ * @returns {string|null} 'wav', 'mp3', 'ogg', 'flac', or null when unrecognised
+ */
+function detectFormat(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+  const head = buffer.toString('latin1', 0, 4);
+  if (head === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') return 'wav';
+  if (head === 'OggS') return 'ogg';
+  if (head === 'fLaC') return 'flac';
+  if (head.startsWith('ID3')) return 'mp3';
+  // MPEG audio frame sync: 11 set bits, layer III
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) === 0x02) {
+    return 'mp3';
+  }
+  return null;
+}
+
+/**
+ * Reject a buffer that is not valid audio of its detected format
+ * @private
+ */
+function corrupt(format, reason) {
+  return new ValidationError(`Could not decode ${format} audio: ${reason}`, {
+    field: 'audio',
+    value: format,
+  });
+}
+
+/**
+ * Decode a RIFF/WAVE buffer (integer PCM of 8–32 bits or 32/64-bit float)
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {{sampleRate: number, channels: Float32Array[]}} Decoded audio
+ * @throws {ValidationError} If the file is malformed or uses an unsupported encoding
+ */
+function decodeWav(buffer) {
+  if (detectFormat(buffer) !== 'wav') throw corrupt('wav', 'missing RIFF/WAVE header');
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const declared = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    // Streamed writers leave the data size at 0 or 0xFFFFFFFF; clamp to what was written
+    const size = Math.min(declared || buffer.length - start, buffer.length - start);
+
+    if (id === 'fmt ' && size >= 16) {
+      let tag = buffer.readUInt16LE(start);
+      if (tag === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        // The sub-format GUID starts with the actual format tag
+        tag = buffer.readUInt16LE(start + 24);
+      }
+      fmt = {
+        tag,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        blockAlign: buffer.readUInt16LE(start + 12),
+        bitsPerSample: buffer.readUInt16LE(start + 14),
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(start, start + size);
+    }
+    // Chunks are word-aligned
+    offset = start + size + (size % 2);
+  }
+
+  if (!fmt) throw corrupt('wav', 'missing fmt chunk');
+  if (!data) throw corrupt('wav', 'missing data chunk');
+  const { tag, channels, sampleRate, bitsPerSample } = fmt;
+  const bytes = bitsPerSample / 8;
+  if (!channels || !sampleRate || !Number.isInteger(bytes) || bytes < 1) {
+    throw corrupt('wav', 'invalid fmt chunk');
+  }
+
+  let read;
+  if (tag === WAVE_FORMAT_PCM && bytes === 1) read = i => (data[i] - 128) / 128;
+  else if (tag === WAVE_FORMAT_PCM && bytes === 2) read = i => data.readInt16LE(i) / 32768;
+  else if (tag === WAVE_FORMAT_PCM && bytes === 3) read = i => data.readIntLE(i, 3) / 8388608;
+  else if (tag === WAVE_FORMAT_PCM && bytes === 4) read = i => data.readInt32LE(i) / 2147483648;
+  else if (tag === WAVE_FORMAT_IEEE_FLOAT && bytes === 4) read = i => data.readFloatLE(i);
+  else if (tag === WAVE_FORMAT_IEEE_FLOAT && bytes === 8) read = i => data.readDoubleLE(i);
+  else throw corrupt('wav', `unsupported encoding (format ${tag}, ${bitsPerSample}-bit)`);
+
+  const blockAlign = fmt.blockAlign || bytes * channels;
+  const frames = Math.floor(data.length / blockAlign);
+  const planar = Array.from({ length: channels }, () => new Float32Array(frames));
+  for (let frame = 0; frame < frames; frame += 1) {
+    const base = frame * blockAlign;
+    for (let ch = 0; ch < channels; ch += 1) {
+      planar[ch][frame] = read(base + ch * bytes);
+    }
+  }
+  return { sampleRate, channels: planar };
+}
+
+// Loaders for the WebAssembly decoders (ES modules, so imported lazily)
+const WASM_DECODERS = {
+  mp3: async () => {
+    const { MPEGDecoder } = await import('mpg123-decoder');
+    return { decoder: new MPEGDecoder(), decode: (d, bytes) => d.decode(bytes) };
+  },
+  ogg: async () => {
+    const { OggVorbisDecoder } = await import('@wasm-audio-decoders/ogg-vorbis');
+    return { decoder: new OggVorbisDecoder(), decode: (d, bytes) => d.decodeFile(bytes) };
+  },
+  flac: async () => {
+    const { FLACDecoder } = await import('@wasm-audio-decoders/flac');
+    return { decoder: new FLACDecoder(), decode: (d, bytes) => d.decodeFile(bytes) };
+  },
+};
+
+/**
+ * Decode a compressed buffer with its WebAssembly decoder
+ * @private
+ */
+async function decodeCompressed(buffer, format) {
+  const { decoder, decode } = await WASM_DECODERS[format]();
+  try {
+    await decoder.ready;
+    const result = await decode(decoder, new Uint8Array(buffer));
+    if (!result.samplesDecoded || !result.channelData.length) {
+      throw corrupt(format, result.errors?.[0]?.message || 'no audio frames');
+    }
+    return {
+      sampleRate: result.sampleRate,
+      channels: result.channelData.map(channel => channel.subarray(0, result.samplesDecoded)),
+    };
+  } finally {
+    decoder.free();
+  }
+}
+
+/**
+ * Decode an audio file or buffer
+ * @param {string|Buffer} input - File path or encoded audio
+ * @returns {Promise<{format: string, sampleRate: number, channels: Float32Array[]}>}
+ *   Decoded audio and the detected container format
+ * @throws {ValidationError} If the format is not recognised or the data is corrupt
+ */
+async function decodeAudio(input) {
+  const buffer = Buffer.isBuffer(input) ? input : await fsp.readFile(input);
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new ValidationError('Unsupported audio format. Expected WAV, MP3, Ogg Vorbis or FLAC', {
+      field: 'audio',
+    });
+  }
+  const decoded = format === 'wav' ? decodeWav(buffer) : await decodeCompressed(buffer, format);
+  return { format, ...decoded };
+}
+
+/**
+ * Mix planar channels down to mono
+ * @param {Float32Array[]} channels - Planar channel data
+ * @returns {Float32Array} Mono samples
+ */
+function toMono(channels) {
+  if (channels.length === 1) return channels[0];
+  const length = Math.min(...channels.map(channel => channel.length));
+  const mono = new Float32Array(length);
+  channels.forEach(channel => {
+    for (let i = 0; i < length; i += 1) mono[i] += channel[i] / channels.length;
+  });
+  return mono;
+}
+
+module.exports = {
+  detectFormat,
+  decodeWav,
+  decodeAudio,
+  toMono,
+};
@@ -0,0 +1,164 @@
+/**
+ * Signal processing primitives for the audio analysis pipeline: levels, FFT and spectra.
+ * All functions take mono Float32Array samples in [-1, 1].
+ */
+
+// Floor for decibel values, so silence reports a finite level
+const MIN_DECIBELS = -120;
+
+/**
+ * Convert a linear amplitude to dBFS
+ * @param {number} amplitude - Linear amplitude (1 = full scale)
+ * @returns {number} Level in dBFS, floored at -120
+ */
+function toDecibels(amplitude) {
+  return amplitude > 0 ? Math.max(MIN_DECIBELS, 20 * Math.log10(amplitude)) : MIN_DECIBELS;
+}
+
+/**
+ * Measure the sample peak and RMS level
+ * @param {Float32Array} samples - Samples
+ * @returns {{peak: number, rms: number}} Linear peak and RMS amplitudes
+ */
+function levels(samples) {
+  let peak = 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i += 1) {
+    const abs = Math.abs(samples[i]);
+    if (abs > peak) peak = abs;
+    sum += samples[i] * samples[i];
+  }
+  return { peak, rms: samples.length ? Math.sqrt(sum / samples.length) : 0 };
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i += 1) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k += 1) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Hann window coefficients
+ * @param {number} size - Window length
+ * @returns {Float64Array} Coefficients
+ */
+function hannWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i += 1) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  return window;
+}
+
+/**
+ * Magnitude spectrum of one windowed frame
+ * @param {Float32Array} samples - Samples
+ * @param {number} offset - First sample of the frame
+ * @param {Float64Array} window - Window from hannWindow (its length is the FFT size)
+ * @returns {Float64Array} Magnitudes of bins 0..size/2
+ */
+function magnitudeSpectrum(samples, offset, window) {
+  const size = window.length;
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < size && offset + i < samples.length; i += 1) {
+    re[i] = samples[offset + i] * window[i];
+  }
+  fft(re, im);
+  const magnitudes = new Float64Array(size / 2 + 1);
+  for (let k = 0; k <= size / 2; k += 1) magnitudes[k] = Math.hypot(re[k], im[k]);
+  return magnitudes;
+}
+
+/**
+ * Find the dominant frequency from the averaged power spectrum of the loud frames (Welch's
+ * method), refined by parabolic interpolation around the strongest bin
+ * @param {Float32Array} samples - Samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {number} [options.fftSize=4096] - Frame length (power of two)
+ * @param {number} [options.minFrequency=50] - Lowest frequency considered
+ * @param {number} [options.maxFrequency=8000] - Highest frequency considered
+ * @returns {number|null} Frequency in Hz, or null for silence
+ */
+function dominantFrequency(
+  samples,
+  sampleRate,
+  { fftSize = 4096, minFrequency = 50, maxFrequency = 8000 } = {}
+) {
+  const window = hannWindow(fftSize);
+  const hop = fftSize / 2;
+  const frames = [];
+  for (let offset = 0; offset === 0 || offset + fftSize <= samples.length; offset += hop) {
+    frames.push({ offset, rms: levels(samples.subarray(offset, offset + fftSize)).rms });
+  }
+
+  // Frames within 20 dB of the loudest one carry the scream; the rest is room noise
+  const loudest = Math.max(...frames.map(frame => frame.rms));
+  if (loudest === 0) return null;
+  const power = new Float64Array(fftSize / 2 + 1);
+  frames
+    .filter(frame => frame.rms >= loudest / 10)
+    .forEach(frame => {
+      magnitudeSpectrum(samples, frame.offset, window).forEach((m, k) => {
+        power[k] += m * m;
+      });
+    });
+
+  const binHz = sampleRate / fftSize;
+  const low = Math.max(1, Math.ceil(minFrequency / binHz));
+  const high = Math.min(power.length - 2, Math.floor(maxFrequency / binHz));
+  let best = low;
+  for (let k = low; k <= high; k += 1) {
+    if (power[k] > power[best]) best = k;
+  }
+
+  const [a, b, c] = [power[best - 1], power[best], power[best + 1]].map(p => Math.log(p + 1e-20));
+  const denominator = a - 2 * b + c;
+  const shift = denominator < 0 ? (0.5 * (a - c)) / denominator : 0;
+  return (best + shift) * binHz;
+}
+
+module.exports = {
+  MIN_DECIBELS,
+  toDecibels,
+  levels,
+  fft,
+  hannWindow,
+  magnitudeSpectrum,
+  dominantFrequency,
+};
@@ -0,0 +1,110 @@
+/**
+ * Edits applied to decoded audio before transcoding: trimming, fades and loudness
+ * normalisation. Functions take decoded audio ({ sampleRate, channels }) and return new audio;
+ * the input is never modified.
+ */
+
+const { levels, toDecibels } = require('./dsp');
+
+// Normalisation target (RMS of the mixdown, dBFS) and the sample peak it may not exceed
+const NORMALIZE_TARGET_DB = -16;
+const NORMALIZE_CEILING_DB = -1;
+
+/**
+ * Cut audio to a time range
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Decoded audio
+ * @param {number} [start=0] - Start in seconds
+ * @param {number} [end] - End in seconds (default: end of clip; clamped to it)
+ * @returns {{sampleRate: number, channels: Float32Array[]}} Trimmed audio
+ */
+function trim({ sampleRate, channels }, start = 0, end = undefined) {
+  const length = channels[0]?.length || 0;
+  const from = Math.min(length, Math.round(start * sampleRate));
+  const to = end === undefined ? length : Math.min(length, Math.round(end * sampleRate));
+  return {
+    sampleRate,
+    channels: channels.map(channel => channel.slice(from, Math.max(from, to))),
+  };
+}
+
+/**
+ * Apply linear fade-in and fade-out ramps
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Decoded audio
+ * @param {number} [fadeIn=0] - Fade-in length in seconds
+ * @param {number} [fadeOut=0] - Fade-out length in seconds
+ * @returns {{sampleRate: number, channels: Float32Array[]}} Faded audio (ramps longer than the
+ *   clip are shortened to it)
+ */
+function fade({ sampleRate, channels }, fadeIn = 0, fadeOut = 0) {
+  const length = channels[0]?.length || 0;
+  const inLength = Math.min(length, Math.round(fadeIn * sampleRate));
+  const outLength = Math.min(length, Math.round(fadeOut * sampleRate));
+
+  return {
+    sampleRate,
+    channels: channels.map(channel => {
+      const faded = channel.slice();
+      for (let i = 0; i < inLength; i += 1) faded[i] *= i / inLength;
+      for (let i = 0; i < outLength; i += 1) faded[length - 1 - i] *= i / outLength;
+      return faded;
+    }),
+  };
+}
+
+/**
+ * Scale audio to a target loudness, lowering the gain where it would push the sample peak
+ * above the ceiling
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Decoded audio
+ * @param {Object} [options]
+ * @param {number} [options.targetDb=-16] - Target RMS level in dBFS
+ * @param {number} [options.ceilingDb=-1] - Highest sample peak in dBFS
+ * @returns {{sampleRate: number, channels: Float32Array[], gainDb: number}} Scaled audio and the
+ *   gain applied (0 for silence)
+ */
+function normalize(
+  { sampleRate, channels },
+  { targetDb = NORMALIZE_TARGET_DB, ceilingDb = NORMALIZE_CEILING_DB } = {}
+) {
+  const stats = channels.map(channel => levels(channel));
+  const peak = Math.max(0, ...stats.map(stat => stat.peak));
+  // Mean power over channels, so a stereo clip is measured like its mixdown of equal channels
+  const rms = Math.sqrt(stats.reduce((sum, stat) => sum + stat.rms ** 2, 0) / stats.length || 0);
+  if (!peak || !rms) {
+    return { sampleRate, channels: channels.map(channel => channel.slice()), gainDb: 0 };
+  }
+
+  const gainDb = Math.min(targetDb - toDecibels(rms), ceilingDb - toDecibels(peak));
+  const gain = 10 ** (gainDb / 20);
+  return {
+    sampleRate,
+    channels: channels.map(channel => channel.map(sample => sample * gain)),
+    gainDb: Number(gainDb.toFixed(2)),
+  };
+}
+
+/**
+ * Apply the edits of a download request in order: trim, normalise, fade
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Decoded audio
+ * @param {Object} edits
+ * @param {number} [edits.start] - Trim start in seconds
+ * @param {number} [edits.end] - Trim end in seconds
+ * @param {number} [edits.fadeIn] - Fade-in length in seconds
+ * @param {number} [edits.fadeOut] - Fade-out length in seconds
+ * @param {boolean} [edits.normalize] - Normalise loudness
+ * @returns {{sampleRate: number, channels: Float32Array[]}} Edited audio
+ */
+function applyEdits(audio, { start = 0, end, fadeIn = 0, fadeOut = 0, normalize: level } = {}) {
+  let edited = start || end !== undefined ? trim(audio, start, end) : audio;
+  if (level) edited = normalize(edited);
+  if (fadeIn || fadeOut) edited = fade(edited, fadeIn, fadeOut);
+  return { sampleRate: edited.sampleRate, channels: edited.channels };
+}
+
+module.exports = {
+  NORMALIZE_TARGET_DB,
+  NORMALIZE_CEILING_DB,
+  trim,
+  fade,
+  normalize,
+  applyEdits,
+};
@@ -0,0 +1,126 @@
+/**
+ * Audio encoding from planar float PCM.
+ *
+ * WAV is written here; MP3 (LAME) and Ogg Vorbis go through the WebAssembly encoders of
+ * wasm-media-encoders, so like decoding nothing depends on ffmpeg or native addons.
+ */
+
+const { createMp3Encoder, createOggEncoder } = require('wasm-media-encoders');
+const { toMono } = require('./decode');
+
+const ENCODE_FORMATS = ['mp3', 'ogg', 'wav'];
+const QUALITY_TIERS = ['high', 'medium', 'low'];
+
+// Encoder settings per format and quality: MP3 constant bitrates (kbps), Vorbis VBR quality
+// (roughly 192/128/64 kbps for stereo) and WAV bit depth, with low-quality WAV mixed to mono
+const ENCODER_SETTINGS = {
+  mp3: {
+    high: { bitrate: 192 },
+    medium: { bitrate: 128 },
+    low: { bitrate: 64 },
+  },
+  ogg: {
+    high: { vbrQuality: 6 },
+    medium: { vbrQuality: 4 },
+    low: { vbrQuality: 0 },
+  },
+  wav: {
+    high: { bitDepth: 24 },
+    medium: { bitDepth: 16 },
+    low: { bitDepth: 16, mono: true },
+  },
+};
+
+const WASM_ENCODERS = {
+  mp3: createMp3Encoder,
+  ogg: createOggEncoder,
+};
+
+// Samples handed to the WebAssembly encoders per call
+const ENCODE_BLOCK = 8192;
+
+/**
+ * Write planar samples as a RIFF/WAVE file of integer PCM
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Audio to encode
+ * @param {Object} [options]
+ * @param {number} [options.bitDepth=16] - 16 or 24
+ * @returns {Buffer} WAV file contents
+ */
+function encodeWav({ sampleRate, channels }, { bitDepth = 16 } = {}) {
+  const bytes = bitDepth / 8;
+  const frames = channels[0]?.length || 0;
+  const blockAlign = channels.length * bytes;
+  const dataSize = frames * blockAlign;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'latin1');
+  buffer.write('fmt ', 12, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(channels.length, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * blockAlign, 28);
+  buffer.writeUInt16LE(blockAlign, 32);
+  buffer.writeUInt16LE(bitDepth, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  const max = 2 ** (bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < frames; i += 1) {
+    channels.forEach(channel => {
+      const value = Math.round(Math.max(-1, Math.min(1, channel[i])) * max);
+      buffer.writeIntLE(value, offset, bytes);
+      offset += bytes;
+    });
+  }
+  return buffer;
+}
+
+/**
+ * Encode through one of the WebAssembly encoders
+ * @private
+ */
+async function encodeCompressed({ sampleRate, channels }, format, settings) {
+  // Both encoders take mono or stereo
+  const input = channels.length > 2 ? [toMono(channels)] : channels;
+  const encoder = await WASM_ENCODERS[format]();
+  encoder.configure({ sampleRate, channels: input.length, ...settings });
+
+  // encode() reuses its output buffer, so every block is copied out
+  const parts = [];
+  const length = input[0]?.length || 0;
+  for (let offset = 0; offset < length; offset += ENCODE_BLOCK) {
+    parts.push(
+      Buffer.from(encoder.encode(input.map(c => c.subarray(offset, offset + ENCODE_BLOCK))))
+    );
+  }
+  parts.push(Buffer.from(encoder.finalize()));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode audio at a quality tier
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Audio to encode
+ * @param {string} format - mp3, ogg or wav
+ * @param {string} [quality='medium'] - high, medium or low
+ * @returns {Promise<Buffer>} Encoded file
+ */
+async function encodeAudio(audio, format, quality = 'medium') {
+  const { mono, bitDepth, ...settings } = ENCODER_SETTINGS[format][quality];
+  if (format === 'wav') {
+    const channels = mono ? [toMono(audio.channels)] : audio.channels;
+    return encodeWav({ sampleRate: audio.sampleRate, channels }, { bitDepth });
+  }
+  return encodeCompressed(audio, format, settings);
+}
+
+module.exports = {
+  ENCODE_FORMATS,
+  QUALITY_TIERS,
+  ENCODER_SETTINGS,
+  encodeWav,
+  encodeAudio,
+};
@@ -0,0 +1,183 @@
+/**
+ * Acoustic fingerprints for duplicate detection, after Haitsma & Kalker (2002): every frame of
+ * a clip is reduced to 32 bits, one per pair of neighbouring frequency bands, set when the
+ * energy difference between the bands grows from the previous frame. The bits survive
+ * re-encoding, resampling and gain changes, so copies of a clip stay within a few percent of
+ * each other while unrelated clips agree on about half of their bits.
+ *
+ * Fingerprints are stored as base64 strings of little-endian 32-bit words.
+ */
+
+const { toMono } = require('./decode');
+const { hannWindow, magnitudeSpectrum } = require('./dsp');
+const { resample } = require('./mix');
+
+// Clips are fingerprinted at a fixed rate, so frames line up whatever the source rate
+const FINGERPRINT_SAMPLE_RATE = 11025;
+// Frame length (~186 ms) and hop (~23 ms) in samples at that rate
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 256;
+const HOP_SECONDS = HOP_SIZE / FINGERPRINT_SAMPLE_RATE;
+
+// 33 logarithmically spaced bands between these frequencies give 32 bits per frame
+const BAND_COUNT = 33;
+const MIN_BAND_HZ = 300;
+const MAX_BAND_HZ = 4000;
+
+// Leading and trailing frames quieter than this, relative to the loudest frame (power), are
+// dropped, so padding with silence does not change the fingerprint
+const SILENCE_RATIO = 1e-3;
+
+// Fewest frames worth comparing (about a quarter of a second)
+const MIN_FINGERPRINT_FRAMES = 5;
+
+/**
+ * Bring samples to the fingerprint rate: averaging blocks of samples when downsampling (a crude
+ * low-pass against aliasing), interpolating when upsampling
+ * @private
+ */
+function toFingerprintRate(samples, sampleRate) {
+  const step = sampleRate / FINGERPRINT_SAMPLE_RATE;
+  if (step <= 1) return resample(samples, step);
+
+  const output = new Float32Array(Math.floor(samples.length / step));
+  for (let i = 0; i < output.length; i += 1) {
+    const start = Math.floor(i * step);
+    const end = Math.min(samples.length, Math.floor((i + 1) * step));
+    let sum = 0;
+    for (let j = start; j < end; j += 1) sum += samples[j];
+    output[i] = end > start ? sum / (end - start) : 0;
+  }
+  return output;
+}
+
+/**
+ * FFT bin ranges of the fingerprint bands
+ * @private
+ */
+function bandBins() {
+  const binHz = FINGERPRINT_SAMPLE_RATE / FRAME_SIZE;
+  const ratio = (MAX_BAND_HZ / MIN_BAND_HZ) ** (1 / BAND_COUNT);
+  const bands = [];
+  for (let band = 0; band < BAND_COUNT; band += 1) {
+    const low = Math.round((MIN_BAND_HZ * ratio ** band) / binHz);
+    const high = Math.max(low + 1, Math.round((MIN_BAND_HZ * ratio ** (band + 1)) / binHz));
+    bands.push([low, high]);
+  }
+  return bands;
+}
+
+/**
+ * @private
+ */
+function popcount(word) {
+  let x = word - ((word >>> 1) & 0x55555555);
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+/**
+ * Pack fingerprint words into their stored form
+ * @param {Uint32Array} words - One word per frame
+ * @returns {string} Base64 string
+ */
+function encodeFingerprint(words) {
+  const buffer = Buffer.alloc(words.length * 4);
+  words.forEach((word, i) => buffer.writeUInt32LE(word, i * 4));
+  return buffer.toString('base64');
+}
+
+/**
+ * Unpack a stored fingerprint
+ * @param {string|Uint32Array} fingerprint - Base64 string (words are passed through)
+ * @returns {Uint32Array} One word per frame
+ */
+function decodeFingerprint(fingerprint) {
+  if (fingerprint instanceof Uint32Array) return fingerprint;
+  const buffer = Buffer.from(String(fingerprint || ''), 'base64');
+  const words = new Uint32Array(Math.floor(buffer.length / 4));
+  for (let i = 0; i < words.length; i += 1) words[i] = buffer.readUInt32LE(i * 4);
+  return words;
+}
+
+/**
+ * Compute the fingerprint of a clip
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Decoded audio
+ * @returns {string|null} Base64 fingerprint, or null when the clip is too short or silent
+ */
+function computeFingerprint({ sampleRate, channels }) {
+  const samples = toFingerprintRate(toMono(channels), sampleRate);
+  const window = hannWindow(FRAME_SIZE);
+  const bands = bandBins();
+
+  const frames = [];
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += HOP_SIZE) {
+    const spectrum = magnitudeSpectrum(samples, offset, window);
+    const energies = bands.map(([low, high]) => {
+      let sum = 0;
+      for (let k = low; k < high; k += 1) sum += spectrum[k] * spectrum[k];
+      return sum;
+    });
+    frames.push({ energies, power: energies.reduce((sum, energy) => sum + energy, 0) });
+  }
+
+  const loudest = Math.max(0, ...frames.map(frame => frame.power));
+  if (loudest === 0) return null;
+  const audible = frames.map(frame => frame.power >= loudest * SILENCE_RATIO);
+  const first = audible.indexOf(true);
+  const last = audible.lastIndexOf(true);
+  const kept = frames.slice(first, last + 1);
+  if (kept.length - 1 < MIN_FINGERPRINT_FRAMES) return null;
+
+  const words = new Uint32Array(kept.length - 1);
+  for (let n = 1; n < kept.length; n += 1) {
+    const current = kept[n].energies;
+    const previous = kept[n - 1].energies;
+    let word = 0;
+    for (let m = 0; m < BAND_COUNT - 1; m += 1) {
+      const delta = current[m] - current[m + 1] - (previous[m] - previous[m + 1]);
+      if (delta > 0) word |= 1 << m;
+    }
+    words[n - 1] = word >>> 0;
+  }
+  return encodeFingerprint(words);
+}
+
+/**
+ * Compare two fingerprints at every alignment where they overlap by at least half of the shorter
+ * one, so a trimmed copy still matches the clip it was cut from
+ * @param {string|Uint32Array} a - Fingerprint
+ * @param {string|Uint32Array} b - Fingerprint
+ * @returns {{similarity: number, offset: number}|null} Share of matching bits at the best
+ *   alignment (0-1, about 0.5 for unrelated clips) and where b starts relative to a in seconds;
+ *   null when either fingerprint is too short
+ */
+function compareFingerprints(a, b) {
+  const wordsA = decodeFingerprint(a);
+  const wordsB = decodeFingerprint(b);
+  const shorter = Math.min(wordsA.length, wordsB.length);
+  if (shorter < MIN_FINGERPRINT_FRAMES) return null;
+  const minOverlap = Math.max(MIN_FINGERPRINT_FRAMES, Math.ceil(shorter / 2));
+
+  let best = { errors: Infinity, bits: 1, shift: 0 };
+  for (let shift = minOverlap - wordsB.length; shift <= wordsA.length - minOverlap; shift += 1) {
+    const start = Math.max(0, shift);
+    const end = Math.min(wordsA.length, shift + wordsB.length);
+    let errors = 0;
+    for (let i = start; i < end; i += 1) errors += popcount(wordsA[i] ^ wordsB[i - shift]);
+    const bits = (end - start) * 32;
+    if (errors / bits < best.errors / best.bits) best = { errors, bits, shift };
+  }
+  return {
+    similarity: Number((1 - best.errors / best.bits).toFixed(3)),
+    offset: Number((best.shift * HOP_SECONDS).toFixed(2)),
+  };
+}
+
+module.exports = {
+  FINGERPRINT_SAMPLE_RATE,
+  encodeFingerprint,
+  decodeFingerprint,
+  computeFingerprint,
+  compareFingerprints,
+};
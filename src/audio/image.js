@@ -0,0 +1,147 @@
+/**
+ * Spectrogram and waveform images, rendered in pure JS as PNG (see png.js) or SVG.
+ */
+
+const { computeWaveform, renderWaveformSvg } = require('./waveform');
+const { SPECTROGRAM_FLOOR_DB, computeSpectrogram } = require('./spectrogram');
+const { encodePng } = require('./png');
+
+const IMAGE_TYPES = ['spectrogram', 'waveform'];
+const IMAGE_FORMATS = ['png', 'svg'];
+const IMAGE_CONTENT_TYPES = { png: 'image/png', svg: 'image/svg+xml' };
+
+const DEFAULT_IMAGE_WIDTH = 600;
+const DEFAULT_IMAGE_HEIGHT = 200;
+const MIN_IMAGE_SIZE = 16;
+const MAX_IMAGE_WIDTH = 2000;
+const MAX_IMAGE_HEIGHT = 1000;
+
+// Bump when rendering changes so cached images get new validators
+const IMAGE_RENDERER_VERSION = 1;
+
+// Highest frequency shown on spectrograms; goat screams carry little energy above it
+const SPECTROGRAM_MAX_FREQUENCY = 8000;
+
+// Waveform bar colour (RGB); the PNG background is transparent
+const WAVEFORM_COLOR = [245, 158, 11];
+
+// Perceptually ordered colour ramp for spectrogram levels, quietest first (inferno-like)
+const SPECTROGRAM_COLORS = [
+  [0, 0, 4],
+  [40, 11, 84],
+  [101, 21, 110],
+  [159, 42, 99],
+  [212, 72, 66],
+  [245, 125, 21],
+  [250, 193, 39],
+  [252, 255, 164],
+];
+
+/**
+ * Map a level in [0, 1] to a colour of the spectrogram ramp
+ * @private
+ */
+function rampColor(level) {
+  const position = Math.min(1, Math.max(0, level)) * (SPECTROGRAM_COLORS.length - 1);
+  const index = Math.min(SPECTROGRAM_COLORS.length - 2, Math.floor(position));
+  const fraction = position - index;
+  const [from, to] = [SPECTROGRAM_COLORS[index], SPECTROGRAM_COLORS[index + 1]];
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * fraction));
+}
+
+/**
+ * Rasterise a spectrogram: time left to right, frequency bottom to top (linear scale)
+ * @private
+ */
+function spectrogramPixels(samples, sampleRate, width, height) {
+  const { binHz, frames } = computeSpectrogram(samples, sampleRate, {
+    columns: width,
+    maxFrequency: SPECTROGRAM_MAX_FREQUENCY,
+  });
+  const topFrequency = Math.min(SPECTROGRAM_MAX_FREQUENCY, sampleRate / 2);
+  const pixels = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y += 1) {
+    const bin = ((1 - (y + 0.5) / height) * topFrequency) / binHz;
+    const low = Math.floor(bin);
+    const fraction = bin - low;
+    for (let x = 0; x < width; x += 1) {
+      const frame = frames[x];
+      const high = Math.min(frame.length - 1, low + 1);
+      const db = frame[low] + (frame[high] - frame[low]) * fraction;
+      const offset = (y * width + x) * 4;
+      pixels.set(rampColor(1 - db / SPECTROGRAM_FLOOR_DB), offset);
+      pixels[offset + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Rasterise a mirrored bar waveform, one bar per pixel column
+ * @private
+ */
+function waveformPixels(samples, width, height) {
+  const [{ peaks }] = computeWaveform(samples, [width]);
+  const pixels = new Uint8Array(width * height * 4);
+  const middle = height / 2;
+
+  peaks.forEach((peak, x) => {
+    // Keep silent columns visible as a one-pixel line
+    const half = Math.max(0.5, peak * middle);
+    const top = Math.max(0, Math.floor(middle - half));
+    const bottom = Math.min(height, Math.ceil(middle + half));
+    for (let y = top; y < bottom; y += 1) {
+      const offset = (y * width + x) * 4;
+      pixels.set(WAVEFORM_COLOR, offset);
+      pixels[offset + 3] = 255;
+    }
+  });
+  return pixels;
+}
+
+/**
+ * Render an image of a clip
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {string} options.type - spectrogram or waveform
+ * @param {string} options.format - png or svg
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @returns {Buffer} Encoded image
+ */
+function renderImage(samples, sampleRate, { type, format, width, height }) {
+  if (type === 'waveform' && format === 'svg') {
+    const [{ peaks }] = computeWaveform(samples, [width]);
+    return Buffer.from(renderWaveformSvg(peaks, { width, height }));
+  }
+
+  const pixels =
+    type === 'waveform'
+      ? waveformPixels(samples, width, height)
+      : spectrogramPixels(samples, sampleRate, width, height);
+  const png = encodePng(width, height, pixels);
+  if (format === 'png') return png;
+
+  // Spectrograms have no compact vector form; wrap the raster so SVG consumers can embed it
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">` +
+      `<image width="${width}" height="${height}" preserveAspectRatio="none" ` +
+      `href="data:image/png;base64,${png.toString('base64')}"/></svg>`
+  );
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  IMAGE_FORMATS,
+  IMAGE_CONTENT_TYPES,
+  DEFAULT_IMAGE_WIDTH,
+  DEFAULT_IMAGE_HEIGHT,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_WIDTH,
+  MAX_IMAGE_HEIGHT,
+  IMAGE_RENDERER_VERSION,
+  renderImage,
+};
@@ -0,0 +1,208 @@
+/**
+ * Intensity scoring: a linear model over measured audio features, mapped onto the 1–10 scale
+ * the curators used in data/analysis-map.json.
+ *
+ * The model reads the clip's duration and levels (RMS and peak dBFS), measured from the audio,
+ * and its primary note and tones, which the analysis map records for each curated clip. The
+ * coefficients live in data/intensity-calibration.json and are refitted with
+ * `node scripts/calibrate-intensity.js`, which measures the curated clips and solves a
+ * ridge-regularised least-squares problem with fitIntensityModel.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseNote } = require('../utils/notes');
+
+const CALIBRATION_PATH = path.join(__dirname, '..', '..', 'data', 'intensity-calibration.json');
+
+// Features the model reads, in the order of the coefficient vector
+const INTENSITY_FEATURES = [
+  'duration',
+  'rms_decibels',
+  'peak_decibels',
+  'primary_frequency_khz',
+  'tone_count',
+  'tone_span',
+];
+
+let cachedCalibration = null;
+
+/**
+ * Load the intensity calibration
+ * @param {string} [file] - Calibration file (default: data/intensity-calibration.json)
+ * @returns {{intercept: number, weights: Object<string, number>}} Calibration
+ */
+function loadCalibration(file) {
+  if (!file && cachedCalibration) return cachedCalibration;
+  const calibration = JSON.parse(fs.readFileSync(file || CALIBRATION_PATH, 'utf8'));
+  if (!file) cachedCalibration = calibration;
+  return calibration;
+}
+
+/**
+ * Frequency of a MIDI note in kHz (A4 = 440 Hz)
+ * @private
+ */
+function midiToKhz(midi) {
+  return (440 * 2 ** ((midi - 69) / 12)) / 1000;
+}
+
+/**
+ * Build the model's feature values from an analysis
+ * @param {Object} analysis - duration (s), rms_decibels and peak_decibels (dBFS) as measured by
+ *   the pipeline; primary_note and tones_in_order as measured or curated
+ * @returns {Object<string, number>} Feature values keyed by INTENSITY_FEATURES: duration,
+ *   rms_decibels, peak_decibels, primary_frequency_khz, tone_count and tone_span (semitones
+ *   between lowest and highest tone)
+ */
+function intensityFeatures({
+  duration,
+  rms_decibels,
+  peak_decibels,
+  primary_note,
+  tones_in_order = [],
+}) {
+  const primary = parseNote(primary_note);
+  const midis = (tones_in_order || [])
+    .map(parseNote)
+    .filter(note => note && note.midi !== null)
+    .map(note => note.midi);
+
+  return {
+    duration: duration || 0,
+    rms_decibels: Number.isFinite(rms_decibels) ? rms_decibels : 0,
+    peak_decibels: Number.isFinite(peak_decibels) ? peak_decibels : 0,
+    primary_frequency_khz: primary && primary.midi !== null ? midiToKhz(primary.midi) : 0,
+    tone_count: midis.length,
+    tone_span: midis.length ? Math.max(...midis) - Math.min(...midis) : 0,
+  };
+}
+
+/**
+ * Pair each curated clip's features with its curated intensity
+ * @param {Object<string, Object>} analysisMap - Curated entries by scream ID (intensity,
+ *   primary_note, tones_in_order), as in data/analysis-map.json
+ * @param {Object<string, Object>} measurements - Measured duration, rms_decibels and
+ *   peak_decibels of the clips, by scream ID
+ * @returns {Array<{id: string, features: Object<string, number>, intensity: number}>} Samples
+ *   for fitIntensityModel, skipping entries without a curated intensity or measurements
+ */
+function curatedSamples(analysisMap, measurements) {
+  return Object.entries(analysisMap)
+    .filter(([id, entry]) => Number.isFinite(entry.intensity) && measurements[id])
+    .map(([id, entry]) => ({
+      id,
+      features: intensityFeatures({
+        ...measurements[id],
+        primary_note: entry.primary_note,
+        tones_in_order: entry.tones_in_order,
+      }),
+      intensity: entry.intensity,
+    }));
+}
+
+/**
+ * Score intensity on the curated 1–10 scale
+ * @param {Object} features - Feature values from intensityFeatures
+ * @param {Object} [calibration] - Calibration (default: loadCalibration())
+ * @returns {number} Integer intensity between 1 and 10
+ */
+function scoreIntensity(features, calibration = loadCalibration()) {
+  const raw = INTENSITY_FEATURES.reduce(
+    (sum, name) => sum + (calibration.weights[name] || 0) * (features[name] || 0),
+    calibration.intercept
+  );
+  return Math.min(10, Math.max(1, Math.round(raw)));
+}
+
+/**
+ * Solve a linear system with Gaussian elimination and partial pivoting
+ * @private
+ */
+function solve(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col += 1) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r += 1) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    if (Math.abs(rows[col][col]) < 1e-12) throw new Error('Calibration system is singular');
+    for (let r = col + 1; r < n; r += 1) {
+      const factor = rows[r][col] / rows[col][col];
+      for (let c = col; c <= n; c += 1) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r -= 1) {
+    let sum = rows[r][n];
+    for (let c = r + 1; c < n; c += 1) sum -= rows[r][c] * x[c];
+    x[r] = sum / rows[r][r];
+  }
+  return x;
+}
+
+/**
+ * Fit the intensity model to curated samples by ridge-regularised least squares.
+ * Features are standardised before fitting so the penalty treats them alike; the intercept is
+ * not penalised.
+ * @param {Array<{features: Object<string, number>, intensity: number}>} samples - Measured
+ *   features (from intensityFeatures) paired with the curated intensity
+ * @param {Object} [options]
+ * @param {number} [options.lambda=1] - Ridge penalty
+ * @returns {{intercept: number, weights: Object<string, number>, samples: number,
+ *   mean_absolute_error: number}} Calibration
+ */
+function fitIntensityModel(samples, { lambda = 1 } = {}) {
+  if (samples.length < INTENSITY_FEATURES.length + 1) {
+    throw new Error(`Need at least ${INTENSITY_FEATURES.length + 1} samples to calibrate`);
+  }
+
+  const columns = INTENSITY_FEATURES.map(name => samples.map(s => s.features[name]));
+  const means = columns.map(values => values.reduce((a, b) => a + b, 0) / values.length);
+  const scales = columns.map((values, j) => {
+    const variance = values.reduce((a, v) => a + (v - means[j]) ** 2, 0) / values.length;
+    return Math.sqrt(variance) || 1;
+  });
+
+  // Normal equations (XᵀX + λI)β = Xᵀy on [1, standardised features]
+  const size = INTENSITY_FEATURES.length + 1;
+  const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+  const xty = new Array(size).fill(0);
+  samples.forEach((sample, i) => {
+    const row = [1, ...columns.map((values, j) => (values[i] - means[j]) / scales[j])];
+    for (let a = 0; a < size; a += 1) {
+      xty[a] += row[a] * sample.intensity;
+      for (let b = 0; b < size; b += 1) xtx[a][b] += row[a] * row[b];
+    }
+  });
+  for (let a = 1; a < size; a += 1) xtx[a][a] += lambda;
+  const beta = solve(xtx, xty);
+
+  // Undo the standardisation so the calibration applies to raw feature values
+  const weights = {};
+  let intercept = beta[0];
+  INTENSITY_FEATURES.forEach((name, j) => {
+    weights[name] = beta[j + 1] / scales[j];
+    intercept -= weights[name] * means[j];
+  });
+
+  const calibration = { intercept, weights };
+  const error =
+    samples.reduce(
+      (sum, s) => sum + Math.abs(scoreIntensity(s.features, calibration) - s.intensity),
+      0
+    ) / samples.length;
+  return { ...calibration, samples: samples.length, mean_absolute_error: error };
+}
+
+module.exports = {
+  CALIBRATION_PATH,
+  INTENSITY_FEATURES,
+  loadCalibration,
+  intensityFeatures,
+  curatedSamples,
+  scoreIntensity,
+  fitIntensityModel,
+};
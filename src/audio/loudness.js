@@ -0,0 +1,236 @@
+/**
+ * Loudness measurement after ITU-R BS.1770-4 and EBU R128 / Tech 3342: integrated loudness
+ * (LUFS), loudness range (LU) and true peak (dBTP).
+ *
+ * Channels are K-weighted and summed with equal weights, which covers the mono and stereo clips
+ * of the catalog.
+ */
+
+const { toDecibels } = require('./dsp');
+
+// Gating block (400 ms, 75% overlap) and short-term window (3 s, 10 Hz) lengths in seconds
+const BLOCK_SECONDS = 0.4;
+const SHORT_TERM_SECONDS = 3;
+const STEP_SECONDS = 0.1;
+
+// Absolute gate and relative gates (integrated loudness, loudness range)
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const RANGE_GATE_LU = -20;
+
+// Oversampled true peak: taps on either side of the interpolated point
+const TRUE_PEAK_TAPS = 6;
+
+/**
+ * Biquad coefficients of the two K-weighting stages (high shelf, then high pass) at a sample
+ * rate, as derived for arbitrary rates in libebur128
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{b: number[], a: number[]}>} Stage coefficients, a[0] normalised to 1
+ */
+function kWeightingFilters(sampleRate) {
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const vh = 10 ** (3.999843853973347 / 20);
+  const vb = vh ** 0.4996667741545416;
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+  const passK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+
+  return [
+    {
+      b: [
+        (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+        (2 * (shelfK * shelfK - vh)) / shelfA0,
+        (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      ],
+      a: [
+        1,
+        (2 * (shelfK * shelfK - 1)) / shelfA0,
+        (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+      ],
+    },
+    {
+      b: [1, -2, 1],
+      a: [1, (2 * (passK * passK - 1)) / passA0, (1 - passK / passQ + passK * passK) / passA0],
+    },
+  ];
+}
+
+/**
+ * Run samples through a biquad (direct form I)
+ * @private
+ */
+function biquad(samples, { b, a }) {
+  const output = new Float64Array(samples.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < samples.length; i += 1) {
+    const x = samples[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    output[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+}
+
+/**
+ * Summed K-weighted power (channel mean squares) of sliding windows
+ * @private
+ */
+function windowPowers(weighted, sampleRate, seconds) {
+  const length = weighted[0].length;
+  const size = Math.round(seconds * sampleRate);
+  const step = Math.round(STEP_SECONDS * sampleRate);
+  // Running sums of squares, so every window costs two lookups per channel
+  const cumulative = weighted.map(channel => {
+    const sums = new Float64Array(length + 1);
+    for (let i = 0; i < length; i += 1) sums[i + 1] = sums[i] + channel[i] * channel[i];
+    return sums;
+  });
+
+  const powers = [];
+  for (let start = 0; start + size <= length; start += step) {
+    powers.push(
+      cumulative.reduce((sum, sums) => sum + (sums[start + size] - sums[start]) / size, 0)
+    );
+  }
+  return powers;
+}
+
+/**
+ * @private
+ */
+function powerToLufs(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * @private
+ */
+function meanPower(powers) {
+  return powers.reduce((sum, power) => sum + power, 0) / powers.length;
+}
+
+/**
+ * Gated integrated loudness over 400 ms blocks
+ * @private
+ */
+function integrated(weighted, sampleRate) {
+  // A clip shorter than one block is measured as a single block
+  const seconds = Math.min(BLOCK_SECONDS, weighted[0].length / sampleRate);
+  const blocks = windowPowers(weighted, sampleRate, seconds).filter(
+    power => powerToLufs(power) > ABSOLUTE_GATE_LUFS
+  );
+  if (!blocks.length) return null;
+
+  const threshold = powerToLufs(meanPower(blocks)) + RELATIVE_GATE_LU;
+  return powerToLufs(meanPower(blocks.filter(power => powerToLufs(power) > threshold)));
+}
+
+/**
+ * @private
+ */
+function percentile(sorted, p) {
+  const position = p * (sorted.length - 1);
+  const index = Math.floor(position);
+  const next = Math.min(sorted.length - 1, index + 1);
+  return sorted[index] + (sorted[next] - sorted[index]) * (position - index);
+}
+
+/**
+ * Loudness range: spread between the 10th and 95th percentile of gated short-term loudness
+ * @private
+ */
+function range(weighted, sampleRate) {
+  const windows = windowPowers(weighted, sampleRate, SHORT_TERM_SECONDS).filter(
+    power => powerToLufs(power) > ABSOLUTE_GATE_LUFS
+  );
+  // Clips shorter than a short-term window have no range to speak of
+  if (windows.length < 2) return 0;
+
+  const threshold = powerToLufs(meanPower(windows)) + RANGE_GATE_LU;
+  const levels = windows
+    .map(powerToLufs)
+    .filter(level => level > threshold)
+    .sort((a, b) => a - b);
+  return percentile(levels, 0.95) - percentile(levels, 0.1);
+}
+
+/**
+ * Interpolation filters for true-peak oversampling: one windowed-sinc phase per intermediate
+ * point between two samples
+ * @private
+ */
+function oversamplingPhases(factor) {
+  const phases = [];
+  for (let p = 1; p < factor; p += 1) {
+    const fraction = p / factor;
+    const taps = [];
+    for (let j = -TRUE_PEAK_TAPS + 1; j <= TRUE_PEAK_TAPS; j += 1) {
+      const t = fraction - j;
+      const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+      const window = 0.5 * (1 + Math.cos((Math.PI * t) / TRUE_PEAK_TAPS));
+      taps.push(sinc * window);
+    }
+    phases.push(taps);
+  }
+  return phases;
+}
+
+/**
+ * Estimate the true (inter-sample) peak by oversampling to at least 176.4 kHz
+ * @param {Float32Array[]} channels - Planar samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Linear true peak
+ */
+function truePeak(channels, sampleRate) {
+  const factor = Math.max(1, Math.ceil(176400 / sampleRate));
+  const phases = oversamplingPhases(factor);
+  let peak = 0;
+
+  channels.forEach(channel => {
+    for (let i = 0; i < channel.length; i += 1) {
+      const sample = Math.abs(channel[i]);
+      if (sample > peak) peak = sample;
+      phases.forEach(taps => {
+        let value = 0;
+        for (let k = 0; k < taps.length; k += 1) {
+          const index = i + k - TRUE_PEAK_TAPS + 1;
+          if (index >= 0 && index < channel.length) value += channel[index] * taps[k];
+        }
+        if (Math.abs(value) > peak) peak = Math.abs(value);
+      });
+    }
+  });
+  return peak;
+}
+
+/**
+ * Measure loudness per EBU R128
+ * @param {{sampleRate: number, channels: Float32Array[]}} audio - Decoded audio
+ * @returns {{integrated_lufs: number|null, loudness_range_lu: number, true_peak_dbtp: number}}
+ *   Integrated loudness (null for silence), loudness range and true peak, rounded to 0.1
+ */
+function measureLoudness({ sampleRate, channels }) {
+  const filters = kWeightingFilters(sampleRate);
+  const weighted = channels.map(channel =>
+    filters.reduce((samples, filter) => biquad(samples, filter), channel)
+  );
+  const round = value => Number(value.toFixed(1));
+  const lufs = weighted[0].length ? integrated(weighted, sampleRate) : null;
+
+  return {
+    integrated_lufs: lufs === null ? null : round(lufs),
+    loudness_range_lu: round(range(weighted, sampleRate)),
+    true_peak_dbtp: round(toDecibels(truePeak(channels, sampleRate))),
+  };
+}
+
+module.exports = { kWeightingFilters, truePeak, measureLoudness };
@@ -0,0 +1,110 @@
+/**
+ * Text metadata for encoded files: an ID3v2.4 tag in front of MP3 and a LIST/INFO chunk at the
+ * end of WAV. Used to carry titles and attribution in rendered remixes.
+ */
+
+// Formats metadata can be embedded in
+const METADATA_FORMATS = ['mp3', 'wav'];
+
+// Tag fields and the ID3v2.4 frame / RIFF INFO chunk each is written to
+const ID3_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  copyright: 'TCOP',
+  software: 'TSSE',
+};
+const INFO_CHUNKS = {
+  title: 'INAM',
+  artist: 'IART',
+  copyright: 'ICOP',
+  software: 'ISFT',
+  comment: 'ICMT',
+};
+
+/**
+ * Write a 28-bit integer as the four 7-bit bytes ID3v2.4 uses for sizes
+ * @private
+ */
+function syncsafe(value) {
+  return Buffer.from([
+    (value >> 21) & 0x7f,
+    (value >> 14) & 0x7f,
+    (value >> 7) & 0x7f,
+    value & 0x7f,
+  ]);
+}
+
+/**
+ * @private
+ */
+function id3Frame(id, body) {
+  return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(body.length), Buffer.alloc(2), body]);
+}
+
+/**
+ * Build an ID3v2.4 tag of UTF-8 text frames
+ * @param {Object} tags - title, artist, copyright, software and comment (each optional)
+ * @returns {Buffer} Tag bytes, to be placed before the first MPEG frame
+ */
+function buildId3Tag(tags) {
+  const frames = Object.entries(ID3_FRAMES)
+    .filter(([field]) => tags[field])
+    .map(([field, id]) =>
+      id3Frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(String(tags[field]), 'utf8')]))
+    );
+  if (tags.comment) {
+    // Encoding, language and an empty description ahead of the text
+    const head = Buffer.from([3, ...Buffer.from('eng', 'latin1'), 0]);
+    frames.push(id3Frame('COMM', Buffer.concat([head, Buffer.from(String(tags.comment), 'utf8')])));
+  }
+  const body = Buffer.concat(frames);
+  const header = Buffer.concat([
+    Buffer.from('ID3', 'latin1'),
+    Buffer.from([4, 0, 0]),
+    syncsafe(body.length),
+  ]);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build a RIFF LIST chunk of INFO text entries
+ * @param {Object} tags - title, artist, copyright, software and comment (each optional)
+ * @returns {Buffer} Chunk bytes, to be appended to a RIFF/WAVE file
+ */
+function buildInfoChunk(tags) {
+  const entries = Object.entries(INFO_CHUNKS)
+    .filter(([field]) => tags[field])
+    .map(([field, id]) => {
+      const text = Buffer.concat([Buffer.from(String(tags[field]), 'utf8'), Buffer.alloc(1)]);
+      const header = Buffer.alloc(8);
+      header.write(id, 0, 'latin1');
+      header.writeUInt32LE(text.length, 4);
+      // Chunks are word aligned
+      return Buffer.concat([header, text, Buffer.alloc(text.length % 2)]);
+    });
+  const body = Buffer.concat([Buffer.from('INFO', 'latin1'), ...entries]);
+  const header = Buffer.alloc(8);
+  header.write('LIST', 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Add text metadata to an encoded file
+ * @param {Buffer} buffer - Encoded file
+ * @param {string} format - File format; only mp3 and wav carry metadata
+ * @param {Object} tags - title, artist, copyright, software and comment (each optional)
+ * @returns {Buffer} File with the metadata embedded (other formats are returned unchanged)
+ */
+function embedMetadata(buffer, format, tags) {
+  if (format === 'mp3') {
+    return Buffer.concat([buildId3Tag(tags), buffer]);
+  }
+  if (format !== 'wav') return buffer;
+  // A data chunk of odd length is followed by a pad byte before the next chunk
+  const file = Buffer.concat([buffer, Buffer.alloc(buffer.length % 2), buildInfoChunk(tags)]);
+  file.writeUInt32LE(file.length - 8, 4);
+  return file;
+}
+
+module.exports = { METADATA_FORMATS, buildId3Tag, buildInfoChunk, embedMetadata };
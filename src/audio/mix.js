@@ -0,0 +1,99 @@
+/**
+ * Mixing of decoded clips into one track for remixes: resampling, tape-style pitch shifting,
+ * gain and placement on a shared timeline. Like the editing functions, nothing here modifies
+ * its input.
+ */
+
+const { toMono } = require('./decode');
+const { levels, toDecibels } = require('./dsp');
+const { NORMALIZE_CEILING_DB } = require('./edit');
+
+// How tracks are placed: at their offset from the start of the mix, or one after another with
+// the offset as the gap before each track
+const MIX_MODES = ['layer', 'concat'];
+
+/**
+ * Resample by reading the input at a fixed step with linear interpolation
+ * @param {Float32Array} samples - Input samples
+ * @param {number} step - Input samples advanced per output sample (above 1 shortens the clip)
+ * @returns {Float32Array} Resampled samples
+ */
+function resample(samples, step) {
+  if (step === 1) return samples.slice();
+  const output = new Float32Array(Math.max(0, Math.floor((samples.length - 1) / step) + 1));
+  for (let i = 0; i < output.length; i += 1) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const next = Math.min(samples.length - 1, index + 1);
+    const fraction = position - index;
+    output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+  }
+  return output;
+}
+
+/**
+ * Match a clip to the channel count of the mix (mono or stereo)
+ * @private
+ */
+function matchChannels(channels, count) {
+  if (channels.length === count) return channels;
+  const mono = channels.length === 1 ? channels[0] : toMono(channels);
+  return Array.from({ length: count }, () => mono);
+}
+
+/**
+ * Mix clips onto one timeline
+ * @param {Object[]} tracks - Clips to mix
+ * @param {{sampleRate: number, channels: Float32Array[]}} tracks[].audio - Decoded audio
+ * @param {number} [tracks[].offset=0] - Seconds from the start of the mix (layer) or from the
+ *   end of the previous track (concat)
+ * @param {number} [tracks[].gainDb=0] - Gain in dB
+ * @param {number} [tracks[].pitchShift=0] - Pitch shift in semitones; like a tape played faster
+ *   or slower, shifting up also shortens the clip
+ * @param {Object} [options]
+ * @param {string} [options.mode='layer'] - layer or concat (see MIX_MODES)
+ * @returns {{sampleRate: number, channels: Float32Array[], starts: number[]}} Mixed audio at the
+ *   highest input sample rate, stereo when any input is, scaled down where the summed peak
+ *   would exceed NORMALIZE_CEILING_DB, and the start of each track in seconds
+ */
+function mixTracks(tracks, { mode = 'layer' } = {}) {
+  const sampleRate = Math.max(...tracks.map(track => track.audio.sampleRate));
+  const channelCount = tracks.some(track => track.audio.channels.length > 1) ? 2 : 1;
+
+  let cursor = 0;
+  const placed = tracks.map(({ audio, offset = 0, gainDb = 0, pitchShift = 0 }) => {
+    const step = 2 ** (pitchShift / 12) * (audio.sampleRate / sampleRate);
+    const gain = 10 ** (gainDb / 20);
+    const channels = matchChannels(audio.channels, channelCount).map(channel =>
+      resample(channel, step).map(sample => sample * gain)
+    );
+    const start = Math.round(offset * sampleRate) + (mode === 'concat' ? cursor : 0);
+    cursor = start + channels[0].length;
+    return { start, channels };
+  });
+
+  const length = Math.max(0, ...placed.map(({ start, channels }) => start + channels[0].length));
+  const mixed = Array.from({ length: channelCount }, () => new Float32Array(length));
+  placed.forEach(({ start, channels }) => {
+    channels.forEach((channel, c) => {
+      for (let i = 0; i < channel.length; i += 1) mixed[c][start + i] += channel[i];
+    });
+  });
+
+  // Overlapping tracks can sum past full scale; pull the whole mix down instead of clipping
+  const peak = Math.max(0, ...mixed.map(channel => levels(channel).peak));
+  if (peak && toDecibels(peak) > NORMALIZE_CEILING_DB) {
+    const scale = 10 ** (NORMALIZE_CEILING_DB / 20) / peak;
+    mixed.forEach(channel => {
+      for (let i = 0; i < channel.length; i += 1) channel[i] *= scale;
+    });
+  }
+
+  return {
+    sampleRate,
+    channels: mixed,
+    starts: placed.map(({ start }) => Number((start / sampleRate).toFixed(3))),
+  };
+}
+
+module.exports = { MIX_MODES, resample, mixTracks };
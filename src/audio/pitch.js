@@ -0,0 +1,144 @@
+/**
+ * Pitch tracking (YIN) and its reduction to the note fields the dataset uses:
+ * `primary_note` (e.g. "C5") and `tones_in_order` (e.g. ["A#4", "C5 (primary)", "B5"]).
+ */
+
+const { levels } = require('./dsp');
+const { noteName } = require('../utils/notes');
+
+// Goat screams sit roughly between G2 and C7
+const MIN_FREQUENCY = 90;
+const MAX_FREQUENCY = 2100;
+// YIN aperiodicity threshold: lower is stricter about what counts as voiced
+const YIN_THRESHOLD = 0.15;
+// Frames quieter than this, relative to the loudest frame, are treated as unvoiced
+const SILENCE_RATIO = 0.05;
+// A tone must hold this long to be listed
+const MIN_TONE_SECONDS = 0.06;
+// Longest tones_in_order list produced
+const MAX_TONES = 8;
+
+/**
+ * Estimate the fundamental of one frame with YIN (de Cheveigné & Kawahara, 2002)
+ * @private
+ * @returns {number|null} Frequency in Hz, or null when the frame is aperiodic
+ */
+function yinFrame(samples, offset, windowSize, minLag, maxLag, sampleRate) {
+  const diff = new Float64Array(maxLag + 1);
+  for (let lag = 1; lag <= maxLag; lag += 1) {
+    let sum = 0;
+    for (let i = 0; i < windowSize; i += 1) {
+      const delta = samples[offset + i] - samples[offset + i + lag];
+      sum += delta * delta;
+    }
+    diff[lag] = sum;
+  }
+
+  // Cumulative mean normalised difference; take the first dip below the threshold
+  let running = 0;
+  let chosen = -1;
+  const cmnd = new Float64Array(maxLag + 1).fill(1);
+  for (let lag = 1; lag <= maxLag; lag += 1) {
+    running += diff[lag];
+    cmnd[lag] = running ? (diff[lag] * lag) / running : 1;
+    if (chosen < 0 && lag > minLag && cmnd[lag - 1] < YIN_THRESHOLD && cmnd[lag] >= cmnd[lag - 1]) {
+      chosen = lag - 1;
+    }
+  }
+  if (chosen < 0) return null;
+
+  // Parabolic interpolation for sub-sample lag precision
+  const [a, b, c] = [cmnd[chosen - 1], cmnd[chosen], cmnd[chosen + 1]];
+  const denominator = a - 2 * b + c;
+  const lag = denominator > 0 ? chosen + (0.5 * (a - c)) / denominator : chosen;
+  return sampleRate / lag;
+}
+
+/**
+ * Track the pitch of mono audio frame by frame
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {number} [options.hopSeconds=0.02] - Distance between frame starts
+ * @returns {{hop: number, frames: Array<{time: number, frequency: number|null}>}}
+ *   Hop length in seconds and one estimate per frame (null when unvoiced)
+ */
+function pitchTrack(samples, sampleRate, { hopSeconds = 0.02 } = {}) {
+  const minLag = Math.floor(sampleRate / MAX_FREQUENCY);
+  const maxLag = Math.ceil(sampleRate / MIN_FREQUENCY);
+  // The integration window covers at least one period of the lowest pitch
+  const windowSize = maxLag;
+  const hop = Math.max(1, Math.round(sampleRate * hopSeconds));
+
+  const offsets = [];
+  for (let offset = 0; offset + windowSize + maxLag <= samples.length; offset += hop) {
+    offsets.push(offset);
+  }
+  const energies = offsets.map(
+    offset => levels(samples.subarray(offset, offset + windowSize + maxLag)).rms
+  );
+  const gate = Math.max(...energies, 0) * SILENCE_RATIO;
+
+  const frames = offsets.map((offset, i) => ({
+    time: offset / sampleRate,
+    frequency:
+      energies[i] > 0 && energies[i] >= gate
+        ? yinFrame(samples, offset, windowSize, minLag, maxLag, sampleRate)
+        : null,
+  }));
+  return { hop: hop / sampleRate, frames };
+}
+
+/**
+ * Convert a frequency to the nearest MIDI note number
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} MIDI note number (A4 = 69)
+ */
+function frequencyToMidi(frequency) {
+  return Math.round(69 + 12 * Math.log2(frequency / 440));
+}
+
+/**
+ * Reduce a pitch track to the primary note and the distinct tones in order of appearance
+ * @param {{hop: number, frames: Array<{frequency: number|null}>}} track - From pitchTrack
+ * @returns {{primary_note: string|null, tones_in_order: string[]}} Note summary; the primary
+ *   tone is marked "(primary)" as in the curated dataset
+ */
+function summarizeNotes({ hop, frames }) {
+  // Runs of consecutive frames on the same note
+  const runs = [];
+  frames.forEach(({ frequency }) => {
+    const midi = frequency ? frequencyToMidi(frequency) : null;
+    const last = runs[runs.length - 1];
+    if (last && last.midi === midi) last.frames += 1;
+    else runs.push({ midi, frames: 1 });
+  });
+
+  const minFrames = Math.max(1, Math.round(MIN_TONE_SECONDS / hop));
+  const held = runs.filter(run => run.midi !== null && run.frames >= minFrames);
+  if (!held.length) return { primary_note: null, tones_in_order: [] };
+
+  const durations = new Map();
+  held.forEach(run => durations.set(run.midi, (durations.get(run.midi) || 0) + run.frames));
+  const primary = [...durations.entries()].reduce((best, entry) =>
+    entry[1] > best[1] ? entry : best
+  )[0];
+
+  // Distinct tones in order of appearance, keeping the longest-held ones when there are many
+  const order = [...durations.keys()];
+  const kept = new Set(
+    [...order].sort((a, b) => durations.get(b) - durations.get(a)).slice(0, MAX_TONES)
+  );
+  return {
+    primary_note: noteName(primary),
+    tones_in_order: order
+      .filter(midi => kept.has(midi))
+      .map(midi => (midi === primary ? `${noteName(midi)} (primary)` : noteName(midi))),
+  };
+}
+
+module.exports = {
+  pitchTrack,
+  frequencyToMidi,
+  summarizeNotes,
+};
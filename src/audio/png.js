@@ -0,0 +1,79 @@
+/**
+ * Minimal PNG encoder for rendered images: 8-bit RGBA, no interlacing, deflate from zlib.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 (ISO 3309) lookup table used by PNG chunk checksums
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a length-prefixed, checksummed chunk
+ * @private
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Uint8Array} pixels - width × height × 4 bytes, rows top to bottom
+ * @returns {Buffer} PNG file
+ * @throws {Error} If the pixel buffer does not match the dimensions
+ */
+function encodePng(width, height, pixels) {
+  const stride = width * 4;
+  if (pixels.length !== stride * height) {
+    throw new Error(`Expected ${stride * height} bytes of RGBA pixels, got ${pixels.length}`);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // colour type: truecolour with alpha
+  // compression, filter and interlace methods stay 0
+
+  // Each scanline is prefixed with its filter type (0: none)
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { crc32, encodePng };
@@ -0,0 +1,36 @@
+/**
+ * Container detection from magic bytes, for accepting uploads by their content rather than the
+ * client's Content-Type. Covers everything submissions accept, including the containers the
+ * analysis pipeline cannot decode (M4A, AAC, WebM).
+ */
+
+const { detectFormat } = require('./decode');
+
+// Leading bytes needed to recognise every container (the WebM doctype sits in the EBML header)
+const SNIFF_BYTES = 64;
+
+// Containers submissions accept; the analysis pipeline decodes the first four
+const SNIFFED_FORMATS = ['wav', 'mp3', 'ogg', 'flac', 'm4a', 'aac', 'webm'];
+
+/**
+ * Detect the container of an audio file from its leading bytes
+ * @param {Buffer} buffer - At least the first SNIFF_BYTES of the file
+ * @returns {string|null} A key of SNIFFED_FORMATS, or null when not a supported audio container
+ */
+function sniffAudio(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+  const decodable = detectFormat(buffer);
+  if (decodable) return decodable;
+
+  // ISO base media (MP4/M4A): size, then an 'ftyp' box
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') return 'm4a';
+  // EBML header; Matroska files that are not WebM are refused
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return buffer.toString('latin1', 4, SNIFF_BYTES).includes('webm') ? 'webm' : null;
+  }
+  // AAC ADTS frame sync: 12 set bits, layer 0
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'aac';
+  return null;
+}
+
+module.exports = { SNIFF_BYTES, SNIFFED_FORMATS, sniffAudio };
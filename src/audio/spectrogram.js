@@ -0,0 +1,61 @@
+/**
+ * Short-time spectra for spectrogram images: one magnitude spectrum per output column,
+ * in decibels relative to the loudest bin of the clip.
+ */
+
+const { hannWindow, magnitudeSpectrum, toDecibels } = require('./dsp');
+
+// Quietest level drawn; anything further below the loudest bin renders as background
+const SPECTROGRAM_FLOOR_DB = -80;
+
+/**
+ * Compute a spectrogram with a fixed number of time columns
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options
+ * @param {number} options.columns - Number of time columns (frames are spread evenly over the
+ *   clip and overlap when there are more columns than fit side by side)
+ * @param {number} [options.fftSize=1024] - Frame length (power of two)
+ * @param {number} [options.maxFrequency=8000] - Highest frequency kept
+ * @returns {{binHz: number, frames: Float32Array[]}} Bin width in Hz and one array per column
+ *   of levels in dB relative to the loudest bin (0 at most, floored at SPECTROGRAM_FLOOR_DB),
+ *   from 0 Hz up to maxFrequency
+ */
+function computeSpectrogram(
+  samples,
+  sampleRate,
+  { columns, fftSize = 1024, maxFrequency = 8000 } = {}
+) {
+  const window = hannWindow(fftSize);
+  const binHz = sampleRate / fftSize;
+  const bins =
+    Math.min(fftSize / 2, Math.floor(Math.min(maxFrequency, sampleRate / 2) / binHz)) + 1;
+  const lastOffset = Math.max(0, samples.length - fftSize);
+
+  let loudest = 0;
+  const magnitudes = [];
+  for (let column = 0; column < columns; column += 1) {
+    // Centre each frame on its column, clamped to the clip
+    const centre = ((column + 0.5) / columns) * samples.length;
+    const offset = Math.min(lastOffset, Math.max(0, Math.round(centre - fftSize / 2)));
+    const spectrum = magnitudeSpectrum(samples, offset, window).subarray(0, bins);
+    spectrum.forEach(m => {
+      if (m > loudest) loudest = m;
+    });
+    magnitudes.push(spectrum);
+  }
+
+  const frames = magnitudes.map(spectrum => {
+    const frame = new Float32Array(bins);
+    for (let k = 0; k < bins; k += 1) {
+      frame[k] =
+        loudest > 0
+          ? Math.max(SPECTROGRAM_FLOOR_DB, toDecibels(spectrum[k] / loudest))
+          : SPECTROGRAM_FLOOR_DB;
+    }
+    return frame;
+  });
+  return { binHz, frames };
+}
+
+module.exports = { SPECTROGRAM_FLOOR_DB, computeSpectrogram };
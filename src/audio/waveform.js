@@ -0,0 +1,115 @@
+/**
+ * Waveform peaks for player UIs: the loudest sample of each of `points` equal slices of the
+ * clip, normalised so the loudest slice is 1. Stored at a few fixed resolutions; other sizes are
+ * max-pooled down from the next larger one.
+ */
+
+// Resolutions computed by the analysis pipeline and the sidecar script
+const WAVEFORM_RESOLUTIONS = [50, 200, 1000];
+const MIN_WAVEFORM_POINTS = 10;
+const MAX_WAVEFORM_POINTS = WAVEFORM_RESOLUTIONS[WAVEFORM_RESOLUTIONS.length - 1];
+
+/**
+ * Round a peak for storage (three decimals is below one pixel at any sensible height)
+ * @private
+ */
+function roundPeak(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Compute raw (unnormalised) peaks
+ * @private
+ */
+function slicePeaks(samples, points) {
+  const peaks = new Array(points).fill(0);
+  if (!samples.length) return peaks;
+  for (let i = 0; i < samples.length; i += 1) {
+    const slice = Math.min(points - 1, Math.floor((i * points) / samples.length));
+    const abs = Math.abs(samples[i]);
+    if (abs > peaks[slice]) peaks[slice] = abs;
+  }
+  return peaks;
+}
+
+/**
+ * Compute normalised peaks at every stored resolution
+ * @param {Float32Array} samples - Mono samples
+ * @param {number[]} [resolutions=WAVEFORM_RESOLUTIONS] - Point counts to compute
+ * @returns {Array<{points: number, peaks: number[]}>} One entry per resolution, ascending
+ */
+function computeWaveform(samples, resolutions = WAVEFORM_RESOLUTIONS) {
+  const sorted = [...resolutions].sort((a, b) => a - b);
+  // Slice once at the finest resolution; coarser ones pool from it when it divides evenly
+  const finest = slicePeaks(samples, sorted[sorted.length - 1]);
+  const max = Math.max(...finest);
+
+  return sorted.map(points => {
+    const raw =
+      finest.length % points === 0 ? resamplePeaks(finest, points) : slicePeaks(samples, points);
+    return { points, peaks: raw.map(peak => (max > 0 ? roundPeak(peak / max) : 0)) };
+  });
+}
+
+/**
+ * Reduce peaks to fewer points by taking the maximum of each group
+ * @param {number[]} peaks - Peaks
+ * @param {number} points - Target count (at most peaks.length)
+ * @returns {number[]} Peaks at the target resolution
+ */
+function resamplePeaks(peaks, points) {
+  if (points >= peaks.length) return peaks.slice();
+  const result = new Array(points);
+  for (let i = 0; i < points; i += 1) {
+    const from = Math.floor((i * peaks.length) / points);
+    const to = Math.max(from + 1, Math.floor(((i + 1) * peaks.length) / points));
+    result[i] = Math.max(...peaks.slice(from, to));
+  }
+  return result;
+}
+
+/**
+ * Get peaks at a requested resolution from stored resolutions
+ * @param {Array<{points: number, peaks: number[]}>} resolutions - Stored waveform
+ * @param {number} points - Requested point count
+ * @returns {number[]|null} Peaks, or null when no stored resolution is fine enough
+ */
+function selectPeaks(resolutions, points) {
+  const source = (resolutions || [])
+    .filter(entry => entry.points >= points && entry.peaks?.length === entry.points)
+    .sort((a, b) => a.points - b.points)[0];
+  return source ? resamplePeaks(source.peaks, points) : null;
+}
+
+/**
+ * Render peaks as a mirrored bar waveform. The SVG scales to its container
+ * (preserveAspectRatio="none") and is painted in currentColor so CSS controls the colour.
+ * @param {number[]} peaks - Normalised peaks
+ * @param {Object} [size] - Intrinsic width and height in pixels (default: none, fills the
+ *   container)
+ * @returns {string} SVG document
+ */
+function renderWaveformSvg(peaks, { width, height } = {}) {
+  const bars = peaks
+    .map((peak, i) => {
+      // Keep silent slices visible as a hairline
+      const half = Math.max(0.5, peak * 50);
+      return `M${i} ${roundPeak(50 - half)}h0.8v${roundPeak(half * 2)}h-0.8z`;
+    })
+    .join('');
+  const size = width && height ? ` width="${width}" height="${height}"` : '';
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg"${size} viewBox="0 0 ${peaks.length} 100" ` +
+    `preserveAspectRatio="none"><path fill="currentColor" d="${bars}"/></svg>`
+  );
+}
+
+module.exports = {
+  WAVEFORM_RESOLUTIONS,
+  MIN_WAVEFORM_POINTS,
+  MAX_WAVEFORM_POINTS,
+  computeWaveform,
+  resamplePeaks,
+  selectPeaks,
+  renderWaveformSvg,
+};
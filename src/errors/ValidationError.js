@@ -2,11 +2,12 @@ const AppError = require('./AppError');
 
 /**
  * Validation error (400 Bad Request)
- * Used for invalid input, malformed requests, etc.
+ * Used for invalid input, malformed requests, etc. A more specific code (e.g. CORRUPT_AUDIO)
+ * lets clients tell failures apart without parsing the message.
  */
 class ValidationError extends AppError {
-  constructor(message = 'Validation failed', details = null) {
-    super(message, 400, 'VALIDATION_ERROR', true);
+  constructor(message = 'Validation failed', details = null, code = 'VALIDATION_ERROR') {
+    super(message, 400, code, true);
     this.details = details; // Can be array of validation errors or object
   }
 
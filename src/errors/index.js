@@ -18,8 +18,8 @@ const GatewayTimeoutError = require('./GatewayTimeoutError');
 /**
  * Factory function to create ValidationError with details
  */
-function validationError(message, details) {
-  return new ValidationError(message, details);
+function validationError(message, details, code) {
+  return new ValidationError(message, details, code);
 }
 
 /**
@@ -3,11 +3,13 @@
  *
  * Provides:
  * - Cache-Control headers based on route configuration
+ * - Max-age and Expires ending at the next local midnight for daily routes
  * - Weak ETag generation from response content
  * - Conditional request handling (If-None-Match → 304)
  */
 
 const { createHash } = require('crypto');
+const { parseTimeZone, nextDayStart } = require('../utils/daily');
 
 /**
  * Default cache configuration by route pattern.
@@ -17,6 +19,9 @@ const DEFAULT_CONFIG = {
   // Random endpoint should never be cached (defeats the purpose)
   '/api/v1/screams/random': { directive: 'no-store' },
 
+  // Scream of the day - cached until the day ends in the requested time zone
+  '/api/v1/screams/daily': { directive: 'public', untilNextDay: true },
+
   // List/detail endpoints - moderate cache with revalidation
   '/api/v1/screams': { directive: 'public', maxAge: 300, staleWhileRevalidate: 60 },
   '/api/v1/search': { directive: 'public', maxAge: 60, staleWhileRevalidate: 30 },
@@ -81,6 +86,31 @@ function buildCacheControl(config) {
   return parts.join(', ');
 }
 
+/**
+ * Resolve `untilNextDay` into a max-age ending at the next local midnight of the request's
+ * `tz` query parameter (UTC when absent or invalid).
+ *
+ * @param {object} config - Cache configuration
+ * @param {object} req - Express request
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{config: object, expires: Date|null}} Config with maxAge set, and the expiry instant
+ */
+function resolveDayBoundary(config, req, now = new Date()) {
+  if (!config.untilNextDay) {
+    return { config, expires: null };
+  }
+
+  let tz;
+  try {
+    tz = parseTimeZone(req.query && req.query.tz);
+  } catch {
+    tz = 'UTC';
+  }
+  const expires = nextDayStart(now, tz);
+  const maxAge = Math.max(0, Math.ceil((expires.getTime() - now.getTime()) / 1000));
+  return { config: { ...config, maxAge }, expires };
+}
+
 /**
  * Find cache config for a given path.
  * Matches by prefix (e.g., /api/v1/screams matches /api/v1/screams/123).
@@ -133,16 +163,20 @@ function cacheMiddleware(options = {}) {
       return next();
     }
 
-    const cacheConfig = findCacheConfig(req.path, config);
+    const routeConfig = findCacheConfig(req.path, config);
 
     // No cache config for this route
-    if (!cacheConfig) {
+    if (!routeConfig) {
       return next();
     }
 
-    // Set Cache-Control header
+    // Set Cache-Control header (and Expires for day-boundary routes)
+    const { config: cacheConfig, expires } = resolveDayBoundary(routeConfig, req);
     const cacheControl = buildCacheControl(cacheConfig);
     res.setHeader('Cache-Control', cacheControl);
+    if (expires) {
+      res.setHeader('Expires', expires.toUTCString());
+    }
 
     // Skip ETag for no-store responses
     if (cacheConfig.directive === 'no-store' || !enableETag) {
@@ -178,4 +212,5 @@ function cacheMiddleware(options = {}) {
 module.exports = cacheMiddleware;
 module.exports.generateETag = generateETag;
 module.exports.etagMatches = etagMatches;
+module.exports.resolveDayBoundary = resolveDayBoundary;
 module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
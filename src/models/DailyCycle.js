@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A cycle of the scream-of-the-day rotation (see utils/daily). Stored once its first day has
+// begun, so its start and size stay fixed whatever happens to the catalog afterwards.
+const dailyCycleSchema = new mongoose.Schema(
+  {
+    cycle: { type: Number, required: true, unique: true },
+    start_day: { type: Number, required: true },
+    size: { type: Number, required: true, min: 1 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('DailyCycle', dailyCycleSchema);
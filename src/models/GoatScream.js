@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SEARCH_FIELDS } = require('../utils/searchIndex');
 
 const goatScreamSchema = new mongoose.Schema({
   // Basic Information
@@ -46,12 +47,18 @@ const goatScreamSchema = new mongoose.Schema({
     duration: { type: Number, required: true },
     intensity: { type: Number, min: 1, max: 10, index: true },
     peak_decibels: Number,
+    // EBU R128 loudness (see audio/loudness)
+    integrated_lufs: Number,
+    loudness_range_lu: Number,
+    true_peak_dbtp: Number,
     dominant_frequency: Number,
     category: {
       type: String,
       enum: ['short_burst', 'prolonged', 'multiple', 'melodic'],
     },
   },
+  // Acoustic fingerprint for duplicate detection (see audio/fingerprint); left out of responses
+  fingerprint: { type: String, select: false },
 
   // Acoustic Analysis
   analysis: {
@@ -93,6 +100,7 @@ const goatScreamSchema = new mongoose.Schema({
   stats: {
     api_calls: { type: Number, default: 0 },
     downloads: { type: Number, default: 0 },
+    plays: { type: Number, default: 0 },
     favorites: { type: Number, default: 0 },
     daily_hits: { type: Number, default: 0 },
     last_accessed_date: { type: String },
@@ -133,4 +141,11 @@ goatScreamSchema.index({ 'source.platform': 1 });
 goatScreamSchema.index({ meme_status: 1 });
 goatScreamSchema.index({ 'audio.category': 1 });
 
+// Full-text index for search relevance; weights mirror the static BM25 field boosts
+goatScreamSchema.index(Object.fromEntries(Object.keys(SEARCH_FIELDS).map(path => [path, 'text'])), {
+  name: 'scream_text',
+  weights: SEARCH_FIELDS,
+  default_language: 'none',
+});
+
 module.exports = mongoose.model('GoatScream', goatScreamSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { JOB_STATUSES } = require('../queue/baseJobQueue');
+
+// Completed jobs are kept this long for inspection, then removed by MongoDB
+const COMPLETED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// A background job of the Mongo-backed queue (see queue/mongoJobQueue)
+const jobSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    payload: mongoose.Schema.Types.Mixed,
+    status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    max_attempts: Number,
+    // Earliest time of the next attempt
+    run_at: { type: Date, default: Date.now },
+    // End of the running attempt's lease
+    locked_until: { type: Date, default: null },
+    // Token of the running attempt's claim; outcomes are only written under it
+    lease_token: { type: String, default: null },
+    last_error: {
+      message: String,
+      code: String,
+    },
+    completed_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, run_at: 1 });
+jobSchema.index({ completed_at: 1 }, { expireAfterSeconds: COMPLETED_JOB_TTL_SECONDS });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A rendered mix of several screams (POST /api/v1/remixes)
+const remixSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, unique: true },
+    title: { type: String, required: true },
+    mode: { type: String, enum: ['layer', 'concat'], default: 'layer' },
+    tracks: [
+      {
+        _id: false,
+        scream_id: { type: String, required: true, index: true },
+        offset: { type: Number, default: 0 },
+        gain_db: { type: Number, default: 0 },
+        pitch_shift: { type: Number, default: 0 },
+        // Where the track ended up in the mix, in seconds
+        start: Number,
+      },
+    ],
+    // Sources whose license requires attribution, as embedded in the file
+    attribution: [
+      {
+        _id: false,
+        scream_id: String,
+        title: String,
+        text: String,
+        license: String,
+        license_url: String,
+      },
+    ],
+    audio: {
+      url: String,
+      public_id: String,
+      format: String,
+      duration: Number,
+      sample_rate: Number,
+      channels: Number,
+      bytes: Number,
+    },
+    creator_ip: String,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Remix', remixSchema);
@@ -12,12 +12,21 @@ const submissionSchema = new mongoose.Schema(
     },
     context: String,
     year: Number,
+    // processing until the queued job has analysed and stored the audio (see
+    // services/submissionJobs), failed when it could not
     status: {
       type: String,
-      enum: ['pending_review', 'approved', 'rejected'],
+      enum: ['processing', 'failed', 'pending_review', 'approved', 'rejected', 'withdrawn'],
       default: 'pending_review',
       index: true,
     },
+    // Why processing failed, shown to the submitter
+    processing_error: {
+      code: String,
+      message: String,
+    },
+    // Processing job (see queue/)
+    job_id: String,
     analysis: mongoose.Schema.Types.Mixed,
     audio: {
       original_url: String,
@@ -26,9 +35,32 @@ const submissionSchema = new mongoose.Schema(
       intensity: Number,
       category: String,
       cloudinary_url: String,
-      waveform: [Number],
+      // Normalised peaks per resolution (see audio/waveform), copied to Waveform on approval
+      waveform: [
+        {
+          _id: false,
+          points: Number,
+          peaks: [Number],
+        },
+      ],
     },
+    // Acoustic fingerprint (see audio/fingerprint), copied to GoatScream on approval
+    fingerprint: { type: String, select: false },
+    // Likely copies among the screams and pending submissions, found when the clip came in
+    duplicates: [
+      {
+        _id: false,
+        kind: { type: String, enum: ['scream', 'submission'] },
+        id: String,
+        title: String,
+        similarity: Number,
+        offset: Number,
+        url: String,
+      },
+    ],
     submitter_ip: String,
+    // SHA-256 of the claim token handed to the submitter; the token itself is never stored
+    claim_token_hash: { type: String, select: false },
     cloudinary_public_id: String,
     goat_scream_id: String,
     review_notes: String,
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Waveform peaks of a scream, kept out of the GoatScream document so list, search and random
+// responses do not carry ~1,250 numbers per scream
+const waveformSchema = new mongoose.Schema(
+  {
+    scream_id: { type: String, required: true, unique: true },
+    duration: Number,
+    resolutions: [
+      {
+        _id: false,
+        points: { type: Number, required: true },
+        peaks: [Number],
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Waveform', waveformSchema);
@@ -0,0 +1,168 @@
+const { randomUUID } = require('crypto');
+
+// Attempts before a job is dead-lettered
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+// Retry delays double from the base up to the cap: 5 s, 10 s, 20 s, 40 s, ...
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+// How long a claimed job belongs to its worker; a job still running after that (e.g. the
+// process died) is handed to the next worker that asks
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Job states: queued (waiting for run_at), running (claimed by a worker), completed, and dead
+ * (out of attempts, kept for inspection and manual retry)
+ */
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Record an error on a job without its stack or request internals
+ * @param {Error} err - Error thrown by the job handler
+ * @returns {{message: string, code: string|null}}
+ */
+function describeError(err) {
+  return { message: err?.message || String(err), code: err?.code || null };
+}
+
+/**
+ * Create the token identifying one claim of a job
+ * @returns {string} Lease token
+ */
+function newLeaseToken() {
+  return randomUUID();
+}
+
+/**
+ * Base job queue interface/abstract class
+ * Defines the contract that all job queue drivers must follow. Jobs are plain objects:
+ * { id, type, payload, status, attempts, max_attempts, run_at, locked_until, lease_token,
+ *   last_error, completed_at, createdAt, updatedAt }
+ *
+ * Each claim hands out a new lease_token. complete() and fail() only apply while the job still
+ * holds the caller's lease, so a worker that overran its lease, and whose job was claimed again
+ * meanwhile, cannot overwrite the outcome of the worker now running it.
+ */
+class BaseJobQueue {
+  /**
+   * Driver name, as selected by JOB_QUEUE_DRIVER
+   * @returns {string} Name
+   */
+  get name() {
+    throw new Error('name must be implemented by job queue subclass');
+  }
+
+  /**
+   * Build a new job
+   * @protected
+   */
+  _newJob(type, payload, { maxAttempts = DEFAULT_MAX_ATTEMPTS, delayMs = 0 } = {}) {
+    const now = new Date();
+    return {
+      id: `job_${randomUUID()}`,
+      type,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      run_at: new Date(now.getTime() + delayMs),
+      locked_until: null,
+      lease_token: null,
+      last_error: null,
+      createdAt: now,
+      updatedAt: now,
+      completed_at: null,
+    };
+  }
+
+  /**
+   * Add a job
+   * @param {string} type - Job type, matching a worker handler
+   * @param {Object} payload - Handler input (must be serialisable)
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts before dead-lettering (default JOB_MAX_ATTEMPTS or 5)
+   * @param {number} [options.delayMs] - Delay before the first attempt
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(_type, _payload, _options = {}) {
+    throw new Error('enqueue() must be implemented by job queue subclass');
+  }
+
+  /**
+   * Claim the next due job: the oldest queued job whose run_at has passed, or a running job
+   * whose lease expired. Its attempts are counted when claimed, and it gets a new lease_token.
+   * @param {Object} [options]
+   * @param {string[]} [options.types] - Only claim jobs of these types
+   * @param {number} [options.leaseMs] - Lease length (default 10 minutes)
+   * @returns {Promise<Object|null>} The running job, or null when nothing is due
+   */
+  async claim(_options = {}) {
+    throw new Error('claim() must be implemented by job queue subclass');
+  }
+
+  /**
+   * Mark a running job as done
+   * @param {string} id - Job ID
+   * @param {string} lease - lease_token of the claimed job
+   * @returns {Promise<Object|null>} Updated job, or null when the lease was lost
+   */
+  async complete(_id, _lease) {
+    throw new Error('complete() must be implemented by job queue subclass');
+  }
+
+  /**
+   * Record a failed attempt: the job is queued again after backoffDelay(attempts), or
+   * dead-lettered when it has no attempts left
+   * @param {string} id - Job ID
+   * @param {string} lease - lease_token of the claimed job
+   * @param {Error} error - What went wrong
+   * @param {Object} [options]
+   * @param {boolean} [options.permanent] - Dead-letter straight away; retrying cannot help
+   * @returns {Promise<Object|null>} Updated job, or null when the lease was lost
+   */
+  async fail(_id, _lease, _error, _options = {}) {
+    throw new Error('fail() must be implemented by job queue subclass');
+  }
+
+  /**
+   * Queue a dead job again with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Updated job, or null when it is not dead
+   */
+  async retry(_id) {
+    throw new Error('retry() must be implemented by job queue subclass');
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async get(_id) {
+    throw new Error('get() must be implemented by job queue subclass');
+  }
+
+  /**
+   * Count jobs per status
+   * @returns {Promise<Object>} { queued, running, completed, dead }
+   */
+  async counts() {
+    throw new Error('counts() must be implemented by job queue subclass');
+  }
+}
+
+module.exports = BaseJobQueue;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.DEFAULT_MAX_ATTEMPTS = DEFAULT_MAX_ATTEMPTS;
+module.exports.DEFAULT_LEASE_MS = DEFAULT_LEASE_MS;
+module.exports.backoffDelay = backoffDelay;
+module.exports.describeError = describeError;
+module.exports.newLeaseToken = newLeaseToken;
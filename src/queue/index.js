@@ -0,0 +1,42 @@
+const MemoryJobQueue = require('./memoryJobQueue');
+const MongoJobQueue = require('./mongoJobQueue');
+
+const DRIVERS = {
+  memory: MemoryJobQueue,
+  mongo: MongoJobQueue,
+};
+
+// One queue per process, shared by the routes that enqueue and the worker that runs the jobs
+let queue = null;
+
+/**
+ * Factory function to get the job queue selected by JOB_QUEUE_DRIVER (default: mongo)
+ * @returns {BaseJobQueue} Job queue instance, the same one on every call
+ * @throws {Error} If JOB_QUEUE_DRIVER names an unknown driver
+ */
+function getJobQueue() {
+  if (queue) return queue;
+  const name = process.env.JOB_QUEUE_DRIVER || 'mongo';
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(
+      `Unknown JOB_QUEUE_DRIVER "${name}". Allowed: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+  queue = new Driver();
+  return queue;
+}
+
+/**
+ * Drop the shared queue, so the next getJobQueue() call builds a new one (for tests)
+ */
+function resetJobQueue() {
+  queue = null;
+}
+
+module.exports = {
+  MemoryJobQueue,
+  MongoJobQueue,
+  getJobQueue,
+  resetJobQueue,
+};
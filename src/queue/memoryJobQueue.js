@@ -0,0 +1,116 @@
+const BaseJobQueue = require('./baseJobQueue');
+const { DEFAULT_LEASE_MS, JOB_STATUSES, backoffDelay, describeError, newLeaseToken } = BaseJobQueue;
+
+/**
+ * In-process implementation of the job queue
+ * Jobs live in a Map and are lost on restart, so this driver is meant for tests and single
+ * process development setups; use the mongo driver anywhere jobs must survive a deploy.
+ */
+class MemoryJobQueue extends BaseJobQueue {
+  constructor() {
+    super();
+    this.jobs = new Map();
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  /**
+   * Copy a job, so callers cannot change the queue's state by mutating what they get back
+   * @private
+   */
+  _copy(job) {
+    return job ? { ...job, payload: structuredClone(job.payload) } : null;
+  }
+
+  /**
+   * Apply changes to a stored job
+   * @private
+   */
+  _update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, changes, { updatedAt: new Date() });
+    return this._copy(job);
+  }
+
+  async enqueue(type, payload, options = {}) {
+    const job = this._newJob(type, structuredClone(payload), options);
+    this.jobs.set(job.id, job);
+    return this._copy(job);
+  }
+
+  async claim({ types = null, leaseMs = DEFAULT_LEASE_MS } = {}) {
+    const now = new Date();
+    const due = [...this.jobs.values()]
+      .filter(job => !types || types.includes(job.type))
+      .filter(
+        job =>
+          (job.status === 'queued' && job.run_at <= now) ||
+          (job.status === 'running' && job.locked_until <= now)
+      )
+      .sort((a, b) => a.run_at - b.run_at);
+    if (!due.length) return null;
+
+    const job = due[0];
+    return this._update(job.id, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_until: new Date(now.getTime() + leaseMs),
+      lease_token: newLeaseToken(),
+    });
+  }
+
+  /**
+   * Find a job still running under a lease
+   * @private
+   */
+  _held(id, lease) {
+    const job = this.jobs.get(id);
+    return job && job.status === 'running' && job.lease_token === lease ? job : null;
+  }
+
+  async complete(id, lease) {
+    if (!this._held(id, lease)) return null;
+    return this._update(id, {
+      status: 'completed',
+      locked_until: null,
+      lease_token: null,
+      completed_at: new Date(),
+    });
+  }
+
+  async fail(id, lease, error, { permanent = false } = {}) {
+    const job = this._held(id, lease);
+    if (!job) return null;
+    const dead = permanent || job.attempts >= job.max_attempts;
+    return this._update(id, {
+      status: dead ? 'dead' : 'queued',
+      run_at: dead ? job.run_at : new Date(Date.now() + backoffDelay(job.attempts)),
+      locked_until: null,
+      lease_token: null,
+      last_error: describeError(error),
+    });
+  }
+
+  async retry(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'dead') return null;
+    return this._update(id, { status: 'queued', attempts: 0, run_at: new Date() });
+  }
+
+  async get(id) {
+    return this._copy(this.jobs.get(id));
+  }
+
+  async counts() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    this.jobs.forEach(job => {
+      counts[job.status] += 1;
+    });
+    return counts;
+  }
+}
+
+module.exports = MemoryJobQueue;
@@ -0,0 +1,116 @@
+const BaseJobQueue = require('./baseJobQueue');
+const Job = require('../models/Job');
+const { DEFAULT_LEASE_MS, JOB_STATUSES, backoffDelay, describeError, newLeaseToken } = BaseJobQueue;
+
+// Fields left out of the jobs handed to callers
+const PROJECTION = { _id: 0, __v: 0 };
+
+/**
+ * MongoDB implementation of the job queue
+ * Jobs are documents of the jobs collection. Claims are a single findOneAndUpdate, so any number
+ * of API processes can work the same queue without handing a job to two of them.
+ */
+class MongoJobQueue extends BaseJobQueue {
+  constructor(jobModel = null) {
+    super();
+    // Allow injection for testing, otherwise use the model
+    this._jobModel = jobModel;
+  }
+
+  get name() {
+    return 'mongo';
+  }
+
+  get jobs() {
+    return this._jobModel || Job;
+  }
+
+  /**
+   * @private
+   */
+  _update(filter, update, options = {}) {
+    return this.jobs
+      .findOneAndUpdate(filter, update, { ...options, new: true, projection: PROJECTION })
+      .lean();
+  }
+
+  async enqueue(type, payload, options = {}) {
+    const doc = await this.jobs.create(this._newJob(type, payload, options));
+    const { _id, __v, ...job } = doc.toObject();
+    return job;
+  }
+
+  async claim({ types = null, leaseMs = DEFAULT_LEASE_MS } = {}) {
+    const now = new Date();
+    return this._update(
+      {
+        ...(types ? { type: { $in: types } } : {}),
+        $or: [
+          { status: 'queued', run_at: { $lte: now } },
+          { status: 'running', locked_until: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: 'running',
+          locked_until: new Date(now.getTime() + leaseMs),
+          lease_token: newLeaseToken(),
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { run_at: 1 } }
+    );
+  }
+
+  async complete(id, lease) {
+    return this._update(
+      { id, status: 'running', lease_token: lease },
+      {
+        $set: {
+          status: 'completed',
+          locked_until: null,
+          lease_token: null,
+          completed_at: new Date(),
+        },
+      }
+    );
+  }
+
+  async fail(id, lease, error, { permanent = false } = {}) {
+    // Attempts only change with a new claim, which also replaces the lease
+    const held = { id, status: 'running', lease_token: lease };
+    const job = await this.jobs.findOne(held, { attempts: 1, max_attempts: 1 }).lean();
+    if (!job) return null;
+    const dead = permanent || job.attempts >= job.max_attempts;
+    const $set = {
+      status: dead ? 'dead' : 'queued',
+      locked_until: null,
+      lease_token: null,
+      last_error: describeError(error),
+    };
+    if (!dead) $set.run_at = new Date(Date.now() + backoffDelay(job.attempts));
+    return this._update(held, { $set });
+  }
+
+  async retry(id) {
+    return this._update(
+      { id, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, run_at: new Date() } }
+    );
+  }
+
+  async get(id) {
+    return this.jobs.findOne({ id }, PROJECTION).lean();
+  }
+
+  async counts() {
+    const rows = await this.jobs.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    rows.forEach(row => {
+      counts[row._id] = row.count;
+    });
+    return counts;
+  }
+}
+
+module.exports = MongoJobQueue;
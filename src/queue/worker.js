@@ -0,0 +1,163 @@
+const { getJobQueue } = require('./index');
+const { DEFAULT_LEASE_MS } = require('./baseJobQueue');
+const { warn: logWarn, error: logError } = require('../utils/logger');
+
+// How often an idle worker looks for due jobs
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10);
+
+/**
+ * Runs queued jobs in this process, one at a time
+ *
+ * Handlers are keyed by job type:
+ * - run(payload, job): does the work; throwing fails the attempt
+ * - isPermanent(err) (optional): true when retrying cannot help, so the job is dead-lettered
+ *   straight away
+ * - onDeadLetter(payload, job, err) (optional): called once the job is dead
+ */
+class JobWorker {
+  /**
+   * @param {BaseJobQueue} [queue] - Queue to work (default: getJobQueue())
+   * @param {Object<string, {run: Function, isPermanent?: Function, onDeadLetter?: Function}>}
+   *   handlers - Handlers by job type; other job types are left alone
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs] - Idle polling interval (default JOB_POLL_INTERVAL_MS
+   *   or 2 seconds)
+   * @param {number} [options.leaseMs] - Lease taken on each claimed job
+   */
+  constructor(
+    queue = null,
+    handlers = {},
+    { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, leaseMs = DEFAULT_LEASE_MS } = {}
+  ) {
+    // Allow injection for testing, otherwise use the configured queue
+    this._queue = queue;
+    this.handlers = handlers;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leaseMs = leaseMs;
+    this._timer = null;
+    this._running = null;
+    this._stopped = true;
+  }
+
+  get queue() {
+    return this._queue || getJobQueue();
+  }
+
+  /**
+   * Claim and run one due job
+   * @returns {Promise<Object|null>} The job as left by this attempt (completed, queued again or
+   *   dead), or null when nothing was due
+   */
+  async runNext() {
+    const job = await this.queue.claim({
+      types: Object.keys(this.handlers),
+      leaseMs: this.leaseMs,
+    });
+    if (!job) return null;
+    const handler = this.handlers[job.type];
+
+    try {
+      await handler.run(job.payload, job);
+      const completed = await this.queue.complete(job.id, job.lease_token);
+      return completed || (await this._leaseLost(job));
+    } catch (err) {
+      const permanent = Boolean(handler.isPermanent?.(err));
+      const updated = await this.queue.fail(job.id, job.lease_token, err, { permanent });
+      if (!updated) return this._leaseLost(job, err);
+      const context = {
+        job_id: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        error: err.message,
+      };
+      if (updated?.status !== 'dead') {
+        logWarn('Job failed, retrying', { ...context, run_at: updated?.run_at });
+        return updated;
+      }
+
+      logError('Job dead-lettered', { ...context, permanent });
+      if (handler.onDeadLetter) {
+        await Promise.resolve(handler.onDeadLetter(job.payload, updated, err)).catch(hookErr => {
+          logError('Dead-letter handler failed', { job_id: job.id, error: hookErr.message });
+        });
+      }
+      return updated;
+    }
+  }
+
+  /**
+   * Drop the outcome of an attempt that overran its lease: the job was claimed again and now
+   * belongs to another attempt, whose outcome counts instead
+   * @private
+   * @returns {Promise<Object|null>} The job as the queue holds it
+   */
+  async _leaseLost(job, err = null) {
+    logWarn('Job lease lost, dropping the outcome of this attempt', {
+      job_id: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      error: err?.message,
+    });
+    return this.queue.get(job.id);
+  }
+
+  /**
+   * Run jobs until none is due. Failed attempts wait out their backoff, so this returns even
+   * while retries are pending.
+   * @returns {Promise<number>} Jobs run
+   */
+  async drain() {
+    let count = 0;
+    while (await this.runNext()) count += 1;
+    return count;
+  }
+
+  /**
+   * Work the queue in the background until stop()
+   */
+  start() {
+    if (!this._stopped) return;
+    this._stopped = false;
+    this._schedule(0);
+  }
+
+  /**
+   * @private
+   */
+  _schedule(delay) {
+    if (this._stopped) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._running = this._poll()
+        .catch(err => logError('Job worker poll failed', { error: err.message }))
+        .finally(() => {
+          this._running = null;
+          this._schedule(this.pollIntervalMs);
+        });
+    }, delay);
+    // The worker never keeps the process alive on its own
+    this._timer.unref();
+  }
+
+  /**
+   * Run due jobs like drain(), stopping early once stop() is called
+   * @private
+   */
+  async _poll() {
+    while (!this._stopped && (await this.runNext()));
+  }
+
+  /**
+   * Stop polling and wait for the job in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this._stopped = true;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    await this._running;
+  }
+}
+
+module.exports = JobWorker;
+module.exports.DEFAULT_POLL_INTERVAL_MS = DEFAULT_POLL_INTERVAL_MS;
@@ -6,7 +6,7 @@ class BaseRepository {
   /**
    * Find documents matching filter
    * @param {Object} filter - Query filter
-   * @param {Object} options - Query options (sort, skip, limit, projection)
+   * @param {Object} options - Query options (sort, skip, limit, after, projection, expression, text)
    * @returns {Promise<Array>} Array of documents
    */
   async find(_filter, _options = {}) {
@@ -26,18 +26,21 @@ class BaseRepository {
    * Find random documents matching filter
    * @param {Object} filter - Query filter
    * @param {number} limit - Number of random documents to return
+   * @param {Object} options - Query options (projection, exclude, and seed/weightBy/skip to
+   *   pick in the seeded order of utils/sampling)
    * @returns {Promise<Array>} Array of random documents
    */
-  async findRandom(_filter, _limit) {
+  async findRandom(_filter, _limit, _options = {}) {
     throw new Error('findRandom() must be implemented by repository subclass');
   }
 
   /**
    * Count documents matching filter
    * @param {Object} filter - Query filter
+   * @param {Object} options - Query options (expression, text)
    * @returns {Promise<number>} Count of matching documents
    */
-  async count(_filter) {
+  async count(_filter, _options = {}) {
     throw new Error('count() must be implemented by repository subclass');
   }
 
@@ -69,6 +72,43 @@ class BaseRepository {
   async updateOne(_filter, _update) {
     throw new Error('updateOne() must be implemented by repository subclass');
   }
+
+  /**
+   * Find the stored waveform of a scream
+   * @param {string} id - Scream ID
+   * @returns {Promise<Object|null>} { scream_id, duration, resolutions: [{ points, peaks }] }
+   *   or null if none was generated
+   */
+  async findWaveform(_id) {
+    throw new Error('findWaveform() must be implemented by repository subclass');
+  }
+
+  /**
+   * Store the waveform of a scream, replacing any stored one
+   * @param {string} id - Scream ID
+   * @param {Object} waveform - { duration, resolutions: [{ points, peaks }] }
+   * @returns {Promise<Object>} The stored waveform
+   */
+  async saveWaveform(_id, _waveform) {
+    throw new Error('saveWaveform() must be implemented by repository subclass');
+  }
+
+  /**
+   * List the stored cycles of the scream-of-the-day rotation
+   * @returns {Promise<Array>} [{ cycle, start_day, size }] ordered by cycle
+   */
+  async findDailyCycles() {
+    throw new Error('findDailyCycles() must be implemented by repository subclass');
+  }
+
+  /**
+   * Store a cycle of the scream-of-the-day rotation unless one with its number exists
+   * @param {Object} cycle - { cycle, start_day, size }
+   * @returns {Promise<Object>} The stored cycle (the existing one if it was already stored)
+   */
+  async saveDailyCycle(_cycle) {
+    throw new Error('saveDailyCycle() must be implemented by repository subclass');
+  }
 }
 
 module.exports = BaseRepository;
@@ -1,6 +1,10 @@
 const BaseRepository = require('./baseRepository');
 const GoatScream = require('../models/GoatScream');
+const Waveform = require('../models/Waveform');
+const DailyCycle = require('../models/DailyCycle');
 const { createCircuitBreaker, getCircuitState } = require('../services/circuitBreaker');
+const { toMongoQuery } = require('../utils/filterExpression');
+const { WEIGHT_FIELDS, seededOrder } = require('../utils/sampling');
 
 // Circuit breaker for MongoDB operations
 let mongoBreaker = null;
@@ -39,6 +43,78 @@ function getMongoCircuitState() {
   return getCircuitState('mongodb');
 }
 
+/**
+ * Build a keyset filter matching documents that sort strictly after `after`
+ * e.g. sort { date_added: 1, id: 1 } → date_added > d OR (date_added = d AND id > i)
+ * Null and missing values sort before every value, as in a MongoDB sort, so they come after
+ * the boundary when sorting descending. This matches the static repository, which sorts them
+ * as 0, below any intensity, duration or year.
+ * @param {Object} sort - Sort specification
+ * @param {Object} after - Boundary values keyed by sort field
+ * @returns {Object} MongoDB filter
+ */
+function buildKeysetFilter(sort, after) {
+  const entries = Object.entries(sort);
+  const clauses = [];
+  entries.forEach(([field, direction], i) => {
+    const value = after[field] ?? null;
+    // Nothing sorts below a missing value
+    if (direction !== 1 && value === null) return;
+
+    const clause = {};
+    entries.slice(0, i).forEach(([prevField]) => {
+      clause[prevField] = after[prevField] ?? null;
+    });
+    if (direction === 1) {
+      clause[field] = value === null ? { $ne: null } : { $gt: value };
+    } else {
+      clause.$or = [{ [field]: { $lt: value } }, { [field]: null }];
+    }
+    clauses.push(clause);
+  });
+  return clauses.length ? { $or: clauses } : { $expr: false };
+}
+
+/**
+ * Combine a base filter with optional extra clauses under $and
+ * @param {Object} filter - Base MongoDB filter
+ * @param {Array<Object|null>} extras - Additional clauses; falsy entries are ignored
+ * @returns {Object} MongoDB filter
+ */
+function combineFilters(filter, extras) {
+  const clauses = extras.filter(Boolean);
+  return clauses.length ? { $and: [filter, ...clauses] } : filter;
+}
+
+/**
+ * Build the aggregation pipeline for a full-text find
+ * The text score is exposed as `score` so it can be sorted, projected and used as a keyset field.
+ * @param {Object} filter - Base MongoDB filter
+ * @param {Object} options - find() options including `text`
+ * @returns {Array} Aggregation pipeline
+ */
+function buildTextPipeline(filter, options) {
+  const { text, sort, skip, limit, after, projection, expression } = options;
+  const pipeline = [
+    {
+      $match: combineFilters({ $text: { $search: text } }, [
+        filter,
+        expression && toMongoQuery(expression),
+      ]),
+    },
+    { $addFields: { score: { $meta: 'textScore' } } },
+  ];
+  if (sort && after) pipeline.push({ $match: buildKeysetFilter(sort, after) });
+  if (sort) pipeline.push({ $sort: sort });
+  if (skip !== undefined) pipeline.push({ $skip: skip });
+  if (limit !== undefined) pipeline.push({ $limit: limit });
+  // Aggregations bypass the schema's select: false, so the fingerprint is dropped here
+  pipeline.push({
+    $project: projection ? { ...projection, score: 1 } : { _id: 0, __v: 0, fingerprint: 0 },
+  });
+  return pipeline;
+}
+
 /**
  * MongoDB implementation of screams repository
  */
@@ -50,13 +126,25 @@ class MongoScreamsRepository extends BaseRepository {
    * @param {Object} options.sort - Sort specification
    * @param {number} options.skip - Number of documents to skip
    * @param {number} options.limit - Maximum number of documents to return
+   * @param {Object} options.after - Keyset boundary (sort field → value); only documents
+   *   sorting strictly after it are returned
    * @param {Object} options.projection - Field projection
+   * @param {Object} options.expression - Parsed filter expression AST (see utils/filterExpression)
+   * @param {string} options.text - Full-text query; matches carry a `score` field usable in sort
    * @returns {Promise<Array>} Array of documents
    */
   async find(filter, options = {}) {
     return withCircuitBreaker(async () => {
-      const { sort, skip, limit, projection } = options;
-      let query = GoatScream.find(filter, projection || { _id: 0, __v: 0 }).lean();
+      if (options.text) {
+        return GoatScream.aggregate(buildTextPipeline(filter, options)).exec();
+      }
+
+      const { sort, skip, limit, after, projection, expression } = options;
+      const finalFilter = combineFilters(filter, [
+        expression && toMongoQuery(expression),
+        sort && after && buildKeysetFilter(sort, after),
+      ]);
+      let query = GoatScream.find(finalFilter, projection || { _id: 0, __v: 0 }).lean();
 
       if (sort) {
         query = query.sort(sort);
@@ -87,22 +175,69 @@ class MongoScreamsRepository extends BaseRepository {
    * Find random documents matching filter
    * @param {Object} filter - MongoDB query filter
    * @param {number} limit - Number of random documents to return
+   * @param {Object} options - Query options
+   * @param {Object} options.projection - Field projection
+   * @param {string[]} options.exclude - Document ids to leave out
+   * @param {string} options.seed - Pick in seeded order (see utils/sampling) instead of with $sample
+   * @param {string} options.weightBy - With a seed: weight the order by intensity, popularity or recency
+   * @param {number} options.skip - With a seed: number of documents to skip in the seeded order
    * @returns {Promise<Array>} Array of random documents
    */
-  async findRandom(filter, limit) {
-    return withCircuitBreaker(async () => {
-      return GoatScream.aggregate([{ $match: filter }, { $sample: { size: limit } }]).exec();
+  async findRandom(filter, limit, options = {}) {
+    const { projection, exclude, seed, weightBy, skip = 0 } = options;
+    const finalFilter = combineFilters(filter, [
+      exclude && exclude.length && { id: { $nin: exclude } },
+    ]);
+
+    if (seed === undefined) {
+      return withCircuitBreaker(async () => {
+        const pipeline = [
+          { $match: finalFilter },
+          { $sample: { size: limit } },
+          { $project: projection || { fingerprint: 0 } },
+        ];
+        return GoatScream.aggregate(pipeline).exec();
+      });
+    }
+
+    // Seeded order needs every candidate's key, so rank ids and weight fields first,
+    // then fetch the picked documents
+    const keyFields = { _id: 0, id: 1 };
+    (WEIGHT_FIELDS[weightBy] || []).forEach(path => {
+      keyFields[path] = 1;
     });
+    const candidates = await withCircuitBreaker(async () =>
+      GoatScream.find(finalFilter, keyFields).lean().exec()
+    );
+    const ids = seededOrder(candidates, seed, weightBy)
+      .slice(skip, skip + limit)
+      .map(doc => doc.id);
+    if (!ids.length) return [];
+
+    const docs = await withCircuitBreaker(async () =>
+      GoatScream.find({ id: { $in: ids } }, projection)
+        .lean()
+        .exec()
+    );
+    const byId = new Map(docs.map(doc => [doc.id, doc]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
   }
 
   /**
    * Count documents matching filter
    * @param {Object} filter - MongoDB query filter
+   * @param {Object} options - Query options
+   * @param {Object} options.expression - Parsed filter expression AST (see utils/filterExpression)
+   * @param {string} options.text - Full-text query
    * @returns {Promise<number>} Count of matching documents
    */
-  async count(filter) {
+  async count(filter, options = {}) {
     return withCircuitBreaker(async () => {
-      return GoatScream.countDocuments(filter).exec();
+      const finalFilter = combineFilters(filter, [
+        options.text && { $text: { $search: options.text } },
+        options.expression && toMongoQuery(options.expression),
+      ]);
+      return GoatScream.countDocuments(finalFilter).exec();
     });
   }
 
@@ -141,6 +276,73 @@ class MongoScreamsRepository extends BaseRepository {
     });
   }
 
+  /**
+   * Find the stored waveform of a scream
+   * @param {string} id - Scream ID
+   * @returns {Promise<Object|null>} Waveform document or null
+   */
+  async findWaveform(id) {
+    return withCircuitBreaker(async () => {
+      return Waveform.findOne({ scream_id: id }, { _id: 0, __v: 0 }).lean().exec();
+    });
+  }
+
+  /**
+   * Store the waveform of a scream, replacing any stored one
+   * @param {string} id - Scream ID
+   * @param {Object} waveform - { duration, resolutions: [{ points, peaks }] }
+   * @returns {Promise<Object>} The stored waveform document
+   */
+  async saveWaveform(id, { duration, resolutions }) {
+    return withCircuitBreaker(async () => {
+      return Waveform.findOneAndUpdate(
+        { scream_id: id },
+        { $set: { duration, resolutions } },
+        { upsert: true, new: true, projection: { _id: 0, __v: 0 } }
+      )
+        .lean()
+        .exec();
+    });
+  }
+
+  /**
+   * List the stored cycles of the scream-of-the-day rotation
+   * @returns {Promise<Array>} [{ cycle, start_day, size }] ordered by cycle
+   */
+  async findDailyCycles() {
+    return withCircuitBreaker(async () => {
+      return DailyCycle.find({}, { _id: 0, cycle: 1, start_day: 1, size: 1 })
+        .sort({ cycle: 1 })
+        .lean()
+        .exec();
+    });
+  }
+
+  /**
+   * Store a cycle of the scream-of-the-day rotation unless one with its number exists, so
+   * concurrent requests settle on the first one written
+   * @param {Object} cycle - { cycle, start_day, size }
+   * @returns {Promise<Object>} The stored cycle
+   */
+  async saveDailyCycle(cycle) {
+    return withCircuitBreaker(async () => {
+      const projection = { _id: 0, cycle: 1, start_day: 1, size: 1 };
+      try {
+        return await DailyCycle.findOneAndUpdate(
+          { cycle: cycle.cycle },
+          { $setOnInsert: cycle },
+          { upsert: true, new: true, projection }
+        )
+          .lean()
+          .exec();
+      } catch (err) {
+        // Two upserts raced on the unique index; the other one won
+        if (err.code !== 11000) throw err;
+        return DailyCycle.findOne({ cycle: cycle.cycle }, projection).lean().exec();
+      }
+    });
+  }
+
   /**
    * Get circuit breaker state for MongoDB operations
    * @returns {Object} Circuit breaker state
@@ -151,3 +353,5 @@ class MongoScreamsRepository extends BaseRepository {
 }
 
 module.exports = MongoScreamsRepository;
+module.exports.buildKeysetFilter = buildKeysetFilter;
+module.exports.buildTextPipeline = buildTextPipeline;
@@ -1,6 +1,36 @@
 const BaseRepository = require('./baseRepository');
-const { getStaticScreams } = require('../utils/staticScreams');
-const { clone, applyFilters, deepGet } = require('../utils/filters');
+const {
+  getStaticScreams,
+  getStaticWaveforms,
+  getStaticDailyCycles,
+} = require('../utils/staticScreams');
+const { clone, applyFilters, deepGet, LOUDNESS_RANGES } = require('../utils/filters');
+const { compareBySort, getCursorValue } = require('../utils/cursor');
+const { applyProjection } = require('../utils/projection');
+const { toPredicate } = require('../utils/filterExpression');
+const { getSearchIndex, searchIndex } = require('../utils/searchIndex');
+const { seededOrder } = require('../utils/sampling');
+
+/**
+ * Copy a static document, keeping only projected fields when a projection is given
+ * @param {Object} doc - Static document
+ * @param {Object} [projection] - Field projection
+ * @returns {Object} Detached copy safe to hand to callers
+ */
+function copyDoc(doc, projection) {
+  return projection ? applyProjection(doc, projection) : clone(doc);
+}
+
+/**
+ * Keep only full-text matches, attaching their BM25 `score` so it can be sorted on
+ * @param {Array<Object>} list - Candidate documents from the static dataset
+ * @param {string} text - Full-text query
+ * @returns {Array<Object>} Matching documents (shallow copies with `score`)
+ */
+function matchText(list, text) {
+  const hits = searchIndex(getSearchIndex(getStaticScreams()), text);
+  return list.filter(s => hits.has(s)).map(s => ({ ...s, score: hits.get(s).score }));
+}
 
 /**
  * Static data implementation of screams repository
@@ -14,11 +44,15 @@ class StaticScreamsRepository extends BaseRepository {
    * @param {Object} options.sort - Sort specification
    * @param {number} options.skip - Number of documents to skip
    * @param {number} options.limit - Maximum number of documents to return
-   * @param {Object} options.projection - Field projection (not used for static data)
+   * @param {Object} options.after - Keyset boundary (sort field → value); only documents
+   *   sorting strictly after it are returned
+   * @param {Object} options.projection - Field projection (only projected fields are copied)
+   * @param {Object} options.expression - Parsed filter expression AST (see utils/filterExpression)
+   * @param {string} options.text - Full-text query; matches carry a BM25 `score` usable in sort
    * @returns {Promise<Array>} Array of documents
    */
   async find(filter, options = {}) {
-    const { sort, skip, limit } = options;
+    const { sort, skip, limit, after, projection, expression, text } = options;
     let list = getStaticScreams();
 
     // Apply approval filter
@@ -30,19 +64,22 @@ class StaticScreamsRepository extends BaseRepository {
     const query = this._mongoFilterToQuery(filter);
     list = applyFilters(list, query);
 
+    if (expression) {
+      list = list.filter(toPredicate(expression));
+    }
+
+    if (text) {
+      list = matchText(list, text);
+    }
+
     // Sort
     if (sort) {
-      const sortEntries = Object.entries(sort);
-      list.sort((a, b) => {
-        for (const [field, direction] of sortEntries) {
-          const av = deepGet(a, field) ?? 0;
-          const bv = deepGet(b, field) ?? 0;
-          if (av !== bv) {
-            return direction === 1 ? (av > bv ? 1 : -1) : av < bv ? 1 : -1;
-          }
-        }
-        return 0;
-      });
+      list.sort((a, b) => compareBySort(a, b, sort));
+    }
+
+    // Keyset pagination: keep documents strictly after the cursor boundary
+    if (sort && after) {
+      list = list.filter(s => compareBySort(s, after, sort, deepGet, getCursorValue) > 0);
     }
 
     // Paginate
@@ -54,7 +91,8 @@ class StaticScreamsRepository extends BaseRepository {
     }
 
     // Clone to prevent mutations
-    return list.map(clone);
+    const finalProjection = text && projection ? { ...projection, score: 1 } : projection;
+    return list.map(doc => copyDoc(doc, finalProjection));
   }
 
   /**
@@ -72,9 +110,16 @@ class StaticScreamsRepository extends BaseRepository {
    * Find random documents matching filter
    * @param {Object} filter - Query filter
    * @param {number} limit - Number of random documents to return
+   * @param {Object} options - Query options
+   * @param {Object} options.projection - Field projection (only projected fields are copied)
+   * @param {string[]} options.exclude - Document ids to leave out
+   * @param {string} options.seed - Pick in seeded order (see utils/sampling) instead of at random
+   * @param {string} options.weightBy - With a seed: weight the order by intensity, popularity or recency
+   * @param {number} options.skip - With a seed: number of documents to skip in the seeded order
    * @returns {Promise<Array>} Array of random documents
    */
-  async findRandom(filter, limit) {
+  async findRandom(filter, limit, options = {}) {
+    const { projection, exclude, seed, weightBy, skip = 0 } = options;
     let list = getStaticScreams();
 
     // Apply approval filter
@@ -86,6 +131,17 @@ class StaticScreamsRepository extends BaseRepository {
     const query = this._mongoFilterToQuery(filter);
     list = applyFilters(list, query);
 
+    if (exclude && exclude.length) {
+      const excluded = new Set(exclude);
+      list = list.filter(s => !excluded.has(s.id));
+    }
+
+    if (seed !== undefined) {
+      return seededOrder(list, seed, weightBy)
+        .slice(skip, skip + limit)
+        .map(doc => copyDoc(doc, projection));
+    }
+
     // Random selection
     const pool = [...list];
     const picks = [];
@@ -96,15 +152,18 @@ class StaticScreamsRepository extends BaseRepository {
     }
 
     // Clone to prevent mutations
-    return picks.map(clone);
+    return picks.map(doc => copyDoc(doc, projection));
   }
 
   /**
    * Count documents matching filter
    * @param {Object} filter - Query filter
+   * @param {Object} options - Query options
+   * @param {Object} options.expression - Parsed filter expression AST (see utils/filterExpression)
+   * @param {string} options.text - Full-text query
    * @returns {Promise<number>} Count of matching documents
    */
-  async count(filter) {
+  async count(filter, options = {}) {
     let list = getStaticScreams();
 
     // Apply approval filter
@@ -116,6 +175,14 @@ class StaticScreamsRepository extends BaseRepository {
     const query = this._mongoFilterToQuery(filter);
     list = applyFilters(list, query);
 
+    if (options.expression) {
+      list = list.filter(toPredicate(options.expression));
+    }
+
+    if (options.text) {
+      list = matchText(list, options.text);
+    }
+
     return list.length;
   }
 
@@ -265,6 +332,52 @@ class StaticScreamsRepository extends BaseRepository {
     };
   }
 
+  /**
+   * Find the waveform of a scream in the generated sidecar file
+   * @param {string} id - Scream ID
+   * @returns {Promise<Object|null>} Waveform or null
+   */
+  async findWaveform(id) {
+    const entry = getStaticWaveforms()[id];
+    return entry ? { scream_id: id, ...clone(entry) } : null;
+  }
+
+  /**
+   * Keep the waveform of a scream alongside the sidecar entries until the static dataset is
+   * reloaded (the sidecar file itself is only written by scripts/generate-waveforms.js)
+   * @param {string} id - Scream ID
+   * @param {Object} waveform - { duration, resolutions: [{ points, peaks }] }
+   * @returns {Promise<Object>} The stored waveform
+   */
+  async saveWaveform(id, { duration, resolutions }) {
+    getStaticWaveforms()[id] = clone({ duration, resolutions });
+    return { scream_id: id, duration, resolutions: clone(resolutions) };
+  }
+
+  /**
+   * List the scream-of-the-day cycles worked out for the loaded static dataset
+   * @returns {Promise<Array>} [{ cycle, start_day, size }] ordered by cycle
+   */
+  async findDailyCycles() {
+    return clone(getStaticDailyCycles());
+  }
+
+  /**
+   * Keep a scream-of-the-day cycle in memory until the static dataset is reloaded
+   * @param {Object} cycle - { cycle, start_day, size }
+   * @returns {Promise<Object>} The stored cycle
+   */
+  async saveDailyCycle(cycle) {
+    const cycles = getStaticDailyCycles();
+    let stored = cycles.find(existing => existing.cycle === cycle.cycle);
+    if (!stored) {
+      stored = { cycle: cycle.cycle, start_day: cycle.start_day, size: cycle.size };
+      cycles.push(stored);
+      cycles.sort((a, b) => a.cycle - b.cycle);
+    }
+    return clone(stored);
+  }
+
   /**
    * Convert MongoDB filter to query object for in-memory filtering
    * @private
@@ -288,6 +401,10 @@ class StaticScreamsRepository extends BaseRepository {
       query.source_type = filter.source_type;
     }
 
+    if (filter['source.title']) {
+      query.source_title = filter['source.title'];
+    }
+
     if (filter.meme_status) {
       query.meme_status = filter.meme_status;
     }
@@ -304,6 +421,21 @@ class StaticScreamsRepository extends BaseRepository {
       query.category = filter['audio.category'];
     }
 
+    const note = filter['analysis.primary_note'];
+    if (typeof note === 'string') {
+      query.note = note;
+    } else if (note?.$regex) {
+      // buildMongoFilter's case-insensitive exact match, ^escaped$; applyFilters ignores case
+      const exact = /^\^(.*)\$$/s.exec(note.$regex);
+      if (exact) query.note = exact[1].replace(/\\(.)/g, '$1');
+    }
+
+    Object.entries(LOUDNESS_RANGES).forEach(([param, path]) => {
+      if (!filter[path]) return;
+      const { $gte = '', $lte = '' } = filter[path];
+      query[param] = `${$gte}-${$lte}`;
+    });
+
     return query;
   }
 }
@@ -0,0 +1,48 @@
+const express = require('express');
+const path = require('path');
+const { getStorageDriver } = require('../storage');
+const { NotFoundError } = require('../errors');
+
+const router = express.Router();
+
+// Extensions the local driver stores audio, thumbnails and rendered images under; metadata
+// sidecars are never served
+const MEDIA_EXTENSIONS = new Set([
+  '.mp3',
+  '.wav',
+  '.ogg',
+  '.flac',
+  '.m4a',
+  '.aac',
+  '.webm',
+  '.png',
+  '.svg',
+]);
+
+// GET /api/v1/media/<key>.<format> - files stored by the local storage driver
+// (sendFile handles Range, ETag/Last-Modified and conditional requests)
+router.get('/*', (req, res, next) => {
+  const driver = getStorageDriver();
+  const file = req.params[0];
+  if (driver.name !== 'local' || !MEDIA_EXTENSIONS.has(path.extname(file).toLowerCase())) {
+    return next(new NotFoundError('Media not found', 'media'));
+  }
+
+  let absolute;
+  try {
+    absolute = driver.resolvePath(file);
+  } catch {
+    return next(new NotFoundError('Media not found', 'media'));
+  }
+
+  return res.sendFile(absolute, { dotfiles: 'deny', maxAge: '1h' }, err => {
+    if (!err) return;
+    if (err.status === 404 || err.code === 'ENOENT') {
+      next(new NotFoundError('Media not found', 'media'));
+    } else if (!res.headersSent) {
+      next(err);
+    }
+  });
+});
+
+module.exports = router;
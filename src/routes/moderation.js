@@ -1,9 +1,13 @@
 const express = require('express');
 const Submission = require('../models/Submission');
 const GoatScream = require('../models/GoatScream');
+const Waveform = require('../models/Waveform');
 const { promoteSubmissionAudio, deleteSubmissionAudio } = require('../services/storage');
+const { hasRawAudio, removeRawAudio, enqueueSubmission } = require('../services/submissionJobs');
+const { enqueueImageRendering } = require('../services/renderedImages');
+const { getJobQueue } = require('../queue');
 const { getDbStatus } = require('../db/connection');
-const { ValidationError, NotFoundError, ExternalServiceError } = require('../errors');
+const { AppError, ValidationError, NotFoundError, ExternalServiceError } = require('../errors');
 const { warn: logWarn } = require('../utils/logger');
 const { requireAdmin } = require('../utils/auth');
 const { parseBool, parseTags } = require('../utils/parsing');
@@ -33,9 +37,13 @@ router.use(requireAdmin);
 
 router.get('/submissions', async (req, res, next) => {
   try {
-    const { status = 'pending_review', limit = 20, page = 1 } = req.query;
+    const { status = 'pending_review', limit = 20, page = 1, duplicates } = req.query;
     const filter = {};
     if (status !== 'all') filter.status = status;
+    // duplicates=true lists only submissions flagged as likely copies, false only the others
+    if (duplicates !== undefined) {
+      filter['duplicates.0'] = { $exists: parseBool(duplicates) };
+    }
     const l = Math.max(1, Math.min(parseInt(limit, 10) || 20, 100));
     const p = Math.max(1, parseInt(page, 10) || 1);
 
@@ -54,93 +62,180 @@ router.get('/submissions', async (req, res, next) => {
   }
 });
 
-router.patch('/submissions/:id/approve', async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const submission = await Submission.findOne({ id });
-    if (!submission) {
-      throw new NotFoundError('Submission not found', 'submission');
-    }
-    if (submission.status === 'approved') {
-      throw new ValidationError('Submission already approved');
-    }
+/**
+ * Move a submission that is being reviewed to its outcome, if it is still in the status the
+ * moderator saw
+ * @private
+ * @throws {AppError} 409 SUBMISSION_STATUS_CHANGED when it changed in the meantime
+ */
+async function claimReview(id, expectedStatus, status) {
+  const claimed = await Submission.findOneAndUpdate(
+    { id, status: expectedStatus },
+    { $set: { status } }
+  );
+  if (!claimed) {
+    throw new AppError(
+      'Submission was withdrawn or reviewed in the meantime',
+      409,
+      'SUBMISSION_STATUS_CHANGED'
+    );
+  }
+}
+
+/**
+ * Publish an approved submission as a scream: promote its audio, upsert the scream and its
+ * waveform, and queue the rendering of its images
+ * @private
+ * @returns {Promise<Object>} Response body
+ */
+async function approveSubmission(submission, body) {
+  const targetId = body.goat_scream_id || submission.goat_scream_id || `user-${submission.id}`;
+  const promotion = await promoteSubmissionAudio(submission.cloudinary_public_id, targetId);
+
+  const tags = parseTags(body.tags, submission.metadata?.tags || []);
+  const memeStatus = body.meme_status || 'emerging';
+  const sourceType = body.source_type || 'user_submission';
+  const license = {
+    type: body.license_type || 'user_generated',
+    url: body.license_url || submission.source?.url || null,
+    attribution_required: parseBool(body.attribution_required ?? false),
+    attribution_text: body.attribution_text || null,
+    notes: body.license_notes || null,
+  };
+
+  const intensity = submission.analysis?.intensity || submission.audio?.intensity || 5;
+  const duration = submission.audio?.duration || submission.analysis?.duration || 2;
+
+  const goatSet = {
+    title: body.title || submission.title,
+    source_type: sourceType,
+    year: submission.year || null,
+    context: submission.context || null,
+    tags,
+    meme_status: memeStatus,
+    last_curated_at: new Date(),
+    source: submission.source || { title: submission.title, platform: 'user_submission' },
+    audio: {
+      duration,
+      intensity,
+      peak_decibels: submission.analysis?.peak_decibels ?? null,
+      integrated_lufs: submission.analysis?.integrated_lufs ?? null,
+      loudness_range_lu: submission.analysis?.loudness_range_lu ?? null,
+      true_peak_dbtp: submission.analysis?.true_peak_dbtp ?? null,
+      dominant_frequency: submission.analysis?.dominant_frequency ?? null,
+      category: submission.analysis?.category || 'short_burst',
+    },
+    license,
+    approved: true,
+  };
+  if (submission.fingerprint) goatSet.fingerprint = submission.fingerprint;
+
+  // Measured notes; curated analysis fields (descriptor, vibe, tags) are left alone
+  if (submission.analysis?.primary_note) {
+    goatSet['analysis.primary_note'] = submission.analysis.primary_note;
+    goatSet['analysis.tones_in_order'] = submission.analysis.tones_in_order || [];
+  }
+
+  const mediaSet = {
+    'media.audio.mp3.high': promotion.url,
+    'media.audio.mp3.medium': promotion.url,
+    'media.audio.mp3.low': promotion.url,
+  };
 
-    const targetId =
-      req.body.goat_scream_id || submission.goat_scream_id || `user-${submission.id}`;
-    const promotion = await promoteSubmissionAudio(submission.cloudinary_public_id, targetId);
-
-    const tags = parseTags(req.body.tags, submission.metadata?.tags || []);
-    const memeStatus = req.body.meme_status || 'emerging';
-    const sourceType = req.body.source_type || 'user_submission';
-    const license = {
-      type: req.body.license_type || 'user_generated',
-      url: req.body.license_url || submission.source?.url || null,
-      attribution_required: parseBool(req.body.attribution_required ?? false),
-      attribution_text: req.body.attribution_text || null,
-      notes: req.body.license_notes || null,
-    };
-
-    const intensity = submission.analysis?.intensity || submission.audio?.intensity || 5;
-    const duration = submission.audio?.duration || submission.analysis?.duration || 2;
-
-    const goatSet = {
-      title: req.body.title || submission.title,
-      source_type: sourceType,
-      year: submission.year || null,
-      context: submission.context || null,
-      tags,
-      meme_status: memeStatus,
-      last_curated_at: new Date(),
-      source: submission.source || { title: submission.title, platform: 'user_submission' },
-      audio: {
-        duration,
-        intensity,
-        category: submission.analysis?.category || 'short_burst',
+  await GoatScream.updateOne(
+    { id: targetId },
+    {
+      $set: {
+        ...goatSet,
+        ...mediaSet,
+      },
+      $setOnInsert: {
+        id: targetId,
+        date_added: new Date(),
+        stats: { api_calls: 0, downloads: 0, favorites: 0 },
       },
-      license,
-      approved: true,
-    };
-
-    const mediaSet = {
-      'media.audio.mp3.high': promotion.url,
-      'media.audio.mp3.medium': promotion.url,
-      'media.audio.mp3.low': promotion.url,
-    };
-
-    await GoatScream.updateOne(
-      { id: targetId },
+    },
+    { upsert: true }
+  );
+
+  if (submission.audio?.waveform?.length) {
+    await Waveform.updateOne(
+      { scream_id: targetId },
       {
         $set: {
-          ...goatSet,
-          ...mediaSet,
-        },
-        $setOnInsert: {
-          id: targetId,
-          date_added: new Date(),
-          stats: { api_calls: 0, downloads: 0, favorites: 0 },
+          duration,
+          resolutions: submission.audio.waveform.map(({ points, peaks }) => ({ points, peaks })),
         },
       },
       { upsert: true }
     );
+  }
 
-    submission.status = 'approved';
-    submission.goat_scream_id = targetId;
-    submission.review_notes = req.body.review_notes || null;
-    submission.cloudinary_public_id = promotion.publicId;
-    await submission.save();
+  await Submission.updateOne(
+    { id: submission.id },
+    {
+      $set: {
+        goat_scream_id: targetId,
+        review_notes: body.review_notes || null,
+        cloudinary_public_id: promotion.publicId,
+      },
+    }
+  );
 
-    res.json({
-      message: 'Submission approved and promoted',
+  // Draw the scream's default images in the background, so image requests find them stored
+  await enqueueImageRendering(targetId).catch(err => {
+    logWarn('Failed to queue image rendering for approved scream', {
       goat_scream_id: targetId,
-      media_url: promotion.url,
+      error: err.message,
     });
+  });
+
+  return {
+    message: 'Submission approved and promoted',
+    goat_scream_id: targetId,
+    media_url: promotion.url,
+  };
+}
+
+router.patch('/submissions/:id/approve', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const submission = await Submission.findOne({ id }).select('+fingerprint');
+    if (!submission) {
+      throw new NotFoundError('Submission not found', 'submission');
+    }
+    if (submission.status === 'approved') {
+      throw new ValidationError('Submission already approved');
+    }
+    if (submission.status === 'withdrawn') {
+      throw new ValidationError('Submission was withdrawn by its submitter');
+    }
+    if (submission.status === 'processing' || submission.status === 'failed') {
+      throw new ValidationError('Only processed submissions can be approved', {
+        field: 'status',
+        value: submission.status,
+      });
+    }
+
+    // Claimed before anything is published, with one conditional write: a withdrawal (or
+    // another review) landing meanwhile either finds it approved or leaves nothing to claim
+    await claimReview(id, submission.status, 'approved');
+    try {
+      res.json(await approveSubmission(submission, req.body));
+    } catch (err) {
+      await Submission.updateOne(
+        { id, status: 'approved' },
+        { $set: { status: submission.status } }
+      );
+      throw err;
+    }
   } catch (err) {
     // If it's already an AppError, pass it through
     if (err.isOperational !== undefined) {
       return next(err);
     }
     // Wrap unknown errors as external service errors
-    return next(new ExternalServiceError('Failed to approve submission', 'cloudinary', err));
+    return next(new ExternalServiceError('Failed to approve submission', 'storage', err));
   }
 });
 
@@ -154,23 +249,37 @@ router.patch('/submissions/:id/reject', async (req, res, next) => {
     if (submission.status === 'approved') {
       throw new ValidationError('Cannot reject an already approved submission');
     }
+    if (submission.status === 'withdrawn') {
+      throw new ValidationError('Submission was withdrawn by its submitter');
+    }
+    if (submission.status === 'processing') {
+      throw new ValidationError('Submission is still being processed', {
+        field: 'status',
+        value: submission.status,
+      });
+    }
 
     const deleteMedia =
       req.body.delete_media === undefined ? true : parseBool(req.body.delete_media);
 
+    // Claimed before the audio is deleted, so a withdrawal meanwhile is never overwritten
+    await claimReview(id, submission.status, 'rejected');
+    const $set = { review_notes: req.body.review_notes || null };
+
     if (deleteMedia && submission.cloudinary_public_id) {
       await deleteSubmissionAudio(submission.cloudinary_public_id).catch(err => {
-        logWarn('Failed to delete Cloudinary asset for submission', {
+        logWarn('Failed to delete stored audio for submission', {
           submission_id: id,
           error: err.message,
         });
       });
-      submission.cloudinary_public_id = null;
+      $set.cloudinary_public_id = null;
     }
 
-    submission.status = 'rejected';
-    submission.review_notes = req.body.review_notes || null;
-    await submission.save();
+    // Audio kept for a retry of a failed submission
+    if (submission.status === 'failed') await removeRawAudio(id);
+
+    await Submission.updateOne({ id, status: 'rejected' }, { $set });
 
     res.json({ message: 'Submission rejected', id: submission.id });
   } catch (err) {
@@ -185,4 +294,66 @@ router.patch('/submissions/:id/reject', async (req, res, next) => {
   }
 });
 
+router.patch('/submissions/:id/retry', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const submission = await Submission.findOne({ id });
+    if (!submission) {
+      throw new NotFoundError('Submission not found', 'submission');
+    }
+    if (submission.status !== 'failed') {
+      throw new ValidationError('Only failed submissions can be retried', {
+        field: 'status',
+        value: submission.status,
+      });
+    }
+    if (!submission.audio?.original_url && !(await hasRawAudio(id))) {
+      throw new ValidationError('Submitted audio is no longer available', { field: 'audio' });
+    }
+
+    // Back to processing before the job can run, or the worker would skip it. Only one of
+    // concurrent retries gets past this, so only one job stores the audio.
+    const claimed = await Submission.findOneAndUpdate(
+      { id, status: 'failed' },
+      { $set: { status: 'processing' } }
+    );
+    if (!claimed) {
+      throw new AppError(
+        'Submission was retried or reviewed in the meantime',
+        409,
+        'SUBMISSION_STATUS_CHANGED'
+      );
+    }
+
+    // The dead job is queued again with fresh attempts; a new one is queued when it is gone
+    const queue = getJobQueue();
+    let job;
+    try {
+      job =
+        (claimed.job_id && (await queue.retry(claimed.job_id))) ||
+        (await enqueueSubmission(id, queue));
+    } catch (err) {
+      await Submission.updateOne({ id, status: 'processing' }, { $set: { status: 'failed' } });
+      throw err;
+    }
+    await Submission.updateOne({ id }, { $set: { processing_error: null, job_id: job.id } });
+
+    res.status(202).json({
+      message: 'Submission queued for processing',
+      id,
+      status: 'processing',
+      job_id: job.id,
+    });
+  } catch (err) {
+    // If it's already an AppError, pass it through
+    if (err.isOperational !== undefined) {
+      return next(err);
+    }
+    // Wrap unknown errors
+    return next(
+      new ExternalServiceError('Failed to retry submission', 'submission_processing', err)
+    );
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const RemixService = require('../services/remixService');
+const { getDbStatus } = require('../db/connection');
+
+const router = express.Router();
+const remixService = new RemixService();
+
+// Check if Advanced API features are enabled (MongoDB required for remixes)
+function requireFullStack(req, res, next) {
+  const db = getDbStatus();
+  if (!db.connected || process.env.FULL_STACK !== 'true') {
+    return res.status(503).json({
+      error: 'Remixes endpoint requires Advanced API setup',
+      message: 'This endpoint requires MongoDB. To enable:',
+      instructions: [
+        '1. Set FULL_STACK=true in your .env file',
+        '2. Set MONGODB_URI to your MongoDB connection string',
+        '3. Restart the server',
+      ],
+      documentation: 'See docs/enable-advanced-api.md in the repository',
+    });
+  }
+  return next();
+}
+
+router.use(requireFullStack);
+
+// POST /api/remixes { tracks: [{ id, offset, gain_db, pitch_shift }], title, mode, format, quality }
+router.post('/', async (req, res, next) => {
+  try {
+    const result = await remixService.createRemix(req.body || {}, { ip: req.ip });
+    return res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/remixes/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const result = await remixService.getRemix(req.params.id);
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -29,7 +29,9 @@ router.get('/random', async (req, res, next) => {
 router.get('/ordered/:index', async (req, res, next) => {
   try {
     const { index } = req.params;
-    const result = await screamsService.getScreamByOrderedIndex(index);
+    const result = await screamsService.getScreamByOrderedIndex(index, {
+      fields: req.query.fields,
+    });
     return res.json(result);
   } catch (err) {
     next(err);
@@ -40,7 +42,37 @@ router.get('/ordered/:index', async (req, res, next) => {
 router.get('/intense', async (req, res, next) => {
   try {
     const limit = req.query.limit || 10;
-    const result = await screamsService.getIntenseScreams(limit);
+    const result = await screamsService.getIntenseScreams(limit, { fields: req.query.fields });
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/screams/daily?date=YYYY-MM-DD&tz=Europe/Berlin
+router.get('/daily', async (req, res, next) => {
+  try {
+    const result = await screamsService.getDailyScream(req.query);
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/screams/scale?root=C4&mode=major&octaves=2
+router.get('/scale', async (req, res, next) => {
+  try {
+    const result = await screamsService.getScale(req.query);
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/screams/chord?notes=C4,E4,G4
+router.get('/chord', async (req, res, next) => {
+  try {
+    const result = await screamsService.getChord(req.query);
     return res.json(result);
   } catch (err) {
     next(err);
@@ -67,12 +99,74 @@ router.get('/sources', async (req, res, next) => {
   }
 });
 
-// POST /api/screams/:id/download
+// GET /api/screams/:id (must stay after the named routes above)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await screamsService.getScreamDetail(id, req.query);
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/screams/:id/stream?format=mp3&quality=medium (supports Range and conditional GET)
+router.get('/:id/stream', async (req, res, next) => {
+  try {
+    const { format = 'mp3', quality = 'medium' } = req.query;
+    const { status, headers, body } = await screamsService.getStream(req.params.id, {
+      format: String(format),
+      quality: String(quality),
+      headers: req.headers,
+      head: req.method === 'HEAD',
+    });
+
+    res.status(status).set(headers);
+    if (!body) return res.end();
+
+    body.on('error', err => {
+      if (res.headersSent) return res.destroy(err);
+      return next(err);
+    });
+    res.on('close', () => body.destroy());
+    return body.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/screams/:id/waveform?points=200&format=json|svg
+router.get('/:id/waveform', async (req, res, next) => {
+  try {
+    const { format, data } = await screamsService.getWaveform(req.params.id, req.query);
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(data);
+    }
+    return res.json(data);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/screams/:id/image?type=spectrogram|waveform&format=png|svg&w=600&h=200
+router.get('/:id/image', async (req, res, next) => {
+  try {
+    const { status, headers, body } = await screamsService.getImage(req.params.id, req.query, {
+      headers: req.headers,
+    });
+    res.status(status).set(headers);
+    return body ? res.send(body) : res.end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/screams/:id/download { format, quality, start, end, fade_in, fade_out, normalize }
 router.post('/:id/download', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { format = 'mp3', quality = 'medium' } = req.body || {};
-    const result = await screamsService.getDownloadUrl(id, format, quality);
+    const { format = 'mp3', quality = 'medium', ...options } = req.body || {};
+    const result = await screamsService.getDownloadUrl(id, format, quality, options);
     return res.json(result);
   } catch (err) {
     next(err);
@@ -5,6 +5,15 @@ const SearchService = require('../services/searchService');
 
 const searchService = new SearchService();
 
+router.get('/suggest', async (req, res, next) => {
+  try {
+    const result = await searchService.suggest(req.query);
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.get('/', async (req, res, next) => {
   try {
     const result = await searchService.searchScreams(req.query);
@@ -2,14 +2,26 @@ const express = require('express');
 const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
-// crypto is a built-in global in Node.js 20+
-const axios = require('axios');
+const { PassThrough } = require('stream');
+const { createHash, randomBytes, randomUUID } = require('crypto');
 const multer = require('multer');
-const { analyzeAudio } = require('../services/analysis');
 const Submission = require('../models/Submission');
-const { uploadSubmissionAudio } = require('../services/storage');
+const { deleteSubmissionAudio } = require('../services/storage');
+const UploadService = require('../services/uploads');
+const { storeRawAudio, removeRawAudio, enqueueSubmission } = require('../services/submissionJobs');
+const { checkAudioHead } = require('../services/audioIntake');
+const { SNIFF_BYTES } = require('../audio/sniff');
 const { getDbStatus } = require('../db/connection');
-const { ValidationError, ExternalServiceError } = require('../errors');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ExternalServiceError,
+} = require('../errors');
+const { warn: logWarn } = require('../utils/logger');
+const { secureCompare } = require('../utils/auth');
+const { assertPublicUrl } = require('../utils/network');
 
 const router = express.Router();
 
@@ -34,7 +46,7 @@ function requireFullStack(req, res, next) {
 const uploadDir = path.join(process.cwd(), 'tmp', 'uploads');
 fs.mkdirSync(uploadDir, { recursive: true });
 
-const storage = multer.diskStorage({
+const diskStorage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, uploadDir);
   },
@@ -44,6 +56,66 @@ const storage = multer.diskStorage({
   },
 });
 
+/**
+ * Read the first bytes of an upload stream without losing them
+ * @private
+ * @param {Readable} source - Upload stream from multer
+ * @param {number} size - Number of bytes wanted
+ * @returns {Promise<{head: Buffer, stream: Readable}>} The bytes read, and a stream of the whole
+ *   upload (those bytes included)
+ */
+function peekUpload(source, size) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    const settle = ended => {
+      source.off('data', onData);
+      source.off('end', onEnd);
+      source.off('error', onError);
+      source.pause();
+      const read = Buffer.concat(chunks);
+      const stream = new PassThrough();
+      stream.write(read);
+      if (ended) stream.end();
+      else source.pipe(stream);
+      resolve({ head: read.subarray(0, size), stream });
+    };
+    function onData(chunk) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= size) settle(false);
+    }
+    function onEnd() {
+      settle(true);
+    }
+    function onError(err) {
+      source.off('data', onData);
+      source.off('end', onEnd);
+      reject(err);
+    }
+    source.on('data', onData);
+    source.on('end', onEnd);
+    source.once('error', onError);
+  });
+}
+
+// Disk storage that recognises each upload by its leading bytes before writing it (fileFilter
+// only sees the declared MIME type), so files that are not audio are refused during the request
+const storage = {
+  _handleFile(req, file, cb) {
+    peekUpload(file.stream, SNIFF_BYTES)
+      .then(({ head, stream }) => {
+        checkAudioHead(head);
+        Object.defineProperty(file, 'stream', { configurable: true, value: stream });
+        diskStorage._handleFile(req, file, cb);
+      })
+      .catch(err => cb(err));
+  },
+  _removeFile(req, file, cb) {
+    diskStorage._removeFile(req, file, cb);
+  },
+};
+
 // Allowed audio MIME types for goat scream submissions
 const ALLOWED_AUDIO_TYPES = [
   'audio/mpeg', // .mp3
@@ -60,7 +132,10 @@ const ALLOWED_AUDIO_TYPES = [
   'audio/webm', // .webm audio
 ];
 
-const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+const MAX_FILE_SIZE = UploadService.MAX_UPLOAD_SIZE; // 50MB
+const { MAX_CHUNK_SIZE } = UploadService;
+
+const uploads = new UploadService(uploadDir);
 
 const upload = multer({
   storage,
@@ -82,7 +157,66 @@ const upload = multer({
 });
 
 function generateSubmissionId() {
-  return `sub_${crypto.randomUUID()}`;
+  return `sub_${randomUUID()}`;
+}
+
+// Submitter-only fields of the submission, never shown in the public list: besides who sent
+// it, the URL it was fetched from, why processing failed and the analysis (whose source is a
+// path on the server)
+const PRIVATE_FIELDS = [
+  '-_id',
+  '-__v',
+  '-submitter_ip',
+  '-metadata',
+  '-claim_token_hash',
+  '-duplicates',
+  '-job_id',
+  '-audio.original_url',
+  '-processing_error',
+  '-analysis',
+].join(' ');
+
+// Statuses a submitter can still withdraw from
+const WITHDRAWABLE_STATUSES = ['processing', 'failed', 'pending_review'];
+
+function generateClaimToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+function hashClaimToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Load a submission for its submitter, identified by the claim token from the create response
+ * (X-Claim-Token header or claim_token query parameter). Unknown ids and wrong tokens get the
+ * same 404, so ids cannot be probed.
+ */
+async function findClaimedSubmission(req) {
+  const token = req.get('x-claim-token') || req.query.claim_token;
+  if (!token || typeof token !== 'string') {
+    throw new AuthenticationError('Claim token required', 'claim_token');
+  }
+  const submission = await Submission.findOne({ id: req.params.id }).select('+claim_token_hash');
+  if (!submission || !secureCompare(hashClaimToken(token), submission.claim_token_hash || '')) {
+    throw new NotFoundError('Submission not found', 'submission');
+  }
+  return submission;
+}
+
+function formatClaimedSubmission(submission) {
+  return {
+    id: submission.id,
+    title: submission.title,
+    status: submission.status,
+    review_notes: submission.review_notes || null,
+    goat_scream_id: submission.status === 'approved' ? submission.goat_scream_id || null : null,
+    analysis: submission.analysis || null,
+    audio_url: submission.audio?.cloudinary_url || null,
+    error: submission.status === 'failed' ? submission.processing_error || null : null,
+    createdAt: submission.createdAt,
+    updatedAt: submission.updatedAt,
+  };
 }
 
 function validateBody(body) {
@@ -98,19 +232,6 @@ function validateBody(body) {
   return errors;
 }
 
-async function downloadRemoteAudio(url, submissionId) {
-  const targetExt = path.extname(new URL(url).pathname) || '.mp3';
-  const targetPath = path.join(uploadDir, `${submissionId}${targetExt}`);
-  const response = await axios({ url, method: 'GET', responseType: 'stream' });
-  await new Promise((resolve, reject) => {
-    const writer = fs.createWriteStream(targetPath);
-    response.data.pipe(writer);
-    writer.on('finish', resolve);
-    writer.on('error', reject);
-  });
-  return targetPath;
-}
-
 function buildSourceMeta(raw) {
   if (!raw) return undefined;
   if (typeof raw === 'string') {
@@ -133,90 +254,202 @@ function sanitizeYear(year) {
 
 router.use(requireFullStack);
 
-router.post('/', upload.single('audio'), async (req, res, next) => {
-  const { title, source, context, year, audio_url, tags } = req.body || {};
-  const errors = validateBody({ title, year });
-  if (!req.file && !audio_url) {
-    errors.push('audio file or audio_url is required');
-  }
-  if (errors.length) {
-    return next(new ValidationError('Validation failed', errors));
-  }
-
+/**
+ * Record a submission and queue its processing (see services/submissionJobs). The audio is a
+ * file on disk, kept in storage as the submission's raw audio, or an audio_url the job
+ * downloads.
+ * @returns {Promise<Object>} Response body for the submitter
+ */
+async function queueSubmission(req, { filePath = null, originalUrl = null } = {}) {
+  const { title, source, context, year, tags } = req.body || {};
   const submissionId = generateSubmissionId();
-  let localPath = req.file ? req.file.path : null;
-  try {
-    if (!localPath && audio_url) {
-      localPath = await downloadRemoteAudio(audio_url, submissionId);
-    }
-
-    const analysis = await analyzeAudio(localPath);
+  const claimToken = generateClaimToken();
 
-    const uploadResult = await uploadSubmissionAudio(localPath, submissionId, {
-      tags: Array.isArray(tags) ? tags : [],
-      context: {
-        submission_id: submissionId,
-        title,
-      },
-    });
-
-    const submissionDoc = await Submission.create({
+  if (filePath) await storeRawAudio(filePath, submissionId);
+  try {
+    await Submission.create({
       id: submissionId,
       title: String(title).trim(),
       source: buildSourceMeta(source) || undefined,
       context: context || undefined,
       year: sanitizeYear(year),
-      status: 'pending_review',
-      analysis,
-      audio: {
-        original_url: audio_url || null,
-        duration: analysis?.duration || uploadResult.duration,
-        intensity: analysis?.intensity || null,
-        category: analysis?.category || null,
-        cloudinary_url: uploadResult.url,
-      },
+      status: 'processing',
+      audio: { original_url: originalUrl },
       submitter_ip: req.ip,
-      cloudinary_public_id: uploadResult.publicId,
+      claim_token_hash: hashClaimToken(claimToken),
       metadata: {
         tags: Array.isArray(tags) ? tags : parseTagsValue(tags),
         user_agent: req.headers['user-agent'],
       },
     });
+    const job = await enqueueSubmission(submissionId);
+    await Submission.updateOne({ id: submissionId }, { $set: { job_id: job.id } });
+  } catch (err) {
+    await Submission.deleteOne({ id: submissionId }).catch(() => {});
+    await removeRawAudio(submissionId);
+    throw err;
+  }
 
-    return res.status(202).json({
-      message: 'Thanks! Your goat scream is under review.',
-      estimatedReview: '24-48 hours',
-      submission: {
-        id: submissionDoc.id,
-        status: submissionDoc.status,
-        analysis: submissionDoc.analysis,
-        audio_url: submissionDoc.audio.cloudinary_url,
-      },
+  return {
+    message: 'Thanks! Your goat scream is being processed and will then be reviewed.',
+    estimatedReview: '24-48 hours',
+    submission: {
+      id: submissionId,
+      status: 'processing',
+      // Shown once: needed to check on or withdraw the submission
+      claim_token: claimToken,
+    },
+  };
+}
+
+/**
+ * Answer a queued submission: 202 with the submission's location
+ */
+function sendQueued(req, res, body) {
+  res.location(`${req.baseUrl}/${body.submission.id}`);
+  return res.status(202).json(body);
+}
+
+function wrapSubmissionError(err) {
+  // If it's already an AppError, pass it through
+  if (err.isOperational !== undefined) {
+    return err;
+  }
+  // Wrap other errors (disk, queue) as processing errors
+  return new ExternalServiceError('Failed to queue submission', 'submission_processing', err);
+}
+
+router.post('/', upload.single('audio'), async (req, res, next) => {
+  const { title, year, audio_url } = req.body || {};
+  const errors = validateBody({ title, year });
+  if (!req.file && !audio_url) {
+    errors.push('audio file or audio_url is required');
+  }
+  if (errors.length) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  try {
+    // The download happens in the background, so the URL is checked now
+    if (!req.file) assertPublicUrl(audio_url);
+    const body = await queueSubmission(req, {
+      filePath: req.file ? req.file.path : null,
+      originalUrl: req.file ? null : audio_url,
     });
+    return sendQueued(req, res, body);
   } catch (err) {
-    // If it's already an AppError, pass it through
-    if (err.isOperational !== undefined) {
-      return next(err);
-    }
-    // Wrap unknown errors (likely from Cloudinary or analysis service)
-    if (err.response || err.request) {
-      // Axios error (HTTP error from remote service)
-      return next(new ExternalServiceError('Failed to download audio file', 'audio_download', err));
-    }
-    // Wrap other errors as external service errors (Cloudinary, analysis, etc.)
-    return next(
-      new ExternalServiceError('Failed to process submission', 'submission_processing', err)
-    );
+    return next(wrapSubmissionError(err));
   } finally {
-    if (localPath && !req.file) {
-      await fsp.unlink(localPath).catch(() => {});
-    }
+    // Kept in storage by now, or the submission could not be queued
     if (req.file) {
       await fsp.unlink(req.file.path).catch(() => {});
     }
   }
 });
 
+// Resumable uploads: create with the final size, PATCH chunks at Upload-Offset, then complete
+// with the submission fields. Clients that lose the connection GET the upload for its offset.
+
+function setUploadHeaders(res, state) {
+  res.set('Upload-Offset', String(state.offset));
+  res.set('Upload-Length', String(state.size));
+  res.set('Cache-Control', 'no-store');
+}
+
+router.post('/uploads', async (req, res, next) => {
+  try {
+    const { filename, size, mime_type, checksum } = req.body || {};
+    if (!ALLOWED_AUDIO_TYPES.includes(mime_type)) {
+      throw new ValidationError(
+        `Invalid file type: ${mime_type}. Allowed types: MP3, WAV, OGG, FLAC, M4A, AAC, WebM`,
+        { field: 'mime_type', value: mime_type }
+      );
+    }
+    const state = await uploads.createUpload({ filename, size, mime_type, checksum });
+    setUploadHeaders(res, state);
+    res.location(`${req.baseUrl}/uploads/${state.upload_id}`);
+    return res.status(201).json({ ...state, max_chunk_size: MAX_CHUNK_SIZE });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.get('/uploads/:uploadId', async (req, res, next) => {
+  try {
+    const state = await uploads.getUpload(req.params.uploadId);
+    setUploadHeaders(res, state);
+    return res.json(state);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.patch(
+  '/uploads/:uploadId',
+  express.raw({ type: 'application/offset+octet-stream', limit: MAX_CHUNK_SIZE }),
+  async (req, res, next) => {
+    try {
+      const offset = Number(req.get('upload-offset'));
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new ValidationError('Upload-Offset header must be a non-negative integer', {
+          field: 'Upload-Offset',
+          value: req.get('upload-offset'),
+        });
+      }
+      // tus-style "sha256 <base64 digest>"
+      const checksumHeader = req.get('upload-checksum');
+      let checksum;
+      if (checksumHeader) {
+        const [algorithm, digest] = checksumHeader.trim().split(/\s+/);
+        if (algorithm !== 'sha256' || !digest) {
+          throw new ValidationError('Upload-Checksum must be "sha256 <base64 digest>"', {
+            field: 'Upload-Checksum',
+            value: checksumHeader,
+          });
+        }
+        checksum = digest;
+      }
+
+      const chunk = Buffer.isBuffer(req.body) ? req.body : null;
+      const state = await uploads.appendChunk(req.params.uploadId, offset, chunk, { checksum });
+      setUploadHeaders(res, state);
+      return res.json(state);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+router.post('/uploads/:uploadId/complete', async (req, res, next) => {
+  const errors = validateBody(req.body || {});
+  if (errors.length) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  let file;
+  try {
+    file = await uploads.completeUpload(req.params.uploadId);
+    return sendQueued(req, res, await queueSubmission(req, { filePath: file.path }));
+  } catch (err) {
+    return next(wrapSubmissionError(err));
+  } finally {
+    // Kept in storage by now, or the submission could not be queued
+    if (file) {
+      await fsp.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+router.delete('/uploads/:uploadId', async (req, res, next) => {
+  try {
+    await uploads.getUpload(req.params.uploadId);
+    await uploads.removeUpload(req.params.uploadId);
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
 router.get('/', async (req, res, next) => {
   try {
     const { status, limit = 20, page = 1 } = req.query;
@@ -227,6 +460,7 @@ router.get('/', async (req, res, next) => {
 
     const [items, total] = await Promise.all([
       Submission.find(filter)
+        .select(PRIVATE_FIELDS)
         .sort({ createdAt: -1 })
         .skip((p - 1) * l)
         .limit(l)
@@ -240,6 +474,49 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+router.get('/:id', async (req, res, next) => {
+  try {
+    const submission = await findClaimedSubmission(req);
+    return res.json(formatClaimedSubmission(submission));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = await findClaimedSubmission(req);
+    // One conditional write, so a processing job finishing meanwhile is never overwritten:
+    // whichever lands second sees the other's status and cleans up the stored audio
+    const previous = await Submission.findOneAndUpdate(
+      { id, status: { $in: WITHDRAWABLE_STATUSES } },
+      { $set: { status: 'withdrawn', cloudinary_public_id: null } }
+    );
+    if (!previous) {
+      throw new AppError(
+        'Only submissions not yet reviewed can be withdrawn',
+        409,
+        'SUBMISSION_NOT_WITHDRAWABLE'
+      );
+    }
+
+    if (previous.cloudinary_public_id) {
+      await deleteSubmissionAudio(previous.cloudinary_public_id).catch(err => {
+        logWarn('Failed to delete stored audio for withdrawn submission', {
+          submission_id: id,
+          error: err.message,
+        });
+      });
+    }
+    // A processing job still queued cleans up after itself once it sees the withdrawal
+    if (previous.status === 'failed') await removeRawAudio(id);
+
+    return res.json({ message: 'Submission withdrawn', id, status: 'withdrawn' });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 function parseTagsValue(value) {
   if (!value) return [];
   if (Array.isArray(value)) return value;
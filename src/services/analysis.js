@@ -1,5 +1,15 @@
-// Mocked audio analysis service for submissions
-// Returns pseudo-random but deterministic-ish characteristics
+// Audio analysis service for submissions
+// Decodes the clip locally and measures its duration, levels, dominant frequency and notes,
+// and takes its acoustic fingerprint for duplicate detection
+
+const fsp = require('fs/promises');
+const { decodeAudio, detectFormat, toMono } = require('../audio/decode');
+const { levels, toDecibels, dominantFrequency } = require('../audio/dsp');
+const { measureLoudness } = require('../audio/loudness');
+const { pitchTrack, summarizeNotes } = require('../audio/pitch');
+const { intensityFeatures, scoreIntensity } = require('../audio/intensity');
+const { computeWaveform } = require('../audio/waveform');
+const { computeFingerprint } = require('../audio/fingerprint');
 
 function pickCategory({ duration, intensity }) {
   if (duration >= 3.0 && intensity >= 7) return 'prolonged';
@@ -8,28 +18,59 @@ function pickCategory({ duration, intensity }) {
   return 'multiple';
 }
 
-function randomBetween(min, max) {
-  return Math.random() * (max - min) + min;
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
 }
 
-async function analyzeAudio(inputPathOrUrl) {
-  // NOTE: This is a stub. In the real pipeline we'd load the audio and analyze it.
-  // For now we generate plausible characteristics.
-  const duration = Number(randomBetween(1.0, 4.0).toFixed(2));
-  const intensity = Math.floor(randomBetween(3, 10));
-  const peak_decibels = Number(randomBetween(-10, -1).toFixed(2));
-  const dominant_frequency = Math.floor(randomBetween(150, 650));
+/**
+ * Measure decoded audio
+ * @param {{sampleRate: number, channels: Float32Array[]}} decoded - From decodeAudio
+ * @returns {Object} duration (s), peak_decibels and rms_decibels (dBFS), EBU R128
+ *   integrated_lufs, loudness_range_lu and true_peak_dbtp, dominant_frequency (Hz),
+ *   primary_note, tones_in_order and waveform (normalised peaks per resolution)
+ */
+function measureAudio({ sampleRate, channels }) {
+  const mono = toMono(channels);
+  // Sample peak over all channels, so a hard-panned clip is not under-reported
+  const peak = Math.max(...channels.map(channel => levels(channel).peak));
+  const frequency = dominantFrequency(mono, sampleRate);
 
-  const analysis = {
-    duration,
-    intensity,
-    peak_decibels,
-    dominant_frequency,
-    category: pickCategory({ duration, intensity }),
-    source: typeof inputPathOrUrl === 'string' ? inputPathOrUrl : 'unknown',
+  return {
+    duration: round(mono.length / sampleRate),
+    peak_decibels: round(toDecibels(peak)),
+    rms_decibels: round(toDecibels(levels(mono).rms)),
+    ...measureLoudness({ sampleRate, channels }),
+    dominant_frequency: frequency === null ? null : Math.round(frequency),
+    ...summarizeNotes(pitchTrack(mono, sampleRate)),
+    waveform: computeWaveform(mono),
   };
+}
+
+/**
+ * Analyse an audio clip
+ * @param {string|Buffer} input - File path or encoded audio (WAV, MP3, Ogg Vorbis or FLAC)
+ * @returns {Promise<Object|null>} Analysis with the clip's acoustic fingerprint, or null when
+ *   the container is one the pipeline cannot decode (AAC/M4A, WebM)
+ * @throws {ValidationError} If a supported file is corrupt
+ */
+async function analyzeAudio(input) {
+  const buffer = Buffer.isBuffer(input) ? input : await fsp.readFile(input);
+  if (!detectFormat(buffer)) return null;
 
-  return analysis;
+  const decoded = await decodeAudio(buffer);
+  const measured = measureAudio(decoded);
+  const intensity = scoreIntensity(intensityFeatures(measured));
+
+  return {
+    ...measured,
+    intensity,
+    category: pickCategory({ duration: measured.duration, intensity }),
+    format: decoded.format,
+    sample_rate: decoded.sampleRate,
+    channels: decoded.channels.length,
+    fingerprint: computeFingerprint(decoded),
+    source: typeof input === 'string' ? input : 'unknown',
+  };
 }
 
-module.exports = { analyzeAudio };
+module.exports = { analyzeAudio, measureAudio, pickCategory };
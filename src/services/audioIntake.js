@@ -0,0 +1,197 @@
+// Intake checks for submitted audio: remote downloads are limited in size and redirects and kept
+// off internal networks, and every file is recognised by its content, decoded and held to sane
+// durations before it is stored. Each rejection has its own ValidationError code.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { analyzeAudio } = require('./analysis');
+const { SNIFF_BYTES, SNIFFED_FORMATS, sniffAudio } = require('../audio/sniff');
+const { assertPublicUrl, safeLookup } = require('../utils/network');
+const { ValidationError } = require('../errors');
+
+// Remote downloads: largest body, redirects followed and overall time allowed
+const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const DOWNLOAD_TIMEOUT_MS = 20000;
+
+// Shortest and longest decodable clip accepted, in seconds
+const MIN_AUDIO_DURATION = 0.1;
+const MAX_AUDIO_DURATION = 300;
+
+// Content types a server may label audio with; anything else is refused before downloading
+const REMOTE_CONTENT_TYPE =
+  /^(audio\/|video\/(webm|mp4)|application\/(ogg|octet-stream)|binary\/)/i;
+
+/**
+ * Find a ValidationError raised inside the HTTP client (lookup, redirect hook)
+ * @private
+ */
+function validationCause(err) {
+  for (let cause = err; cause; cause = cause.cause) {
+    if (cause instanceof ValidationError) return cause;
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function tooLarge(maxBytes) {
+  return new ValidationError(
+    `Audio is larger than ${maxBytes} bytes`,
+    { field: 'audio_url', max_bytes: maxBytes },
+    'AUDIO_TOO_LARGE'
+  );
+}
+
+/**
+ * Download remote audio to a file
+ * @param {string} url - Audio URL (http or https, public address)
+ * @param {string} targetPath - File to write
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Largest body accepted (default MAX_DOWNLOAD_BYTES)
+ * @returns {Promise<string>} targetPath
+ * @throws {ValidationError} INVALID_URL, BLOCKED_URL, TOO_MANY_REDIRECTS, INVALID_CONTENT_TYPE
+ *   or AUDIO_TOO_LARGE
+ * @throws {Error} Network and HTTP errors from axios
+ */
+async function downloadRemoteAudio(url, targetPath, { maxBytes = MAX_DOWNLOAD_BYTES } = {}) {
+  assertPublicUrl(url);
+
+  let response;
+  try {
+    response = await axios({
+      url,
+      method: 'GET',
+      responseType: 'stream',
+      maxRedirects: MAX_REDIRECTS,
+      timeout: DOWNLOAD_TIMEOUT_MS,
+      lookup: safeLookup,
+      // IP literals never reach the lookup, so redirect targets are checked as URLs too
+      beforeRedirect: options => assertPublicUrl(options.href),
+    });
+  } catch (err) {
+    const cause = validationCause(err);
+    if (cause) throw cause;
+    if (err.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+      throw new ValidationError(
+        `audio_url redirected more than ${MAX_REDIRECTS} times`,
+        { field: 'audio_url' },
+        'TOO_MANY_REDIRECTS'
+      );
+    }
+    throw err;
+  }
+
+  const body = response.data;
+  const contentType = response.headers?.['content-type'];
+  if (contentType && !REMOTE_CONTENT_TYPE.test(contentType)) {
+    body.destroy?.();
+    throw new ValidationError(
+      `audio_url did not return audio (Content-Type: ${contentType})`,
+      { field: 'audio_url', value: contentType },
+      'INVALID_CONTENT_TYPE'
+    );
+  }
+  if (Number(response.headers?.['content-length']) > maxBytes) {
+    body.destroy?.();
+    throw tooLarge(maxBytes);
+  }
+
+  // Content-Length can be missing or wrong, so the limit is enforced on the stream as well
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > maxBytes ? tooLarge(maxBytes) : null, chunk);
+    },
+  });
+  try {
+    await pipeline(body, limit, fs.createWriteStream(targetPath));
+  } catch (err) {
+    await fsp.unlink(targetPath).catch(() => {});
+    throw validationCause(err) || err;
+  }
+  return targetPath;
+}
+
+/**
+ * Recognise submitted audio by its leading bytes
+ * @param {Buffer} head - The first SNIFF_BYTES of the file (fewer when the file is shorter)
+ * @returns {string} Container detected (a key of SNIFFED_FORMATS)
+ * @throws {ValidationError} EMPTY_AUDIO or UNSUPPORTED_AUDIO_TYPE
+ */
+function checkAudioHead(head) {
+  if (!head.length) {
+    throw new ValidationError('Audio file is empty', { field: 'audio' }, 'EMPTY_AUDIO');
+  }
+  const format = sniffAudio(head);
+  if (!format) {
+    throw new ValidationError(
+      'File is not a supported audio format. Allowed: MP3, WAV, OGG, FLAC, M4A, AAC, WebM',
+      { field: 'audio', supported_formats: SNIFFED_FORMATS },
+      'UNSUPPORTED_AUDIO_TYPE'
+    );
+  }
+  return format;
+}
+
+/**
+ * Check and analyse a submitted audio file
+ * @param {string} filePath - Audio file
+ * @returns {Promise<{format: string, analysis: Object|null}>} Container detected from the file's
+ *   content, and the analysis (null for containers the pipeline cannot decode: M4A, AAC, WebM)
+ * @throws {ValidationError} EMPTY_AUDIO, UNSUPPORTED_AUDIO_TYPE, CORRUPT_AUDIO, AUDIO_TOO_SHORT
+ *   or AUDIO_TOO_LONG
+ */
+async function analyzeSubmissionAudio(filePath) {
+  const file = await fsp.open(filePath);
+  let head;
+  try {
+    const { bytesRead, buffer } = await file.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await file.close();
+  }
+
+  const format = checkAudioHead(head);
+
+  let analysis;
+  try {
+    analysis = await analyzeAudio(filePath);
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    throw new ValidationError(err.message, { field: 'audio', format }, 'CORRUPT_AUDIO');
+  }
+
+  if (analysis) {
+    const { duration } = analysis;
+    if (!(duration >= MIN_AUDIO_DURATION)) {
+      throw new ValidationError(
+        `Audio must be at least ${MIN_AUDIO_DURATION} seconds long`,
+        { field: 'audio', duration },
+        'AUDIO_TOO_SHORT'
+      );
+    }
+    if (duration > MAX_AUDIO_DURATION) {
+      throw new ValidationError(
+        `Audio must be at most ${MAX_AUDIO_DURATION} seconds long`,
+        { field: 'audio', duration },
+        'AUDIO_TOO_LONG'
+      );
+    }
+  }
+  return { format, analysis };
+}
+
+module.exports = {
+  MAX_DOWNLOAD_BYTES,
+  MIN_AUDIO_DURATION,
+  MAX_AUDIO_DURATION,
+  downloadRemoteAudio,
+  checkAudioHead,
+  analyzeSubmissionAudio,
+};
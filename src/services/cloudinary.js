@@ -9,6 +9,7 @@ let getAssetBreaker = null;
 let renameAssetBreaker = null;
 let deleteAssetBreaker = null;
 let updateMetadataBreaker = null;
+let listBreaker = null;
 
 function initializeCircuitBreakers() {
   if (uploadBreaker) return; // Already initialized
@@ -24,9 +25,9 @@ function initializeCircuitBreakers() {
   uploadBreaker = createCircuitBreaker(async (filePath, options) => {
     configure();
     const opts = {
-      resource_type: 'video',
+      resource_type: options.resourceType || 'video',
       public_id: options.publicId,
-      overwrite: false,
+      overwrite: options.overwrite || false,
       use_filename: false,
       unique_filename: false,
       folder: undefined,
@@ -42,10 +43,10 @@ function initializeCircuitBreakers() {
     return cloudinary.uploader.upload(filePath, opts);
   }, breakerOptions);
 
-  getAssetBreaker = createCircuitBreaker(async publicId => {
+  getAssetBreaker = createCircuitBreaker(async (publicId, resourceType) => {
     configure();
     try {
-      return await cloudinary.api.resource(publicId, { resource_type: 'video' });
+      return await cloudinary.api.resource(publicId, { resource_type: resourceType });
     } catch (err) {
       if (err.http_code === 404) return null;
       throw err;
@@ -78,6 +79,17 @@ function initializeCircuitBreakers() {
     }
     return cloudinary.api.update(publicId, payload);
   }, breakerOptions);
+
+  listBreaker = createCircuitBreaker(async (prefix, nextCursor) => {
+    configure();
+    return cloudinary.api.resources({
+      type: 'upload',
+      resource_type: 'video',
+      prefix,
+      max_results: 500,
+      next_cursor: nextCursor,
+    });
+  }, breakerOptions);
 }
 
 function configure() {
@@ -130,9 +142,22 @@ async function uploadAudio(filePath, { publicId, tags = [], context = {} }) {
   return uploadBreaker.fire(filePath, { publicId, tags, context });
 }
 
-async function getAsset(publicId) {
+// Images (rendered thumbnails) are regenerated in place, so they overwrite
+async function uploadImage(filePath, { publicId, tags = [], context = {} }) {
   initializeCircuitBreakers();
-  return getAssetBreaker.fire(publicId);
+  return uploadBreaker.fire(filePath, {
+    publicId,
+    tags,
+    context,
+    resourceType: 'image',
+    overwrite: true,
+  });
+}
+
+// Images and audio (Cloudinary's "video" type) are looked up separately
+async function getAsset(publicId, { resourceType = 'video' } = {}) {
+  initializeCircuitBreakers();
+  return getAssetBreaker.fire(publicId, resourceType);
 }
 
 async function renameAsset(fromPublicId, toPublicId, options = {}) {
@@ -150,6 +175,18 @@ async function updateAssetMetadata(publicId, { context = {}, tags = [] } = {}) {
   return updateMetadataBreaker.fire(publicId, { context, tags });
 }
 
+async function listAssets(prefix) {
+  initializeCircuitBreakers();
+  const resources = [];
+  let nextCursor;
+  do {
+    const res = await listBreaker.fire(prefix, nextCursor);
+    resources.push(...res.resources);
+    nextCursor = res.next_cursor;
+  } while (nextCursor);
+  return resources;
+}
+
 /**
  * Get circuit breaker state for Cloudinary
  */
@@ -160,9 +197,11 @@ function getCircuitBreakerState() {
 
 module.exports = {
   uploadAudio,
+  uploadImage,
   getAsset,
   renameAsset,
   deleteAsset,
   updateAssetMetadata,
+  listAssets,
   getCircuitBreakerState,
 };
@@ -0,0 +1,85 @@
+const GoatScream = require('../models/GoatScream');
+const Submission = require('../models/Submission');
+const { compareFingerprints } = require('../audio/fingerprint');
+
+// Fingerprint similarity from which a clip counts as a likely copy: re-encoded, trimmed or
+// resampled copies score 0.85 and up, unrelated screams rarely above 0.65
+const DUPLICATE_THRESHOLD = 0.75;
+
+// Most matches recorded per submission
+const MAX_DUPLICATES = 5;
+
+/**
+ * Duplicate detection: compares a clip's fingerprint with those of the catalog screams and of
+ * the submissions still waiting for review
+ */
+class DuplicateService {
+  constructor(screamModel = null, submissionModel = null) {
+    // Allow injection for testing, otherwise use the models
+    this._screamModel = screamModel;
+    this._submissionModel = submissionModel;
+  }
+
+  get screams() {
+    return this._screamModel || GoatScream;
+  }
+
+  get submissions() {
+    return this._submissionModel || Submission;
+  }
+
+  /**
+   * Find likely copies of a clip
+   * @param {string} fingerprint - Base64 fingerprint from audio/fingerprint
+   * @param {Object} [options]
+   * @param {string} [options.excludeSubmission] - Submission ID to leave out (the clip's own)
+   * @param {number} [options.threshold] - Lowest similarity reported (default DUPLICATE_THRESHOLD)
+   * @param {number} [options.limit] - Most matches returned (default MAX_DUPLICATES)
+   * @returns {Promise<Array<{kind: string, id: string, title: string, similarity: number,
+   *   offset: number, url: string|null}>>} Matches, most similar first. `url` is the scream's
+   *   API resource, or the stored audio of a pending submission
+   */
+  async findDuplicates(
+    fingerprint,
+    { excludeSubmission = null, threshold = DUPLICATE_THRESHOLD, limit = MAX_DUPLICATES } = {}
+  ) {
+    if (!fingerprint) return [];
+
+    const withFingerprint = { fingerprint: { $exists: true, $ne: null } };
+    const [screams, submissions] = await Promise.all([
+      this.screams.find(withFingerprint, { _id: 0, id: 1, title: 1, fingerprint: 1 }).lean(),
+      this.submissions
+        .find(
+          {
+            ...withFingerprint,
+            status: 'pending_review',
+            ...(excludeSubmission ? { id: { $ne: excludeSubmission } } : {}),
+          },
+          { _id: 0, id: 1, title: 1, fingerprint: 1, 'audio.cloudinary_url': 1 }
+        )
+        .lean(),
+    ]);
+
+    const candidates = [
+      ...screams.map(doc => ({ kind: 'scream', doc, url: `/api/v1/screams/${doc.id}` })),
+      ...submissions.map(doc => ({
+        kind: 'submission',
+        doc,
+        url: doc.audio?.cloudinary_url || null,
+      })),
+    ];
+
+    return candidates
+      .map(({ kind, doc, url }) => {
+        const match = compareFingerprints(fingerprint, doc.fingerprint);
+        return match && { kind, id: doc.id, title: doc.title, ...match, url };
+      })
+      .filter(match => match && match.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+}
+
+module.exports = DuplicateService;
+module.exports.DUPLICATE_THRESHOLD = DUPLICATE_THRESHOLD;
+module.exports.MAX_DUPLICATES = MAX_DUPLICATES;
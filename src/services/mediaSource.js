@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { signMediaUrl } = require('./storage');
+const { getStorageDriver } = require('../storage');
+const { decodeAudio } = require('../audio/decode');
+const { ExternalServiceError } = require('../errors');
+
+/**
+ * Media sources for the streaming proxy.
+ *
+ * A source exposes:
+ * - stat(target) → { size, etag, lastModified } or null when the media does not exist
+ * - read(target, { start, end }) → Readable for the inclusive byte range
+ *
+ * `target` is { url, key }: the stored media URL and its storage key (see mediaKey).
+ * Selected by env: MEDIA_SOURCE=local|upstream (default: local when MEDIA_DIR is set or the
+ * local storage driver is active, reading its STORAGE_DIR).
+ */
+
+/**
+ * Derive a storage key from a media URL, e.g.
+ * https://res.cloudinary.com/x/video/upload/v1/goat-screams/audio/a.mp3 → goat-screams/audio/a.mp3
+ * (URLs of the local storage driver, /api/v1/media/<key>, map the same way)
+ * @param {string} url - Media URL
+ * @returns {string} Relative storage key
+ */
+function mediaKey(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    pathname = String(url);
+  }
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    decoded = pathname;
+  }
+  return decoded.replace(/^.*?\/(?:upload\/(?:v\d+\/)?|api\/v1\/media\/)/, '').replace(/^\/+/, '');
+}
+
+/**
+ * Build a strong ETag from size and modification time
+ * @private
+ */
+function statEtag(size, lastModified) {
+  const time = lastModified ? lastModified.getTime() : 0;
+  return `"${size.toString(16)}-${time.toString(16)}"`;
+}
+
+/**
+ * Create a source that reads media from a local directory laid out by storage key
+ * (an offline mirror of the media bucket)
+ * @param {string} root - Media directory
+ * @returns {Object} Media source
+ */
+function createLocalSource(root) {
+  const base = path.resolve(root);
+
+  const resolve = key => {
+    const file = path.resolve(base, key);
+    return file.startsWith(base + path.sep) ? file : null;
+  };
+
+  return {
+    name: 'local',
+
+    async stat({ key }) {
+      const file = resolve(key);
+      if (!file) return null;
+      try {
+        const stats = await fs.promises.stat(file);
+        if (!stats.isFile()) return null;
+        return {
+          size: stats.size,
+          lastModified: stats.mtime,
+          etag: statEtag(stats.size, stats.mtime),
+        };
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+        throw err;
+      }
+    },
+
+    read({ key }, { start, end }) {
+      return fs.createReadStream(resolve(key), { start, end });
+    },
+  };
+}
+
+/**
+ * Skip and truncate a stream to an inclusive byte range, for upstreams that ignore Range
+ * @private
+ */
+function sliceStream(stream, start, end) {
+  return Readable.from(
+    (async function* slice() {
+      let offset = 0;
+      for await (const chunk of stream) {
+        const from = Math.max(0, start - offset);
+        const to = Math.min(chunk.length, end - offset + 1);
+        if (from < to) yield chunk.subarray(from, to);
+        offset += chunk.length;
+        if (offset > end) break;
+      }
+    })()
+  );
+}
+
+let upstreamBreaker = null;
+
+function initializeUpstreamBreaker() {
+  if (upstreamBreaker) return;
+
+  upstreamBreaker = createCircuitBreaker(
+    async (url, init) => {
+      const res = await fetch(url, init);
+      // Only server-side failures count against the circuit
+      if (res.status >= 500) {
+        throw new Error(`Upstream responded ${res.status}`);
+      }
+      return res;
+    },
+    {
+      name: 'media-upstream',
+      timeout: Number(process.env.MEDIA_UPSTREAM_TIMEOUT) || 10000,
+      errorThresholdPercentage: 50,
+      resetTimeout: 30000,
+    }
+  );
+}
+
+/**
+ * Fetch through the upstream circuit breaker
+ * @private
+ */
+async function upstreamFetch(url, init) {
+  initializeUpstreamBreaker();
+  try {
+    return await upstreamBreaker.fire(url, init);
+  } catch (err) {
+    throw new ExternalServiceError('Media upstream unavailable', 'media-upstream', err);
+  }
+}
+
+/**
+ * Create a source that proxies the stored media URL (Cloudinary or any HTTP origin)
+ * @returns {Object} Media source
+ */
+function createUpstreamSource() {
+  return {
+    name: 'upstream',
+
+    async stat({ url }) {
+      // A one-byte GET rather than HEAD: presigned URLs are only valid for GET
+      const res = await upstreamFetch(url, { headers: { Range: 'bytes=0-0' } });
+      if (res.body) await res.body.cancel();
+      if (!res.ok) return null;
+
+      const total = /\/(\d+)$/.exec(res.headers.get('content-range') || '');
+      const size = Number(total ? total[1] : res.headers.get('content-length'));
+      if (!Number.isFinite(size)) {
+        throw new ExternalServiceError('Media upstream sent no content size', 'media-upstream');
+      }
+      const modified = Date.parse(res.headers.get('last-modified'));
+      const lastModified = Number.isFinite(modified) ? new Date(modified) : undefined;
+      const upstreamEtag = res.headers.get('etag');
+      return {
+        size,
+        lastModified,
+        etag:
+          upstreamEtag && !upstreamEtag.startsWith('W/')
+            ? upstreamEtag
+            : statEtag(size, lastModified),
+      };
+    },
+
+    async read({ url }, { start, end }) {
+      const res = await upstreamFetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+      if (!res.ok || !res.body) {
+        throw new ExternalServiceError(`Media upstream responded ${res.status}`, 'media-upstream');
+      }
+      const body = Readable.fromWeb(res.body);
+      return res.status === 206 ? body : sliceStream(body, start, end);
+    },
+  };
+}
+
+/**
+ * Get the media source configured by env
+ * @returns {Object} Media source
+ */
+function getMediaSource() {
+  const { MEDIA_SOURCE, MEDIA_DIR, STORAGE_DRIVER } = process.env;
+  const localStorage = STORAGE_DRIVER === 'local';
+  const kind = MEDIA_SOURCE || (MEDIA_DIR || localStorage ? 'local' : 'upstream');
+  if (kind === 'local') {
+    if (MEDIA_DIR) return createLocalSource(MEDIA_DIR);
+    if (localStorage) return createLocalSource(getStorageDriver().root);
+    throw new Error('MEDIA_DIR must be set when MEDIA_SOURCE=local');
+  }
+  return createUpstreamSource();
+}
+
+/**
+ * Get a source that reads what the storage driver holds, MEDIA_DIR aside: the driver's directory
+ * for the local driver, the stored URLs otherwise
+ * @returns {Object} Media source
+ */
+function getStorageSource() {
+  const driver = getStorageDriver();
+  return driver.name === 'local' ? createLocalSource(driver.root) : createUpstreamSource();
+}
+
+/**
+ * Read a media file in full, for decoding
+ * @param {Object} source - Media source
+ * @param {{url: string, key: string}} target - Media target
+ * @returns {Promise<{buffer: Buffer, stat: Object}|null>} Contents and validators, or null
+ *   when the media does not exist
+ */
+async function readMedia(source, target) {
+  const stat = await source.stat(target);
+  if (!stat) return null;
+  if (stat.size === 0) return { buffer: Buffer.alloc(0), stat };
+
+  const chunks = [];
+  const stream = await source.read(target, { start: 0, end: stat.size - 1 });
+  for await (const chunk of stream) chunks.push(chunk);
+  return { buffer: Buffer.concat(chunks), stat };
+}
+
+/**
+ * Target of a scream's MP3 for reading its audio (medium quality, else the best one it has)
+ * @param {Object} scream - Scream with media.audio.mp3
+ * @returns {Promise<{url: string, key: string}|null>} Target, or null when the scream has no MP3
+ */
+async function screamAudioTarget(scream) {
+  const mp3 = scream.media?.audio?.mp3 || {};
+  const url = mp3.medium || mp3.high || mp3.low;
+  return url ? { url: await signMediaUrl(url), key: mediaKey(url) } : null;
+}
+
+/**
+ * Decode media read with readMedia
+ * @param {{buffer: Buffer}} media - Media contents
+ * @returns {Promise<{sampleRate: number, channels: Float32Array[]}>} Decoded audio
+ * @throws {ExternalServiceError} If the stored audio cannot be decoded
+ */
+async function decodeMedia(media) {
+  try {
+    return await decodeAudio(media.buffer);
+  } catch (err) {
+    throw new ExternalServiceError('Stored audio could not be decoded', 'media', err);
+  }
+}
+
+/**
+ * Get circuit breaker state for the media upstream
+ */
+function getCircuitBreakerState() {
+  const { getCircuitState } = require('./circuitBreaker');
+  return getCircuitState('media-upstream');
+}
+
+module.exports = {
+  mediaKey,
+  createLocalSource,
+  createUpstreamSource,
+  getMediaSource,
+  getStorageSource,
+  readMedia,
+  screamAudioTarget,
+  decodeMedia,
+  getCircuitBreakerState,
+};
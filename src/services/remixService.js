@@ -0,0 +1,267 @@
+const { randomUUID } = require('crypto');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const Remix = require('../models/Remix');
+const packageJson = require('../../package.json');
+const { getScreamsRepository } = require('../repositories');
+const { MIX_MODES, mixTracks } = require('../audio/mix');
+const { QUALITY_TIERS, encodeAudio } = require('../audio/encode');
+const { METADATA_FORMATS, embedMetadata } = require('../audio/metadata');
+const { getMediaSource } = require('./mediaSource');
+const { decodeScreamAudio } = require('./transcoder');
+const { uploadRemix, signMediaUrl } = require('./storage');
+const { NotFoundError, ValidationError } = require('../errors');
+
+// Request limits: tracks per remix, track placement, gain (dB) and pitch shift (semitones)
+const MAX_REMIX_TRACKS = 8;
+const MAX_TRACK_OFFSET = 30;
+const GAIN_RANGE = [-24, 12];
+const PITCH_SHIFT_RANGE = [-12, 12];
+const MAX_TITLE_LENGTH = 100;
+
+// Longest mix rendered, in seconds
+const MAX_REMIX_DURATION = 60;
+
+/**
+ * Service layer for remixes: mixes several screams into one stored file
+ */
+class RemixService {
+  constructor(repository = null, mediaSource = null, remixModel = null) {
+    // Allow injection for testing, otherwise get dynamically
+    this._repository = repository;
+    this._mediaSource = mediaSource;
+    this._remixModel = remixModel;
+  }
+
+  get repository() {
+    return this._repository || getScreamsRepository();
+  }
+
+  get mediaSource() {
+    return this._mediaSource || getMediaSource();
+  }
+
+  get remixes() {
+    return this._remixModel || Remix;
+  }
+
+  /**
+   * Validate a number within a range, falling back when absent
+   * @private
+   */
+  _number(value, field, [min, max], fallback = 0) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+      throw new ValidationError(`${field} must be a number between ${min} and ${max}`, {
+        field,
+        value,
+      });
+    }
+    return parsed;
+  }
+
+  /**
+   * Validate a remix request
+   * @private
+   */
+  _parseRequest({ title, mode = 'layer', format = 'mp3', quality = 'medium', tracks } = {}) {
+    if (!MIX_MODES.includes(mode)) {
+      throw new ValidationError(`mode must be one of: ${MIX_MODES.join(', ')}`, {
+        field: 'mode',
+        value: mode,
+      });
+    }
+    if (!METADATA_FORMATS.includes(format)) {
+      throw new ValidationError('Unsupported audio format', {
+        field: 'format',
+        value: format,
+        supported_formats: METADATA_FORMATS,
+      });
+    }
+    if (!QUALITY_TIERS.includes(quality)) {
+      throw new ValidationError('Unsupported quality for requested format', {
+        field: 'quality',
+        value: quality,
+        supported_qualities: QUALITY_TIERS,
+      });
+    }
+    if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+      throw new ValidationError(
+        `title must be a string of at most ${MAX_TITLE_LENGTH} characters`,
+        {
+          field: 'title',
+        }
+      );
+    }
+    if (!Array.isArray(tracks) || tracks.length === 0 || tracks.length > MAX_REMIX_TRACKS) {
+      throw new ValidationError(`tracks must list between 1 and ${MAX_REMIX_TRACKS} screams`, {
+        field: 'tracks',
+      });
+    }
+
+    const parsed = tracks.map((track, i) => {
+      const field = `tracks[${i}]`;
+      if (!track || typeof track.id !== 'string' || !track.id.trim()) {
+        throw new ValidationError(`${field}.id is required`, { field: `${field}.id` });
+      }
+      return {
+        scream_id: track.id.trim(),
+        offset: this._number(track.offset, `${field}.offset`, [0, MAX_TRACK_OFFSET]),
+        gain_db: this._number(track.gain_db, `${field}.gain_db`, GAIN_RANGE),
+        pitch_shift: this._number(track.pitch_shift, `${field}.pitch_shift`, PITCH_SHIFT_RANGE),
+      };
+    });
+    return { title: title?.trim() || null, mode, format, quality, tracks: parsed };
+  }
+
+  /**
+   * Attribution for sources whose license requires it
+   * @private
+   */
+  _attribution(screams) {
+    return screams
+      .filter(scream => scream.license?.attribution_required)
+      .map(scream => ({
+        scream_id: scream.id,
+        title: scream.title,
+        text:
+          scream.license.attribution_text ||
+          `"${scream.title}"${scream.license.type ? ` (${scream.license.type})` : ''}`,
+        license: scream.license.type || null,
+        license_url: scream.license.url || null,
+      }));
+  }
+
+  /**
+   * Shape a stored remix for API responses
+   * @private
+   */
+  async _format(remix) {
+    const { _id, __v, creator_ip: _ip, ...rest } = remix;
+    return {
+      ...rest,
+      attribution_required: rest.attribution.length > 0,
+      audio: { ...rest.audio, url: await signMediaUrl(rest.audio.url) },
+    };
+  }
+
+  /**
+   * Render and store a remix, and count it on every source scream
+   * @param {Object} body - Request body
+   * @param {Object[]} body.tracks - Screams to mix: { id, offset, gain_db, pitch_shift }
+   * @param {string} [body.title] - Remix title (default: the source titles)
+   * @param {string} [body.mode='layer'] - layer (offsets from the start) or concat (offsets as
+   *   gaps between consecutive tracks)
+   * @param {string} [body.format='mp3'] - mp3 or wav
+   * @param {string} [body.quality='medium'] - Encoding tier (see audio/encode)
+   * @param {Object} [context]
+   * @param {string} [context.ip] - Client address, stored with the remix
+   * @returns {Promise<Object>} Remix record
+   * @throws {ValidationError} If the request is invalid or the mix is too long
+   * @throws {NotFoundError} If a scream does not exist or has no audio
+   * @throws {ExternalServiceError} If stored audio cannot be decoded
+   */
+  async createRemix(body, { ip } = {}) {
+    const request = this._parseRequest(body);
+    const ids = Array.from(new Set(request.tracks.map(track => track.scream_id)));
+
+    const screams = new Map();
+    const decoded = new Map();
+    for (const id of ids) {
+      const scream = await this.repository.findById(id);
+      if (!scream) {
+        throw new NotFoundError(`Scream not found: ${id}`, 'scream');
+      }
+      screams.set(id, scream);
+      decoded.set(id, await decodeScreamAudio(scream, { mediaSource: this.mediaSource }));
+    }
+
+    const mixed = mixTracks(
+      request.tracks.map(track => ({
+        audio: decoded.get(track.scream_id),
+        offset: track.offset,
+        gainDb: track.gain_db,
+        pitchShift: track.pitch_shift,
+      })),
+      { mode: request.mode }
+    );
+    const duration = Number((mixed.channels[0].length / mixed.sampleRate).toFixed(2));
+    if (duration > MAX_REMIX_DURATION) {
+      throw new ValidationError(`Remix would be longer than ${MAX_REMIX_DURATION} seconds`, {
+        field: 'tracks',
+        duration,
+      });
+    }
+
+    const sources = ids.map(id => screams.get(id));
+    const sourceTitles = sources.map(scream => scream.title).join(' + ');
+    const title = request.title || `Remix of ${sourceTitles}`;
+    const attribution = this._attribution(sources);
+    const credits = attribution.map(source => source.text).join('; ');
+    const file = embedMetadata(
+      await encodeAudio(mixed, request.format, request.quality),
+      request.format,
+      {
+        title,
+        software: `${packageJson.name} ${packageJson.version}`,
+        copyright: credits || undefined,
+        comment: credits
+          ? `Remix of ${sourceTitles}. Attribution: ${credits}`
+          : `Remix of ${sourceTitles}`,
+      }
+    );
+
+    const id = `remix_${randomUUID()}`;
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'goat-remix-'));
+    let stored;
+    try {
+      const filePath = path.join(dir, `${id}.${request.format}`);
+      await fsp.writeFile(filePath, file);
+      stored = await uploadRemix(filePath, id, { context: { title } });
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+
+    const remix = await this.remixes.create({
+      id,
+      title,
+      mode: request.mode,
+      tracks: request.tracks.map((track, i) => ({ ...track, start: mixed.starts[i] })),
+      attribution,
+      audio: {
+        url: stored.url,
+        public_id: stored.publicId,
+        format: request.format,
+        duration,
+        sample_rate: mixed.sampleRate,
+        channels: mixed.channels.length,
+        bytes: stored.bytes ?? file.length,
+      },
+      creator_ip: ip,
+    });
+
+    for (const screamId of ids) {
+      await this.repository.updateOne({ id: screamId }, { $inc: { remix_count: 1 } });
+    }
+
+    return this._format(remix.toObject());
+  }
+
+  /**
+   * Get a stored remix
+   * @param {string} id - Remix ID
+   * @returns {Promise<Object>} Remix record
+   * @throws {NotFoundError} If no remix has this ID
+   */
+  async getRemix(id) {
+    const remix = await this.remixes.findOne({ id }).lean();
+    if (!remix) {
+      throw new NotFoundError('Remix not found', 'remix');
+    }
+    return this._format(remix);
+  }
+}
+
+module.exports = RemixService;
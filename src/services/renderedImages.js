@@ -0,0 +1,163 @@
+// Images of scream audio kept in storage (goat-screams/images/<id>/<type>-<hash>). The default
+// renderings of GET /api/v1/screams/:id/image are drawn ahead of time, by a job queued when a
+// submission is approved and by scripts/generate-images.js for the existing catalog, so image
+// requests read them from storage; other sizes are drawn and stored on their first request.
+
+const { createHash } = require('crypto');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { toMono } = require('../audio/decode');
+const {
+  DEFAULT_IMAGE_WIDTH,
+  DEFAULT_IMAGE_HEIGHT,
+  IMAGE_RENDERER_VERSION,
+  renderImage,
+} = require('../audio/image');
+const { getMediaSource, readMedia, screamAudioTarget, decodeMedia } = require('./mediaSource');
+const { findRenderedImage, uploadRenderedImage } = require('./storage');
+const GoatScream = require('../models/GoatScream');
+const JobWorker = require('../queue/worker');
+const { getJobQueue } = require('../queue');
+const { NotFoundError } = require('../errors');
+
+// Job type of drawing a scream's default images
+const RENDER_IMAGES_JOB = 'render_images';
+
+// Renderings drawn ahead of time: the endpoint's defaults for each image type
+const PRERENDERED_IMAGES = ['spectrogram', 'waveform'].map(type => ({
+  type,
+  format: 'png',
+  width: DEFAULT_IMAGE_WIDTH,
+  height: DEFAULT_IMAGE_HEIGHT,
+}));
+
+/**
+ * Hash identifying a rendering of a given audio file: its ETag and the rendering options. New
+ * audio, or a new renderer, gets new images.
+ * @param {{etag: string}} stat - Validators of the audio (see mediaSource)
+ * @param {{type: string, format: string, width: number, height: number}} rendering
+ * @returns {string} 32 hex characters
+ */
+function renderedImageHash(stat, { type, format, width, height }) {
+  return createHash('sha1')
+    .update([stat.etag, IMAGE_RENDERER_VERSION, type, format, width, height].join('|'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Keep a rendered image in storage
+ * @param {string} screamId - Scream ID
+ * @param {string} name - Image name (<type>-<hash>)
+ * @param {string} format - png or svg
+ * @param {Buffer|string} body - Image bytes
+ * @returns {Promise<{publicId: string, url: string}>} Stored image
+ */
+async function storeRenderedImage(screamId, name, format, body) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'goat-image-'));
+  try {
+    const file = path.join(dir, `${name}.${format}`);
+    await fsp.writeFile(file, body);
+    return await uploadRenderedImage(file, screamId, name);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Draw the renderings of a scream's audio that storage does not have yet, and store them. The
+ * audio is only read and decoded when something is missing.
+ * @param {Object} scream - Scream with id and media.audio.mp3
+ * @param {Object} [options]
+ * @param {Object} [options.mediaSource] - Media source (default: getMediaSource())
+ * @param {Array<Object>} [options.renderings] - { type, format, width, height } to draw
+ *   (default PRERENDERED_IMAGES)
+ * @param {boolean} [options.force=false] - Draw renderings storage already has again
+ * @returns {Promise<{rendered: string[], stored: number}>} Names of the images drawn, and how
+ *   many were already in storage
+ * @throws {NotFoundError} If the scream's audio is missing
+ * @throws {ExternalServiceError} If the audio cannot be decoded
+ */
+async function prerenderImages(
+  scream,
+  { mediaSource = getMediaSource(), renderings = PRERENDERED_IMAGES, force = false } = {}
+) {
+  const target = await screamAudioTarget(scream);
+  const stat = target && (await mediaSource.stat(target));
+  if (!stat) {
+    throw new NotFoundError('Audio file not found', 'media');
+  }
+
+  const missing = [];
+  for (const rendering of renderings) {
+    const name = `${rendering.type}-${renderedImageHash(stat, rendering)}`;
+    if (force || !(await findRenderedImage(scream.id, name))) missing.push({ name, rendering });
+  }
+  if (!missing.length) return { rendered: [], stored: renderings.length };
+
+  const media = await readMedia(mediaSource, target);
+  if (!media) {
+    throw new NotFoundError('Audio file not found', 'media');
+  }
+  const { sampleRate, channels } = await decodeMedia(media);
+  const samples = toMono(channels);
+  for (const { name, rendering } of missing) {
+    const body = renderImage(samples, sampleRate, rendering);
+    await storeRenderedImage(scream.id, name, rendering.format, body);
+  }
+  return { rendered: missing.map(({ name }) => name), stored: renderings.length - missing.length };
+}
+
+/**
+ * Queue the drawing of a scream's default images
+ * @param {string} screamId - Scream ID
+ * @param {BaseJobQueue} [queue] - Queue (default: getJobQueue())
+ * @returns {Promise<Object>} The queued job
+ */
+function enqueueImageRendering(screamId, queue = getJobQueue()) {
+  return queue.enqueue(RENDER_IMAGES_JOB, { scream_id: screamId });
+}
+
+/**
+ * Draw and store the default images of a scream. Screams removed in the meantime are skipped.
+ * @param {{scream_id: string}} payload - Job payload
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the scream's audio is missing (not retried)
+ * @throws {Error} Media, decoding and storage errors (retried)
+ */
+async function renderScreamImages({ scream_id: screamId }) {
+  const scream = await GoatScream.findOne({ id: screamId }, { _id: 0, id: 1, media: 1 }).lean();
+  if (!scream) return;
+  await prerenderImages(scream);
+}
+
+/**
+ * Build the worker that draws the images of approved screams
+ * @param {BaseJobQueue} [queue] - Queue to work (default: getJobQueue())
+ * @param {Object} [options] - JobWorker options
+ * @returns {JobWorker}
+ */
+function createImageWorker(queue = null, options = {}) {
+  return new JobWorker(
+    queue,
+    {
+      [RENDER_IMAGES_JOB]: {
+        run: renderScreamImages,
+        isPermanent: err => err instanceof NotFoundError,
+      },
+    },
+    options
+  );
+}
+
+module.exports = {
+  RENDER_IMAGES_JOB,
+  PRERENDERED_IMAGES,
+  renderedImageHash,
+  storeRenderedImage,
+  prerenderImages,
+  enqueueImageRendering,
+  renderScreamImages,
+  createImageWorker,
+};
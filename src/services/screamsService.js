@@ -4,16 +4,149 @@ const { recordAccess } = require('../utils/stats');
 const { getDbStatus } = require('../db/connection');
 const { NotFoundError, ValidationError } = require('../errors');
 const { getStaticScreams } = require('../utils/staticScreams');
+const { decodeCursor, reverseSort, buildPageCursors } = require('../utils/cursor');
+const { parseFields, buildProjection, pickFields } = require('../utils/projection');
+const { parseFilterExpression } = require('../utils/filterExpression');
+const { SCALE_MODES, parseNote, noteName, requireNote, scaleNotes } = require('../utils/notes');
+const {
+  createSeed,
+  parseSeed,
+  parseWeightBy,
+  encodeSession,
+  decodeSession,
+} = require('../utils/sampling');
+const {
+  parseTimeZone,
+  localDate,
+  nextDayStart,
+  dayNumber,
+  dayDate,
+  dailyIndex,
+  cycleCutoff,
+  firstDayAfter,
+  nextCycleStart,
+} = require('../utils/daily');
+const { parseRange, isNotModified, ifRangeMatches } = require('../utils/httpRange');
+const {
+  MIN_WAVEFORM_POINTS,
+  MAX_WAVEFORM_POINTS,
+  computeWaveform,
+  selectPeaks,
+  renderWaveformSvg,
+} = require('../audio/waveform');
+const {
+  IMAGE_TYPES,
+  IMAGE_FORMATS,
+  IMAGE_CONTENT_TYPES,
+  DEFAULT_IMAGE_WIDTH,
+  DEFAULT_IMAGE_HEIGHT,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_WIDTH,
+  MAX_IMAGE_HEIGHT,
+  renderImage,
+} = require('../audio/image');
+const { toMono } = require('../audio/decode');
+const { ENCODE_FORMATS, QUALITY_TIERS } = require('../audio/encode');
+const {
+  mediaKey,
+  getMediaSource,
+  readMedia,
+  screamAudioTarget,
+  decodeMedia,
+} = require('./mediaSource');
+const { renderedImageHash, storeRenderedImage } = require('./renderedImages');
+const { sourceAudioUrl, getRendition } = require('./transcoder');
+const { signMediaUrl, findRenderedImage } = require('./storage');
 const cache = require('./cache');
+const { warn: logWarn } = require('../utils/logger');
+
+// Filter expression AST selecting screams with a detected primary note
+const HAS_PRIMARY_NOTE = { type: 'compare', field: 'analysis.primary_note', op: 'ne', value: null };
+
+// Chronological order behind the ordered index and the scream of the day
+const ORDERED_SORT = { date_added: 1, id: 1 };
+
+// Most ids accepted in `exclude`
+const MAX_EXCLUDE = 1000;
+
+// Most octaves a scale may span, and most notes in a chord
+const MAX_SCALE_OCTAVES = 4;
+const MAX_CHORD_NOTES = 12;
+
+// Content types of streamable audio formats
+const AUDIO_CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  webm: 'audio/webm',
+};
+
+// Rendered images only change with the audio or the renderer, both covered by the ETag
+const IMAGE_CACHE_CONTROL = 'public, max-age=604800, stale-while-revalidate=86400';
+
+/**
+ * Parse the comma-separated `exclude` id list of the random endpoint
+ * @param {string|string[]} value - Raw `exclude` value
+ * @returns {string[]} Ids to leave out
+ * @throws {ValidationError} If more than MAX_EXCLUDE ids are given
+ */
+function parseExclude(value) {
+  if (!value) return [];
+  const ids = Array.from(
+    new Set(
+      (Array.isArray(value) ? value.join(',') : String(value))
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean)
+    )
+  );
+  if (ids.length > MAX_EXCLUDE) {
+    throw new ValidationError(`exclude accepts at most ${MAX_EXCLUDE} ids`, {
+      field: 'exclude',
+      value: ids.length,
+    });
+  }
+  return ids;
+}
+
+/**
+ * Compare two static screams in ORDERED_SORT order. Screams without a date_added come first,
+ * as in a MongoDB sort.
+ * @private
+ */
+function compareOrdered(a, b) {
+  const at = a.date_added == null ? -Infinity : new Date(a.date_added).getTime();
+  const bt = b.date_added == null ? -Infinity : new Date(b.date_added).getTime();
+  if (at !== bt) return at < bt ? -1 : 1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+/**
+ * Build the filter expression for screams added before an instant. Screams without a
+ * date_added sort first in the ordered index, so they count as added before any instant.
+ * @private
+ */
+function addedBefore(instant) {
+  return {
+    type: 'or',
+    children: [
+      { type: 'compare', field: 'date_added', op: 'lt', value: instant },
+      { type: 'compare', field: 'date_added', op: 'eq', value: null },
+    ],
+  };
+}
 
 /**
  * Service layer for screams operations
  * Handles business logic and delegates data access to repositories
  */
 class ScreamsService {
-  constructor(repository = null) {
+  constructor(repository = null, mediaSource = null) {
     // Allow injection for testing, otherwise get dynamically
     this._repository = repository;
+    this._mediaSource = mediaSource;
   }
 
   get repository() {
@@ -21,15 +154,23 @@ class ScreamsService {
     return this._repository || getScreamsRepository();
   }
 
+  get mediaSource() {
+    // Get media source from env unless one was injected
+    return this._mediaSource || getMediaSource();
+  }
+
   /**
    * Get paginated list of screams
    * @param {Object} query - Query parameters
    * @param {string} query.include_unapproved - Include unapproved screams
    * @param {string} query.limit - Page size
    * @param {string} query.page - Page number
+   * @param {string} query.cursor - Opaque next_cursor/prev_cursor token (takes precedence over page)
    * @param {string} query.all - Return all results (up to 5000)
+   * @param {string} query.fields - Comma-separated field paths to return (sparse fieldset)
+   * @param {string} query.filter - Filter expression, e.g. `audio.intensity>=7 and tags has "alarm"`
    * @param {Object} query - Additional filter parameters
-   * @returns {Promise<Object>} Paginated result with items, total, page, limit
+   * @returns {Promise<Object>} Paginated result with items, total, page, limit and cursors
    */
   async getScreams(query) {
     const includeUnapproved =
@@ -48,23 +189,63 @@ class ScreamsService {
     const page = Math.max(1, Number.isNaN(rawPage) ? 1 : rawPage);
 
     const filter = buildMongoFilter(query, { includeUnapproved });
-    const [items, total] = await Promise.all([
-      this.repository.find(filter, {
-        sort: { date_added: 1, id: 1 },
-        skip: (page - 1) * limit,
-        limit,
-      }),
-      this.repository.count(filter),
-    ]);
+    const sort = { date_added: 1, id: 1 };
+    const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+    const fields = parseFields(query.fields);
+    const expression = query.filter ? parseFilterExpression(query.filter) : undefined;
+    // Sort keys are always fetched so cursors can be built, then trimmed below
+    const projection = buildProjection(fields, Object.keys(sort));
+
+    let items;
+    let cursors;
+    let total;
+    if (cursor) {
+      // Keyset pagination: fetch one extra row to learn whether another page exists
+      const backwards = cursor.direction === 'prev';
+      let rows;
+      [rows, total] = await Promise.all([
+        this.repository.find(filter, {
+          sort: backwards ? reverseSort(sort) : sort,
+          after: cursor.after,
+          limit: limit + 1,
+          projection,
+          expression,
+        }),
+        this.repository.count(filter, { expression }),
+      ]);
+      const hasMore = rows.length > limit;
+      items = rows.slice(0, limit);
+      if (backwards) items.reverse();
+      cursors = buildPageCursors(items, sort, {
+        hasPrev: backwards ? hasMore : true,
+        hasNext: backwards ? true : hasMore,
+      });
+    } else {
+      [items, total] = await Promise.all([
+        this.repository.find(filter, {
+          sort,
+          skip: (page - 1) * limit,
+          limit,
+          projection,
+          expression,
+        }),
+        this.repository.count(filter, { expression }),
+      ]);
+      cursors = buildPageCursors(items, sort, {
+        hasPrev: page > 1,
+        hasNext: page * limit < total,
+      });
+    }
 
     const db = getDbStatus();
     return {
-      page,
+      page: cursor ? null : page,
       limit,
       total,
       totalPages: total === 0 ? 0 : Math.ceil(total / limit),
       source: db.connected ? 'mongo' : 'static',
-      items,
+      ...cursors,
+      items: pickFields(items, fields),
     };
   }
 
@@ -74,17 +255,66 @@ class ScreamsService {
    * @param {string} query.results - Number of random results (default: 1, max: 50)
    * @param {string} query.sort - Sort field
    * @param {string} query.direction - Sort direction (asc/desc)
+   * @param {string} query.fields - Comma-separated field paths to return (sparse fieldset)
+   * @param {string} query.seed - Seed for reproducible picks
+   * @param {string} query.weight_by - Weight picks by intensity, popularity or recency
+   * @param {string} query.exclude - Comma-separated ids to leave out; once every scream in the
+   *   filtered pool is excluded, picks start over from the whole pool
+   * @param {string} query.session - Shuffle session: "new" or the `session` of a previous
+   *   response; pages through the filtered pool without repeats, then starts a new cycle
    * @param {Object} query - Additional filter parameters
-   * @returns {Promise<Object|Array>} Single scream object or array of screams
+   * @returns {Promise<Object|Array>} Single scream object or array of screams; in a shuffle
+   *   session, { items, session, cycle, remaining }
    */
   async getRandomScreams(query) {
     const { results = 1, sort, direction = 'desc' } = query;
+    const field = sort === 'intensity' ? 'audio.intensity' : sort;
 
     // Random results should not be cached to keep successive calls fresh
     const filter = buildMongoFilter(query);
     const n = Math.max(1, Math.min(parseInt(results, 10) || 1, 50));
+    const fields = parseFields(query.fields);
+    // The sort field is needed by the in-memory sort
+    const projection = buildProjection(fields, field ? [field] : []);
+    const seed = parseSeed(query.seed);
+    const weightBy = parseWeightBy(query.weight_by);
 
-    const picks = await this.repository.findRandom(filter, n);
+    let picks;
+    let session;
+    if (query.session) {
+      // Each cycle walks one seeded order of the pool; the token remembers the position
+      const state = decodeSession(query.session, seed);
+      const total = await this.repository.count(filter);
+      let { cycle, offset } = state;
+      if (offset >= total) {
+        cycle += 1;
+        offset = 0;
+      }
+      picks = await this.repository.findRandom(filter, n, {
+        projection,
+        seed: `${state.seed}:${cycle}`,
+        weightBy,
+        skip: offset,
+      });
+      offset += picks.length;
+      session = {
+        session: encodeSession({ seed: state.seed, cycle, offset }),
+        cycle,
+        remaining: Math.max(0, total - offset),
+      };
+    } else {
+      const exclude = parseExclude(query.exclude);
+      // Weighted picks use the seeded order too, with a fresh seed when none was given
+      const options = { projection };
+      if (exclude.length) options.exclude = exclude;
+      if (seed !== undefined || weightBy) options.seed = seed ?? createSeed();
+      if (weightBy) options.weightBy = weightBy;
+      picks = await this.repository.findRandom(filter, n, options);
+      if (!picks.length && exclude.length) {
+        // Everything was excluded: the client has cycled through the pool, so start over
+        picks = await this.repository.findRandom(filter, n, { ...options, exclude: [] });
+      }
+    }
 
     if (!picks.length) {
       throw new NotFoundError('No screams available');
@@ -93,7 +323,6 @@ class ScreamsService {
     // Sort if requested
     if (sort && picks.length > 1) {
       const dir = direction === 'asc' ? 1 : -1;
-      const field = sort === 'intensity' ? 'audio.intensity' : sort;
       picks.sort((a, b) => {
         const av = field.includes('.') ? deepGet(a, field) : a[field];
         const bv = field.includes('.') ? deepGet(b, field) : b[field];
@@ -108,7 +337,9 @@ class ScreamsService {
       await recordAccess(picks);
     }
 
-    return n === 1 ? picks[0] : picks;
+    const items = pickFields(picks, fields);
+    if (session) return { items, ...session };
+    return n === 1 ? items[0] : items;
   }
 
   /**
@@ -124,14 +355,107 @@ class ScreamsService {
     return scream;
   }
 
+  /**
+   * Get a single scream with a computed block of related screams
+   * Related candidates share the same source title, the same primary note,
+   * or an intensity within one step of the requested scream.
+   * @param {string} id - Scream ID
+   * @param {Object} query - Query parameters
+   * @param {string} query.related_limit - Number of related screams (default: 5, max: 20)
+   * @returns {Promise<Object>} Scream object with a `related` array
+   */
+  async getScreamDetail(id, query = {}) {
+    const scream = await this.getScreamById(id);
+
+    const rawLimit = parseInt(query.related_limit, 10);
+    const relatedLimit = Math.max(0, Math.min(Number.isNaN(rawLimit) ? 5 : rawLimit, 20));
+    const related = relatedLimit > 0 ? await this._findRelated(scream, relatedLimit) : [];
+
+    return { ...scream, related };
+  }
+
+  /**
+   * Find and rank screams related to the given scream
+   * @private
+   * @param {Object} scream - Reference scream
+   * @param {number} limit - Maximum number of related screams
+   * @returns {Promise<Array>} Related scream summaries, best match first
+   */
+  async _findRelated(scream, limit) {
+    const sourceTitle = scream.source?.title;
+    const note = scream.analysis?.primary_note;
+    const intensity = scream.audio?.intensity;
+
+    const filters = [];
+    if (sourceTitle) filters.push({ approved: true, 'source.title': sourceTitle });
+    // Same case-insensitive match as ?note=, which the ranking below agrees with
+    if (note) filters.push(buildMongoFilter({ note }));
+    if (typeof intensity === 'number') {
+      filters.push({
+        approved: true,
+        'audio.intensity': { $gte: intensity - 1, $lte: intensity + 1 },
+      });
+    }
+
+    // Over-fetch per criterion so ranking has room once the scream itself is dropped
+    const candidateLists = await Promise.all(
+      filters.map(filter =>
+        this.repository.find(filter, { sort: { date_added: 1, id: 1 }, limit: limit * 4 })
+      )
+    );
+
+    const candidates = new Map();
+    candidateLists.flat().forEach(candidate => {
+      if (candidate.id !== scream.id && !candidates.has(candidate.id)) {
+        candidates.set(candidate.id, candidate);
+      }
+    });
+
+    const ranked = Array.from(candidates.values()).map(candidate => {
+      const reasons = [];
+      if (sourceTitle && candidate.source?.title === sourceTitle) reasons.push('same_source');
+      if (note && candidate.analysis?.primary_note?.toLowerCase() === note.toLowerCase()) {
+        reasons.push('same_note');
+      }
+      const candidateIntensity = candidate.audio?.intensity;
+      const intensityDelta =
+        typeof intensity === 'number' && typeof candidateIntensity === 'number'
+          ? Math.abs(candidateIntensity - intensity)
+          : Infinity;
+      if (intensityDelta <= 1) reasons.push('similar_intensity');
+      return { candidate, reasons, intensityDelta };
+    });
+
+    // More shared traits first, then closest intensity, then id for a stable order
+    ranked.sort(
+      (a, b) =>
+        b.reasons.length - a.reasons.length ||
+        a.intensityDelta - b.intensityDelta ||
+        (a.candidate.id < b.candidate.id ? -1 : 1)
+    );
+
+    return ranked.slice(0, limit).map(({ candidate, reasons }) => ({
+      id: candidate.id,
+      title: candidate.title,
+      source_title: candidate.source?.title || null,
+      primary_note: candidate.analysis?.primary_note || null,
+      intensity: candidate.audio?.intensity ?? null,
+      reasons,
+    }));
+  }
+
   /**
    * Get scream by ordered index
    * @param {string} index - Index or range (e.g., "5" or "5-10")
+   * @param {Object} options - Options
+   * @param {string} options.fields - Comma-separated field paths to return (sparse fieldset)
    * @returns {Promise<Object|Array>} Single scream or array of screams
    */
-  async getScreamByOrderedIndex(index) {
+  async getScreamByOrderedIndex(index, options = {}) {
     const isRange = index.includes('-');
     const db = getDbStatus();
+    const fields = parseFields(options.fields);
+    const projection = buildProjection(fields);
 
     if (db.connected) {
       if (isRange) {
@@ -142,12 +466,13 @@ class ScreamsService {
         const screams = await this.repository.find(
           { approved: true },
           {
-            sort: { date_added: 1 },
+            sort: ORDERED_SORT,
             skip: start,
             limit,
+            projection,
           }
         );
-        return screams;
+        return pickFields(screams, fields);
       }
 
       const i = Math.max(0, parseInt(index, 10));
@@ -157,28 +482,28 @@ class ScreamsService {
       const screams = await this.repository.find(
         { approved: true },
         {
-          sort: { date_added: 1 },
+          sort: ORDERED_SORT,
           skip: i,
           limit: 1,
+          projection,
         }
       );
       if (!screams.length) {
         throw new NotFoundError('Scream not found', 'scream');
       }
-      return screams[0];
+      return pickFields(screams, fields)[0];
     }
 
     // Static fallback
+    const copy = doc => (fields ? pickFields([doc], fields)[0] : clone(doc));
     const staticScreams = getStaticScreams();
-    const list = [...staticScreams]
-      .filter(s => s.approved !== false)
-      .sort((a, b) => new Date(a.date_added) - new Date(b.date_added));
+    const list = staticScreams.filter(s => s.approved !== false).sort(compareOrdered);
 
     if (isRange) {
       const [startStr, endStr] = index.split('-');
       const start = Math.max(0, parseInt(startStr, 10));
       const end = Math.max(start, parseInt(endStr, 10));
-      const slice = list.slice(start, end + 1).map(clone);
+      const slice = list.slice(start, end + 1).map(copy);
       return slice;
     }
 
@@ -186,19 +511,119 @@ class ScreamsService {
     if (Number.isNaN(i) || i >= list.length) {
       throw new NotFoundError('Scream not found', 'scream');
     }
-    return clone(list[i]);
+    return copy(list[i]);
+  }
+
+  /**
+   * Get the scream of the day: the same for every caller during a calendar day and fixed once
+   * the day has begun, rotating through the approved catalog in cycles (see utils/daily) so no
+   * scream repeats within a cycle
+   * @param {Object} query - Query parameters
+   * @param {string} query.date - Day to look up as YYYY-MM-DD (default: today; not in the future)
+   * @param {string} query.tz - IANA time zone whose calendar days are used (default: UTC)
+   * @param {string} query.fields - Comma-separated field paths to return (sparse fieldset)
+   * @returns {Promise<Object>} { date, tz, index, cycle_start, cycle_length, next_change_at,
+   *   scream }
+   */
+  async getDailyScream(query = {}) {
+    const tz = parseTimeZone(query.tz);
+    const now = new Date();
+    const today = localDate(now, tz);
+    const date = query.date ? String(query.date) : today;
+    const day = dayNumber(date);
+    if (day > dayNumber(today)) {
+      throw new ValidationError('date cannot be in the future', { field: 'date', value: date });
+    }
+
+    const cycle = await this._dailyCycle(day);
+    if (!cycle) {
+      throw new NotFoundError('No screams available');
+    }
+
+    // A cycle holds the first `size` screams of the ordered index: later ones were added
+    // after its cutoff and sort after them. It repeats until screams have been added.
+    const position = (day - cycle.start_day) % cycle.size;
+    const index = dailyIndex(position, cycle.size);
+    const scream = await this.getScreamByOrderedIndex(String(index), { fields: query.fields });
+    return {
+      date,
+      tz,
+      index,
+      cycle_start: dayDate(day - position),
+      cycle_length: cycle.size,
+      next_change_at: date === today ? nextDayStart(now, tz).toISOString() : null,
+      scream,
+    };
+  }
+
+  /**
+   * Find the rotation cycle a day falls in, storing the cycles that have begun up to it.
+   * The first cycle starts the day after the earliest approved scream was added; each later
+   * one starts at the first boundary of the previous cycle after a scream was added.
+   * @private
+   * @param {number} day - Day number (not in the future)
+   * @returns {Promise<Object|null>} { cycle, start_day, size }, or null before the first cycle
+   */
+  async _dailyCycle(day) {
+    const repository = this.repository;
+    const firstAdded = async expression => {
+      const [scream] = await repository.find(
+        { approved: true },
+        { sort: ORDERED_SORT, limit: 1, projection: { id: 1, date_added: 1 }, expression }
+      );
+      return scream;
+    };
+    const startCycle = async (number, startDay) =>
+      repository.saveDailyCycle({
+        cycle: number,
+        start_day: startDay,
+        size: await repository.count(
+          { approved: true },
+          { expression: addedBefore(cycleCutoff(startDay)) }
+        ),
+      });
+
+    const cycles = await repository.findDailyCycles();
+    if (!cycles.length) {
+      const earliest = await firstAdded();
+      if (!earliest) return null;
+      const startDay = firstDayAfter(earliest.date_added ?? null);
+      if (startDay > day) return null;
+      cycles.push(await startCycle(0, startDay));
+    }
+
+    // Extend the stored cycles while the next one has already begun by `day`
+    for (;;) {
+      const last = cycles[cycles.length - 1];
+      if (last.start_day + last.size > day) break;
+      const added = await firstAdded({
+        type: 'compare',
+        field: 'date_added',
+        op: 'gte',
+        value: cycleCutoff(last.start_day),
+      });
+      if (!added) break;
+      const startDay = nextCycleStart(last, added.date_added);
+      if (startDay > day) break;
+      cycles.push(await startCycle(last.cycle + 1, startDay));
+    }
+
+    return cycles.filter(cycle => cycle.start_day <= day).pop() || null;
   }
 
   /**
    * Get most intense screams
    * @param {number} limit - Maximum number of screams to return
+   * @param {Object} options - Options
+   * @param {string} options.fields - Comma-separated field paths to return (sparse fieldset)
    * @returns {Promise<Array>} Array of screams sorted by intensity
    */
-  async getIntenseScreams(limit = 10) {
+  async getIntenseScreams(limit = 10, options = {}) {
     const limitNum = Math.max(1, parseInt(limit, 10) || 10);
+    const fields = parseFields(options.fields);
 
     // Check cache for intense screams (60s TTL)
-    const cacheKey = cache.generateKey('screams:intense', { limit: limitNum });
+    const cacheKey = cache.generateKey('screams:intense', { limit: limitNum, fields });
     const cached = await cache.get(cacheKey);
     if (cached) {
       return cached;
@@ -209,6 +634,7 @@ class ScreamsService {
       {
         sort: { 'audio.intensity': -1 },
         limit: limitNum,
+        projection: buildProjection(fields),
       }
     );
 
@@ -218,10 +644,163 @@ class ScreamsService {
       await recordAccess(screams);
     }
 
+    const items = pickFields(screams, fields);
     // Cache result (60s TTL)
-    await cache.set(cacheKey, screams, 60);
+    await cache.set(cacheKey, items, 60);
 
-    return screams;
+    return items;
+  }
+
+  /**
+   * Build a scale out of screams: one approved scream per scale degree
+   * @param {Object} query - Query parameters
+   * @param {string} query.root - Root note with octave (e.g. "C4", "Bb3")
+   * @param {string} query.mode - Scale mode, a key of SCALE_MODES (default: major)
+   * @param {string} query.octaves - Octaves to span (default: 1, max: 4)
+   * @param {string} query.fields - Comma-separated field paths to return (sparse fieldset)
+   * @returns {Promise<Object>} { root, mode, octaves, notes: [{ degree, note, matched_note, offset, scream }] }
+   */
+  async getScale(query = {}) {
+    if (!query.root) {
+      throw new ValidationError('root is required', { field: 'root' });
+    }
+    const root = requireNote(query.root, 'root', query.root, { octave: true });
+
+    const mode = String(query.mode || 'major').toLowerCase();
+    if (!SCALE_MODES[mode]) {
+      throw new ValidationError(`Unknown mode. Allowed: ${Object.keys(SCALE_MODES).join(', ')}`, {
+        field: 'mode',
+        value: query.mode,
+      });
+    }
+
+    const rawOctaves = parseInt(query.octaves, 10);
+    const octaves = Number.isNaN(rawOctaves) ? 1 : rawOctaves;
+    if (octaves < 1 || octaves > MAX_SCALE_OCTAVES) {
+      throw new ValidationError(`octaves must be between 1 and ${MAX_SCALE_OCTAVES}`, {
+        field: 'octaves',
+        value: query.octaves,
+      });
+    }
+
+    const notes = await this._matchPitches(scaleNotes(root.midi, mode, octaves), query.fields);
+    return {
+      root: noteName(root.midi),
+      mode,
+      octaves,
+      notes: notes.map((note, i) => ({ degree: i + 1, ...note })),
+    };
+  }
+
+  /**
+   * Build a chord out of screams: one approved scream per chord note
+   * @param {Object} query - Query parameters
+   * @param {string} query.notes - Comma-separated notes with octave (e.g. "C4,E4,G4")
+   * @param {string} query.fields - Comma-separated field paths to return (sparse fieldset)
+   * @returns {Promise<Object>} { notes: [{ note, matched_note, offset, scream }] }
+   */
+  async getChord(query = {}) {
+    const list = String(query.notes || '')
+      .split(',')
+      .map(note => note.trim())
+      .filter(Boolean);
+    if (!list.length || list.length > MAX_CHORD_NOTES) {
+      throw new ValidationError(`notes must list between 1 and ${MAX_CHORD_NOTES} notes`, {
+        field: 'notes',
+        value: query.notes,
+      });
+    }
+    const targets = list.map(
+      note => requireNote(note, 'notes', query.notes, { octave: true }).midi
+    );
+
+    return { notes: await this._matchPitches(targets, query.fields) };
+  }
+
+  /**
+   * Pick the approved scream whose primary note is closest to each target pitch.
+   * Ties go to a scream not already picked for another target, then to the lowest id,
+   * so the same request always returns the same screams.
+   * @private
+   * @param {number[]} targets - Target MIDI numbers
+   * @param {string} fields - Raw `fields` value for the returned screams
+   * @returns {Promise<Array>} Per target: { note, matched_note, offset, scream } (nulls when no
+   *   scream has a primary note)
+   */
+  async _matchPitches(targets, fields) {
+    const fieldList = parseFields(fields);
+
+    // Check cache (60s TTL)
+    const cacheKey = cache.generateKey('screams:pitches', { targets, fields: fieldList });
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const candidates = (
+      await this.repository.find(
+        { approved: true },
+        {
+          projection: buildProjection(['id', 'analysis.primary_note']),
+          expression: HAS_PRIMARY_NOTE,
+        }
+      )
+    )
+      .map(doc => ({
+        id: doc.id,
+        name: doc.analysis.primary_note,
+        midi: parseNote(doc.analysis.primary_note)?.midi,
+      }))
+      .filter(candidate => candidate.midi != null);
+
+    // Closest pitch first, then a scream not used yet, then lowest id
+    const used = new Set();
+    const compare = (a, b) =>
+      a.distance - b.distance || a.used - b.used || (a.candidate.id < b.candidate.id ? -1 : 1);
+    const picks = targets.map(target => {
+      let best = null;
+      candidates.forEach(candidate => {
+        const entry = {
+          candidate,
+          distance: Math.abs(candidate.midi - target),
+          used: used.has(candidate.id) ? 1 : 0,
+        };
+        if (!best || compare(entry, best) < 0) best = entry;
+      });
+      if (best) used.add(best.candidate.id);
+      return best && best.candidate;
+    });
+
+    // Fetch the picked screams in full (or with the requested fields)
+    const screams = used.size
+      ? await this.repository.find(
+          { approved: true },
+          {
+            projection: buildProjection(fieldList),
+            expression: { type: 'compare', field: 'id', op: 'in', value: Array.from(used) },
+          }
+        )
+      : [];
+    const db = getDbStatus();
+    if (db.connected) {
+      await recordAccess(screams);
+    }
+    const byId = new Map(pickFields(screams, fieldList).map(scream => [scream.id, scream]));
+
+    const result = targets.map((target, i) => {
+      const pick = picks[i];
+      return {
+        note: noteName(target),
+        matched_note: pick ? pick.name : null,
+        offset: pick ? pick.midi - target : null,
+        scream: pick ? byId.get(pick.id) || null : null,
+      };
+    });
+
+    // Cache result (60s TTL)
+    await cache.set(cacheKey, result, 60);
+
+    return result;
   }
 
   /**
@@ -247,14 +826,11 @@ class ScreamsService {
   }
 
   /**
-   * Get download URL for a scream
-   * @param {string} id - Scream ID
-   * @param {string} format - Audio format (mp3, wav, ogg)
-   * @param {string} quality - Quality level (high, medium, low)
-   * @returns {Promise<Object>} Download information
+   * Look up the stored URL of a scream's audio variant
+   * @private
+   * @throws {ValidationError} If the format or quality is not available
    */
-  async getDownloadUrl(id, format = 'mp3', quality = 'medium') {
-    const scream = await this.getScreamById(id);
+  _audioUrl(scream, format, quality) {
     const audioFormats = scream.media?.audio || {};
     const formatObj = audioFormats[format];
 
@@ -274,6 +850,189 @@ class ScreamsService {
         supported_qualities: Object.keys(formatObj),
       });
     }
+    return url;
+  }
+
+  /**
+   * Stream a scream's audio through the API, honouring Range and conditional requests
+   * @param {string} id - Scream ID
+   * @param {Object} options - Stream options
+   * @param {string} options.format - Audio format (default: mp3)
+   * @param {string} options.quality - Audio quality (default: medium)
+   * @param {Object} options.headers - Request headers with lower-case names
+   * @param {boolean} options.head - HEAD request: headers only, no body
+   * @returns {Promise<Object>} { status, headers, body } where body is a Readable or null
+   */
+  async getStream(id, { format = 'mp3', quality = 'medium', headers = {}, head = false } = {}) {
+    const scream = await this.getScreamById(id);
+    const url = this._audioUrl(scream, format, quality);
+    const source = this.mediaSource;
+    // Private buckets hand out signed URLs; the storage key comes from the stored URL
+    const target = { url: await signMediaUrl(url), key: mediaKey(url) };
+
+    const stat = await source.stat(target);
+    if (!stat) {
+      throw new NotFoundError('Audio file not found', 'media');
+    }
+
+    const responseHeaders = {
+      'Accept-Ranges': 'bytes',
+      'Content-Type': AUDIO_CONTENT_TYPES[format] || 'application/octet-stream',
+      'Content-Disposition': `inline; filename="goat_scream_${scream.id}.${format}"`,
+      ETag: stat.etag,
+    };
+    if (stat.lastModified) {
+      responseHeaders['Last-Modified'] = stat.lastModified.toUTCString();
+    }
+
+    if (isNotModified(headers, stat)) {
+      return { status: 304, headers: responseHeaders, body: null };
+    }
+
+    const range = ifRangeMatches(headers, stat) ? parseRange(headers.range, stat.size) : null;
+    if (range && range.unsatisfiable) {
+      return {
+        status: 416,
+        headers: { ...responseHeaders, 'Content-Range': `bytes */${stat.size}` },
+        body: null,
+      };
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stat.size - 1;
+    const status = range ? 206 : 200;
+    responseHeaders['Content-Length'] = String(end - start + 1);
+    if (range) {
+      responseHeaders['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    }
+    if (head || stat.size === 0) {
+      return { status, headers: responseHeaders, body: null };
+    }
+
+    // Count a play once per playback: players fetch the start first, then seek with ranges
+    const db = getDbStatus();
+    if (db.connected && start === 0) {
+      await this.repository.updateOne(
+        { id: scream.id },
+        {
+          $inc: { 'stats.plays': 1 },
+          $set: {
+            'stats.last_accessed_at': new Date(),
+            'stats.last_accessed_date': new Date().toISOString().slice(0, 10),
+          },
+        }
+      );
+      await recordAccess([scream]);
+    }
+
+    const body = await source.read(target, { start, end });
+    return { status, headers: responseHeaders, body };
+  }
+
+  /**
+   * Parse the trimming, fade and normalisation options of a download
+   * @private
+   * @returns {Object} Edits for the transcoder ({} when none were requested)
+   * @throws {ValidationError} If a time is not a non-negative number or end is not after start
+   */
+  _downloadEdits({ start, end, fade_in: fadeIn, fade_out: fadeOut, normalize } = {}) {
+    const seconds = (value, field) => {
+      if (value === undefined || value === null || value === '') return undefined;
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed < 0) {
+        throw new ValidationError(`${field} must be a non-negative number of seconds`, {
+          field,
+          value,
+        });
+      }
+      return parsed;
+    };
+
+    const edits = {
+      start: seconds(start, 'start'),
+      end: seconds(end, 'end'),
+      fadeIn: seconds(fadeIn, 'fade_in'),
+      fadeOut: seconds(fadeOut, 'fade_out'),
+      normalize: parseBoolean(normalize) || undefined,
+    };
+    if (edits.end !== undefined && edits.end <= (edits.start || 0)) {
+      throw new ValidationError('end must be after start', { field: 'end', value: end });
+    }
+    // Drop no-op edits so equivalent requests share a rendition
+    return Object.fromEntries(Object.entries(edits).filter(([, value]) => value));
+  }
+
+  /**
+   * Look up a stored variant that can be handed out as is: lower tiers that share their URL
+   * with a higher one are not real tiers and get transcoded instead
+   * @private
+   */
+  _storedVariant(scream, format, quality) {
+    const variants = scream.media?.audio?.[format] || {};
+    const url = variants[quality];
+    const higher = QUALITY_TIERS.slice(0, QUALITY_TIERS.indexOf(quality));
+    return url && !higher.some(tier => variants[tier] === url) ? url : null;
+  }
+
+  /**
+   * Get download URL for a scream. Stored variants are returned directly; other formats and
+   * quality tiers, and any trimmed, faded or normalised download, are transcoded on demand and
+   * cached in storage.
+   * @param {string} id - Scream ID
+   * @param {string} format - Audio format (mp3, wav, ogg)
+   * @param {string} quality - Quality level (high, medium, low)
+   * @param {Object} options - Edits, as sent by the client
+   * @param {number} options.start - Trim start in seconds
+   * @param {number} options.end - Trim end in seconds
+   * @param {number} options.fade_in - Fade-in length in seconds
+   * @param {number} options.fade_out - Fade-out length in seconds
+   * @param {boolean} options.normalize - Normalise loudness
+   * @returns {Promise<Object>} Download information
+   */
+  async getDownloadUrl(id, format = 'mp3', quality = 'medium', options = {}) {
+    const edits = this._downloadEdits(options);
+    const scream = await this.getScreamById(id);
+    const audio = scream.media?.audio || {};
+
+    const canTranscode = Boolean(sourceAudioUrl(scream));
+    const formats = Array.from(
+      new Set([...Object.keys(audio), ...(canTranscode ? ENCODE_FORMATS : [])])
+    );
+    if (!formats.includes(format)) {
+      throw new ValidationError('Unsupported audio format', {
+        field: 'format',
+        value: format,
+        supported_formats: formats,
+      });
+    }
+    const transcodable = canTranscode && ENCODE_FORMATS.includes(format);
+    const qualities = transcodable ? QUALITY_TIERS : Object.keys(audio[format]);
+    if (!qualities.includes(quality)) {
+      throw new ValidationError('Unsupported quality for requested format', {
+        field: 'quality',
+        value: quality,
+        supported_qualities: qualities,
+      });
+    }
+    const hasEdits = Object.keys(edits).length > 0;
+    if (hasEdits && !transcodable) {
+      throw new ValidationError(
+        `Trimming, fades and normalization require one of: ${ENCODE_FORMATS.join(', ')}`,
+        { field: 'format', value: format }
+      );
+    }
+
+    let url = hasEdits ? null : this._storedVariant(scream, format, quality);
+    if (!url && !transcodable) url = audio[format][quality];
+    let rendition = null;
+    if (!url) {
+      rendition = await getRendition(
+        scream,
+        { format, quality, edits },
+        { mediaSource: this.mediaSource }
+      );
+      url = rendition.url;
+    }
 
     // Update download stats (MongoDB only - static data is immutable)
     const db = getDbStatus();
@@ -291,12 +1050,220 @@ class ScreamsService {
       await recordAccess([scream]);
     }
 
-    return {
-      download_url: url,
+    const filename = `goat_scream_${scream.id}.${format}`;
+    const result = {
+      download_url: await signMediaUrl(url, { filename }),
       format,
       quality,
-      filename: `goat_scream_${scream.id}.${format}`,
+      filename,
+      transcoded: Boolean(rendition),
     };
+    if (rendition) {
+      result.cached = rendition.cached;
+      result.duration = rendition.duration;
+    }
+    return result;
+  }
+
+  /**
+   * Get a scream's waveform peaks, as JSON data or an SVG rendering. Waveforms that were not
+   * generated ahead of time are computed from the audio on first request and stored.
+   * @param {string} id - Scream ID
+   * @param {Object} query - Query parameters
+   * @param {string} query.points - Number of peaks (default: 200, 10–1000)
+   * @param {string} query.format - json (default) or svg
+   * @returns {Promise<Object>} { format, data } where data is { id, points, duration, peaks }
+   *   for json and an SVG document string for svg
+   */
+  async getWaveform(id, query = {}) {
+    const format = query.format === undefined ? 'json' : String(query.format);
+    if (format !== 'json' && format !== 'svg') {
+      throw new ValidationError('Unsupported waveform format. Allowed: json, svg', {
+        field: 'format',
+        value: query.format,
+      });
+    }
+
+    const rawPoints = parseInt(query.points, 10);
+    const points = Number.isNaN(rawPoints) ? 200 : rawPoints;
+    if (points < MIN_WAVEFORM_POINTS || points > MAX_WAVEFORM_POINTS) {
+      throw new ValidationError(
+        `points must be between ${MIN_WAVEFORM_POINTS} and ${MAX_WAVEFORM_POINTS}`,
+        { field: 'points', value: query.points }
+      );
+    }
+
+    const scream = await this.getScreamById(id);
+    const waveform = await this._waveform(scream);
+    const peaks = waveform && selectPeaks(waveform.resolutions, points);
+    if (!peaks) {
+      throw new NotFoundError('Waveform not available for this scream', 'waveform');
+    }
+
+    if (format === 'svg') {
+      return { format, data: renderWaveformSvg(peaks) };
+    }
+    return {
+      format,
+      data: {
+        id: scream.id,
+        points,
+        duration: waveform.duration ?? scream.audio?.duration ?? null,
+        peaks,
+      },
+    };
+  }
+
+  /**
+   * Get a scream's stored waveform, or compute it from the audio and store it when none was
+   * generated (the static snapshot ships without a waveform sidecar)
+   * @private
+   * @returns {Promise<Object|null>} { duration, resolutions }, or null when the audio is missing
+   */
+  async _waveform(scream) {
+    const stored = await this.repository.findWaveform(scream.id);
+    if (stored) return stored;
+
+    const target = await screamAudioTarget(scream);
+    const media = target && (await readMedia(this.mediaSource, target));
+    if (!media) return null;
+    const decoded = await decodeMedia(media);
+    const mono = toMono(decoded.channels);
+    const waveform = {
+      duration: Number((mono.length / decoded.sampleRate).toFixed(2)),
+      resolutions: computeWaveform(mono),
+    };
+    try {
+      await this.repository.saveWaveform(scream.id, waveform);
+    } catch (err) {
+      logWarn('Waveform could not be stored', { id: scream.id, error: err.message });
+    }
+    return waveform;
+  }
+
+  /**
+   * Parse an image dimension
+   * @private
+   * @throws {ValidationError} If the value is outside MIN_IMAGE_SIZE..max
+   */
+  _imageSize(value, field, fallback, max) {
+    const parsed = parseInt(value, 10);
+    const size = Number.isNaN(parsed) ? fallback : parsed;
+    if (size < MIN_IMAGE_SIZE || size > max) {
+      throw new ValidationError(`${field} must be between ${MIN_IMAGE_SIZE} and ${max}`, {
+        field,
+        value,
+      });
+    }
+    return size;
+  }
+
+  /**
+   * Read a rendered image kept in storage, or render it and keep it there. The default
+   * renderings are drawn ahead of time (see services/renderedImages), so this only draws other
+   * sizes, or images of screams the backfill has not reached. Images are served whether or not
+   * storage is available; they are then rendered again until it is.
+   * @private
+   * @returns {Promise<Buffer>} Image bytes
+   */
+  async _renderedImage(scream, name, target, options) {
+    const source = this.mediaSource;
+    let stored;
+    try {
+      stored = await findRenderedImage(scream.id, name);
+    } catch (err) {
+      logWarn('Rendered image lookup failed', { id: scream.id, name, error: err.message });
+    }
+    if (stored) {
+      const image = await readMedia(source, {
+        url: await signMediaUrl(stored.url),
+        key: mediaKey(stored.url),
+      });
+      if (image) return image.buffer;
+    }
+
+    const media = await readMedia(source, target);
+    if (!media) {
+      throw new NotFoundError('Audio file not found', 'media');
+    }
+    const decoded = await decodeMedia(media);
+    const body = renderImage(toMono(decoded.channels), decoded.sampleRate, options);
+    // Storage is down, or the stored image is unreadable through this media source
+    if (stored !== null) return body;
+
+    try {
+      await storeRenderedImage(scream.id, name, options.format, body);
+    } catch (err) {
+      logWarn('Rendered image could not be stored', { id: scream.id, name, error: err.message });
+    }
+    return body;
+  }
+
+  /**
+   * Render a spectrogram or waveform image of a scream's audio, with a strong ETag derived from
+   * the audio's validators so unchanged images revalidate without being decoded again. Each
+   * rendering is kept in storage (goat-screams/images/<id>/<type>-<etag>) and served from there
+   * on later requests.
+   * @param {string} id - Scream ID
+   * @param {Object} query - Query parameters
+   * @param {string} query.type - spectrogram (default) or waveform
+   * @param {string} query.format - png (default) or svg
+   * @param {string} query.w - Width in pixels (default: 600, 16–2000)
+   * @param {string} query.h - Height in pixels (default: 200, 16–1000)
+   * @param {Object} options - Request options
+   * @param {Object} options.headers - Request headers with lower-case names
+   * @returns {Promise<Object>} { status, headers, body } where body is a Buffer, or null for 304
+   */
+  async getImage(id, query = {}, { headers = {} } = {}) {
+    const type = query.type === undefined ? 'spectrogram' : String(query.type);
+    if (!IMAGE_TYPES.includes(type)) {
+      throw new ValidationError(`Unsupported image type. Allowed: ${IMAGE_TYPES.join(', ')}`, {
+        field: 'type',
+        value: query.type,
+      });
+    }
+    const format = query.format === undefined ? 'png' : String(query.format);
+    if (!IMAGE_FORMATS.includes(format)) {
+      throw new ValidationError(`Unsupported image format. Allowed: ${IMAGE_FORMATS.join(', ')}`, {
+        field: 'format',
+        value: query.format,
+      });
+    }
+    const width = this._imageSize(query.w, 'w', DEFAULT_IMAGE_WIDTH, MAX_IMAGE_WIDTH);
+    const height = this._imageSize(query.h, 'h', DEFAULT_IMAGE_HEIGHT, MAX_IMAGE_HEIGHT);
+
+    const scream = await this.getScreamById(id);
+    const target = await screamAudioTarget(scream);
+    if (!target) {
+      throw new NotFoundError('Audio file not found', 'media');
+    }
+    const source = this.mediaSource;
+
+    const stat = await source.stat(target);
+    if (!stat) {
+      throw new NotFoundError('Audio file not found', 'media');
+    }
+    const hash = renderedImageHash(stat, { type, format, width, height });
+    const etag = `"${hash}"`;
+    const responseHeaders = {
+      'Content-Type': IMAGE_CONTENT_TYPES[format],
+      'Cache-Control': IMAGE_CACHE_CONTROL,
+      ETag: etag,
+    };
+    if (stat.lastModified) {
+      responseHeaders['Last-Modified'] = stat.lastModified.toUTCString();
+    }
+    if (isNotModified(headers, { etag, lastModified: stat.lastModified })) {
+      return { status: 304, headers: responseHeaders, body: null };
+    }
+
+    const body = await this._renderedImage(scream, `${type}-${hash}`, target, {
+      type,
+      format,
+      width,
+      height,
+    });
+    return { status: 200, headers: responseHeaders, body };
   }
 }
 
@@ -1,8 +1,284 @@
 const { getScreamsRepository } = require('../repositories');
-const { tokenize, inText, parseRange } = require('../utils/search');
+const { tokenize, parseRange } = require('../utils/search');
 const { recordAccess } = require('../utils/stats');
 const { getDbStatus } = require('../db/connection');
-const { getStaticScreams } = require('../utils/staticScreams');
+const staticScreams = require('../utils/staticScreams');
+const {
+  deepGet,
+  LOUDNESS_RANGES,
+  parseLoudnessRanges,
+  inMeasuredRange,
+} = require('../utils/filters');
+const {
+  decodeCursor,
+  reverseSort,
+  compareBySort,
+  getCursorValue,
+  buildPageCursors,
+} = require('../utils/cursor');
+const { parseFields, buildProjection, pickFields } = require('../utils/projection');
+const {
+  SEARCH_FIELDS,
+  buildSearchIndex,
+  getSearchIndex,
+  expandQuery,
+  searchIndex,
+  matchedFields,
+  roundScore,
+} = require('../utils/searchIndex');
+const {
+  SUGGESTION_FIELDS,
+  buildSuggestionIndex,
+  getSuggestionIndex,
+  suggest,
+} = require('../utils/suggestions');
+const {
+  FACET_FIELDS,
+  parseFacets,
+  buildFacetStage,
+  readFacetResult,
+  countFacet,
+} = require('../utils/facets');
+const { parseNoteFilters, noteFiltersToPredicates, noteFiltersToMongo } = require('../utils/notes');
+const { ValidationError } = require('../errors');
+
+// Sort specifications per sort_by value; `id` is the final tie-breaker so cursors are stable
+const SEARCH_SORTS = {
+  intensity: { 'audio.intensity': -1, id: 1 },
+  year: { year: -1, id: 1 },
+  duration: { 'audio.duration': -1, id: 1 },
+  relevance: { remix_count: -1, date_added: -1, id: 1 },
+};
+
+// Relevance order when a text query is present: full-text score first
+const TEXT_SORT = { score: -1, remix_count: -1, id: 1 };
+
+// How long the Mongo-mode vocabulary and suggestion corpus is reused before refreshing
+const CORPUS_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Resolve the sort specification for a search
+ * @param {string} sortBy - Requested sort_by value (unknown values fall back to relevance)
+ * @param {boolean} hasText - Whether the search has a text query
+ * @returns {Object} Sort specification
+ */
+function resolveSort(sortBy, hasText) {
+  if (sortBy !== 'relevance' && SEARCH_SORTS[sortBy]) return SEARCH_SORTS[sortBy];
+  return hasText ? TEXT_SORT : SEARCH_SORTS.relevance;
+}
+
+/**
+ * Read a sort value from a scored static search entry ({ s, score })
+ * @param {Object} entry - Scored entry
+ * @param {string} field - Sort field (`score` for the text relevance score)
+ * @returns {*} Sort value
+ */
+function getScoredValue(entry, field) {
+  return field === 'score' ? entry.score : deepGet(entry.s, field);
+}
+
+/**
+ * Parse and validate the range and note parameters shared by both search backends
+ * @param {Object} params - Search parameters
+ * @returns {{ir: Object|null, dr: Object|null, yr: Object|null, loudness: Object[], notes: Object}}
+ *   Intensity, duration and year ranges, loudness ranges from parseLoudnessRanges, and note
+ *   filters from parseNoteFilters
+ * @throws {ValidationError} If a range is given but neither bound parses, or a note filter is malformed
+ */
+function parseSearchParams(params) {
+  const { intensity_range, duration_range, years } = params;
+  const ir = parseRange(intensity_range);
+  const dr = parseRange(duration_range);
+  const yr = parseRange(years);
+
+  // Validate range formats - if provided but completely invalid (both min and max are null), throw validation error
+  if (intensity_range && ir && ir.min === null && ir.max === null) {
+    throw new ValidationError(
+      'Invalid intensity_range format. Expected format: "min-max" or "number"',
+      {
+        field: 'intensity_range',
+        value: intensity_range,
+      }
+    );
+  }
+  if (duration_range && dr && dr.min === null && dr.max === null) {
+    throw new ValidationError(
+      'Invalid duration_range format. Expected format: "min-max" or "number"',
+      {
+        field: 'duration_range',
+        value: duration_range,
+      }
+    );
+  }
+  if (years && yr && yr.min === null && yr.max === null) {
+    throw new ValidationError('Invalid years format. Expected format: "min-max" or "number"', {
+      field: 'years',
+      value: years,
+    });
+  }
+
+  const loudness = parseLoudnessRanges(params);
+  const invalid = Object.keys(LOUDNESS_RANGES).find(
+    param => params[param] && !loudness.some(entry => entry.param === param)
+  );
+  if (invalid) {
+    throw new ValidationError(`Invalid ${invalid} format. Expected format: "min-max" or "number"`, {
+      field: invalid,
+      value: params[invalid],
+    });
+  }
+
+  return { ir, dr, yr, loudness, notes: parseNoteFilters(params) };
+}
+
+/**
+ * Split a comma-separated parameter into trimmed, non-empty values
+ * @param {string} value - Raw parameter
+ * @returns {string[]} Values
+ */
+function parseList(value) {
+  return String(value)
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the MongoDB filter for the search parameters (text search is applied separately)
+ * @param {Object} params - Search parameters
+ * @param {Object} parsed - Parsed ranges and note filters from parseSearchParams
+ * @param {string} [omit] - Parameter to leave out, used for a facet's own filter
+ * @returns {Object} MongoDB filter
+ */
+function buildMongoSearchFilter(params, parsed, omit) {
+  const { tags, exclude_tags, has_video, source_type, meme_status, category } = params;
+  const { ir, dr, yr, loudness, notes } = parsed;
+  const filter = { approved: true };
+
+  if (ir && omit !== 'intensity_range') {
+    filter['audio.intensity'] = {};
+    if (ir.min != null) filter['audio.intensity'].$gte = ir.min;
+    if (ir.max != null) filter['audio.intensity'].$lte = ir.max;
+  }
+  if (dr && omit !== 'duration_range') {
+    filter['audio.duration'] = {};
+    if (dr.min != null) filter['audio.duration'].$gte = dr.min;
+    if (dr.max != null) filter['audio.duration'].$lte = dr.max;
+  }
+  if (yr && omit !== 'years') {
+    filter.year = {};
+    if (yr.min != null) filter.year.$gte = yr.min;
+    if (yr.max != null) filter.year.$lte = yr.max;
+  }
+  loudness.forEach(({ param, path, range }) => {
+    if (param === omit) return;
+    filter[path] = {};
+    if (range.min != null) filter[path].$gte = range.min;
+    if (range.max != null) filter[path].$lte = range.max;
+  });
+
+  // Tag filters
+  const andClauses = [];
+  if (tags && omit !== 'tags') {
+    const need = tags.split(',').map(t => t.trim().toLowerCase());
+    andClauses.push({ tags: { $in: need } });
+  }
+  if (exclude_tags && omit !== 'exclude_tags') {
+    const ban = exclude_tags.split(',').map(t => t.trim().toLowerCase());
+    andClauses.push({ tags: { $nin: ban } });
+  }
+
+  // Video filter
+  if (typeof has_video !== 'undefined' && omit !== 'has_video') {
+    const hv = String(has_video).toLowerCase();
+    const want = hv === 'true' || hv === '1' || hv === 'yes';
+    if (want) andClauses.push({ 'media.video': { $exists: true } });
+    else andClauses.push({ 'media.video': { $exists: false } });
+  }
+
+  // Musical filters: note, pitch_range, tones, intervals (see utils/notes)
+  noteFiltersToMongo(notes).forEach(({ param, clause }) => {
+    if (param !== omit) andClauses.push(clause);
+  });
+
+  // Exact-match category filters (comma-separated values match any)
+  if (source_type && omit !== 'source_type') {
+    andClauses.push({ source_type: { $in: parseList(source_type) } });
+  }
+  if (meme_status && omit !== 'meme_status') {
+    andClauses.push({ meme_status: { $in: parseList(meme_status) } });
+  }
+  if (category && omit !== 'category') {
+    andClauses.push({ 'audio.category': { $in: parseList(category) } });
+  }
+
+  return andClauses.length ? { $and: [filter, ...andClauses] } : filter;
+}
+
+/**
+ * Build in-memory predicates for the search parameters, one per active filter
+ * @param {Object} params - Search parameters
+ * @param {Object} parsed - Parsed ranges and note filters from parseSearchParams
+ * @returns {Array<{param: string, test: Function}>} Predicates tagged with their parameter
+ */
+function buildStaticSearchPredicates(params, parsed) {
+  const { tags, exclude_tags, has_video, source_type, meme_status, category } = params;
+  const { ir, dr, yr, loudness, notes } = parsed;
+  const predicates = [];
+  const inRange = (v, range) =>
+    !(range.min != null && v < range.min) && !(range.max != null && v > range.max);
+
+  if (ir) predicates.push({ param: 'intensity_range', test: s => inRange(s.audio?.intensity, ir) });
+  if (dr) predicates.push({ param: 'duration_range', test: s => inRange(s.audio?.duration, dr) });
+  if (yr) predicates.push({ param: 'years', test: s => inRange(s.year, yr) });
+  loudness.forEach(({ param, path, range }) => {
+    predicates.push({ param, test: s => inMeasuredRange(deepGet(s, path), range) });
+  });
+
+  // Tag filters
+  if (tags) {
+    const need = tags.split(',').map(t => t.trim().toLowerCase());
+    predicates.push({
+      param: 'tags',
+      test: s => (s.tags || []).some(t => need.includes(t.toLowerCase())),
+    });
+  }
+  if (exclude_tags) {
+    const ban = exclude_tags.split(',').map(t => t.trim().toLowerCase());
+    predicates.push({
+      param: 'exclude_tags',
+      test: s => !(s.tags || []).some(t => ban.includes(t.toLowerCase())),
+    });
+  }
+
+  // Video filter (static data has no videos, so filter all if requested)
+  if (typeof has_video !== 'undefined') {
+    const hv = String(has_video).toLowerCase();
+    const want = hv === 'true' || hv === '1' || hv === 'yes';
+    if (want) {
+      predicates.push({
+        param: 'has_video',
+        test: s => Boolean(s.media?.video && Object.keys(s.media.video).length > 0),
+      });
+    }
+  }
+
+  // Musical filters: note, pitch_range, tones, intervals (see utils/notes)
+  predicates.push(...noteFiltersToPredicates(notes));
+
+  // Exact-match category filters (comma-separated values match any)
+  [
+    ['source_type', source_type, 'source_type'],
+    ['meme_status', meme_status, 'meme_status'],
+    ['category', category, 'audio.category'],
+  ].forEach(([param, value, path]) => {
+    if (!value) return;
+    const allowed = parseList(value);
+    predicates.push({ param, test: s => allowed.includes(deepGet(s, path)) });
+  });
+
+  return predicates;
+}
 
 /**
  * Service layer for search operations
@@ -26,14 +302,27 @@ class SearchService {
    * @param {string} query.intensity_range - Intensity range (e.g., "5-10")
    * @param {string} query.duration_range - Duration range (e.g., "1-5")
    * @param {string} query.years - Year range (e.g., "2020-2023")
+   * @param {string} query.lufs_range - Integrated loudness range in LUFS (e.g., "-30--14")
+   * @param {string} query.lra_range - Loudness range in LU (e.g., "0-6")
+   * @param {string} query.true_peak_range - True peak range in dBTP (e.g., "-1-")
    * @param {string} query.tags - Comma-separated tags to include
    * @param {string} query.exclude_tags - Comma-separated tags to exclude
    * @param {string} query.has_video - Filter by video availability
-   * @param {string} query.note - Filter by primary musical note (e.g., "G#5", "C4")
+   * @param {string} query.note - Filter by primary note; sharps and flats are equivalent and a
+   *   note without octave matches any octave (e.g., "G#5", "Bb")
+   * @param {string} query.pitch_range - Primary note range (e.g., "C4-G5")
+   * @param {string} query.tones - Comma-separated consecutive tones in tones_in_order (e.g., "C4,E4,G")
+   * @param {string} query.intervals - Comma-separated consecutive semitone steps (e.g., "2,2,-1")
+   * @param {string} query.source_type - Comma-separated source types to include
+   * @param {string} query.meme_status - Comma-separated meme statuses to include
+   * @param {string} query.category - Comma-separated audio categories to include
    * @param {string} query.page - Page number (default: 1)
+   * @param {string} query.cursor - Opaque next_cursor/prev_cursor token (takes precedence over page)
    * @param {string} query.limit - Page size (default: 20, max: 100)
    * @param {string} query.sort_by - Sort field (relevance, intensity, year, duration)
-   * @returns {Promise<Object>} Paginated search results
+   * @param {string} query.fields - Comma-separated field paths to return (sparse fieldset)
+   * @param {string} query.facets - Comma-separated facet fields to count (see utils/facets)
+   * @returns {Promise<Object>} Paginated search results with next/prev cursors and optional facets
    */
   async searchScreams(query) {
     const {
@@ -41,13 +330,25 @@ class SearchService {
       intensity_range,
       duration_range,
       years,
+      lufs_range,
+      lra_range,
+      true_peak_range,
       tags,
       exclude_tags,
       has_video,
       note,
+      pitch_range,
+      tones,
+      intervals,
+      source_type,
+      meme_status,
+      category,
       page = 1,
+      cursor,
       limit = 20,
       sort_by = 'relevance',
+      fields,
+      facets,
     } = query;
 
     const db = getDbStatus();
@@ -57,13 +358,25 @@ class SearchService {
         intensity_range,
         duration_range,
         years,
+        lufs_range,
+        lra_range,
+        true_peak_range,
         tags,
         exclude_tags,
         has_video,
         note,
+        pitch_range,
+        tones,
+        intervals,
+        source_type,
+        meme_status,
+        category,
         page,
+        cursor,
         limit,
         sort_by,
+        fields,
+        facets,
       });
     }
 
@@ -72,145 +385,189 @@ class SearchService {
       intensity_range,
       duration_range,
       years,
+      lufs_range,
+      lra_range,
+      true_peak_range,
       tags,
       exclude_tags,
       has_video,
       note,
+      pitch_range,
+      tones,
+      intervals,
+      source_type,
+      meme_status,
+      category,
       page,
+      cursor,
       limit,
       sort_by,
+      fields,
+      facets,
     });
   }
 
   /**
-   * Search using MongoDB
-   * @private
+   * Suggest completions for a partially typed search query
+   * @param {Object} query - Query parameters
+   * @param {string} query.q - Text typed so far (required, max 100 characters)
+   * @param {string} query.limit - Maximum suggestions (default: 10, max: 25)
+   * @returns {Promise<Object>} { q, suggestions: [{ text, type, count }] }
    */
-  async _searchMongo(query) {
-    const {
-      q,
-      intensity_range,
-      duration_range,
-      years,
-      tags,
-      exclude_tags,
-      has_video,
-      note,
-      page,
-      limit,
-      sort_by,
-    } = query;
-
-    const filter = { approved: true };
-    const or = [];
-
-    // Text search
-    if (q) {
-      const regex = new RegExp(tokenize(q).join('|'), 'i');
-      or.push({ title: regex }, { context: regex }, { 'source.title': regex }, { tags: regex });
+  async suggest(query) {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (!q) {
+      throw new ValidationError('q is required', { field: 'q' });
     }
-
-    // Numeric ranges
-    const ir = parseRange(intensity_range);
-    const dr = parseRange(duration_range);
-    const yr = parseRange(years);
-
-    // Validate range formats - if provided but completely invalid (both min and max are null), throw validation error
-    if (intensity_range && ir && ir.min === null && ir.max === null) {
-      const { ValidationError } = require('../errors');
-      throw new ValidationError(
-        'Invalid intensity_range format. Expected format: "min-max" or "number"',
-        {
-          field: 'intensity_range',
-          value: intensity_range,
-        }
-      );
-    }
-    if (duration_range && dr && dr.min === null && dr.max === null) {
-      const { ValidationError } = require('../errors');
-      throw new ValidationError(
-        'Invalid duration_range format. Expected format: "min-max" or "number"',
-        {
-          field: 'duration_range',
-          value: duration_range,
-        }
-      );
-    }
-    if (years && yr && yr.min === null && yr.max === null) {
-      const { ValidationError } = require('../errors');
-      throw new ValidationError('Invalid years format. Expected format: "min-max" or "number"', {
-        field: 'years',
-        value: years,
+    if (q.length > 100) {
+      throw new ValidationError('q must be at most 100 characters', {
+        field: 'q',
+        value: q.length,
       });
     }
+    const l = Math.max(1, Math.min(parseInt(query.limit, 10) || 10, 25));
 
-    if (ir) {
-      filter['audio.intensity'] = {};
-      if (ir.min != null) filter['audio.intensity'].$gte = ir.min;
-      if (ir.max != null) filter['audio.intensity'].$lte = ir.max;
-    }
-    if (dr) {
-      filter['audio.duration'] = {};
-      if (dr.min != null) filter['audio.duration'].$gte = dr.min;
-      if (dr.max != null) filter['audio.duration'].$lte = dr.max;
-    }
-    if (yr) {
-      filter.year = {};
-      if (yr.min != null) filter.year.$gte = yr.min;
-      if (yr.max != null) filter.year.$lte = yr.max;
-    }
+    const corpus = await this._getCorpus();
+    return { q, suggestions: suggest(corpus.suggestions, q, l) };
+  }
 
-    // Tag filters
-    const andClauses = [];
-    if (tags) {
-      const need = tags.split(',').map(t => t.trim().toLowerCase());
-      andClauses.push({ tags: { $in: need } });
-    }
-    if (exclude_tags) {
-      const ban = exclude_tags.split(',').map(t => t.trim().toLowerCase());
-      andClauses.push({ tags: { $nin: ban } });
+  /**
+   * Get the full-text and suggestion indexes for the active backend.
+   * Static mode uses the indexes built with the dataset; Mongo mode indexes the searchable
+   * fields of approved screams and reuses them for CORPUS_TTL_MS.
+   * @private
+   */
+  async _getCorpus() {
+    if (!getDbStatus().connected) {
+      const list = staticScreams.getStaticScreams();
+      return { index: getSearchIndex(list), suggestions: getSuggestionIndex(list) };
     }
 
-    // Video filter
-    if (typeof has_video !== 'undefined') {
-      const hv = String(has_video).toLowerCase();
-      const want = hv === 'true' || hv === '1' || hv === 'yes';
-      if (want) andClauses.push({ 'media.video': { $exists: true } });
-      else andClauses.push({ 'media.video': { $exists: false } });
+    if (!this._corpus || this._corpus.expiresAt <= Date.now()) {
+      const projection = buildProjection(
+        ['id'],
+        [...Object.keys(SEARCH_FIELDS), ...Object.keys(SUGGESTION_FIELDS)]
+      );
+      const docs = await this.repository.find({ approved: true }, { projection });
+      this._corpus = {
+        expiresAt: Date.now() + CORPUS_TTL_MS,
+        index: buildSearchIndex(docs),
+        suggestions: buildSuggestionIndex(docs),
+      };
     }
+    return this._corpus;
+  }
 
-    // Musical note filter (case-insensitive)
-    if (note) {
-      const noteRegex = new RegExp(`^${note.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
-      andClauses.push({ 'analysis.primary_note': noteRegex });
+  /**
+   * Search using MongoDB
+   * @private
+   */
+  async _searchMongo(query) {
+    const { q, page, cursor, limit, sort_by, fields } = query;
+    const parsed = parseSearchParams(query);
+    const facetList = parseFacets(query.facets);
+
+    // Full-text search runs against the text index (see models/GoatScream). The index only
+    // matches whole tokens, so query terms are expanded with the prefix and typo matches
+    // found in the corpus vocabulary.
+    const terms = tokenize(q);
+    let text;
+    if (terms.length) {
+      const { index } = await this._getCorpus();
+      text = Array.from(new Set([...terms, ...expandQuery(index, q)])).join(' ');
     }
 
     // Build final query
     const l = Math.max(1, Math.min(parseInt(limit, 10) || 20, 100));
     const p = Math.max(1, parseInt(page, 10) || 1);
 
-    const baseQuery = or.length ? { $and: [filter, { $or: or }] } : filter;
-    const finalQuery = andClauses.length ? { $and: [baseQuery, ...andClauses] } : baseQuery;
-
-    // Sorting
-    let sortSpec = {};
-    if (sort_by === 'intensity') sortSpec = { 'audio.intensity': -1 };
-    else if (sort_by === 'year') sortSpec = { year: -1 };
-    else if (sort_by === 'duration') sortSpec = { 'audio.duration': -1 };
-    else sortSpec = { remix_count: -1, date_added: -1 }; // relevance fallback
-
-    const [items, total] = await Promise.all([
-      this.repository.find(finalQuery, {
-        sort: sortSpec,
-        skip: (p - 1) * l,
-        limit: l,
-      }),
-      this.repository.count(finalQuery),
+    const finalQuery = buildMongoSearchFilter(query, parsed);
+
+    // Sorting (relevance fallback)
+    const sortSpec = resolveSort(sort_by, Boolean(text));
+    const decoded = cursor ? decodeCursor(cursor, sortSpec) : null;
+    const fieldList = parseFields(fields);
+    // Sort keys (and searched fields, for matched_fields) are always fetched, then trimmed below
+    const projection = buildProjection(fieldList, [
+      ...Object.keys(sortSpec),
+      ...(text ? Object.keys(SEARCH_FIELDS) : []),
     ]);
 
+    let items;
+    let total;
+    let cursors;
+    if (decoded) {
+      // Keyset pagination: fetch one extra row to learn whether another page exists
+      const backwards = decoded.direction === 'prev';
+      let rows;
+      [rows, total] = await Promise.all([
+        this.repository.find(finalQuery, {
+          sort: backwards ? reverseSort(sortSpec) : sortSpec,
+          after: decoded.after,
+          limit: l + 1,
+          projection,
+          text,
+        }),
+        this.repository.count(finalQuery, { text }),
+      ]);
+      const hasMore = rows.length > l;
+      items = rows.slice(0, l);
+      if (backwards) items.reverse();
+      cursors = buildPageCursors(items, sortSpec, {
+        hasPrev: backwards ? hasMore : true,
+        hasNext: backwards ? true : hasMore,
+      });
+    } else {
+      [items, total] = await Promise.all([
+        this.repository.find(finalQuery, {
+          sort: sortSpec,
+          skip: (p - 1) * l,
+          limit: l,
+          projection,
+          text,
+        }),
+        this.repository.count(finalQuery, { text }),
+      ]);
+      cursors = buildPageCursors(items, sortSpec, {
+        hasPrev: p > 1,
+        hasNext: p * l < total,
+      });
+    }
+
     await recordAccess(items);
 
-    return { page: p, limit: l, total, items };
+    let facetCounts;
+    if (facetList) {
+      // $text must sit in the first $match, so it is shared; each facet then applies
+      // every other filter except its own
+      const [result] = await this.repository.aggregate([
+        {
+          $match: text
+            ? { $and: [{ $text: { $search: text } }, { approved: true }] }
+            : { approved: true },
+        },
+        buildFacetStage(facetList, facet =>
+          buildMongoSearchFilter(query, parsed, FACET_FIELDS[facet])
+        ),
+      ]);
+      facetCounts = readFacetResult(facetList, result);
+    }
+
+    const trimmed = pickFields(items, fieldList);
+    return {
+      page: decoded ? null : p,
+      limit: l,
+      total,
+      ...cursors,
+      ...(facetCounts && { facets: facetCounts }),
+      items: text
+        ? trimmed.map((doc, i) => ({
+            ...doc,
+            score: roundScore(items[i].score || 0),
+            matched_fields: matchedFields(items[i], text),
+          }))
+        : trimmed,
+    };
   }
 
   /**
@@ -218,136 +575,90 @@ class SearchService {
    * @private
    */
   async _searchStatic(query) {
-    const {
-      q,
-      intensity_range,
-      duration_range,
-      years,
-      tags,
-      exclude_tags,
-      has_video,
-      note,
-      page,
-      limit,
-      sort_by,
-    } = query;
-
-    const list = [...getStaticScreams()];
-
-    // Text query with scoring
-    const terms = q ? tokenize(q) : [];
-    let scored = list.map(s => {
-      let score = 0;
-      if (terms.length) {
-        const fields = [s.title, s.context, s.source?.title, (s.tags || []).join(' ')].join(' ');
-        score = terms.reduce((acc, t) => acc + (inText(fields, [t]) ? 1 : 0), 0);
-      }
-      return { s, score };
-    });
+    const { q, page, cursor, limit, sort_by, fields } = query;
+
+    const list = staticScreams.getStaticScreams();
+
+    // Text query: BM25 over the in-memory inverted index, tolerant of typos and partial
+    // words; only matching screams are kept
+    const hasText = tokenize(q).length > 0;
+    const hits = hasText ? searchIndex(getSearchIndex(list), q) : null;
+    const candidates = (
+      hasText
+        ? list.filter(s => hits.has(s)).map(s => ({ s, ...hits.get(s) }))
+        : list.map(s => ({ s, score: 0 }))
+    ).filter(({ s }) => s.approved !== false);
+
+    const predicates = buildStaticSearchPredicates(query, parseSearchParams(query));
+    const facetList = parseFacets(query.facets);
+    const matches = (s, omit) => predicates.every(({ param, test }) => param === omit || test(s));
+    const scored = candidates.filter(({ s }) => matches(s));
+
+    // Sorting (relevance fallback)
+    const l = Math.max(1, Math.min(parseInt(limit, 10) || 20, 100));
+    const p = Math.max(1, parseInt(page, 10) || 1);
+    const sortSpec = resolveSort(sort_by, hasText);
+    const decoded = cursor ? decodeCursor(cursor, sortSpec) : null;
+    const fieldList = parseFields(fields);
 
-    // Numeric ranges
-    const ir = parseRange(intensity_range);
-    const dr = parseRange(duration_range);
-    const yr = parseRange(years);
+    const data = scored.sort((a, b) => compareBySort(a, b, sortSpec, getScoredValue));
 
-    // Validate range formats - if provided but completely invalid (both min and max are null), throw validation error
-    if (intensity_range && ir && ir.min === null && ir.max === null) {
-      const { ValidationError } = require('../errors');
-      throw new ValidationError(
-        'Invalid intensity_range format. Expected format: "min-max" or "number"',
-        {
-          field: 'intensity_range',
-          value: intensity_range,
-        }
-      );
-    }
-    if (duration_range && dr && dr.min === null && dr.max === null) {
-      const { ValidationError } = require('../errors');
-      throw new ValidationError(
-        'Invalid duration_range format. Expected format: "min-max" or "number"',
-        {
-          field: 'duration_range',
-          value: duration_range,
-        }
-      );
-    }
-    if (years && yr && yr.min === null && yr.max === null) {
-      const { ValidationError } = require('../errors');
-      throw new ValidationError('Invalid years format. Expected format: "min-max" or "number"', {
-        field: 'years',
-        value: years,
-      });
-    }
-
-    scored = scored.filter(({ s }) => {
-      if (ir) {
-        const v = s.audio?.intensity;
-        if (ir.min != null && v < ir.min) return false;
-        if (ir.max != null && v > ir.max) return false;
-      }
-      if (dr) {
-        const v = s.audio?.duration;
-        if (dr.min != null && v < dr.min) return false;
-        if (dr.max != null && v > dr.max) return false;
-      }
-      if (yr) {
-        const v = s.year;
-        if (yr.min != null && v < yr.min) return false;
-        if (yr.max != null && v > yr.max) return false;
+    const total = data.length;
+    let pageEntries;
+    let hasPrev;
+    let hasNext;
+    if (decoded) {
+      const position = entry =>
+        compareBySort(entry, decoded.after, sortSpec, getScoredValue, getCursorValue);
+      if (decoded.direction === 'prev') {
+        const before = data.filter(entry => position(entry) < 0);
+        pageEntries = before.slice(Math.max(0, before.length - l));
+        hasPrev = before.length > l;
+        hasNext = true;
+      } else {
+        const after = data.filter(entry => position(entry) > 0);
+        pageEntries = after.slice(0, l);
+        hasPrev = true;
+        hasNext = after.length > l;
       }
-      return true;
-    });
-
-    // Tag filters
-    if (tags) {
-      const need = tags.split(',').map(t => t.trim().toLowerCase());
-      scored = scored.filter(({ s }) => (s.tags || []).some(t => need.includes(t.toLowerCase())));
-    }
-    if (exclude_tags) {
-      const ban = exclude_tags.split(',').map(t => t.trim().toLowerCase());
-      scored = scored.filter(({ s }) => !(s.tags || []).some(t => ban.includes(t.toLowerCase())));
+    } else {
+      const start = (p - 1) * l;
+      pageEntries = data.slice(start, start + l);
+      hasPrev = p > 1;
+      hasNext = start + l < total;
     }
 
-    // Video filter (static data has no videos, so filter all if requested)
-    if (typeof has_video !== 'undefined') {
-      const hv = String(has_video).toLowerCase();
-      const want = hv === 'true' || hv === '1' || hv === 'yes';
-      if (want) {
-        scored = scored.filter(({ s }) => s.media?.video && Object.keys(s.media.video).length > 0);
-      }
+    const cursors = buildPageCursors(pageEntries, sortSpec, { hasPrev, hasNext }, getScoredValue);
+    let items = pickFields(
+      pageEntries.map(({ s }) => s),
+      fieldList
+    );
+    if (hasText) {
+      items = items.map((doc, i) => ({
+        ...doc,
+        score: pageEntries[i].score,
+        matched_fields: pageEntries[i].matched_fields,
+      }));
     }
 
-    // Musical note filter (case-insensitive)
-    if (note) {
-      const noteLower = note.toLowerCase();
-      scored = scored.filter(
-        ({ s }) => s.analysis?.primary_note && s.analysis.primary_note.toLowerCase() === noteLower
-      );
+    let facetCounts;
+    if (facetList) {
+      facetCounts = {};
+      facetList.forEach(facet => {
+        const own = FACET_FIELDS[facet];
+        const docs = candidates.filter(({ s }) => matches(s, own)).map(({ s }) => s);
+        facetCounts[facet] = countFacet(docs, facet);
+      });
     }
 
-    // Sorting
-    const l = Math.max(1, Math.min(parseInt(limit, 10) || 20, 100));
-    const p = Math.max(1, parseInt(page, 10) || 1);
-
-    const data = scored
-      .sort((a, b) => {
-        if (sort_by === 'intensity')
-          return (b.s.audio?.intensity ?? 0) - (a.s.audio?.intensity ?? 0);
-        if (sort_by === 'year') return (b.s.year ?? 0) - (a.s.year ?? 0);
-        if (sort_by === 'duration') return (b.s.audio?.duration ?? 0) - (a.s.audio?.duration ?? 0);
-        // relevance (default)
-        if (b.score === a.score) return (b.s.remix_count ?? 0) - (a.s.remix_count ?? 0);
-        return b.score - a.score;
-      })
-      .map(({ s }) => s)
-      .filter(s => s.approved !== false);
-
-    const total = data.length;
-    const start = (p - 1) * l;
-    const end = start + l;
-    const items = data.slice(start, end);
-
-    return { page: p, limit: l, total, items };
+    return {
+      page: decoded ? null : p,
+      limit: l,
+      total,
+      ...cursors,
+      ...(facetCounts && { facets: facetCounts }),
+      items,
+    };
   }
 }
 
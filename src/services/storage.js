@@ -1,37 +1,161 @@
 const path = require('path');
-const { uploadAudio, renameAsset, deleteAsset } = require('./cloudinary');
+const { getStorageDriver } = require('../storage');
 
 const SUBMISSION_PREFIX = 'goat-screams/submissions';
+const INCOMING_PREFIX = 'goat-screams/incoming';
 const MAIN_PREFIX = 'goat-screams/audio';
+const THUMBNAIL_PREFIX = 'goat-screams/thumbnails';
+const RENDITION_PREFIX = 'goat-screams/renditions';
+const IMAGE_PREFIX = 'goat-screams/images';
+const REMIX_PREFIX = 'goat-screams/remixes';
 
 async function uploadSubmissionAudio(filePath, submissionId, { tags = [], context = {} } = {}) {
-  const publicId = path.posix.join(SUBMISSION_PREFIX, submissionId);
-  const result = await uploadAudio(filePath, { publicId, tags: ['submission', ...tags], context });
+  const key = path.posix.join(SUBMISSION_PREFIX, submissionId);
+  const result = await getStorageDriver().upload(filePath, key, {
+    tags: ['submission', ...tags],
+    context,
+  });
   return {
-    publicId: result.public_id,
-    url: result.secure_url || result.url,
+    publicId: result.key,
+    url: result.url,
     duration: result.duration,
     bytes: result.bytes,
     format: result.format,
   };
 }
 
+// Audio as submitted, kept until its processing job has stored the checked copy
+async function uploadIncomingAudio(filePath, submissionId) {
+  const key = path.posix.join(INCOMING_PREFIX, submissionId);
+  const result = await getStorageDriver().upload(filePath, key, {
+    tags: ['incoming'],
+    context: { submission_id: submissionId },
+  });
+  return {
+    publicId: result.key,
+    url: result.url,
+  };
+}
+
+async function findIncomingAudio(submissionId) {
+  const asset = await getStorageDriver().getAsset(path.posix.join(INCOMING_PREFIX, submissionId));
+  if (!asset) return null;
+  return {
+    publicId: asset.key,
+    url: asset.url,
+  };
+}
+
+async function deleteIncomingAudio(submissionId) {
+  return getStorageDriver().delete(path.posix.join(INCOMING_PREFIX, submissionId));
+}
+
 async function promoteSubmissionAudio(publicId, goatScreamId) {
-  const targetPublicId = path.posix.join(MAIN_PREFIX, goatScreamId);
-  const result = await renameAsset(publicId, targetPublicId);
+  const targetKey = path.posix.join(MAIN_PREFIX, goatScreamId);
+  const result = await getStorageDriver().move(publicId, targetKey);
   return {
-    publicId: result.public_id,
-    url: result.secure_url || result.url,
+    publicId: result.key,
+    url: result.url,
+  };
+}
+
+async function uploadThumbnail(filePath, goatScreamId) {
+  const key = path.posix.join(THUMBNAIL_PREFIX, goatScreamId);
+  const result = await getStorageDriver().upload(filePath, key, { tags: ['thumbnail'] });
+  return {
+    publicId: result.key,
+    url: result.url,
+  };
+}
+
+async function findRendition(goatScreamId, name) {
+  const asset = await getStorageDriver().getAsset(
+    path.posix.join(RENDITION_PREFIX, goatScreamId, name)
+  );
+  if (!asset) return null;
+  const duration = Number(asset.context?.duration);
+  return {
+    publicId: asset.key,
+    url: asset.url,
+    duration: Number.isFinite(duration) ? duration : null,
+  };
+}
+
+async function uploadRendition(filePath, goatScreamId, name, { duration = null } = {}) {
+  const key = path.posix.join(RENDITION_PREFIX, goatScreamId, name);
+  const result = await getStorageDriver().upload(filePath, key, {
+    tags: ['rendition'],
+    context: { goat_scream_id: goatScreamId, duration },
+  });
+  return {
+    publicId: result.key,
+    url: result.url,
+  };
+}
+
+async function findRenderedImage(goatScreamId, name) {
+  const asset = await getStorageDriver().getAsset(
+    path.posix.join(IMAGE_PREFIX, goatScreamId, name),
+    { image: true }
+  );
+  if (!asset) return null;
+  return {
+    publicId: asset.key,
+    url: asset.url,
+  };
+}
+
+async function uploadRenderedImage(filePath, goatScreamId, name) {
+  const key = path.posix.join(IMAGE_PREFIX, goatScreamId, name);
+  const result = await getStorageDriver().upload(filePath, key, {
+    tags: ['image'],
+    context: { goat_scream_id: goatScreamId },
+  });
+  return {
+    publicId: result.key,
+    url: result.url,
+  };
+}
+
+async function uploadRemix(filePath, remixId, { context = {} } = {}) {
+  const key = path.posix.join(REMIX_PREFIX, remixId);
+  const result = await getStorageDriver().upload(filePath, key, {
+    tags: ['remix'],
+    context: { remix_id: remixId, ...context },
+  });
+  return {
+    publicId: result.key,
+    url: result.url,
+    bytes: result.bytes,
   };
 }
 
 async function deleteSubmissionAudio(publicId) {
   if (!publicId) return null;
-  return deleteAsset(publicId);
+  return getStorageDriver().delete(publicId);
+}
+
+async function updateAudioMetadata(publicId, { context = {}, tags = [] } = {}) {
+  return getStorageDriver().updateMetadata(publicId, { context, tags });
+}
+
+async function signMediaUrl(url, { filename } = {}) {
+  return getStorageDriver().signedUrl(url, { filename });
 }
 
 module.exports = {
   uploadSubmissionAudio,
+  uploadIncomingAudio,
+  findIncomingAudio,
+  deleteIncomingAudio,
   promoteSubmissionAudio,
   deleteSubmissionAudio,
+  uploadThumbnail,
+  findRendition,
+  uploadRendition,
+  findRenderedImage,
+  uploadRenderedImage,
+  uploadRemix,
+  updateAudioMetadata,
+  signMediaUrl,
 };
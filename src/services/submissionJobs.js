@@ -0,0 +1,277 @@
+// Background processing of submissions: the API stores the submitted audio as is (in storage,
+// where any instance's worker can read it) and answers straight away, and a queued job downloads (audio_url submissions), checks, analyses and stores
+// the clip, then hands the submission to moderators. Attempts that fail for transient reasons
+// (network, storage, database) are retried with backoff; the submission is marked failed once
+// the job is dead-lettered, or straight away when the audio itself is unusable.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { downloadRemoteAudio, analyzeSubmissionAudio } = require('./audioIntake');
+const {
+  uploadSubmissionAudio,
+  deleteSubmissionAudio,
+  uploadIncomingAudio,
+  findIncomingAudio,
+  deleteIncomingAudio,
+  signMediaUrl,
+} = require('./storage');
+const { getStorageSource, mediaKey } = require('./mediaSource');
+const DuplicateService = require('./duplicates');
+const Submission = require('../models/Submission');
+const JobWorker = require('../queue/worker');
+const { getJobQueue } = require('../queue');
+const { ValidationError } = require('../errors');
+const { warn: logWarn } = require('../utils/logger');
+
+// Job type of submission processing
+const SUBMISSION_JOB = 'process_submission';
+
+const duplicateService = new DuplicateService();
+
+/**
+ * Keep an uploaded file as the submission's raw audio until it has been processed. It goes to
+ * storage rather than local disk: the job may run on another instance, or after a restart.
+ * @param {string} filePath - Uploaded file (left in place)
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<{publicId: string, url: string}>} The stored raw audio
+ */
+function storeRawAudio(filePath, submissionId) {
+  return uploadIncomingAudio(filePath, submissionId);
+}
+
+/**
+ * Delete the raw audio of a submission, if any
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<void>}
+ */
+async function removeRawAudio(submissionId) {
+  await deleteIncomingAudio(submissionId).catch(err => {
+    logWarn('Failed to delete raw audio of submission', {
+      submission_id: submissionId,
+      error: err.message,
+    });
+  });
+}
+
+/**
+ * Whether the raw audio of a submission is still in storage
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<boolean>}
+ */
+async function hasRawAudio(submissionId) {
+  return Boolean(await findIncomingAudio(submissionId));
+}
+
+/**
+ * Copy the raw audio of a submission from storage to a local file
+ * @param {string} submissionId - Submission ID
+ * @param {string} targetPath - File to write
+ * @returns {Promise<boolean>} false when there is no raw audio
+ */
+async function fetchRawAudio(submissionId, targetPath) {
+  const stored = await findIncomingAudio(submissionId);
+  if (!stored) return false;
+
+  const source = getStorageSource();
+  const target = { url: await signMediaUrl(stored.url), key: mediaKey(stored.url) };
+  const stat = await source.stat(target);
+  if (!stat) return false;
+  if (stat.size === 0) {
+    await fsp.writeFile(targetPath, '');
+    return true;
+  }
+  const stream = await source.read(target, { start: 0, end: stat.size - 1 });
+  await pipeline(stream, fs.createWriteStream(targetPath));
+  return true;
+}
+
+/**
+ * Queue the processing of a submission
+ * @param {string} submissionId - Submission ID
+ * @param {BaseJobQueue} [queue] - Queue (default: getJobQueue())
+ * @returns {Promise<Object>} The queued job
+ */
+function enqueueSubmission(submissionId, queue = getJobQueue()) {
+  return queue.enqueue(SUBMISSION_JOB, { submission_id: submissionId });
+}
+
+/**
+ * Whether a processing error will happen again on every attempt: audio that fails the intake
+ * checks, or an audio_url the remote server refuses
+ * @param {Error} err - Error thrown by processSubmission
+ * @returns {boolean}
+ */
+function isPermanentFailure(err) {
+  if (err instanceof ValidationError) return true;
+  const status = err.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * What the submitter is told about a failed submission. Transient errors are not detailed: they
+ * come from our own infrastructure, and the job keeps the actual message for moderators.
+ * @private
+ */
+function describeFailure(err) {
+  if (err instanceof ValidationError) return { code: err.code, message: err.message };
+  if (isPermanentFailure(err)) {
+    return {
+      code: 'AUDIO_DOWNLOAD_FAILED',
+      message: `audio_url could not be downloaded (HTTP ${err.response.status})`,
+    };
+  }
+  return {
+    code: 'PROCESSING_FAILED',
+    message: 'Processing failed repeatedly; a moderator can retry it',
+  };
+}
+
+/**
+ * Process a submission: fetch and check its audio, analyse it, look for duplicates, store it
+ * and move the submission to pending_review. Submissions withdrawn in the meantime are only
+ * cleaned up.
+ * @param {{submission_id: string}} payload - Job payload
+ * @returns {Promise<void>}
+ * @throws {ValidationError} Intake errors (see audioIntake), or AUDIO_MISSING when the raw audio
+ *   is gone
+ * @throws {Error} Download, storage and database errors (retried)
+ */
+async function processSubmission({ submission_id: submissionId }) {
+  const submission = await Submission.findOne({ id: submissionId }).lean();
+  if (!submission || submission.status !== 'processing') {
+    await removeRawAudio(submissionId);
+    return;
+  }
+
+  // Each attempt works on a copy of its own, whichever instance claimed the job
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'goat-submission-'));
+  try {
+    await storeSubmission(submission, path.join(workDir, submissionId));
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+  await removeRawAudio(submissionId);
+}
+
+/**
+ * Fetch, check, analyse and store the audio of a submission being processed
+ * @private
+ */
+async function storeSubmission(submission, rawPath) {
+  const submissionId = submission.id;
+  if (!(await fetchRawAudio(submissionId, rawPath))) {
+    const url = submission.audio?.original_url;
+    if (!url) {
+      throw new ValidationError(
+        'Submitted audio is no longer available',
+        { field: 'audio' },
+        'AUDIO_MISSING'
+      );
+    }
+    await downloadRemoteAudio(url, rawPath);
+  }
+
+  const { format, analysis: measured } = await analyzeSubmissionAudio(rawPath);
+  // Peaks and fingerprint are stored with the submission, not in the analysis shown to the
+  // submitter
+  const { waveform = [], fingerprint = null, ...analysis } = measured || {};
+  // Likely copies are flagged for moderators; the submission itself goes ahead
+  const duplicates = await duplicateService
+    .findDuplicates(fingerprint, { excludeSubmission: submissionId })
+    .catch(err => {
+      logWarn('Duplicate check failed for submission', {
+        submission_id: submissionId,
+        error: err.message,
+      });
+      return [];
+    });
+
+  // Stored under the extension of the detected container; the raw audio stays in storage until
+  // the submission is updated, so a failed attempt can start over
+  const storedPath = `${rawPath}.${format}`;
+  await fsp.rename(rawPath, storedPath);
+  const tags = submission.metadata?.tags || [];
+  const uploadResult = await uploadSubmissionAudio(storedPath, submissionId, {
+    tags,
+    context: { submission_id: submissionId, title: submission.title },
+  });
+
+  const updated = await Submission.findOneAndUpdate(
+    { id: submissionId, status: 'processing' },
+    {
+      $set: {
+        status: 'pending_review',
+        analysis: measured ? analysis : null,
+        'audio.duration': analysis.duration || uploadResult.duration,
+        'audio.intensity': analysis.intensity || null,
+        'audio.category': analysis.category || null,
+        'audio.cloudinary_url': uploadResult.url,
+        'audio.waveform': waveform,
+        fingerprint,
+        duplicates,
+        cloudinary_public_id: uploadResult.publicId,
+        processing_error: null,
+      },
+    }
+  );
+  if (!updated) {
+    // Withdrawn while it was being processed
+    await deleteSubmissionAudio(uploadResult.publicId).catch(err => {
+      logWarn('Failed to delete stored audio for withdrawn submission', {
+        submission_id: submissionId,
+        error: err.message,
+      });
+    });
+  }
+}
+
+/**
+ * Mark a submission failed once its job is dead. The raw audio is kept after transient errors,
+ * so moderators can retry.
+ * @param {{submission_id: string}} payload - Job payload
+ * @param {Object} job - The dead job
+ * @param {Error} err - Error of the last attempt
+ * @returns {Promise<void>}
+ */
+async function failSubmission({ submission_id: submissionId }, job, err) {
+  await Submission.updateOne(
+    { id: submissionId, status: 'processing' },
+    { $set: { status: 'failed', processing_error: describeFailure(err) } }
+  );
+  if (isPermanentFailure(err)) await removeRawAudio(submissionId);
+}
+
+/**
+ * Build the worker that processes submissions
+ * @param {BaseJobQueue} [queue] - Queue to work (default: getJobQueue())
+ * @param {Object} [options] - JobWorker options
+ * @returns {JobWorker}
+ */
+function createSubmissionWorker(queue = null, options = {}) {
+  return new JobWorker(
+    queue,
+    {
+      [SUBMISSION_JOB]: {
+        run: processSubmission,
+        isPermanent: isPermanentFailure,
+        onDeadLetter: failSubmission,
+      },
+    },
+    options
+  );
+}
+
+module.exports = {
+  SUBMISSION_JOB,
+  storeRawAudio,
+  removeRawAudio,
+  hasRawAudio,
+  enqueueSubmission,
+  isPermanentFailure,
+  processSubmission,
+  failSubmission,
+  createSubmissionWorker,
+};
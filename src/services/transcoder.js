@@ -0,0 +1,144 @@
+// On-demand renditions of scream audio for downloads
+// Decodes the best stored variant, applies the requested edits, encodes the target format and
+// quality tier, and keeps the result in storage (goat-screams/renditions/<id>/<hash>) so each
+// distinct request is only transcoded once
+
+const { createHash } = require('crypto');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { decodeAudio } = require('../audio/decode');
+const { applyEdits } = require('../audio/edit');
+const { encodeAudio } = require('../audio/encode');
+const { mediaKey, getMediaSource, readMedia } = require('./mediaSource');
+const { signMediaUrl, findRendition, uploadRendition } = require('./storage');
+const { ExternalServiceError, NotFoundError, ValidationError } = require('../errors');
+
+// Bump when encoding or editing changes so stored renditions are not reused
+const TRANSCODER_VERSION = 1;
+
+// Stored variants in order of preference as a transcoding source: lossless first, then the
+// highest quality of each format
+const SOURCE_FORMATS = ['wav', 'flac', 'mp3', 'ogg'];
+const SOURCE_QUALITIES = ['high', 'medium', 'low'];
+
+/**
+ * Pick the stored audio URL to transcode from
+ * @param {Object} scream - Scream document
+ * @returns {string|null} Media URL, or null when the scream has no decodable audio
+ */
+function sourceAudioUrl(scream) {
+  const audio = scream.media?.audio || {};
+  for (const format of SOURCE_FORMATS) {
+    const quality = SOURCE_QUALITIES.find(tier => audio[format]?.[tier]);
+    if (quality) return audio[format][quality];
+  }
+  return null;
+}
+
+/**
+ * Read and decode stored audio
+ * @private
+ */
+async function decodeMedia(mediaSource, target) {
+  const media = await readMedia(mediaSource, target);
+  if (!media) {
+    throw new NotFoundError('Audio file not found', 'media');
+  }
+  try {
+    return await decodeAudio(media.buffer);
+  } catch (err) {
+    throw new ExternalServiceError('Stored audio could not be decoded', 'media', err);
+  }
+}
+
+/**
+ * Decode the best stored audio of a scream
+ * @param {Object} scream - Scream document
+ * @param {Object} [context]
+ * @param {Object} [context.mediaSource] - Media source to read the original from
+ * @returns {Promise<{sampleRate: number, channels: Float32Array[]}>} Decoded audio
+ * @throws {NotFoundError} If the scream has no stored audio
+ * @throws {ExternalServiceError} If the stored audio cannot be decoded
+ */
+async function decodeScreamAudio(scream, { mediaSource = getMediaSource() } = {}) {
+  const url = sourceAudioUrl(scream);
+  if (!url) {
+    throw new NotFoundError('Audio file not found', 'media');
+  }
+  return decodeMedia(mediaSource, { url: await signMediaUrl(url), key: mediaKey(url) });
+}
+
+/**
+ * Name a rendition after everything that determines its bytes
+ * @private
+ */
+function renditionName(sourceEtag, { format, quality, edits }) {
+  const hash = createHash('sha1')
+    .update(JSON.stringify([TRANSCODER_VERSION, sourceEtag, format, quality, edits]))
+    .digest('hex')
+    .slice(0, 20);
+  return `${quality}-${hash}`;
+}
+
+/**
+ * Get a transcoded rendition of a scream, creating and storing it on first request
+ * @param {Object} scream - Scream document
+ * @param {Object} options
+ * @param {string} options.format - mp3, ogg or wav
+ * @param {string} options.quality - high, medium or low
+ * @param {Object} options.edits - { start, end, fadeIn, fadeOut, normalize } (see applyEdits)
+ * @param {Object} [context]
+ * @param {Object} [context.mediaSource] - Media source to read the original from
+ * @returns {Promise<Object>} { url, cached, duration }: the stored rendition URL, whether it
+ *   already existed, and its duration in seconds
+ * @throws {NotFoundError} If the scream has no stored audio
+ * @throws {ValidationError} If the trim starts past the end of the clip
+ * @throws {ExternalServiceError} If the stored audio cannot be decoded
+ */
+async function getRendition(
+  scream,
+  { format, quality, edits = {} },
+  { mediaSource = getMediaSource() } = {}
+) {
+  const url = sourceAudioUrl(scream);
+  if (!url) {
+    throw new NotFoundError('Audio file not found', 'media');
+  }
+  const target = { url: await signMediaUrl(url), key: mediaKey(url) };
+  const stat = await mediaSource.stat(target);
+  if (!stat) {
+    throw new NotFoundError('Audio file not found', 'media');
+  }
+
+  const name = renditionName(stat.etag, { format, quality, edits });
+  const existing = await findRendition(scream.id, name);
+  if (existing) {
+    return { url: existing.url, cached: true, duration: existing.duration };
+  }
+
+  const decoded = await decodeMedia(mediaSource, target);
+  const length = decoded.channels[0]?.length || 0;
+  if ((edits.start || 0) * decoded.sampleRate >= length) {
+    throw new ValidationError('start is beyond the end of the clip', {
+      field: 'start',
+      value: edits.start,
+      duration: Number((length / decoded.sampleRate).toFixed(2)),
+    });
+  }
+  const edited = applyEdits(decoded, edits);
+  const encoded = await encodeAudio(edited, format, quality);
+  const duration = Number((edited.channels[0].length / edited.sampleRate).toFixed(2));
+
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'goat-rendition-'));
+  try {
+    const file = path.join(dir, `${name}.${format}`);
+    await fsp.writeFile(file, encoded);
+    const stored = await uploadRendition(file, scream.id, name, { duration });
+    return { url: stored.url, cached: false, duration };
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { TRANSCODER_VERSION, sourceAudioUrl, decodeScreamAudio, getRendition };
@@ -0,0 +1,280 @@
+const { createHash, randomUUID } = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { AppError, NotFoundError, ValidationError } = require('../errors');
+
+// Largest assembled file and largest chunk accepted by one PATCH
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Uploads untouched for this long are discarded
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const UPLOAD_ID_PATTERN = /^upl_[0-9a-f-]{36}$/;
+const SHA256_HEX = /^[0-9a-f]{64}$/i;
+
+/**
+ * Resumable uploads: a file is created with its final size, filled by appending chunks at the
+ * current offset, and handed over once complete. Chunks go to `<id>.part` in the upload
+ * directory with the upload's metadata next to it in `<id>.json`, so an interrupted client can
+ * ask for the offset and carry on, also across server restarts.
+ */
+class UploadService {
+  constructor(dir = null) {
+    // Allow injection for testing, otherwise use the submissions upload directory
+    this._dir = dir;
+    // Uploads with a chunk being written, so concurrent PATCHes cannot interleave
+    this._busy = new Set();
+  }
+
+  get dir() {
+    return this._dir || path.join(process.cwd(), 'tmp', 'uploads');
+  }
+
+  /**
+   * @private
+   */
+  _paths(id) {
+    return {
+      meta: path.join(this.dir, `${id}.json`),
+      part: path.join(this.dir, `${id}.part`),
+    };
+  }
+
+  /**
+   * Shape upload state for API responses
+   * @private
+   */
+  _format(upload, offset) {
+    return {
+      upload_id: upload.id,
+      filename: upload.filename,
+      mime_type: upload.mime_type,
+      size: upload.size,
+      offset,
+      complete: offset === upload.size,
+      expires_at: upload.expires_at,
+    };
+  }
+
+  /**
+   * Read an upload's metadata, discarding it when expired
+   * @private
+   */
+  async _load(id) {
+    if (typeof id !== 'string' || !UPLOAD_ID_PATTERN.test(id)) {
+      throw new NotFoundError('Upload not found', 'upload');
+    }
+    const { meta, part } = this._paths(id);
+    let upload;
+    try {
+      upload = JSON.parse(await fsp.readFile(meta, 'utf8'));
+    } catch {
+      throw new NotFoundError('Upload not found', 'upload');
+    }
+    if (Date.parse(upload.expires_at) <= Date.now()) {
+      await this.removeUpload(id);
+      throw new NotFoundError('Upload not found', 'upload');
+    }
+    // The file on disk is the source of truth for how much has arrived
+    const { size: offset } = await fsp.stat(part);
+    return { upload, offset };
+  }
+
+  /**
+   * @private
+   */
+  async _touch(upload) {
+    upload.expires_at = new Date(Date.now() + UPLOAD_TTL_MS).toISOString();
+    await fsp.writeFile(this._paths(upload.id).meta, JSON.stringify(upload));
+  }
+
+  /**
+   * Start an upload
+   * @param {Object} params
+   * @param {string} params.filename - Original file name (its extension is kept)
+   * @param {number} params.size - Total size in bytes
+   * @param {string} params.mime_type - Content type, checked by the caller
+   * @param {string} [params.checksum] - SHA-256 of the whole file (hex), verified on completion
+   * @returns {Promise<Object>} Upload state with offset 0
+   * @throws {ValidationError} If the size or checksum is invalid
+   */
+  async createUpload({ filename, size, mime_type, checksum } = {}) {
+    const total = Number(size);
+    if (!Number.isInteger(total) || total <= 0 || total > MAX_UPLOAD_SIZE) {
+      throw new ValidationError(`size must be an integer between 1 and ${MAX_UPLOAD_SIZE}`, {
+        field: 'size',
+        value: size,
+      });
+    }
+    if (checksum !== undefined && (typeof checksum !== 'string' || !SHA256_HEX.test(checksum))) {
+      throw new ValidationError('checksum must be a hex SHA-256 digest', {
+        field: 'checksum',
+        value: checksum,
+      });
+    }
+
+    await fsp.mkdir(this.dir, { recursive: true });
+    // Sweep abandoned uploads whenever a new one starts
+    await this.purgeExpiredUploads();
+
+    const upload = {
+      id: `upl_${randomUUID()}`,
+      filename: path.basename(String(filename || 'audio')).replace(/[^a-zA-Z0-9._-]/g, '_'),
+      mime_type,
+      size: total,
+      checksum: checksum ? checksum.toLowerCase() : null,
+      created_at: new Date().toISOString(),
+    };
+    await fsp.writeFile(this._paths(upload.id).part, Buffer.alloc(0));
+    await this._touch(upload);
+    return this._format(upload, 0);
+  }
+
+  /**
+   * Get the state of an upload, e.g. to find the offset to resume from
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object>} Upload state
+   * @throws {NotFoundError} If the upload does not exist or has expired
+   */
+  async getUpload(id) {
+    const { upload, offset } = await this._load(id);
+    return this._format(upload, offset);
+  }
+
+  /**
+   * Append a chunk at the given offset
+   * @param {string} id - Upload ID
+   * @param {number} offset - Offset the chunk starts at; must equal the bytes received so far
+   * @param {Buffer} chunk - Chunk bytes
+   * @param {Object} [options]
+   * @param {string} [options.checksum] - SHA-256 of the chunk (base64), as sent in a
+   *   `Upload-Checksum: sha256 <digest>` header
+   * @returns {Promise<Object>} Upload state after the chunk
+   * @throws {AppError} 409 if the offset does not match or another chunk is being written
+   * @throws {ValidationError} If the chunk is empty, too large or fails its checksum
+   * @throws {NotFoundError} If the upload does not exist or has expired
+   */
+  async appendChunk(id, offset, chunk, { checksum } = {}) {
+    const { upload, offset: current } = await this._load(id);
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+      throw new ValidationError('Chunk is empty; send it as application/offset+octet-stream', {
+        field: 'body',
+      });
+    }
+    if (chunk.length > MAX_CHUNK_SIZE || current + chunk.length > upload.size) {
+      throw new ValidationError('Chunk exceeds the upload size or the chunk size limit', {
+        field: 'body',
+        max_chunk_size: MAX_CHUNK_SIZE,
+        remaining: upload.size - current,
+      });
+    }
+    if (checksum !== undefined) {
+      const digest = createHash('sha256').update(chunk).digest('base64');
+      if (digest !== checksum) {
+        throw new ValidationError('Chunk checksum mismatch', { field: 'Upload-Checksum' });
+      }
+    }
+    if (offset !== current || this._busy.has(id)) {
+      throw new AppError(
+        `Upload offset mismatch: expected ${current}`,
+        409,
+        'UPLOAD_OFFSET_MISMATCH'
+      );
+    }
+
+    this._busy.add(id);
+    try {
+      await fsp.appendFile(this._paths(id).part, chunk);
+      await this._touch(upload);
+    } finally {
+      this._busy.delete(id);
+    }
+    return this._format(upload, current + chunk.length);
+  }
+
+  /**
+   * Finish a complete upload: verify the whole-file checksum and move the file out of the upload
+   * area. The caller owns the returned file and deletes it when done.
+   * @param {string} id - Upload ID
+   * @returns {Promise<{path: string, filename: string, mime_type: string, size: number}>}
+   * @throws {ValidationError} If bytes are missing or the checksum does not match (the upload is
+   *   discarded)
+   * @throws {NotFoundError} If the upload does not exist or has expired
+   */
+  async completeUpload(id) {
+    const { upload, offset } = await this._load(id);
+    if (offset !== upload.size) {
+      throw new ValidationError(`Upload incomplete: ${offset} of ${upload.size} bytes received`, {
+        field: 'upload_id',
+        offset,
+        size: upload.size,
+      });
+    }
+
+    if (this._busy.has(id)) {
+      throw new AppError('Upload is already being completed', 409, 'UPLOAD_BUSY');
+    }
+
+    const { meta, part } = this._paths(id);
+    this._busy.add(id);
+    try {
+      if (upload.checksum) {
+        const hash = createHash('sha256');
+        await pipeline(fs.createReadStream(part), hash);
+        if (hash.digest('hex') !== upload.checksum) {
+          await this.removeUpload(id);
+          throw new ValidationError('Upload checksum mismatch; start the upload again', {
+            field: 'checksum',
+          });
+        }
+      }
+
+      const target = path.join(this.dir, `${id}${path.extname(upload.filename)}`);
+      await fsp.rename(part, target);
+      await fsp.rm(meta, { force: true });
+      return { path: target, filename: upload.filename, mime_type: upload.mime_type, size: offset };
+    } finally {
+      this._busy.delete(id);
+    }
+  }
+
+  /**
+   * Discard an upload and its chunks
+   * @param {string} id - Upload ID
+   * @returns {Promise<void>}
+   */
+  async removeUpload(id) {
+    const { meta, part } = this._paths(id);
+    await Promise.all([fsp.rm(part, { force: true }), fsp.rm(meta, { force: true })]);
+  }
+
+  /**
+   * Discard uploads past their expiry
+   * @returns {Promise<number>} Number of uploads removed
+   */
+  async purgeExpiredUploads() {
+    const entries = await fsp.readdir(this.dir).catch(() => []);
+    let removed = 0;
+    for (const entry of entries) {
+      const id = path.basename(entry, '.json');
+      if (!entry.endsWith('.json') || !UPLOAD_ID_PATTERN.test(id)) continue;
+      const upload = await fsp
+        .readFile(path.join(this.dir, entry), 'utf8')
+        .then(JSON.parse)
+        .catch(() => null);
+      if (!upload || Date.parse(upload.expires_at) <= Date.now()) {
+        await this.removeUpload(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = UploadService;
+module.exports.MAX_UPLOAD_SIZE = MAX_UPLOAD_SIZE;
+module.exports.MAX_CHUNK_SIZE = MAX_CHUNK_SIZE;
+module.exports.UPLOAD_TTL_MS = UPLOAD_TTL_MS;
@@ -0,0 +1,90 @@
+/**
+ * Base storage driver interface/abstract class
+ * Defines the contract that all media storage drivers must follow.
+ * Assets are addressed by a key without file extension, e.g. "goat-screams/audio/<id>".
+ */
+class BaseStorageDriver {
+  /**
+   * Driver name, as selected by STORAGE_DRIVER
+   * @returns {string} Name
+   */
+  get name() {
+    throw new Error('name must be implemented by storage driver subclass');
+  }
+
+  /**
+   * Upload a local file
+   * @param {string} filePath - Path of the file to upload
+   * @param {string} key - Target asset key
+   * @param {Object} options - Upload options
+   * @param {string[]} options.tags - Tags to attach
+   * @param {Object} options.context - Key/value metadata to attach
+   * @returns {Promise<Object>} { key, url, bytes, format, duration }
+   */
+  async upload(_filePath, _key, _options = {}) {
+    throw new Error('upload() must be implemented by storage driver subclass');
+  }
+
+  /**
+   * Move an asset to a new key, replacing any asset already there
+   * @param {string} fromKey - Current asset key
+   * @param {string} toKey - Target asset key
+   * @returns {Promise<Object>} { key, url }
+   */
+  async move(_fromKey, _toKey) {
+    throw new Error('move() must be implemented by storage driver subclass');
+  }
+
+  /**
+   * Delete an asset
+   * @param {string} key - Asset key
+   * @returns {Promise<Object>} { result: 'ok' | 'not found' }
+   */
+  async delete(_key) {
+    throw new Error('delete() must be implemented by storage driver subclass');
+  }
+
+  /**
+   * Get an asset's metadata
+   * @param {string} key - Asset key
+   * @param {Object} [options] - { image: true } for images, which some backends keep apart
+   * @returns {Promise<Object|null>} { key, url, bytes, format, tags, context } or null if missing
+   */
+  async getAsset(_key, _options = {}) {
+    throw new Error('getAsset() must be implemented by storage driver subclass');
+  }
+
+  /**
+   * Merge metadata into an asset: context keys are overwritten, tags are added
+   * @param {string} key - Asset key
+   * @param {Object} metadata - { context, tags }
+   * @returns {Promise<Object>} Driver response
+   */
+  async updateMetadata(_key, _metadata = {}) {
+    throw new Error('updateMetadata() must be implemented by storage driver subclass');
+  }
+
+  /**
+   * List assets whose key starts with a prefix
+   * `hash` is an MD5 digest of the content where the backend reports one; `duration` is only
+   * known to backends that analyse uploads (Cloudinary).
+   * @param {string} prefix - Key prefix, e.g. "goat-screams/audio/"
+   * @returns {Promise<Array<Object>>} [{ key, url, bytes, format, duration, hash }]
+   */
+  async list(_prefix) {
+    throw new Error('list() must be implemented by storage driver subclass');
+  }
+
+  /**
+   * Get a URL clients can fetch a stored media URL from. Drivers backed by private storage
+   * return a short-lived signed URL; the default hands back the URL unchanged.
+   * @param {string} url - Media URL as stored on the scream
+   * @param {Object} options - { filename } to suggest as the download name
+   * @returns {Promise<string>} Fetchable URL
+   */
+  async signedUrl(url, _options = {}) {
+    return url;
+  }
+}
+
+module.exports = BaseStorageDriver;
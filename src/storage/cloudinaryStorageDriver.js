@@ -0,0 +1,82 @@
+const path = require('path');
+const BaseStorageDriver = require('./baseStorageDriver');
+const {
+  uploadAudio,
+  uploadImage,
+  getAsset,
+  renameAsset,
+  deleteAsset,
+  updateAssetMetadata,
+  listAssets,
+} = require('../services/cloudinary');
+
+// Uploads stored as Cloudinary image resources
+const IMAGE_EXTENSIONS = new Set(['.png', '.svg']);
+
+/**
+ * Cloudinary implementation of the storage driver
+ * Asset keys are Cloudinary public IDs; every call goes through the Cloudinary circuit breakers.
+ */
+class CloudinaryStorageDriver extends BaseStorageDriver {
+  get name() {
+    return 'cloudinary';
+  }
+
+  async upload(filePath, key, { tags = [], context = {} } = {}) {
+    // Cloudinary keeps images and audio (its "video" type) apart
+    const upload = IMAGE_EXTENSIONS.has(path.extname(filePath).toLowerCase())
+      ? uploadImage
+      : uploadAudio;
+    const result = await upload(filePath, { publicId: key, tags, context });
+    return {
+      key: result.public_id,
+      url: result.secure_url || result.url,
+      duration: result.duration,
+      bytes: result.bytes,
+      format: result.format,
+    };
+  }
+
+  async move(fromKey, toKey) {
+    const result = await renameAsset(fromKey, toKey);
+    return {
+      key: result.public_id,
+      url: result.secure_url || result.url,
+    };
+  }
+
+  async delete(key) {
+    return deleteAsset(key);
+  }
+
+  async getAsset(key, { image = false } = {}) {
+    const resource = await getAsset(key, { resourceType: image ? 'image' : 'video' });
+    if (!resource) return null;
+    return {
+      key: resource.public_id,
+      url: resource.secure_url || resource.url,
+      bytes: resource.bytes,
+      format: resource.format,
+      tags: resource.tags || [],
+      context: resource.context?.custom || {},
+    };
+  }
+
+  async updateMetadata(key, { context = {}, tags = [] } = {}) {
+    return updateAssetMetadata(key, { context, tags });
+  }
+
+  async list(prefix) {
+    const resources = await listAssets(prefix);
+    return resources.map(resource => ({
+      key: resource.public_id,
+      url: resource.secure_url || resource.url,
+      bytes: resource.bytes,
+      format: resource.format,
+      duration: resource.duration,
+      hash: resource.etag,
+    }));
+  }
+}
+
+module.exports = CloudinaryStorageDriver;
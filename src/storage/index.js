@@ -0,0 +1,32 @@
+const CloudinaryStorageDriver = require('./cloudinaryStorageDriver');
+const LocalStorageDriver = require('./localStorageDriver');
+const S3StorageDriver = require('./s3StorageDriver');
+
+const DRIVERS = {
+  cloudinary: CloudinaryStorageDriver,
+  local: LocalStorageDriver,
+  s3: S3StorageDriver,
+};
+
+/**
+ * Factory function to get the storage driver selected by STORAGE_DRIVER (default: cloudinary)
+ * @returns {BaseStorageDriver} Storage driver instance
+ * @throws {Error} If STORAGE_DRIVER names an unknown driver
+ */
+function getStorageDriver() {
+  const name = process.env.STORAGE_DRIVER || 'cloudinary';
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}". Allowed: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+  return new Driver();
+}
+
+module.exports = {
+  CloudinaryStorageDriver,
+  LocalStorageDriver,
+  S3StorageDriver,
+  getStorageDriver,
+};
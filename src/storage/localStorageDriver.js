@@ -0,0 +1,197 @@
+const { createHash } = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const BaseStorageDriver = require('./baseStorageDriver');
+
+// Route the API serves local media from (see routes/media.js)
+const MEDIA_ROUTE = '/api/v1/media';
+
+/**
+ * Local filesystem implementation of the storage driver
+ * Stores each asset as `<root>/<key>.<format>` next to a `<root>/<key>.json` metadata sidecar,
+ * and hands out URLs served by the API's media route, so the whole submission → moderation →
+ * promotion flow runs without any cloud account.
+ */
+class LocalStorageDriver extends BaseStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.root - Storage directory (default: STORAGE_DIR or ./tmp/media)
+   * @param {string} options.baseUrl - Public origin for asset URLs (default: STORAGE_PUBLIC_URL,
+   *   or root-relative URLs)
+   */
+  constructor({ root, baseUrl } = {}) {
+    super();
+    this.root = path.resolve(
+      root || process.env.STORAGE_DIR || path.join(process.cwd(), 'tmp', 'media')
+    );
+    this.baseUrl = (baseUrl ?? process.env.STORAGE_PUBLIC_URL ?? '').replace(/\/+$/, '');
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  /**
+   * Resolve a key (optionally with extension) to a path inside the storage root
+   * @param {string} key - Asset key
+   * @param {string} [ext=''] - Extension including the dot
+   * @returns {string} Absolute path
+   * @throws {Error} If the key escapes the storage root
+   */
+  resolvePath(key, ext = '') {
+    const file = path.resolve(this.root, `${key}${ext}`);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  /**
+   * Public URL of a stored file
+   * @private
+   */
+  _url(key, format) {
+    const encoded = `${key}.${format}`.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}${MEDIA_ROUTE}/${encoded}`;
+  }
+
+  /**
+   * Read an asset's metadata sidecar
+   * @private
+   */
+  async _readMeta(key) {
+    try {
+      return JSON.parse(await fsp.readFile(this.resolvePath(key, '.json'), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Write an asset's metadata sidecar
+   * @private
+   */
+  async _writeMeta(key, meta) {
+    await fsp.writeFile(this.resolvePath(key, '.json'), JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * MD5 of a stored file, the digest Cloudinary and S3 report for their objects
+   * @private
+   */
+  async _hash(key, format) {
+    const hash = createHash('md5');
+    await pipeline(fs.createReadStream(this.resolvePath(key, `.${format}`)), hash);
+    return hash.digest('hex');
+  }
+
+  async upload(filePath, key, { tags = [], context = {} } = {}) {
+    const format = path.extname(filePath).slice(1).toLowerCase() || 'mp3';
+    const target = this.resolvePath(key, `.${format}`);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.copyFile(filePath, target);
+    const { size } = await fsp.stat(target);
+
+    const now = new Date().toISOString();
+    await this._writeMeta(key, {
+      key,
+      format,
+      bytes: size,
+      tags: Array.from(new Set(tags)),
+      context,
+      created_at: now,
+      updated_at: now,
+    });
+
+    return { key, url: this._url(key, format), bytes: size, format };
+  }
+
+  async move(fromKey, toKey) {
+    const meta = await this._readMeta(fromKey);
+    if (!meta) {
+      throw new Error(`Asset not found: ${fromKey}`);
+    }
+    if (fromKey === toKey) {
+      return { key: toKey, url: this._url(toKey, meta.format) };
+    }
+
+    const target = this.resolvePath(toKey, `.${meta.format}`);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    // Replace whatever is stored under the target key, like Cloudinary's overwrite rename
+    await this.delete(toKey);
+    await fsp.rename(this.resolvePath(fromKey, `.${meta.format}`), target);
+    await this._writeMeta(toKey, { ...meta, key: toKey, updated_at: new Date().toISOString() });
+    await fsp.rm(this.resolvePath(fromKey, '.json'), { force: true });
+
+    return { key: toKey, url: this._url(toKey, meta.format) };
+  }
+
+  async delete(key) {
+    const meta = await this._readMeta(key);
+    if (!meta) return { result: 'not found' };
+    await fsp.rm(this.resolvePath(key, `.${meta.format}`), { force: true });
+    await fsp.rm(this.resolvePath(key, '.json'), { force: true });
+    return { result: 'ok' };
+  }
+
+  async getAsset(key) {
+    const meta = await this._readMeta(key);
+    if (!meta) return null;
+    return {
+      key,
+      url: this._url(key, meta.format),
+      bytes: meta.bytes,
+      format: meta.format,
+      tags: meta.tags || [],
+      context: meta.context || {},
+    };
+  }
+
+  async updateMetadata(key, { context = {}, tags = [] } = {}) {
+    const meta = await this._readMeta(key);
+    if (!meta) {
+      throw new Error(`Asset not found: ${key}`);
+    }
+    const updated = {
+      ...meta,
+      tags: Array.from(new Set([...(meta.tags || []), ...tags])),
+      context: { ...meta.context, ...context },
+      updated_at: new Date().toISOString(),
+    };
+    await this._writeMeta(key, updated);
+    return updated;
+  }
+
+  async list(prefix) {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.root, { recursive: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const keys = entries
+      .filter(entry => entry.endsWith('.json'))
+      .map(entry => entry.slice(0, -'.json'.length).split(path.sep).join('/'))
+      .filter(key => key.startsWith(prefix))
+      .sort();
+    const assets = (await Promise.all(keys.map(key => this.getAsset(key)))).filter(Boolean);
+    return Promise.all(
+      assets.map(async ({ key, url, bytes, format }) => ({
+        key,
+        url,
+        bytes,
+        format,
+        hash: await this._hash(key, format),
+      }))
+    );
+  }
+}
+
+LocalStorageDriver.MEDIA_ROUTE = MEDIA_ROUTE;
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const BaseStorageDriver = require('./baseStorageDriver');
+const { createCircuitBreaker } = require('../services/circuitBreaker');
+
+// Content types stored with uploaded audio
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  webm: 'audio/webm',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+};
+
+let sharedClient = null;
+let sendBreaker = null;
+let uploadBreaker = null;
+
+/**
+ * Get the S3 client configured by env (shared by all driver instances)
+ * @private
+ */
+function getClient() {
+  if (sharedClient) return sharedClient;
+
+  const { S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE } =
+    process.env;
+  sharedClient = new S3Client({
+    region: S3_REGION || 'us-east-1',
+    endpoint: S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted stores only support path-style addressing
+    forcePathStyle: S3_FORCE_PATH_STYLE ? S3_FORCE_PATH_STYLE === 'true' : Boolean(S3_ENDPOINT),
+    // Without explicit keys the SDK's default credential chain applies
+    credentials:
+      S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY
+        ? { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY }
+        : undefined,
+  });
+  return sharedClient;
+}
+
+function initializeCircuitBreakers() {
+  if (sendBreaker) return;
+
+  const send = (client, command) => client.send(command);
+  sendBreaker = createCircuitBreaker(send, {
+    name: 's3',
+    timeout: 10000,
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+  });
+  // Uploads stream up to 50 MB, far longer than any other request may take
+  uploadBreaker = createCircuitBreaker(send, {
+    name: 's3-upload',
+    timeout: Number(process.env.S3_UPLOAD_TIMEOUT) || 120000,
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+  });
+}
+
+/**
+ * Whether an SDK error means the object does not exist
+ * @private
+ */
+function isNotFound(err) {
+  return (
+    err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404
+  );
+}
+
+/**
+ * Encode asset metadata as S3 user metadata (ASCII-only header values)
+ * @private
+ */
+function encodeMetadata({ tags = [], context = {} }) {
+  return {
+    tags: Array.from(new Set(tags)).map(encodeURIComponent).join(','),
+    context: Buffer.from(JSON.stringify(context)).toString('base64url'),
+  };
+}
+
+/**
+ * Decode S3 user metadata written by encodeMetadata
+ * @private
+ */
+function decodeMetadata(metadata = {}) {
+  let context = {};
+  try {
+    context = metadata.context
+      ? JSON.parse(Buffer.from(metadata.context, 'base64url').toString('utf8'))
+      : {};
+  } catch {
+    context = {};
+  }
+  return {
+    tags: metadata.tags ? metadata.tags.split(',').map(decodeURIComponent) : [],
+    context,
+  };
+}
+
+/**
+ * S3-compatible object storage implementation of the storage driver (AWS S3, MinIO, R2, ...)
+ * Each asset is stored as the object `<key>.<format>` with tags and context in user metadata.
+ * Every request goes through the `s3` circuit breaker, except uploads, which have their own
+ * `s3-upload` breaker with a longer timeout.
+ */
+class S3StorageDriver extends BaseStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.bucket - Bucket name (default: S3_BUCKET)
+   * @param {string} options.publicUrl - Base URL objects are addressed by (default: S3_PUBLIC_URL,
+   *   or the endpoint/bucket URL)
+   * @param {number} options.expiresIn - Lifetime of presigned URLs in seconds
+   *   (default: S3_PRESIGN_EXPIRES or 3600)
+   * @param {S3Client} options.client - Client to use instead of the shared env-configured one
+   */
+  constructor({ bucket, publicUrl, expiresIn, client } = {}) {
+    super();
+    this.bucket = bucket || process.env.S3_BUCKET;
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+    }
+    this.expiresIn = expiresIn || Number(process.env.S3_PRESIGN_EXPIRES) || 3600;
+    this._client = client || null;
+
+    const { S3_PUBLIC_URL, S3_ENDPOINT, S3_REGION } = process.env;
+    this.publicUrl = (
+      publicUrl ||
+      S3_PUBLIC_URL ||
+      (S3_ENDPOINT
+        ? `${S3_ENDPOINT.replace(/\/+$/, '')}/${this.bucket}`
+        : `https://${this.bucket}.s3.${S3_REGION || 'us-east-1'}.amazonaws.com`)
+    ).replace(/\/+$/, '');
+  }
+
+  get name() {
+    return 's3';
+  }
+
+  get client() {
+    return this._client || getClient();
+  }
+
+  /**
+   * Send a command through the circuit breaker
+   * @private
+   */
+  async _send(command) {
+    initializeCircuitBreakers();
+    return sendBreaker.fire(this.client, command);
+  }
+
+  /**
+   * Send an upload through the upload circuit breaker
+   * @private
+   */
+  async _sendUpload(command) {
+    initializeCircuitBreakers();
+    return uploadBreaker.fire(this.client, command);
+  }
+
+  /**
+   * Stable URL of an object (signed on demand by signedUrl)
+   * @private
+   */
+  _url(objectKey) {
+    return `${this.publicUrl}/${objectKey.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * CopySource of an object in this bucket
+   * @private
+   */
+  _copySource(objectKey) {
+    return `${this.bucket}/${objectKey.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Find the object stored for an asset key
+   * @private
+   * @returns {Promise<Object|null>} { objectKey, format, bytes } or null
+   */
+  async _findObject(key) {
+    const res = await this._send(
+      new ListObjectsV2Command({ Bucket: this.bucket, Prefix: `${key}.`, MaxKeys: 10 })
+    );
+    // Only `<key>.<format>`, not `<key>.<something>/...` or `<key>.<suffix>.<format>`
+    const match = (res.Contents || []).find(obj => /^[^./]+$/.test(obj.Key.slice(key.length + 1)));
+    if (!match) return null;
+    return {
+      objectKey: match.Key,
+      format: path.extname(match.Key).slice(1),
+      bytes: match.Size,
+    };
+  }
+
+  async upload(filePath, key, { tags = [], context = {} } = {}) {
+    const format = path.extname(filePath).slice(1).toLowerCase() || 'mp3';
+    const objectKey = `${key}.${format}`;
+    const { size } = await fs.promises.stat(filePath);
+
+    await this._sendUpload(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: objectKey,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: CONTENT_TYPES[format] || 'application/octet-stream',
+        Metadata: encodeMetadata({ tags, context }),
+      })
+    );
+
+    return { key, url: this._url(objectKey), bytes: size, format };
+  }
+
+  async move(fromKey, toKey) {
+    const source = await this._findObject(fromKey);
+    if (!source) {
+      throw new Error(`Asset not found: ${fromKey}`);
+    }
+    const objectKey = `${toKey}.${source.format}`;
+    if (objectKey === source.objectKey) {
+      return { key: toKey, url: this._url(objectKey) };
+    }
+
+    // Replace whatever is stored under the target key, like Cloudinary's overwrite rename
+    const existing = await this._findObject(toKey);
+    if (existing && existing.objectKey !== objectKey) {
+      await this._send(new DeleteObjectCommand({ Bucket: this.bucket, Key: existing.objectKey }));
+    }
+
+    // Server-side copy, then drop the original
+    await this._send(
+      new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: objectKey,
+        CopySource: this._copySource(source.objectKey),
+        MetadataDirective: 'COPY',
+      })
+    );
+    await this._send(new DeleteObjectCommand({ Bucket: this.bucket, Key: source.objectKey }));
+
+    return { key: toKey, url: this._url(objectKey) };
+  }
+
+  async delete(key) {
+    const object = await this._findObject(key);
+    if (!object) return { result: 'not found' };
+    await this._send(new DeleteObjectCommand({ Bucket: this.bucket, Key: object.objectKey }));
+    return { result: 'ok' };
+  }
+
+  async getAsset(key) {
+    const object = await this._findObject(key);
+    if (!object) return null;
+
+    let head;
+    try {
+      head = await this._send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: object.objectKey })
+      );
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+    return {
+      key,
+      url: this._url(object.objectKey),
+      bytes: head.ContentLength,
+      format: object.format,
+      ...decodeMetadata(head.Metadata),
+    };
+  }
+
+  async updateMetadata(key, { context = {}, tags = [] } = {}) {
+    const object = await this._findObject(key);
+    if (!object) {
+      throw new Error(`Asset not found: ${key}`);
+    }
+    const head = await this._send(
+      new HeadObjectCommand({ Bucket: this.bucket, Key: object.objectKey })
+    );
+    const current = decodeMetadata(head.Metadata);
+    const merged = {
+      tags: Array.from(new Set([...current.tags, ...tags])),
+      context: { ...current.context, ...context },
+    };
+
+    // S3 metadata is immutable: copy the object onto itself with new metadata
+    await this._send(
+      new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: object.objectKey,
+        CopySource: this._copySource(object.objectKey),
+        MetadataDirective: 'REPLACE',
+        ContentType: head.ContentType,
+        Metadata: encodeMetadata(merged),
+      })
+    );
+    return { key, ...merged };
+  }
+
+  async list(prefix) {
+    const assets = [];
+    let token;
+    do {
+      const res = await this._send(
+        new ListObjectsV2Command({ Bucket: this.bucket, Prefix: prefix, ContinuationToken: token })
+      );
+      (res.Contents || []).forEach(obj => {
+        const format = path.extname(obj.Key).slice(1);
+        assets.push({
+          key: format ? obj.Key.slice(0, -(format.length + 1)) : obj.Key,
+          url: this._url(obj.Key),
+          bytes: obj.Size,
+          format,
+          // MD5 of the content for single-part uploads, which is all upload() sends
+          hash: obj.ETag ? obj.ETag.replace(/"/g, '') : undefined,
+        });
+      });
+      token = res.IsTruncated ? res.NextContinuationToken : undefined;
+    } while (token);
+    return assets;
+  }
+
+  async signedUrl(url, { filename } = {}) {
+    if (!url || !url.startsWith(`${this.publicUrl}/`)) return url;
+
+    const objectKey = url
+      .slice(this.publicUrl.length + 1)
+      .split('/')
+      .map(decodeURIComponent)
+      .join('/');
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: objectKey,
+        ResponseContentDisposition: filename ? `attachment; filename="${filename}"` : undefined,
+      }),
+      { expiresIn: this.expiresIn }
+    );
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,146 @@
+/**
+ * Keyset (cursor) pagination helpers.
+ * Cursors are opaque base64url tokens carrying the sort-key values of the
+ * boundary item, so pages stay stable when documents are inserted mid-crawl.
+ */
+
+const { ValidationError } = require('../errors');
+const { deepGet } = require('./filters');
+
+const DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encode a cursor pointing at `doc` for the given sort specification.
+ *
+ * @param {Object} doc - Boundary document (first or last item of a page)
+ * @param {Object} sort - Sort specification, e.g. { date_added: 1, id: 1 }
+ * @param {string} [direction='next'] - 'next' to page forward, 'prev' to page back
+ * @param {Function} [getValue=deepGet] - Reads a sort value from the document
+ * @returns {string} Opaque cursor token
+ */
+function encodeCursor(doc, sort, direction = 'next', getValue = deepGet) {
+  const keys = Object.keys(sort);
+  const values = keys.map(field => {
+    const value = getValue(doc, field);
+    return value instanceof Date ? value.toISOString() : (value ?? null);
+  });
+  return Buffer.from(JSON.stringify({ d: direction, k: keys, v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor token produced by encodeCursor.
+ *
+ * @param {string} token - Cursor token from a previous response
+ * @param {Object} sort - Sort specification the cursor must have been issued for
+ * @returns {{direction: string, after: Object}} Direction and boundary values keyed by field
+ * @throws {ValidationError} If the token is malformed or was issued for a different sort
+ */
+function decodeCursor(token, sort) {
+  const invalid = () =>
+    new ValidationError('Invalid cursor. Use next_cursor or prev_cursor from a previous response', {
+      field: 'cursor',
+      value: token,
+    });
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw invalid();
+  }
+
+  const keys = Object.keys(sort);
+  if (
+    !payload ||
+    !DIRECTIONS.includes(payload.d) ||
+    !Array.isArray(payload.k) ||
+    !Array.isArray(payload.v) ||
+    payload.k.join(',') !== keys.join(',') ||
+    payload.v.length !== keys.length
+  ) {
+    throw invalid();
+  }
+
+  const after = {};
+  keys.forEach((field, i) => {
+    after[field] = payload.v[i];
+  });
+  return { direction: payload.d, after };
+}
+
+/**
+ * Flip every direction in a sort specification (used to page backwards).
+ *
+ * @param {Object} sort - Sort specification
+ * @returns {Object} Reversed sort specification
+ */
+function reverseSort(sort) {
+  const reversed = {};
+  Object.entries(sort).forEach(([field, direction]) => {
+    reversed[field] = direction === 1 ? -1 : 1;
+  });
+  return reversed;
+}
+
+/**
+ * Compare two documents under a sort specification.
+ * Missing values sort as 0, matching the static repository's ordering.
+ *
+ * @param {Object} a - First document (or map of field → value)
+ * @param {Object} b - Second document (or map of field → value)
+ * @param {Object} sort - Sort specification
+ * @param {Function} [getA=deepGet] - Reads a sort value from `a`
+ * @param {Function} [getB=getA] - Reads a sort value from `b`
+ * @returns {number} Negative if a sorts first, positive if b sorts first, 0 if equal
+ */
+function compareBySort(a, b, sort, getA = deepGet, getB = getA) {
+  for (const [field, direction] of Object.entries(sort)) {
+    const av = getA(a, field) ?? 0;
+    const bv = getB(b, field) ?? 0;
+    if (av !== bv) {
+      return direction === 1 ? (av > bv ? 1 : -1) : av < bv ? 1 : -1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Read a boundary value from the `after` map produced by decodeCursor.
+ *
+ * @param {Object} after - Boundary values keyed by field
+ * @param {string} field - Sort field
+ * @returns {*} Boundary value
+ */
+function getCursorValue(after, field) {
+  return after[field];
+}
+
+/**
+ * Build next/prev cursors for a page of results.
+ *
+ * @param {Array} items - Page items in display order
+ * @param {Object} sort - Sort specification
+ * @param {Object} flags - Which neighbours exist
+ * @param {boolean} flags.hasPrev - Whether items exist before this page
+ * @param {boolean} flags.hasNext - Whether items exist after this page
+ * @param {Function} [getValue=deepGet] - Reads a sort value from an item
+ * @returns {{next_cursor: string|null, prev_cursor: string|null}} Cursor tokens
+ */
+function buildPageCursors(items, sort, { hasPrev, hasNext }, getValue = deepGet) {
+  if (!items.length) {
+    return { next_cursor: null, prev_cursor: null };
+  }
+  return {
+    next_cursor: hasNext ? encodeCursor(items[items.length - 1], sort, 'next', getValue) : null,
+    prev_cursor: hasPrev ? encodeCursor(items[0], sort, 'prev', getValue) : null,
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  reverseSort,
+  compareBySort,
+  getCursorValue,
+  buildPageCursors,
+};
@@ -0,0 +1,196 @@
+/**
+ * Calendar helpers for the scream of the day.
+ * Days are counted in a caller-chosen IANA time zone (UTC by default). The rotation runs in
+ * cycles anchored on fixed days: a cycle covers the catalog as it stood when its first day
+ * began anywhere in the world, one scream per day in a shuffled order, and lasts as many days
+ * as it has screams. Screams approved during a cycle join the next one, so no day, once begun,
+ * changes and no scream repeats within a cycle however the catalog grows.
+ */
+
+const { ValidationError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A calendar day begins earliest at UTC+14, this long before UTC midnight
+const EARLIEST_DAY_LEAD_MS = 14 * 60 * 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Validate an IANA time zone name
+ * @param {string} [tz] - Time zone (e.g. "Europe/Berlin"); UTC when omitted
+ * @returns {string} Canonical time zone name
+ * @throws {ValidationError} If the time zone is unknown
+ */
+function parseTimeZone(tz) {
+  if (tz === undefined || tz === null || tz === '') return 'UTC';
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: String(tz) }).resolvedOptions().timeZone;
+  } catch {
+    throw new ValidationError('Invalid tz. Expected an IANA time zone such as "Europe/Berlin"', {
+      field: 'tz',
+      value: tz,
+    });
+  }
+}
+
+/**
+ * Read the wall-clock date and time of an instant in a time zone
+ * @private
+ */
+function zonedParts(instant, tz) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  })
+    .formatToParts(instant)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return parts;
+}
+
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {Date} instant - Moment in time
+ * @param {string} tz - Time zone from parseTimeZone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function localDate(instant, tz) {
+  const { year, month, day } = zonedParts(instant, tz);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Find the instant the next calendar day starts in a time zone
+ * @param {Date} instant - Moment in time
+ * @param {string} tz - Time zone from parseTimeZone
+ * @returns {Date} Start of the following local day
+ */
+function nextDayStart(instant, tz) {
+  const { hour, minute, second } = zonedParts(instant, tz);
+  const elapsed = (Number(hour) * 3600 + Number(minute) * 60 + Number(second)) * 1000;
+  const guess = new Date(instant.getTime() - instant.getMilliseconds() - elapsed + DAY_MS);
+
+  // Days around DST changes are 23 or 25 hours long; step to the local midnight
+  const offset = zonedParts(guess, tz);
+  const drift = (Number(offset.hour) * 3600 + Number(offset.minute) * 60) * 1000;
+  return new Date(guess.getTime() - (drift > DAY_MS / 2 ? drift - DAY_MS : drift));
+}
+
+/**
+ * Parse a YYYY-MM-DD date into a day number (days since 1970-01-01)
+ * @param {string} value - Date
+ * @returns {number} Day number
+ * @throws {ValidationError} If the date is malformed or does not exist
+ */
+function dayNumber(value) {
+  const match = DATE_PATTERN.exec(String(value));
+  const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (!match || new Date(time).toISOString().slice(0, 10) !== value) {
+    throw new ValidationError('Invalid date. Expected format: YYYY-MM-DD', {
+      field: 'date',
+      value,
+    });
+  }
+  return time / DAY_MS;
+}
+
+/**
+ * Format a day number as a date
+ * @param {number} day - Day number from dayNumber
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function dayDate(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Find the instant a calendar day starts in a time zone
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} tz - Time zone from parseTimeZone
+ * @returns {Date} Start of the local day
+ * @throws {ValidationError} If the date is malformed or does not exist
+ */
+function dayStart(date, tz) {
+  // Noon UTC the day before is still the previous local day up to UTC+12; further east
+  // that day has already ended there, so start from the day before it instead
+  const probe = new Date((dayNumber(date) - 1) * DAY_MS + DAY_MS / 2);
+  const start = nextDayStart(probe, tz);
+  return localDate(start, tz) === date
+    ? start
+    : nextDayStart(new Date(probe.getTime() - DAY_MS), tz);
+}
+
+/**
+ * Greatest common divisor
+ * @private
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Map a position within a cycle to an ordered index. Index = (position × step) mod size with
+ * step coprime to size, which visits every index once per `size` days in a scattered order.
+ * @param {number} position - Days since the cycle started
+ * @param {number} size - Number of screams in the cycle
+ * @returns {number} Ordered index in [0, size)
+ */
+function dailyIndex(position, size) {
+  // Start near the golden ratio of the size so neighbouring days land far apart
+  let step = Math.max(1, Math.round(size * 0.618));
+  while (gcd(step, size) !== 1) step += 1;
+  return ((((position % size) * step) % size) + size) % size;
+}
+
+/**
+ * Find the instant a cycle's catalog is taken: when its first day begins in the easternmost
+ * time zone, so the catalog is fixed before that day starts anywhere
+ * @param {number} startDay - Day number the cycle starts on
+ * @returns {Date} Cutoff; screams added before it belong to the cycle
+ */
+function cycleCutoff(startDay) {
+  return new Date(startDay * DAY_MS - EARLIEST_DAY_LEAD_MS);
+}
+
+/**
+ * Find the first day whose cycle cutoff falls after an instant
+ * @param {Date|string|null} instant - Moment in time; null for screams with no date_added,
+ *   which belong to every cycle
+ * @returns {number} Day number
+ */
+function firstDayAfter(instant) {
+  if (instant === null || instant === undefined) return 0;
+  return Math.floor((new Date(instant).getTime() + EARLIEST_DAY_LEAD_MS) / DAY_MS) + 1;
+}
+
+/**
+ * Find where the cycle after `cycle` starts: at the first boundary (start_day + m × size) whose
+ * cutoff includes a scream added at `addedAt`. Until then the same catalog repeats.
+ * @param {{start_day: number, size: number}} cycle - Current cycle
+ * @param {Date|string} addedAt - date_added of the first scream added after the cycle's cutoff
+ * @returns {number} Day number the next cycle starts on
+ */
+function nextCycleStart(cycle, addedAt) {
+  const repeats = Math.ceil((firstDayAfter(addedAt) - cycle.start_day) / cycle.size);
+  return cycle.start_day + Math.max(1, repeats) * cycle.size;
+}
+
+module.exports = {
+  parseTimeZone,
+  localDate,
+  nextDayStart,
+  dayNumber,
+  dayDate,
+  dayStart,
+  dailyIndex,
+  cycleCutoff,
+  firstDayAfter,
+  nextCycleStart,
+};
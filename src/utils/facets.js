@@ -0,0 +1,133 @@
+/**
+ * Facet counts for search results.
+ * Each facet counts values over the filtered result set, ignoring the facet's own filter,
+ * so a filter UI can show how many results every option would give.
+ */
+
+const { ValidationError } = require('../errors');
+const { deepGet } = require('./filters');
+
+/** Facetable field paths and the search parameter that filters each one */
+const FACET_FIELDS = {
+  source_type: 'source_type',
+  meme_status: 'meme_status',
+  'audio.category': 'category',
+  'analysis.primary_note': 'note',
+  year: 'years',
+  tags: 'tags',
+};
+
+// Facets over array fields count each element
+const ARRAY_FACETS = new Set(['tags']);
+
+// Most values returned per facet
+const FACET_LIMIT = 100;
+
+/**
+ * Parse a comma-separated list of facet fields
+ * @param {string|string[]} value - Raw `facets` query value
+ * @returns {string[]|null} Facet fields, or null when none were requested
+ * @throws {ValidationError} If an unknown facet is requested
+ */
+function parseFacets(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const facets = Array.from(
+    new Set(
+      (Array.isArray(value) ? value.join(',') : String(value))
+        .split(',')
+        .map(facet => facet.trim())
+        .filter(Boolean)
+    )
+  );
+  if (!facets.length) return null;
+
+  const invalid = facets.filter(facet => !FACET_FIELDS[facet]);
+  if (invalid.length) {
+    throw new ValidationError(`Unknown facets. Allowed: ${Object.keys(FACET_FIELDS).join(', ')}`, {
+      field: 'facets',
+      value: invalid,
+    });
+  }
+  return facets;
+}
+
+/**
+ * $facet output keys cannot contain dots
+ * @private
+ */
+function facetKey(facet) {
+  return facet.replace(/\./g, '_');
+}
+
+/**
+ * Build a MongoDB $facet stage counting values for each facet
+ * @param {string[]} facets - Facet fields from parseFacets
+ * @param {Function} matchFor - (facet) => MongoDB filter for that facet (all filters but its own)
+ * @returns {Object} $facet stage
+ */
+function buildFacetStage(facets, matchFor) {
+  const stage = {};
+  facets.forEach(facet => {
+    stage[facetKey(facet)] = [
+      { $match: matchFor(facet) },
+      ...(ARRAY_FACETS.has(facet) ? [{ $unwind: `$${facet}` }] : []),
+      { $group: { _id: `$${facet}`, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT },
+    ];
+  });
+  return { $facet: stage };
+}
+
+/**
+ * Convert a $facet aggregation result into the response shape
+ * @param {string[]} facets - Facet fields from parseFacets
+ * @param {Object} result - The single document produced by the $facet stage
+ * @returns {Object} facet → [{ value, count }]
+ */
+function readFacetResult(facets, result = {}) {
+  const output = {};
+  facets.forEach(facet => {
+    output[facet] = (result[facetKey(facet)] || []).map(({ _id, count }) => ({
+      value: _id,
+      count,
+    }));
+  });
+  return output;
+}
+
+/**
+ * Count values of one facet over in-memory documents, in the same order as buildFacetStage
+ * @param {Array<Object>} docs - Documents to count
+ * @param {string} facet - Facet field
+ * @returns {Array<{value: *, count: number}>} Values, most common first
+ */
+function countFacet(docs, facet) {
+  const counts = new Map();
+  docs.forEach(doc => {
+    const raw = deepGet(doc, facet);
+    const values = ARRAY_FACETS.has(facet) && Array.isArray(raw) ? raw : [raw];
+    values.forEach(value => {
+      if (value === undefined || value === null) return;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => {
+      if (a.count !== b.count) return b.count - a.count;
+      if (a.value === b.value) return 0;
+      return a.value < b.value ? -1 : 1;
+    })
+    .slice(0, FACET_LIMIT);
+}
+
+module.exports = {
+  FACET_FIELDS,
+  parseFacets,
+  buildFacetStage,
+  readFacetResult,
+  countFacet,
+};
@@ -0,0 +1,476 @@
+/**
+ * Filter expression language for GET /screams.
+ *
+ * Grammar:
+ *   expr       := and ('or' and)*
+ *   and        := unary ('and' unary)*
+ *   unary      := 'not' unary | '(' expr ')' | comparison
+ *   comparison := FIELD op value
+ *   op         := '=' | '==' | '!=' | '>' | '>=' | '<' | '<=' | 'in' | 'has'
+ *   value      := NUMBER | STRING | WORD | true | false | null | '[' value (',' value)* ']'
+ *
+ * Example: audio.intensity>=7 and (meme_status in [viral,legendary] or tags has "alarm")
+ *
+ * One AST compiles to both a MongoDB query and an in-memory predicate so the
+ * Mongo and static backends evaluate expressions identically. Only the fields in
+ * FILTER_FIELDS can be filtered, and literals are coerced to the field's schema
+ * type while parsing, so Mongoose has nothing left to cast.
+ */
+
+const { ValidationError } = require('../errors');
+const { deepGet } = require('./filters');
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 20;
+const FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*$/;
+const COMPARISON_OPS = ['=', '==', '!=', '>', '>=', '<', '<='];
+const KEYWORDS = ['and', 'or', 'not', 'in', 'has', 'true', 'false', 'null'];
+const ORDERING_OPS = ['gt', 'gte', 'lt', 'lte'];
+
+// Filterable fields and their schema types (see models/GoatScream); arrays use their element type
+const FILTER_FIELDS = {
+  id: 'string',
+  title: 'string',
+  source_type: 'string',
+  year: 'number',
+  date_added: 'date',
+  timestamp: 'string',
+  'source.title': 'string',
+  'source.platform': 'string',
+  'source.url': 'string',
+  'source.director': 'string',
+  'source.creator': 'string',
+  'source.farm_location': 'string',
+  'goat.breed': 'string',
+  'goat.age': 'string',
+  'goat.name': 'string',
+  'goat.color': 'string',
+  'audio.duration': 'number',
+  'audio.intensity': 'number',
+  'audio.category': 'string',
+  'audio.peak_decibels': 'number',
+  'audio.integrated_lufs': 'number',
+  'audio.loudness_range_lu': 'number',
+  'audio.true_peak_dbtp': 'number',
+  'audio.dominant_frequency': 'number',
+  'analysis.descriptor': 'string',
+  'analysis.vibe': 'string',
+  'analysis.tags': 'string',
+  'analysis.primary_note': 'string',
+  'analysis.tones_in_order': 'string',
+  'analysis.intensity_override': 'number',
+  tags: 'string',
+  meme_status: 'string',
+  remix_count: 'number',
+  context: 'string',
+  'stats.api_calls': 'number',
+  'stats.downloads': 'number',
+  'stats.plays': 'number',
+  'stats.favorites': 'number',
+  approved: 'boolean',
+  'license.type': 'string',
+  'license.url': 'string',
+  'license.attribution_required': 'boolean',
+  'license.attribution_text': 'string',
+  last_curated_at: 'date',
+};
+
+/**
+ * Build a ValidationError pointing at a 1-based column in the expression.
+ * @param {string} message - What went wrong
+ * @param {string} source - Full expression
+ * @param {number} column - 1-based column
+ * @returns {ValidationError}
+ */
+function syntaxError(message, source, column) {
+  return new ValidationError(`Invalid filter expression: ${message} at column ${column}`, {
+    field: 'filter',
+    value: source,
+    column,
+  });
+}
+
+/**
+ * Coerce a literal to a field's schema type.
+ * @param {*} value - Literal from the expression (number, string or boolean; never null)
+ * @param {string} type - 'string' | 'number' | 'boolean' | 'date'
+ * @returns {*} Coerced value, or undefined when it cannot be coerced
+ * @private
+ */
+function coerceLiteral(value, type) {
+  switch (type) {
+    case 'number':
+      if (typeof value === 'number') return value;
+      return typeof value === 'string' && /^-?\d+(?:\.\d+)?$/.test(value.trim())
+        ? Number(value)
+        : undefined;
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    case 'date': {
+      if (typeof value !== 'string') return undefined;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    default:
+      return typeof value === 'boolean' ? undefined : String(value);
+  }
+}
+
+/**
+ * Split an expression into tokens, each tagged with its 1-based column.
+ * @param {string} source - Expression text
+ * @returns {Array<{type: string, value: *, column: number}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const column = i + 1;
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if ('()[],'.includes(ch)) {
+      tokens.push({ type: ch, value: ch, column });
+      i += 1;
+      continue;
+    }
+
+    const two = source.slice(i, i + 2);
+    if (['>=', '<=', '!=', '=='].includes(two)) {
+      tokens.push({ type: 'op', value: two, column });
+      i += 2;
+      continue;
+    }
+    if ('=<>'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, column });
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let text = '';
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) j += 1;
+        text += source[j];
+        j += 1;
+      }
+      if (j >= source.length) {
+        throw syntaxError('unterminated string', source, column);
+      }
+      tokens.push({ type: 'string', value: text, column });
+      i = j + 1;
+      continue;
+    }
+
+    const numberMatch = /^-?\d+(?:\.\d+)?(?![A-Za-z0-9_.#-])/.exec(source.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), column });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = /^[A-Za-z0-9_][A-Za-z0-9_.#-]*/.exec(source.slice(i));
+    if (wordMatch) {
+      const word = wordMatch[0];
+      const lower = word.toLowerCase();
+      if (KEYWORDS.includes(lower)) {
+        tokens.push({ type: lower, value: lower, column });
+      } else {
+        tokens.push({ type: 'word', value: word, column });
+      }
+      i += word.length;
+      continue;
+    }
+
+    throw syntaxError(`unexpected character '${ch}'`, source, column);
+  }
+
+  tokens.push({ type: 'eof', value: null, column: source.length + 1 });
+  return tokens;
+}
+
+/**
+ * Parse a filter expression into an AST.
+ *
+ * Node shapes:
+ *   { type: 'and' | 'or', children: [node, ...] }
+ *   { type: 'not', child: node }
+ *   { type: 'compare', field, op, value }   op: eq | ne | gt | gte | lt | lte | in | has
+ *
+ * Values are already coerced to the field's type (date fields hold Date objects).
+ *
+ * @param {string} source - Expression text
+ * @returns {Object} AST root
+ * @throws {ValidationError} With `details.column` on syntax errors, unknown fields and
+ *   values that do not fit the field's type
+ */
+function parseFilterExpression(source) {
+  const text = String(source ?? '');
+  if (!text.trim()) {
+    throw syntaxError('expression is empty', text, 1);
+  }
+  if (text.length > MAX_LENGTH) {
+    throw syntaxError(`expression longer than ${MAX_LENGTH} characters`, text, MAX_LENGTH + 1);
+  }
+
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const describe = token => (token.type === 'eof' ? 'end of expression' : `'${token.value}'`);
+  const expect = (type, what) => {
+    const token = next();
+    if (token.type !== type) {
+      throw syntaxError(`expected ${what} but found ${describe(token)}`, text, token.column);
+    }
+    return token;
+  };
+
+  const parseScalar = field => {
+    const token = next();
+    let value;
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'word':
+        value = token.value;
+        break;
+      case 'true':
+        value = true;
+        break;
+      case 'false':
+        value = false;
+        break;
+      case 'null':
+        return null;
+      default:
+        throw syntaxError(`expected a value but found ${describe(token)}`, text, token.column);
+    }
+    const type = FILTER_FIELDS[field];
+    const coerced = coerceLiteral(value, type);
+    if (coerced === undefined) {
+      throw syntaxError(
+        `'${field}' needs a ${type} but found ${describe(token)}`,
+        text,
+        token.column
+      );
+    }
+    return coerced;
+  };
+
+  const parseList = field => {
+    expect('[', "'['");
+    const values = [parseScalar(field)];
+    while (peek().type === ',') {
+      next();
+      values.push(parseScalar(field));
+    }
+    expect(']', "',' or ']'");
+    return values;
+  };
+
+  const parseComparison = () => {
+    const fieldToken = next();
+    if (fieldToken.type !== 'word' || !FIELD_PATTERN.test(fieldToken.value)) {
+      throw syntaxError(
+        `expected a field name but found ${describe(fieldToken)}`,
+        text,
+        fieldToken.column
+      );
+    }
+    const field = fieldToken.value;
+    if (!Object.hasOwn(FILTER_FIELDS, field)) {
+      throw syntaxError(`unknown field '${field}'`, text, fieldToken.column);
+    }
+    const opToken = next();
+
+    if (opToken.type === 'in') {
+      return { type: 'compare', field, op: 'in', value: parseList(field) };
+    }
+    if (opToken.type === 'has') {
+      return { type: 'compare', field, op: 'has', value: parseScalar(field) };
+    }
+    if (opToken.type !== 'op' || !COMPARISON_OPS.includes(opToken.value)) {
+      throw syntaxError(
+        `expected an operator after '${field}' but found ${describe(opToken)}`,
+        text,
+        opToken.column
+      );
+    }
+
+    const ops = {
+      '=': 'eq',
+      '==': 'eq',
+      '!=': 'ne',
+      '>': 'gt',
+      '>=': 'gte',
+      '<': 'lt',
+      '<=': 'lte',
+    };
+    const op = ops[opToken.value];
+    const valueToken = peek();
+    const value = parseScalar(field);
+    if (ORDERING_OPS.includes(op) && (value === null || typeof value === 'boolean')) {
+      throw syntaxError(
+        `'${opToken.value}' needs a number, string or date`,
+        text,
+        valueToken.column
+      );
+    }
+    return { type: 'compare', field, op, value };
+  };
+
+  function parseUnary(depth) {
+    const token = peek();
+    if (depth > MAX_DEPTH) {
+      throw syntaxError(`nesting deeper than ${MAX_DEPTH} levels`, text, token.column);
+    }
+    if (token.type === 'not') {
+      next();
+      return { type: 'not', child: parseUnary(depth + 1) };
+    }
+    if (token.type === '(') {
+      next();
+      const inner = parseOr(depth + 1);
+      expect(')', "')'");
+      return inner;
+    }
+    return parseComparison();
+  }
+
+  function parseAnd(depth) {
+    const children = [parseUnary(depth)];
+    while (peek().type === 'and') {
+      next();
+      children.push(parseUnary(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseOr(depth) {
+    const children = [parseAnd(depth)];
+    while (peek().type === 'or') {
+      next();
+      children.push(parseAnd(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  const ast = parseOr(0);
+  const trailing = peek();
+  if (trailing.type !== 'eof') {
+    throw syntaxError(
+      `expected 'and', 'or' or end of expression but found ${describe(trailing)}`,
+      text,
+      trailing.column
+    );
+  }
+  return ast;
+}
+
+/**
+ * Compile an AST to a MongoDB query.
+ * @param {Object} node - AST node from parseFilterExpression
+ * @returns {Object} MongoDB query
+ */
+function toMongoQuery(node) {
+  switch (node.type) {
+    case 'and':
+      return { $and: node.children.map(toMongoQuery) };
+    case 'or':
+      return { $or: node.children.map(toMongoQuery) };
+    case 'not':
+      return { $nor: [toMongoQuery(node.child)] };
+    default:
+      break;
+  }
+
+  const { field, op, value } = node;
+  switch (op) {
+    case 'eq':
+    case 'has':
+      return { [field]: value };
+    case 'in':
+      return { [field]: { $in: value } };
+    default:
+      return { [field]: { [`$${op}`]: value } };
+  }
+}
+
+/**
+ * Test one document value against a comparison, following MongoDB semantics:
+ * array fields match when any element matches, and ordering operators only
+ * compare values of the same type. Dates arrive as epoch milliseconds.
+ * @private
+ */
+function matchesValue(actual, op, expected) {
+  if (Array.isArray(actual)) {
+    if (op === 'ne') return !actual.some(item => matchesValue(item, 'eq', expected));
+    return actual.some(item => matchesValue(item, op, expected));
+  }
+
+  switch (op) {
+    case 'eq':
+    case 'has':
+      return expected === null ? actual == null : actual === expected;
+    case 'ne':
+      return expected === null ? actual != null : actual !== expected;
+    case 'in':
+      return expected.some(candidate => matchesValue(actual, 'eq', candidate));
+    default: {
+      if (actual == null || typeof actual !== typeof expected) return false;
+      if (op === 'gt') return actual > expected;
+      if (op === 'gte') return actual >= expected;
+      if (op === 'lt') return actual < expected;
+      return actual <= expected;
+    }
+  }
+}
+
+/**
+ * Compile an AST to an in-memory predicate.
+ * @param {Object} node - AST node from parseFilterExpression
+ * @returns {Function} (doc) => boolean
+ */
+function toPredicate(node) {
+  switch (node.type) {
+    case 'and': {
+      const preds = node.children.map(toPredicate);
+      return doc => preds.every(pred => pred(doc));
+    }
+    case 'or': {
+      const preds = node.children.map(toPredicate);
+      return doc => preds.some(pred => pred(doc));
+    }
+    case 'not': {
+      const pred = toPredicate(node.child);
+      return doc => !pred(doc);
+    }
+    default: {
+      const { field, op, value } = node;
+      if (FILTER_FIELDS[field] !== 'date') {
+        return doc => matchesValue(deepGet(doc, field), op, value);
+      }
+      // Static data holds ISO strings where MongoDB holds Dates
+      const toTime = date => (date == null ? date : new Date(date).getTime());
+      const expected = Array.isArray(value) ? value.map(toTime) : toTime(value);
+      return doc => matchesValue(toTime(deepGet(doc, field)), op, expected);
+    }
+  }
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  parseFilterExpression,
+  toMongoQuery,
+  toPredicate,
+};
@@ -1,3 +1,37 @@
+const { parseRange } = require('./search');
+
+// Range parameters ("min-max", e.g. lufs_range=-30--14) over the EBU R128 loudness fields
+const LOUDNESS_RANGES = {
+  lufs_range: 'audio.integrated_lufs',
+  lra_range: 'audio.loudness_range_lu',
+  true_peak_range: 'audio.true_peak_dbtp',
+};
+
+/**
+ * Parse the loudness range parameters present in a query
+ * @param {Object} query - Query parameters
+ * @returns {Array<{param: string, path: string, range: {min: number|null, max: number|null}}>}
+ *   Ranges with at least one valid bound
+ */
+function parseLoudnessRanges(query) {
+  return Object.entries(LOUDNESS_RANGES)
+    .filter(([param]) => query[param])
+    .map(([param, path]) => ({ param, path, range: parseRange(String(query[param])) }))
+    .filter(({ range }) => range.min !== null || range.max !== null);
+}
+
+/**
+ * Test a measured value against a range; screams that were never measured do not match
+ * @param {*} value - Measured value
+ * @param {{min: number|null, max: number|null}} range - Range
+ * @returns {boolean} Whether the value lies within the range
+ */
+function inMeasuredRange(value, { min, max }) {
+  return (
+    typeof value === 'number' && !(min !== null && value < min) && !(max !== null && value > max)
+  );
+}
+
 function clone(obj) {
   if (obj === null || obj === undefined) return obj;
   return JSON.parse(JSON.stringify(obj));
@@ -25,8 +59,17 @@ function parseBoolean(value, fallback = false) {
 }
 
 function applyFilters(list, query) {
-  const { intensity_min, intensity_max, year, source_type, meme_status, breed, category, note } =
-    query;
+  const {
+    intensity_min,
+    intensity_max,
+    year,
+    source_type,
+    source_title,
+    meme_status,
+    breed,
+    category,
+    note,
+  } = query;
 
   let filtered = list;
 
@@ -48,6 +91,11 @@ function applyFilters(list, query) {
     filtered = filtered.filter(s => s.source_type === source_type);
   }
 
+  // Exact source title match (used for related-scream lookups)
+  if (source_title) {
+    filtered = filtered.filter(s => s.source?.title === source_title);
+  }
+
   if (meme_status) {
     filtered = filtered.filter(s => s.meme_status === meme_status);
   }
@@ -69,6 +117,10 @@ function applyFilters(list, query) {
     );
   }
 
+  parseLoudnessRanges(query).forEach(({ path, range }) => {
+    filtered = filtered.filter(s => inMeasuredRange(deepGet(s, path), range));
+  });
+
   return filtered;
 }
 
@@ -123,6 +175,12 @@ function buildMongoFilter(query, { includeUnapproved = false } = {}) {
     filter['analysis.primary_note'] = { $regex: `^${escapeRegex(note)}$`, $options: 'i' };
   }
 
+  parseLoudnessRanges(query).forEach(({ path, range }) => {
+    filter[path] = {};
+    if (range.min !== null) filter[path].$gte = range.min;
+    if (range.max !== null) filter[path].$lte = range.max;
+  });
+
   return filter;
 }
 
@@ -137,4 +195,7 @@ module.exports = {
   applyFilters,
   buildMongoFilter,
   deepGet,
+  LOUDNESS_RANGES,
+  parseLoudnessRanges,
+  inMeasuredRange,
 };
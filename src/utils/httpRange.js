@@ -0,0 +1,97 @@
+/**
+ * HTTP Range and conditional request helpers for streamed media (RFC 9110 §13–14).
+ * Only single byte ranges are served; multi-range requests fall back to the full body,
+ * which the RFC allows.
+ */
+
+/**
+ * Parse a Range header against a representation size
+ * @param {string} [header] - Range header value, e.g. "bytes=0-1023", "bytes=-500"
+ * @param {number} size - Representation size in bytes
+ * @returns {{start: number, end: number}|{unsatisfiable: true}|null}
+ *   Inclusive byte range, unsatisfiable marker (416), or null to send the full body
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = Number(match[2]);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (match[2] !== '' && Number(match[2]) < start) return null;
+  }
+
+  if (start >= size) return { unsatisfiable: true };
+  return { start, end };
+}
+
+/**
+ * Whether an entity tag is weak (W/"...")
+ * @private
+ */
+function isWeak(etag) {
+  return typeof etag === 'string' && etag.startsWith('W/');
+}
+
+/**
+ * Check If-None-Match / If-Modified-Since against the current validators
+ * @param {Object} headers - Request headers (lower-case keys)
+ * @param {{etag?: string, lastModified?: Date}} validators - Current validators
+ * @returns {boolean} True when the client copy is current (send 304)
+ */
+function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    // Weak comparison, as required for If-None-Match
+    const bare = etag.replace(/^W\//, '');
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim())
+      .some(tag => tag === '*' || tag.replace(/^W\//, '') === bare);
+  }
+
+  const ifModifiedSince = headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return Number.isFinite(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+  }
+  return false;
+}
+
+/**
+ * Check If-Range: a range may only be served when the client's validator still matches
+ * @param {Object} headers - Request headers (lower-case keys)
+ * @param {{etag?: string, lastModified?: Date}} validators - Current validators
+ * @returns {boolean} True when the Range header should be honoured
+ */
+function ifRangeMatches(headers, { etag, lastModified }) {
+  const ifRange = headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    // Strong comparison only
+    return Boolean(etag) && !isWeak(etag) && !isWeak(ifRange) && ifRange === etag;
+  }
+  const date = Date.parse(ifRange);
+  return (
+    Boolean(lastModified) &&
+    Number.isFinite(date) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 === date
+  );
+}
+
+module.exports = {
+  parseRange,
+  isNotModified,
+  ifRangeMatches,
+};
@@ -0,0 +1,110 @@
+/**
+ * Guards for fetching user-supplied URLs (SSRF protection): only http(s), and never to loopback,
+ * private, link-local or other non-public addresses. Host names are checked on every connection
+ * through safeLookup, so a name that resolves to an internal address (or is re-pointed to one
+ * after a first check) is refused at connect time.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { ValidationError } = require('../errors');
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges above
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local, reserved and other non-public
+ *   addresses (and for anything that is not an IP address)
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check that a URL may be fetched: http(s), and not an IP literal of a non-public address
+ * @param {string} url - URL to check
+ * @returns {URL} Parsed URL
+ * @throws {ValidationError} INVALID_URL for malformed or non-http(s) URLs, BLOCKED_URL for
+ *   non-public addresses
+ */
+function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ValidationError('URL is not valid', { field: 'url', value: url }, 'INVALID_URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError(
+      'Only http and https URLs can be fetched',
+      { field: 'url', value: url },
+      'INVALID_URL'
+    );
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if ((net.isIP(host) && isPrivateAddress(host)) || host === 'localhost') {
+    throw new ValidationError(
+      'URL points to a private or local address',
+      { field: 'url', value: url },
+      'BLOCKED_URL'
+    );
+  }
+  return parsed;
+}
+
+/**
+ * dns.lookup replacement for HTTP clients that fails when a host resolves to any non-public
+ * address
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(
+        new ValidationError(
+          'URL points to a private or local address',
+          { field: 'url', value: hostname },
+          'BLOCKED_URL'
+        )
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = { isPrivateAddress, assertPublicUrl, safeLookup };
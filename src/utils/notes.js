@@ -0,0 +1,496 @@
+/**
+ * Musical note parsing and note-aware search filters.
+ * Notes use scientific pitch notation (C4 = MIDI 60). Sharps and flats are interchangeable
+ * (A#4 == Bb4) and a note without an octave matches that pitch class in any octave.
+ *
+ * Search filters built from the query parameters compile to both a MongoDB query and an
+ * in-memory predicate, so both search backends match the same screams:
+ *   note=Bb         primary note is A#/Bb in any octave
+ *   pitch_range=C4-G5  primary note between C4 and G5 inclusive
+ *   tones=C4,E,G4   analysis.tones_in_order contains these consecutive tones
+ *   intervals=2,2   tones_in_order contains consecutive steps of these semitones (any key)
+ */
+
+const { ValidationError } = require('../errors');
+
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const NOTE_PATTERN = /^([A-Ga-g])([#♯]{1,2}|[b♭]{1,2})?(-?\d+)?$/;
+// NOTE_PATTERN for a raw stored string: surrounding space and a trailing parenthetical allowed,
+// as parseNote strips them (used by the MongoDB expressions, so both backends read notes alike)
+const STORED_NOTE_PATTERN = '^\\s*([A-Ga-g])([#♯]{1,2}|[b♭]{1,2})?(-?\\d+)?\\s*(?:\\(.*\\)\\s*)?$';
+
+/** Scale modes as semitone offsets from the root, within one octave */
+const SCALE_MODES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  harmonic_minor: [0, 2, 3, 5, 7, 8, 11],
+  melodic_minor: [0, 2, 3, 5, 7, 9, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  major_pentatonic: [0, 2, 4, 7, 9],
+  minor_pentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+
+// Longest tone sequence or interval list accepted in a query
+const MAX_SEQUENCE = 16;
+// Widest interval accepted, in semitones
+const MAX_INTERVAL = 48;
+
+/**
+ * Parse a note name such as "G#5", "Bb4", "c" or "F4 (primary)"
+ * @param {string} text - Note name; a trailing parenthetical (e.g. "(primary)") is ignored
+ * @returns {{pitchClass: number, octave: number|null, midi: number|null}|null} Parsed note
+ *   (octave and midi are null when no octave was given), or null if the text is not a note
+ */
+function parseNote(text) {
+  if (typeof text !== 'string') return null;
+  const match = NOTE_PATTERN.exec(text.replace(/\(.*\)\s*$/, '').trim());
+  if (!match) return null;
+
+  const [, letter, accidental = '', octaveText] = match;
+  const shift = /[#♯]/.test(accidental) ? accidental.length : -accidental.length;
+  const semitone = LETTER_SEMITONES[letter.toUpperCase()] + shift;
+  const pitchClass = ((semitone % 12) + 12) % 12;
+  if (octaveText === undefined) return { pitchClass, octave: null, midi: null };
+
+  const octave = parseInt(octaveText, 10);
+  return { pitchClass, octave, midi: (octave + 1) * 12 + semitone };
+}
+
+/**
+ * Spell a MIDI note number with sharps, as the dataset does
+ * @param {number} midi - MIDI note number
+ * @returns {string} Note name (e.g. 70 → "A#4")
+ */
+function noteName(midi) {
+  return `${SHARP_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+/**
+ * List the sharp and flat spellings of a pitch class
+ * @param {number} pitchClass - 0 (C) to 11 (B)
+ * @returns {string[]} Spellings without octave (e.g. 10 → ["A#", "Bb"])
+ */
+function spellings(pitchClass) {
+  return Array.from(new Set([SHARP_NAMES[pitchClass], FLAT_NAMES[pitchClass]]));
+}
+
+/**
+ * Parse a note query parameter, throwing a ValidationError naming the parameter
+ * @param {string} text - Note to parse
+ * @param {string} field - Parameter name reported in the error
+ * @param {string} value - Full parameter value reported in the error
+ * @param {Object} [options]
+ * @param {boolean} [options.octave=false] - Require an octave
+ * @returns {Object} Parsed note from parseNote
+ * @throws {ValidationError} If the text is not a note (with an octave, when required)
+ */
+function requireNote(text, field, value, { octave = false } = {}) {
+  const note = parseNote(String(text).trim());
+  if (!note || (octave && note.midi === null)) {
+    throw new ValidationError(
+      `Invalid ${field}: "${text}" is not a note${octave ? ' with an octave' : ''} (e.g. C4, A#3, Bb5)`,
+      { field, value }
+    );
+  }
+  return note;
+}
+
+/**
+ * Parse a "low-high" pitch range such as "C4-G5" into MIDI bounds
+ * @param {string} value - Range; a single note matches just that pitch
+ * @returns {{min: number, max: number}} Inclusive MIDI bounds
+ * @throws {ValidationError} If a bound is not a note with an octave, or low is above high
+ */
+function parsePitchRange(value) {
+  const parts = String(value).split('-');
+  // Negative octaves contain a "-" too; a note is a letter then an optional accidental
+  const bounds = [];
+  parts.forEach(part => {
+    if (/^\d/.test(part) && bounds.length) bounds[bounds.length - 1] += `-${part}`;
+    else bounds.push(part);
+  });
+  if (bounds.length < 1 || bounds.length > 2) {
+    throw new ValidationError(
+      'Invalid pitch_range format. Expected format: "low-high" (e.g. C4-G5)',
+      {
+        field: 'pitch_range',
+        value,
+      }
+    );
+  }
+
+  const [low, high = low] = bounds.map(bound =>
+    requireNote(bound, 'pitch_range', value, { octave: true })
+  );
+  if (low.midi > high.midi) {
+    throw new ValidationError('Invalid pitch_range: low note is above high note', {
+      field: 'pitch_range',
+      value,
+    });
+  }
+  return { min: low.midi, max: high.midi };
+}
+
+/**
+ * Split a comma-separated sequence parameter, enforcing MAX_SEQUENCE
+ * @private
+ */
+function splitSequence(value, field, minLength) {
+  const items = String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+  if (items.length < minLength || items.length > MAX_SEQUENCE) {
+    throw new ValidationError(
+      `${field} must list between ${minLength} and ${MAX_SEQUENCE} values`,
+      {
+        field,
+        value,
+      }
+    );
+  }
+  return items;
+}
+
+/**
+ * Parse and validate the note-aware search parameters
+ * @param {Object} params - Search parameters
+ * @param {string} [params.note] - Primary note, e.g. "G#5", or "Bb" for any octave
+ * @param {string} [params.pitch_range] - Primary note range, e.g. "C4-G5"
+ * @param {string} [params.tones] - Comma-separated consecutive tones, e.g. "C4,E4,G4"
+ * @param {string} [params.intervals] - Comma-separated consecutive semitone steps, e.g. "2,-1"
+ * @returns {Object} Parsed filters: { note, pitch_range, tones, intervals }, each null when absent
+ * @throws {ValidationError} If a parameter is malformed
+ */
+function parseNoteFilters({ note, pitch_range, tones, intervals }) {
+  return {
+    note: note ? requireNote(note, 'note', note) : null,
+    pitch_range: pitch_range ? parsePitchRange(pitch_range) : null,
+    tones: tones
+      ? splitSequence(tones, 'tones', 1).map(tone => requireNote(tone, 'tones', tones))
+      : null,
+    intervals: intervals
+      ? splitSequence(intervals, 'intervals', 1).map(step => {
+          const semitones = Number(step);
+          if (!Number.isInteger(semitones) || Math.abs(semitones) > MAX_INTERVAL) {
+            throw new ValidationError(
+              `Invalid intervals: "${step}" is not a whole number of semitones between -${MAX_INTERVAL} and ${MAX_INTERVAL}`,
+              { field: 'intervals', value: intervals }
+            );
+          }
+          return semitones;
+        })
+      : null,
+  };
+}
+
+/**
+ * List the MIDI numbers of a scale, ending on the root `octaves` octaves up
+ * @param {number} root - Root MIDI number
+ * @param {string} mode - Key of SCALE_MODES
+ * @param {number} [octaves=1] - Octaves to span
+ * @returns {number[]} Ascending MIDI numbers (e.g. C4 major, 1 octave → C4 D4 ... B4 C5)
+ */
+function scaleNotes(root, mode, octaves = 1) {
+  const steps = SCALE_MODES[mode];
+  const notes = [];
+  for (let octave = 0; octave < octaves; octave += 1) {
+    steps.forEach(step => notes.push(root + octave * 12 + step));
+  }
+  notes.push(root + octaves * 12);
+  return notes;
+}
+
+/**
+ * Test a parsed note against a note query (pitch class only when the query has no octave)
+ * @private
+ */
+function sameNote(actual, wanted) {
+  if (!actual) return false;
+  if (wanted.midi === null) return actual.pitchClass === wanted.pitchClass;
+  return actual.midi === wanted.midi;
+}
+
+/**
+ * Find a contiguous run in a list of MIDI numbers (null for unparseable tones)
+ * @private
+ */
+function containsRun(midis, length, matchesAt) {
+  for (let i = 0; i + length <= midis.length; i += 1) {
+    if (matchesAt(i)) return true;
+  }
+  return false;
+}
+
+/**
+ * Compile parsed note filters to in-memory predicates
+ * @param {Object} filters - Filters from parseNoteFilters
+ * @returns {Array<{param: string, test: Function}>} Predicates tagged with their parameter
+ */
+function noteFiltersToPredicates(filters) {
+  const predicates = [];
+  const primary = s => parseNote(s.analysis?.primary_note);
+  const toneList = s =>
+    (Array.isArray(s.analysis?.tones_in_order) ? s.analysis.tones_in_order : []).map(parseNote);
+
+  if (filters.note) {
+    predicates.push({ param: 'note', test: s => sameNote(primary(s), filters.note) });
+  }
+  if (filters.pitch_range) {
+    const { min, max } = filters.pitch_range;
+    predicates.push({
+      param: 'pitch_range',
+      test: s => {
+        const midi = primary(s)?.midi;
+        return midi != null && midi >= min && midi <= max;
+      },
+    });
+  }
+  if (filters.tones) {
+    const wanted = filters.tones;
+    predicates.push({
+      param: 'tones',
+      test: s => {
+        const notes = toneList(s);
+        return containsRun(notes, wanted.length, i =>
+          wanted.every((tone, k) => sameNote(notes[i + k], tone))
+        );
+      },
+    });
+  }
+  if (filters.intervals) {
+    const steps = filters.intervals;
+    predicates.push({
+      param: 'intervals',
+      test: s => {
+        const midis = toneList(s).map(note => note?.midi ?? null);
+        return containsRun(midis, steps.length + 1, i =>
+          steps.every((step, k) => {
+            const from = midis[i + k];
+            const to = midis[i + k + 1];
+            return from !== null && to !== null && to - from === step;
+          })
+        );
+      },
+    });
+  }
+
+  return predicates;
+}
+
+/**
+ * Aggregation expression reading a note string the way parseNote does
+ * @private
+ * @param {string} input - Expression giving the note string
+ * @param {string} part - 'midi' (null without an octave) or 'pitchClass'
+ * @returns {Object} Expression evaluating to the number, or null if the string is not a note
+ */
+function noteExpression(input, part) {
+  const capture = i => ({ $arrayElemAt: ['$$m.captures', i] });
+  // Each sharp adds a semitone and each flat takes one away
+  const shift = {
+    $let: {
+      vars: { accidental: capture(1) },
+      in: {
+        $cond: [
+          { $eq: ['$$accidental', null] },
+          0,
+          {
+            $multiply: [
+              { $strLenCP: '$$accidental' },
+              { $cond: [{ $regexMatch: { input: '$$accidental', regex: '[#♯]' } }, 1, -1] },
+            ],
+          },
+        ],
+      },
+    },
+  };
+  const value =
+    part === 'midi'
+      ? {
+          $cond: [
+            { $eq: ['$$octave', null] },
+            null,
+            { $add: ['$$semitone', { $multiply: [{ $add: [{ $toInt: '$$octave' }, 1] }, 12] }] },
+          ],
+        }
+      : { $mod: [{ $add: [{ $mod: ['$$semitone', 12] }, 12] }, 12] };
+
+  return {
+    $let: {
+      vars: {
+        m: {
+          $cond: [
+            { $eq: [{ $type: input }, 'string'] },
+            { $regexFind: { input, regex: STORED_NOTE_PATTERN } },
+            null,
+          ],
+        },
+      },
+      in: {
+        $cond: [
+          { $eq: ['$$m', null] },
+          null,
+          {
+            $let: {
+              vars: {
+                // Position in this string is the letter's semitone (C=0 ... B=11)
+                semitone: {
+                  $add: [{ $indexOfCP: ['C-D-EF-G-A-B', { $toUpper: capture(0) }] }, shift],
+                },
+                octave: capture(2),
+              },
+              in: value,
+            },
+          },
+        ],
+      },
+    },
+  };
+}
+
+/**
+ * $expr matching documents whose tones_in_order has a contiguous run of `length` tones
+ * satisfying `conditionAt(k)` for each offset k (conditions read `$$midis` and `$$pitchClasses`
+ * at `$$i + k`)
+ * @private
+ */
+function runExpression(length, conditionAt) {
+  const conditions = Array.from({ length }, (_, k) => conditionAt(k));
+  return {
+    $expr: {
+      $let: {
+        vars: {
+          midis: {
+            $map: {
+              input: { $ifNull: ['$analysis.tones_in_order', []] },
+              as: 'tone',
+              in: noteExpression('$$tone', 'midi'),
+            },
+          },
+          pitchClasses: {
+            $map: {
+              input: { $ifNull: ['$analysis.tones_in_order', []] },
+              as: 'tone',
+              in: noteExpression('$$tone', 'pitchClass'),
+            },
+          },
+        },
+        in: {
+          $anyElementTrue: [
+            {
+              $map: {
+                input: {
+                  $range: [0, { $max: [0, { $subtract: [{ $size: '$$midis' }, length - 1] }] }],
+                },
+                as: 'i',
+                in: { $and: conditions },
+              },
+            },
+          ],
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Expression reading the MIDI number at offset k of the current run
+ * @private
+ */
+function midiAt(k) {
+  return { $arrayElemAt: ['$$midis', { $add: ['$$i', k] }] };
+}
+
+/**
+ * Expression reading the pitch class at offset k of the current run
+ * @private
+ */
+function pitchClassAt(k) {
+  return { $arrayElemAt: ['$$pitchClasses', { $add: ['$$i', k] }] };
+}
+
+/**
+ * Compile parsed note filters to MongoDB query clauses
+ * @param {Object} filters - Filters from parseNoteFilters
+ * @returns {Array<{param: string, clause: Object}>} Clauses tagged with their parameter
+ */
+function noteFiltersToMongo(filters) {
+  const clauses = [];
+
+  if (filters.note) {
+    const { midi, pitchClass } = filters.note;
+    clauses.push({
+      param: 'note',
+      clause: {
+        $expr: {
+          $eq:
+            midi === null
+              ? [noteExpression('$analysis.primary_note', 'pitchClass'), pitchClass]
+              : [noteExpression('$analysis.primary_note', 'midi'), midi],
+        },
+      },
+    });
+  }
+  if (filters.pitch_range) {
+    const { min, max } = filters.pitch_range;
+    clauses.push({
+      param: 'pitch_range',
+      clause: {
+        $expr: {
+          $let: {
+            vars: { midi: noteExpression('$analysis.primary_note', 'midi') },
+            // null sorts below every number, so notes without an octave fail $gte
+            in: { $and: [{ $gte: ['$$midi', min] }, { $lte: ['$$midi', max] }] },
+          },
+        },
+      },
+    });
+  }
+  if (filters.tones) {
+    const wanted = filters.tones;
+    clauses.push({
+      param: 'tones',
+      clause: runExpression(wanted.length, k =>
+        wanted[k].midi === null
+          ? { $eq: [pitchClassAt(k), wanted[k].pitchClass] }
+          : { $eq: [midiAt(k), wanted[k].midi] }
+      ),
+    });
+  }
+  if (filters.intervals) {
+    const steps = filters.intervals;
+    // Offset k checks the step from tone k to tone k + 1; the final offset only bounds the run
+    clauses.push({
+      param: 'intervals',
+      clause: runExpression(steps.length + 1, k =>
+        k < steps.length
+          ? { $eq: [{ $subtract: [midiAt(k + 1), midiAt(k)] }, steps[k]] }
+          : { $ne: [midiAt(k), null] }
+      ),
+    });
+  }
+
+  return clauses;
+}
+
+module.exports = {
+  SCALE_MODES,
+  parseNote,
+  noteName,
+  spellings,
+  requireNote,
+  scaleNotes,
+  parsePitchRange,
+  parseNoteFilters,
+  noteFiltersToPredicates,
+  noteFiltersToMongo,
+};
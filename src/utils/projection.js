@@ -0,0 +1,136 @@
+/**
+ * Sparse fieldset helpers.
+ * Turns a `fields=id,title,audio.intensity` query parameter into a MongoDB
+ * projection and applies the same projection to in-memory documents.
+ */
+
+const { ValidationError } = require('../errors');
+const { clone, deepGet } = require('./filters');
+
+const FIELD_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_]*(?:\.[A-Za-z0-9_#]+)*$/;
+const MAX_FIELDS = 50;
+
+// Read by recordAccess (utils/stats) on every scream it counts: fetched whatever fields were
+// requested, and trimmed by pickFields unless they were requested too
+const ACCESS_FIELDS = ['_id', 'stats.last_accessed_date'];
+
+/**
+ * Parse a comma-separated list of dot-notation field paths.
+ * `id` is always included; child paths are dropped when their parent is requested.
+ *
+ * @param {string|string[]} value - Raw `fields` query value
+ * @returns {string[]|null} Normalized field paths, or null when no fields were requested
+ * @throws {ValidationError} If a path is malformed or too many fields are requested
+ */
+function parseFields(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const raw = (Array.isArray(value) ? value.join(',') : String(value))
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  if (!raw.length) return null;
+
+  const invalid = raw.filter(field => !FIELD_PATTERN.test(field));
+  if (invalid.length) {
+    throw new ValidationError('Invalid fields parameter. Use comma-separated dot paths', {
+      field: 'fields',
+      value: invalid,
+    });
+  }
+  if (raw.length > MAX_FIELDS) {
+    throw new ValidationError(`Too many fields requested (max ${MAX_FIELDS})`, {
+      field: 'fields',
+      value: raw.length,
+    });
+  }
+
+  const unique = Array.from(new Set(['id', ...raw]));
+  return unique.filter(
+    field => !unique.some(other => other !== field && field.startsWith(`${other}.`))
+  );
+}
+
+/**
+ * Build an inclusion projection for the given fields.
+ * ACCESS_FIELDS are always included, so access stats can be recorded on the results.
+ *
+ * @param {string[]|null} fields - Field paths from parseFields
+ * @param {string[]} [extra=[]] - Additional paths the caller needs internally (e.g. sort keys)
+ * @returns {Object|undefined} MongoDB projection, or undefined when all fields are wanted
+ */
+function buildProjection(fields, extra = []) {
+  if (!fields) return undefined;
+  const projection = {};
+  const paths = Array.from(new Set([...fields, ...extra, ...ACCESS_FIELDS]));
+  paths
+    .filter(path => !paths.some(other => other !== path && path.startsWith(`${other}.`)))
+    .forEach(path => {
+      projection[path] = 1;
+    });
+  return projection;
+}
+
+/**
+ * Apply a MongoDB-style projection to a plain document.
+ * Inclusion projections copy only the selected paths; exclusion-only projections
+ * copy the document minus the excluded top-level keys.
+ *
+ * @param {Object} doc - Source document (not mutated)
+ * @param {Object} [projection] - Projection object
+ * @returns {Object} Projected copy of the document
+ */
+function applyProjection(doc, projection) {
+  if (!doc) return doc;
+  const entries = Object.entries(projection || {});
+  const included = entries.filter(([, flag]) => flag).map(([path]) => path);
+
+  if (!included.length) {
+    const copy = clone(doc);
+    entries.forEach(([path]) => {
+      delete copy[path];
+    });
+    return copy;
+  }
+
+  const result = {};
+  included.forEach(path => {
+    const value = deepGet(doc, path);
+    if (value === undefined) return;
+    const keys = path.split('.');
+    let target = result;
+    keys.slice(0, -1).forEach(key => {
+      if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = clone(value);
+  });
+  return result;
+}
+
+/**
+ * Trim documents down to the requested fields for a response.
+ * Used after internal-only fields (sort keys, ACCESS_FIELDS) have served their purpose; `_id`
+ * never reaches a response, even when all fields are wanted.
+ *
+ * @param {Array} docs - Documents to trim
+ * @param {string[]|null} fields - Field paths from parseFields
+ * @returns {Array} Trimmed documents, or the input when it has nothing to trim
+ */
+function pickFields(docs, fields) {
+  if (!fields) {
+    if (!docs.some(doc => doc && '_id' in doc)) return docs;
+    return docs.map(doc => applyProjection(doc, { _id: 0 }));
+  }
+  const projection = Object.fromEntries(fields.map(path => [path, 1]));
+  return docs.map(doc => applyProjection(doc, projection));
+}
+
+module.exports = {
+  ACCESS_FIELDS,
+  parseFields,
+  buildProjection,
+  applyProjection,
+  pickFields,
+};
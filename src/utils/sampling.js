@@ -0,0 +1,190 @@
+/**
+ * Seeded, weighted random ordering for random scream selection.
+ * Every document gets a key derived only from the seed, its id and its weight
+ * (Efraimidis–Spirakis: u^(1/w) with u hashed from seed and id), and the pool is ordered by
+ * key. The order therefore does not depend on how a backend returns documents, so MongoDB and
+ * static mode pick the same screams for the same seed, and reading the order page by page
+ * walks a weighted shuffle of the whole pool without repeats.
+ */
+
+const { createHash, randomBytes } = require('crypto');
+const { ValidationError } = require('../errors');
+const { deepGet } = require('./filters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Recency weight halves for every RECENCY_HALF_LIFE_DAYS a scream is older than the newest one
+const RECENCY_HALF_LIFE_DAYS = 365;
+const MAX_SEED_LENGTH = 100;
+
+/** weight_by values and the document fields each one reads */
+const WEIGHT_FIELDS = {
+  intensity: ['audio.intensity'],
+  popularity: ['remix_count', 'stats.api_calls', 'stats.downloads', 'stats.favorites'],
+  recency: ['date_added'],
+};
+
+/**
+ * Create a random seed for callers that did not pass one
+ * @returns {string} Seed
+ */
+function createSeed() {
+  return randomBytes(8).toString('hex');
+}
+
+/**
+ * Validate a seed parameter
+ * @param {*} value - Raw `seed` value
+ * @returns {string|undefined} Seed, or undefined when none was given
+ * @throws {ValidationError} If the seed is too long
+ */
+function parseSeed(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seed = String(value);
+  if (seed.length > MAX_SEED_LENGTH) {
+    throw new ValidationError(`seed must be at most ${MAX_SEED_LENGTH} characters`, {
+      field: 'seed',
+      value: seed.length,
+    });
+  }
+  return seed;
+}
+
+/**
+ * Validate a weight_by parameter
+ * @param {*} value - Raw `weight_by` value
+ * @returns {string|undefined} Weighting, or undefined for uniform sampling
+ * @throws {ValidationError} If the weighting is unknown
+ */
+function parseWeightBy(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const weightBy = String(value).toLowerCase();
+  if (!WEIGHT_FIELDS[weightBy]) {
+    throw new ValidationError(
+      `Invalid weight_by. Allowed: ${Object.keys(WEIGHT_FIELDS).join(', ')}`,
+      {
+        field: 'weight_by',
+        value,
+      }
+    );
+  }
+  return weightBy;
+}
+
+/**
+ * Hash a seed and document id to a number in (0, 1)
+ * @param {string} seed - Seed
+ * @param {string} id - Document id
+ * @returns {number} Uniform value, never 0 or 1
+ */
+function hashUnit(seed, id) {
+  const digest = createHash('sha256').update(`${seed}\u0000${id}`).digest();
+  // 48 bits are plenty and stay exact as a double
+  return (digest.readUIntBE(0, 6) + 0.5) / 2 ** 48;
+}
+
+/**
+ * Compute sampling weights for a pool
+ * @param {Array<Object>} docs - Pool
+ * @param {string} [weightBy] - Key of WEIGHT_FIELDS; uniform when omitted
+ * @returns {number[]} Positive weight per document
+ */
+function weightsFor(docs, weightBy) {
+  if (weightBy === 'intensity') {
+    return docs.map(doc => Math.max(1, Number(deepGet(doc, 'audio.intensity')) || 1));
+  }
+  if (weightBy === 'popularity') {
+    // Log-damped so a few very popular screams do not crowd out the rest
+    return docs.map(
+      doc =>
+        1 +
+        Math.log1p(
+          WEIGHT_FIELDS.popularity.reduce(
+            (sum, path) => sum + Math.max(0, Number(deepGet(doc, path)) || 0),
+            0
+          )
+        )
+    );
+  }
+  if (weightBy === 'recency') {
+    // Relative to the newest scream in the pool, so weights do not drift with the clock
+    const times = docs.map(doc => new Date(deepGet(doc, 'date_added')).getTime());
+    const newest = Math.max(...times.filter(Number.isFinite));
+    return times.map(time =>
+      Number.isFinite(time) ? 0.5 ** ((newest - time) / DAY_MS / RECENCY_HALF_LIFE_DAYS) : 0.5 ** 10
+    );
+  }
+  return docs.map(() => 1);
+}
+
+/**
+ * Order a pool by seeded (optionally weighted) random keys
+ * @param {Array<Object>} docs - Pool; documents need `id` and the WEIGHT_FIELDS of `weightBy`
+ * @param {string} seed - Seed
+ * @param {string} [weightBy] - Key of WEIGHT_FIELDS; uniform when omitted
+ * @returns {Array<Object>} The same documents, in sampling order
+ */
+function seededOrder(docs, seed, weightBy) {
+  const weights = weightsFor(docs, weightBy);
+  return docs
+    .map((doc, i) => ({ doc, key: Math.log(hashUnit(seed, doc.id)) / weights[i] }))
+    .sort((a, b) => b.key - a.key || (a.doc.id < b.doc.id ? -1 : 1))
+    .map(({ doc }) => doc);
+}
+
+/**
+ * Encode a shuffle session token
+ * @param {{seed: string, cycle: number, offset: number}} session - Session state
+ * @returns {string} Opaque token
+ */
+function encodeSession({ seed, cycle, offset }) {
+  return Buffer.from(JSON.stringify({ s: seed, c: cycle, o: offset })).toString('base64url');
+}
+
+/**
+ * Decode a shuffle session token, or start a new session for "new"
+ * @param {string} token - Token from a previous response, or "new"
+ * @param {string} [seed] - Seed for a new session (random when omitted)
+ * @returns {{seed: string, cycle: number, offset: number}} Session state
+ * @throws {ValidationError} If the token is malformed
+ */
+function decodeSession(token, seed) {
+  if (token === 'new') return { seed: seed || createSeed(), cycle: 0, offset: 0 };
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (
+    !payload ||
+    typeof payload.s !== 'string' ||
+    !payload.s ||
+    payload.s.length > MAX_SEED_LENGTH ||
+    !Number.isInteger(payload.c) ||
+    payload.c < 0 ||
+    !Number.isInteger(payload.o) ||
+    payload.o < 0
+  ) {
+    throw new ValidationError(
+      'Invalid session. Use "new" or the session from a previous response',
+      {
+        field: 'session',
+        value: token,
+      }
+    );
+  }
+  return { seed: payload.s, cycle: payload.c, offset: payload.o };
+}
+
+module.exports = {
+  WEIGHT_FIELDS,
+  createSeed,
+  parseSeed,
+  parseWeightBy,
+  hashUnit,
+  weightsFor,
+  seededOrder,
+  encodeSession,
+  decodeSession,
+};
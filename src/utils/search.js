@@ -12,8 +12,18 @@ function inText(hay, needles) {
   return tokenizedNeedles.some(n => bag.has(n));
 }
 
+// "min-max" where either bound may be negative or left out (e.g. "-30--14", "-30-", "--14")
+const SIGNED_RANGE = /^(-?\d+(?:\.\d+)?)?-(-?\d+(?:\.\d+)?)?$/;
+
 function parseRange(r) {
   if (!r) return null;
+  const signed = String(r).trim().match(SIGNED_RANGE);
+  if (signed) {
+    return {
+      min: signed[1] === undefined ? null : parseFloat(signed[1]),
+      max: signed[2] === undefined ? null : parseFloat(signed[2]),
+    };
+  }
   const parts = r.split('-');
   if (parts.length === 1) {
     const val = parseFloat(parts[0]);
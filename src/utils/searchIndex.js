@@ -0,0 +1,294 @@
+/**
+ * In-memory BM25 full-text index for static-mode search.
+ * Each indexed field is scored with BM25 and weighted by its boost, so a term in the
+ * title outranks the same term in the tags, descriptor or context.
+ * Query terms also match vocabulary terms they prefix or are a small edit away from
+ * ("nubi" → "nubian", "scremaing" → "screaming"), at a discounted weight.
+ */
+
+const { tokenize } = require('./search');
+const { deepGet } = require('./filters');
+
+/**
+ * Indexed field paths and their boosts (title > tags > descriptor > context).
+ * Also used as the MongoDB text index weights, so both backends rank by the same fields.
+ */
+const SEARCH_FIELDS = {
+  title: 10,
+  tags: 6,
+  'analysis.tags': 6,
+  'analysis.descriptor': 4,
+  'analysis.vibe': 3,
+  'source.title': 2,
+  'goat.breed': 2,
+  context: 1,
+};
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Weights for query terms that only match by prefix or by edit distance
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+// Indexes are cached per dataset array so a reloaded dataset gets a fresh index
+const indexes = new WeakMap();
+
+/**
+ * Tokenize a document field; array fields are joined before tokenizing
+ * @param {Object} doc - Source document
+ * @param {string} path - Field path
+ * @returns {string[]} Tokens
+ */
+function fieldTokens(doc, path) {
+  const value = deepGet(doc, path);
+  if (value === undefined || value === null) return [];
+  return tokenize(Array.isArray(value) ? value.join(' ') : value);
+}
+
+/**
+ * Maximum edit distance tolerated for a query term: none for short or numeric terms,
+ * one edit from 4 characters and two from 8
+ * @param {string} term - Query term
+ * @returns {number} Allowed edits
+ */
+function maxEdits(term) {
+  if (/^\d+$/.test(term)) return 0;
+  if (term.length >= 8) return 2;
+  return term.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions), bounded by max
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return Math.min(prev[b.length], max + 1);
+}
+
+/**
+ * Build an inverted index over SEARCH_FIELDS
+ * @param {Array<Object>} docs - Documents to index
+ * @returns {Object} Index: { size, postings: Map<term, Map<doc, {path: tf}>>, terms, lengths, avgLengths }
+ */
+function buildSearchIndex(docs) {
+  const postings = new Map();
+  const lengths = new Map();
+  const totals = {};
+
+  docs.forEach(doc => {
+    const docLengths = {};
+    Object.keys(SEARCH_FIELDS).forEach(path => {
+      const tokens = fieldTokens(doc, path);
+      docLengths[path] = tokens.length;
+      totals[path] = (totals[path] || 0) + tokens.length;
+      tokens.forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const termDocs = postings.get(token);
+        const tf = termDocs.get(doc) || {};
+        tf[path] = (tf[path] || 0) + 1;
+        termDocs.set(doc, tf);
+      });
+    });
+    lengths.set(doc, docLengths);
+  });
+
+  const avgLengths = {};
+  Object.keys(SEARCH_FIELDS).forEach(path => {
+    avgLengths[path] = docs.length ? (totals[path] || 0) / docs.length : 0;
+  });
+
+  const terms = Array.from(postings.keys()).sort();
+  return { size: docs.length, postings, terms, lengths, avgLengths };
+}
+
+/**
+ * Get the index for a dataset, building it on first use
+ * @param {Array<Object>} docs - Dataset array (cache key)
+ * @returns {Object} Index from buildSearchIndex
+ */
+function getSearchIndex(docs) {
+  let index = indexes.get(docs);
+  if (!index) {
+    index = buildSearchIndex(docs);
+    indexes.set(docs, index);
+  }
+  return index;
+}
+
+/**
+ * Find the terms of a sorted vocabulary that start with a prefix
+ * @param {string[]} terms - Sorted vocabulary
+ * @param {string} prefix - Prefix to look for
+ * @returns {string[]} Matching terms, in order
+ */
+function termsWithPrefix(terms, prefix) {
+  // Binary search for the first term >= the prefix, then walk forward
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const matches = [];
+  for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i += 1) {
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * Find the vocabulary terms a query term should match, with their weights:
+ * the exact term (1), longer terms it prefixes, and terms within maxEdits() edits
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} term - Query term (already tokenized)
+ * @returns {Map<string, number>} Vocabulary term → weight
+ */
+function expandTerm(index, term) {
+  const variants = new Map();
+  if (index.postings.has(term)) variants.set(term, 1);
+  if (/^\d+$/.test(term)) return variants;
+
+  if (term.length >= MIN_PREFIX_LENGTH) {
+    termsWithPrefix(index.terms, term).forEach(candidate => {
+      if (!variants.has(candidate)) variants.set(candidate, PREFIX_WEIGHT);
+    });
+  }
+
+  const max = maxEdits(term);
+  if (max > 0) {
+    index.terms.forEach(candidate => {
+      if (variants.has(candidate)) return;
+      const distance = editDistance(term, candidate, max);
+      if (distance <= max) variants.set(candidate, FUZZY_WEIGHT ** distance);
+    });
+  }
+
+  return variants;
+}
+
+/**
+ * Expand a free-text query into the vocabulary terms it matches
+ * (used to give MongoDB's exact-token text search the same typo and prefix tolerance)
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Free-text query
+ * @returns {string[]} Matched vocabulary terms
+ */
+function expandQuery(index, query) {
+  const expanded = new Set();
+  new Set(tokenize(query)).forEach(term => {
+    expandTerm(index, term).forEach((_, variant) => expanded.add(variant));
+  });
+  return Array.from(expanded);
+}
+
+/**
+ * Score documents against a free-text query with BM25
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Free-text query
+ * @returns {Map<Object, {score: number, matched_fields: string[]}>} Hits keyed by document
+ */
+function searchIndex(index, query) {
+  const terms = Array.from(new Set(tokenize(query)));
+  const hits = new Map();
+
+  terms.forEach(term => {
+    // Each query term contributes its best-scoring variant per document
+    const best = new Map();
+    expandTerm(index, term).forEach((weight, variant) => {
+      const termDocs = index.postings.get(variant);
+      const idf = Math.log(1 + (index.size - termDocs.size + 0.5) / (termDocs.size + 0.5));
+
+      termDocs.forEach((tfs, doc) => {
+        const docLengths = index.lengths.get(doc);
+        let score = 0;
+        Object.entries(tfs).forEach(([path, tf]) => {
+          const avg = index.avgLengths[path] || 1;
+          const norm = (tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * docLengths[path]) / avg));
+          score += weight * idf * SEARCH_FIELDS[path] * norm;
+        });
+        const current = best.get(doc);
+        if (!current || score > current.score) best.set(doc, { score, fields: Object.keys(tfs) });
+      });
+    });
+
+    best.forEach(({ score, fields }, doc) => {
+      const hit = hits.get(doc) || { score: 0, fields: new Set() };
+      hit.score += score;
+      fields.forEach(path => hit.fields.add(path));
+      hits.set(doc, hit);
+    });
+  });
+
+  const results = new Map();
+  hits.forEach((hit, doc) => {
+    results.set(doc, {
+      score: roundScore(hit.score),
+      matched_fields: Object.keys(SEARCH_FIELDS).filter(path => hit.fields.has(path)),
+    });
+  });
+  return results;
+}
+
+/**
+ * List the SEARCH_FIELDS of a document containing any query term
+ * (used for hits whose score came from MongoDB's text index)
+ * @param {Object} doc - Document
+ * @param {string} query - Free-text query
+ * @returns {string[]} Matching field paths
+ */
+function matchedFields(doc, query) {
+  const terms = new Set(tokenize(query));
+  return Object.keys(SEARCH_FIELDS).filter(path =>
+    fieldTokens(doc, path).some(token => terms.has(token))
+  );
+}
+
+/**
+ * Round a relevance score for stable output
+ * @param {number} score - Raw score
+ * @returns {number} Score rounded to 4 decimal places
+ */
+function roundScore(score) {
+  return Math.round(score * 10000) / 10000;
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  maxEdits,
+  editDistance,
+  buildSearchIndex,
+  getSearchIndex,
+  termsWithPrefix,
+  expandTerm,
+  expandQuery,
+  searchIndex,
+  matchedFields,
+  roundScore,
+};
@@ -1,9 +1,19 @@
 const fs = require('fs');
 const path = require('path');
 const { warn: logWarn } = require('./logger');
+const { getSearchIndex } = require('./searchIndex');
+const { getSuggestionIndex } = require('./suggestions');
 
 let cache = null;
 let source = 'mock-data/sample-screams.js';
+let waveformCache = null;
+// Scream-of-the-day cycles (see utils/daily), worked out afresh for each loaded dataset
+let dailyCycles = [];
+
+// Sidecar of waveform peaks keyed by scream id, written by scripts/generate-waveforms.js
+const WAVEFORMS_PATH = path.resolve(__dirname, '../../data/screams-waveforms.json');
+// Sidecar of acoustic fingerprints keyed by scream id, written by scripts/fingerprint-screams.js
+const FINGERPRINTS_PATH = path.resolve(__dirname, '../../data/screams-fingerprints.json');
 
 function loadFromFile(filePath) {
   const text = fs.readFileSync(filePath, 'utf-8');
@@ -14,15 +24,13 @@ function loadFromFile(filePath) {
   return data;
 }
 
-function loadStaticScreams() {
-  if (cache) return cache;
-
+function readStaticScreams() {
   const dataPath = path.resolve(__dirname, '../../data/screams-public.json');
   if (fs.existsSync(dataPath)) {
     try {
-      cache = loadFromFile(dataPath);
+      const data = loadFromFile(dataPath);
       source = 'data/screams-public.json';
-      return cache;
+      return data;
     } catch (err) {
       logWarn('Failed to read static screams file, falling back to mock dataset', {
         path: dataPath,
@@ -31,8 +39,17 @@ function loadStaticScreams() {
     }
   }
 
-  cache = require('../../mock-data/sample-screams');
   source = 'mock-data/sample-screams.js';
+  return require('../../mock-data/sample-screams');
+}
+
+function loadStaticScreams() {
+  if (cache) return cache;
+
+  cache = readStaticScreams();
+  // Build the full-text and autocomplete indexes up front so the first search doesn't pay for them
+  getSearchIndex(cache);
+  getSuggestionIndex(cache);
   return cache;
 }
 
@@ -42,16 +59,70 @@ function getStaticScreams() {
 
 function reloadStaticScreams() {
   cache = null;
+  waveformCache = null;
+  dailyCycles = [];
   return loadStaticScreams();
 }
 
+/**
+ * Read a sidecar file keyed by scream id
+ * @private
+ */
+function loadSidecar(filePath, kind) {
+  if (!fs.existsSync(filePath)) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+    throw new Error(`${kind} sidecar must be an object keyed by scream id`);
+  } catch (err) {
+    logWarn(`Failed to read ${kind} sidecar, ignoring it`, {
+      path: filePath,
+      error: err.message,
+    });
+    return {};
+  }
+}
+
+/**
+ * Read a waveform sidecar file
+ * @param {string} filePath - Sidecar path
+ * @returns {Object} Waveforms keyed by scream id ({} when the file does not exist)
+ */
+function loadWaveformSidecar(filePath) {
+  return loadSidecar(filePath, 'waveform');
+}
+
+/**
+ * Read a fingerprint sidecar file
+ * @param {string} filePath - Sidecar path
+ * @returns {Object} Base64 fingerprints keyed by scream id ({} when the file does not exist)
+ */
+function loadFingerprintSidecar(filePath) {
+  return loadSidecar(filePath, 'fingerprint');
+}
+
+function getStaticWaveforms() {
+  if (!waveformCache) waveformCache = loadWaveformSidecar(WAVEFORMS_PATH);
+  return waveformCache;
+}
+
+function getStaticDailyCycles() {
+  return dailyCycles;
+}
+
 function getStaticSource() {
   loadStaticScreams();
   return source;
 }
 
 module.exports = {
+  WAVEFORMS_PATH,
+  FINGERPRINTS_PATH,
   getStaticScreams,
   reloadStaticScreams,
   getStaticSource,
+  loadWaveformSidecar,
+  loadFingerprintSidecar,
+  getStaticWaveforms,
+  getStaticDailyCycles,
 };
@@ -0,0 +1,183 @@
+/**
+ * Autocomplete suggestions for the search box.
+ * Completions are drawn from titles, tags, breeds, source titles and vibes, matched by
+ * phrase prefix, word prefix or (for typos) bounded edit distance, and ranked by match
+ * quality then by how many screams carry them. Query words are matched against the
+ * deduplicated word vocabulary once, then mapped back to the phrases containing them.
+ */
+
+const { tokenize } = require('./search');
+const { deepGet } = require('./filters');
+const { maxEdits, editDistance, termsWithPrefix } = require('./searchIndex');
+
+/** Field paths suggestions are drawn from, and the type reported for each */
+const SUGGESTION_FIELDS = {
+  title: 'title',
+  tags: 'tag',
+  'analysis.tags': 'tag',
+  'goat.breed': 'breed',
+  'source.title': 'source',
+  'analysis.vibe': 'vibe',
+};
+
+// Match ranks, best first
+const PHRASE_PREFIX = 0;
+const WORD_PREFIX = 1;
+const FUZZY = 2;
+
+// Suggestion indexes are cached per dataset array, like search indexes
+const indexes = new WeakMap();
+
+/**
+ * Collect distinct suggestion phrases from documents, with a word vocabulary over them
+ * @param {Array<Object>} docs - Documents
+ * @returns {Object} Index: { entries: [{ text, type, count, lower, words }],
+ *   postings: Map<word, entries>, terms: sorted words }
+ */
+function buildSuggestionIndex(docs) {
+  const entries = new Map();
+
+  docs.forEach(doc => {
+    const seen = new Set();
+    Object.entries(SUGGESTION_FIELDS).forEach(([path, type]) => {
+      const value = deepGet(doc, path);
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach(raw => {
+        if (typeof raw !== 'string' || !raw.trim()) return;
+        const text = raw.trim();
+        const key = `${type}:${text.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const entry = entries.get(key);
+        if (entry) {
+          entry.count += 1;
+        } else {
+          entries.set(key, {
+            text,
+            type,
+            count: 1,
+            lower: text.toLowerCase(),
+            words: tokenize(text),
+          });
+        }
+      });
+    });
+  });
+
+  const postings = new Map();
+  entries.forEach(entry => {
+    new Set(entry.words).forEach(word => {
+      if (!postings.has(word)) postings.set(word, []);
+      postings.get(word).push(entry);
+    });
+  });
+
+  return {
+    entries: Array.from(entries.values()),
+    postings,
+    terms: Array.from(postings.keys()).sort(),
+  };
+}
+
+/**
+ * Get the suggestion index for a dataset, building it on first use
+ * @param {Array<Object>} docs - Dataset array (cache key)
+ * @returns {Object} Index from buildSuggestionIndex
+ */
+function getSuggestionIndex(docs) {
+  let index = indexes.get(docs);
+  if (!index) {
+    index = buildSuggestionIndex(docs);
+    indexes.set(docs, index);
+  }
+  return index;
+}
+
+/**
+ * Rank the vocabulary words one query token matches: words it prefixes, then words within
+ * maxEdits() edits of it, either whole or cut to the token's length (a typo in a prefix)
+ * @private
+ */
+function termRanks(index, token) {
+  const ranks = new Map();
+  termsWithPrefix(index.terms, token).forEach(term => ranks.set(term, WORD_PREFIX));
+
+  const max = maxEdits(token);
+  if (max > 0) {
+    index.terms.forEach(term => {
+      if (ranks.has(term)) return;
+      if (
+        editDistance(token, term, max) <= max ||
+        editDistance(token, term.slice(0, token.length), max) <= max
+      ) {
+        ranks.set(term, FUZZY);
+      }
+    });
+  }
+  return ranks;
+}
+
+/**
+ * Rank an entry against the query, or null when it does not match
+ * @private
+ */
+function matchRank(entry, needle, tokenRanks) {
+  if (entry.lower.startsWith(needle)) return PHRASE_PREFIX;
+  let worst = PHRASE_PREFIX;
+  for (const ranks of tokenRanks) {
+    let best = null;
+    entry.words.forEach(word => {
+      const rank = ranks.get(word);
+      if (rank !== undefined && (best === null || rank < best)) best = rank;
+    });
+    if (best === null) return null;
+    worst = Math.max(worst, best);
+  }
+  return worst;
+}
+
+/**
+ * Find ranked completions for a partial query
+ * @param {Object} index - Index from buildSuggestionIndex
+ * @param {string} query - What the user has typed so far
+ * @param {number} [limit=10] - Maximum suggestions
+ * @returns {Array<{text: string, type: string, count: number}>} Suggestions, best first
+ */
+function suggest(index, query, limit = 10) {
+  const needle = String(query ?? '')
+    .trim()
+    .toLowerCase();
+  const tokens = tokenize(needle);
+  if (!tokens.length) return [];
+
+  const tokenRanks = tokens.map(token => termRanks(index, token));
+
+  // Every match contains a word the first token matched (phrase prefixes included)
+  const candidates = new Set();
+  tokenRanks[0].forEach((_, term) => index.postings.get(term).forEach(e => candidates.add(e)));
+
+  const matches = [];
+  candidates.forEach(entry => {
+    const rank = matchRank(entry, needle, tokenRanks);
+    if (rank !== null) matches.push({ entry, rank });
+  });
+
+  return matches
+    .sort(
+      (a, b) =>
+        a.rank - b.rank ||
+        b.entry.count - a.entry.count ||
+        a.entry.text.length - b.entry.text.length ||
+        a.entry.text.localeCompare(b.entry.text)
+    )
+    .slice(0, limit)
+    .map(({ entry }) => ({ text: entry.text, type: entry.type, count: entry.count }));
+}
+
+module.exports = {
+  SUGGESTION_FIELDS,
+  buildSuggestionIndex,
+  getSuggestionIndex,
+  suggest,
+};
@@ -0,0 +1,91 @@
+const { detectFormat, decodeWav, decodeAudio, toMono } = require('../../src/audio/decode');
+const { ValidationError } = require('../../src/errors');
+const { tone, encodeWav } = require('../helpers/wav');
+
+describe('audio decode', () => {
+  describe('detectFormat', () => {
+    it('should recognise containers by their magic bytes', () => {
+      expect(detectFormat(encodeWav(tone([440], 0.01)))).toBe('wav');
+      expect(detectFormat(Buffer.from('OggS\0\0'))).toBe('ogg');
+      expect(detectFormat(Buffer.from('fLaC\0\0'))).toBe('flac');
+      expect(detectFormat(Buffer.from('ID3\x04\0\0'))).toBe('mp3');
+      expect(detectFormat(Buffer.from([0xff, 0xfb, 0x90, 0x00]))).toBe('mp3');
+    });
+
+    it('should return null for anything else', () => {
+      expect(detectFormat(Buffer.from('\0\0\0 ftypM4A '))).toBeNull();
+      expect(detectFormat(Buffer.from('ab'))).toBeNull();
+      expect(detectFormat(null)).toBeNull();
+    });
+  });
+
+  describe('decodeWav', () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 0.25]);
+
+    it.each([8, 16, 24, 32, 'float'])('should decode %s-bit samples', bitDepth => {
+      const { sampleRate, channels } = decodeWav(encodeWav(samples, { bitDepth }));
+      expect(sampleRate).toBe(44100);
+      expect(channels).toHaveLength(1);
+      const tolerance = bitDepth === 8 ? 0.01 : 0.0001;
+      Array.from(samples).forEach((value, i) => {
+        expect(Math.abs(channels[0][i] - value)).toBeLessThan(tolerance);
+      });
+    });
+
+    it('should deinterleave stereo', () => {
+      const left = Float32Array.from([0.5, 0.5]);
+      const right = Float32Array.from([-0.5, -0.5]);
+      const { channels } = decodeWav(encodeWav([left, right], { sampleRate: 8000 }));
+      expect(channels).toHaveLength(2);
+      expect(channels[0][1]).toBeCloseTo(0.5, 3);
+      expect(channels[1][1]).toBeCloseTo(-0.5, 3);
+    });
+
+    it('should skip unknown chunks and tolerate a streamed data size', () => {
+      const wav = encodeWav(samples);
+      const list = Buffer.alloc(14);
+      list.write('LIST', 0, 'latin1');
+      list.writeUInt32LE(5, 4);
+      const data = Buffer.from(wav.subarray(36));
+      data.writeUInt32LE(0xffffffff, 4);
+      const patched = Buffer.concat([wav.subarray(0, 36), list.subarray(0, 14), data]);
+      expect(decodeWav(patched).channels[0]).toHaveLength(samples.length);
+    });
+
+    it('should reject malformed files', () => {
+      expect(() => decodeWav(Buffer.from('RIFF\0\0\0\0WAVE'))).toThrow(ValidationError);
+      const adpcm = encodeWav(samples);
+      adpcm.writeUInt16LE(2, 20);
+      expect(() => decodeWav(adpcm)).toThrow(/unsupported encoding/);
+    });
+  });
+
+  describe('decodeAudio', () => {
+    it('should decode WAV buffers and report the format', async () => {
+      const decoded = await decodeAudio(
+        encodeWav(tone([440], 0.5, { sampleRate: 22050 }), { sampleRate: 22050 })
+      );
+      expect(decoded.format).toBe('wav');
+      expect(decoded.sampleRate).toBe(22050);
+      expect(decoded.channels[0]).toHaveLength(11025);
+    });
+
+    it('should reject unrecognised formats', async () => {
+      await expect(decodeAudio(Buffer.from('not audio at all'))).rejects.toThrow(
+        'Unsupported audio format'
+      );
+    });
+  });
+
+  describe('toMono', () => {
+    it('should average channels', () => {
+      const mono = toMono([Float32Array.from([1, 0.5]), Float32Array.from([0, -0.5])]);
+      expect(Array.from(mono)).toEqual([0.5, 0]);
+    });
+
+    it('should return a single channel as is', () => {
+      const channel = Float32Array.from([0.1]);
+      expect(toMono([channel])).toBe(channel);
+    });
+  });
+});
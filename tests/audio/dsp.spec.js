@@ -0,0 +1,48 @@
+const { MIN_DECIBELS, toDecibels, levels, fft, dominantFrequency } = require('../../src/audio/dsp');
+const { tone } = require('../helpers/wav');
+
+describe('audio dsp', () => {
+  it('should convert amplitudes to dBFS with a floor for silence', () => {
+    expect(toDecibels(1)).toBe(0);
+    expect(toDecibels(0.5)).toBeCloseTo(-6.02, 2);
+    expect(toDecibels(0)).toBe(MIN_DECIBELS);
+  });
+
+  it('should measure peak and RMS of a sine', () => {
+    const { peak, rms } = levels(tone([1000], 1, { amplitude: 0.8 }));
+    expect(peak).toBeCloseTo(0.8, 3);
+    expect(rms).toBeCloseTo(0.8 / Math.SQRT2, 3);
+    expect(levels(new Float32Array(0))).toEqual({ peak: 0, rms: 0 });
+  });
+
+  it('should transform an impulse to a flat spectrum', () => {
+    const re = new Float64Array(8);
+    const im = new Float64Array(8);
+    re[0] = 1;
+    fft(re, im);
+    Array.from(re).forEach(value => expect(value).toBeCloseTo(1, 10));
+    Array.from(im).forEach(value => expect(value).toBeCloseTo(0, 10));
+  });
+
+  it('should place a cosine in its bin', () => {
+    const n = 64;
+    const re = Float64Array.from({ length: n }, (_, i) => Math.cos((2 * Math.PI * 5 * i) / n));
+    const im = new Float64Array(n);
+    fft(re, im);
+    expect(re[5]).toBeCloseTo(n / 2, 8);
+    expect(re[n - 5]).toBeCloseTo(n / 2, 8);
+    expect(Math.hypot(re[6], im[6])).toBeCloseTo(0, 8);
+  });
+
+  it.each([220, 523.25, 1480])('should find the dominant frequency of a %s Hz tone', hz => {
+    const frequency = dominantFrequency(tone([hz], 1), 44100);
+    expect(Math.abs(frequency - hz)).toBeLessThan(2);
+  });
+
+  it('should ignore quiet noise and silence', () => {
+    const samples = tone([660], 1);
+    for (let i = 0; i < samples.length; i += 1) samples[i] += (Math.random() - 0.5) * 0.01;
+    expect(Math.abs(dominantFrequency(samples, 44100) - 660)).toBeLessThan(2);
+    expect(dominantFrequency(new Float32Array(8192), 44100)).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+const { trim, fade, normalize, applyEdits } = require('../../src/audio/edit');
+const { levels, toDecibels } = require('../../src/audio/dsp');
+const { tone } = require('../helpers/wav');
+
+describe('audio edit', () => {
+  const sampleRate = 1000;
+  const ramp = () => ({
+    sampleRate,
+    channels: [Float32Array.from({ length: 1000 }, (_, i) => i / 1000)],
+  });
+
+  describe('trim', () => {
+    it('should cut to the time range and clamp the end to the clip', () => {
+      const audio = ramp();
+      const trimmed = trim(audio, 0.25, 0.5);
+      expect(trimmed.channels[0]).toHaveLength(250);
+      expect(trimmed.channels[0][0]).toBeCloseTo(0.25);
+
+      expect(trim(audio, 0.9, 5).channels[0]).toHaveLength(100);
+      expect(trim(audio, 0.5).channels[0]).toHaveLength(500);
+      expect(audio.channels[0]).toHaveLength(1000);
+    });
+  });
+
+  describe('fade', () => {
+    it('should ramp the start and end without touching the middle', () => {
+      const audio = { sampleRate, channels: [new Float32Array(1000).fill(1)] };
+      const [faded] = fade(audio, 0.1, 0.2).channels;
+
+      expect(faded[0]).toBe(0);
+      expect(faded[50]).toBeCloseTo(0.5);
+      expect(faded[500]).toBe(1);
+      expect(faded[999]).toBe(0);
+      expect(faded[900]).toBeCloseTo(0.5);
+      expect(audio.channels[0][0]).toBe(1);
+    });
+
+    it('should shorten fades longer than the clip', () => {
+      const audio = { sampleRate, channels: [new Float32Array(10).fill(1)] };
+      expect(() => fade(audio, 5, 5)).not.toThrow();
+    });
+  });
+
+  describe('normalize', () => {
+    it('should bring quiet audio up to the target level', () => {
+      const audio = { sampleRate: 44100, channels: [tone([440], 1, { amplitude: 0.05 })] };
+      const { channels, gainDb } = normalize(audio);
+
+      expect(toDecibels(levels(channels[0]).rms)).toBeCloseTo(-16, 1);
+      expect(gainDb).toBeGreaterThan(0);
+    });
+
+    it('should hold the peak under the ceiling', () => {
+      // A lone click is loud at the peak but quiet on average
+      const click = new Float32Array(44100);
+      click[100] = 0.5;
+      const { channels } = normalize({ sampleRate: 44100, channels: [click] });
+
+      expect(toDecibels(levels(channels[0]).peak)).toBeCloseTo(-1, 5);
+    });
+
+    it('should leave silence alone', () => {
+      const { channels, gainDb } = normalize({ sampleRate, channels: [new Float32Array(10)] });
+      expect(gainDb).toBe(0);
+      expect(Array.from(channels[0])).toEqual(new Array(10).fill(0));
+    });
+  });
+
+  describe('applyEdits', () => {
+    it('should trim, normalise and fade in that order', () => {
+      const audio = { sampleRate: 44100, channels: [tone([440], 2, { amplitude: 0.05 })] };
+      const edited = applyEdits(audio, { start: 0.5, end: 1.5, fadeIn: 0.1, normalize: true });
+
+      expect(edited.channels[0]).toHaveLength(44100);
+      expect(edited.channels[0][0]).toBe(0);
+      expect(levels(edited.channels[0].subarray(22050)).peak).toBeGreaterThan(0.1);
+    });
+
+    it('should return the audio unchanged without edits', () => {
+      const audio = ramp();
+      expect(applyEdits(audio, {}).channels[0]).toBe(audio.channels[0]);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { encodeWav, encodeAudio } = require('../../src/audio/encode');
+const { decodeWav, detectFormat } = require('../../src/audio/decode');
+const { tone } = require('../helpers/wav');
+
+describe('audio encode', () => {
+  const left = tone([440], 0.5);
+  const right = tone([660], 0.5);
+  const audio = { sampleRate: 44100, channels: [left, right] };
+
+  describe('encodeWav', () => {
+    it.each([16, 24])('should round-trip %i-bit PCM', bitDepth => {
+      const decoded = decodeWav(encodeWav(audio, { bitDepth }));
+
+      expect(decoded.sampleRate).toBe(44100);
+      expect(decoded.channels).toHaveLength(2);
+      expect(decoded.channels[1]).toHaveLength(right.length);
+      const tolerance = bitDepth === 16 ? 1e-4 : 1e-6;
+      [100, 5000, 20000].forEach(i => {
+        expect(Math.abs(decoded.channels[0][i] - left[i])).toBeLessThan(tolerance);
+        expect(Math.abs(decoded.channels[1][i] - right[i])).toBeLessThan(tolerance);
+      });
+    });
+
+    it('should clip out-of-range samples', () => {
+      const loud = { sampleRate: 8000, channels: [Float32Array.from([2, -2])] };
+      const [channel] = decodeWav(encodeWav(loud)).channels;
+      expect(channel[0]).toBeCloseTo(1, 3);
+      expect(channel[1]).toBeCloseTo(-1, 3);
+    });
+  });
+
+  describe('encodeAudio', () => {
+    it('should write WAV tiers with their bit depth and channel layout', async () => {
+      const high = await encodeAudio(audio, 'wav', 'high');
+      const low = await encodeAudio(audio, 'wav', 'low');
+
+      expect(high.readUInt16LE(34)).toBe(24);
+      expect(high.readUInt16LE(22)).toBe(2);
+      expect(low.readUInt16LE(34)).toBe(16);
+      expect(low.readUInt16LE(22)).toBe(1);
+    });
+
+    it('should encode MP3 at distinct bitrates', async () => {
+      const high = await encodeAudio(audio, 'mp3', 'high');
+      const low = await encodeAudio(audio, 'mp3', 'low');
+
+      expect(detectFormat(high)).toBe('mp3');
+      expect(detectFormat(low)).toBe('mp3');
+      expect(high.length).toBeGreaterThan(low.length * 2);
+    });
+
+    it('should encode Ogg Vorbis', async () => {
+      const encoded = await encodeAudio(audio, 'ogg', 'medium');
+      expect(detectFormat(encoded)).toBe('ogg');
+      expect(encoded.toString('latin1', 29, 35)).toBe('vorbis');
+    });
+
+    it('should mix more than two channels down for the compressed encoders', async () => {
+      const surround = { sampleRate: 44100, channels: [left, right, left] };
+      expect(detectFormat(await encodeAudio(surround, 'mp3', 'medium'))).toBe('mp3');
+    });
+  });
+});
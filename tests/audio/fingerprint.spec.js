@@ -0,0 +1,60 @@
+const {
+  encodeFingerprint,
+  decodeFingerprint,
+  computeFingerprint,
+  compareFingerprints,
+} = require('../../src/audio/fingerprint');
+const { resample } = require('../../src/audio/mix');
+const { DUPLICATE_THRESHOLD } = require('../../src/services/duplicates');
+const { tone, call } = require('../helpers/wav');
+
+describe('audio/fingerprint', () => {
+  const sampleRate = 44100;
+  const fingerprint = (samples, rate = sampleRate) =>
+    computeFingerprint({ sampleRate: rate, channels: [samples] });
+
+  const original = call(600, 3);
+  const reference = fingerprint(original);
+
+  it('should pack 32-bit words into base64 and back', () => {
+    const words = Uint32Array.from([0, 1, 0xffffffff, 0x80000000]);
+    expect(decodeFingerprint(encodeFingerprint(words))).toEqual(words);
+    expect(decodeFingerprint(reference).length).toBeGreaterThan(100);
+  });
+
+  it('should match copies that were rescaled, padded, trimmed or resampled', () => {
+    const padded = new Float32Array(original.length + sampleRate);
+    padded.set(original, sampleRate / 2);
+
+    expect(compareFingerprints(reference, reference)).toEqual({ similarity: 1, offset: 0 });
+    expect(
+      compareFingerprints(reference, fingerprint(original.map(v => v * 0.3))).similarity
+    ).toBeGreaterThan(0.99);
+    expect(compareFingerprints(reference, fingerprint(padded)).similarity).toBeGreaterThan(
+      DUPLICATE_THRESHOLD
+    );
+
+    const trimmed = compareFingerprints(reference, fingerprint(original.subarray(sampleRate)));
+    expect(trimmed.similarity).toBeGreaterThan(DUPLICATE_THRESHOLD);
+    expect(trimmed.offset).toBeCloseTo(1, 1);
+
+    const resampled = fingerprint(resample(original, sampleRate / 48000), 48000);
+    expect(compareFingerprints(reference, resampled).similarity).toBeGreaterThan(
+      DUPLICATE_THRESHOLD
+    );
+  });
+
+  it('should keep different clips apart', () => {
+    [call(800, 2.5), call(450, 4), tone([440, 660, 550], 3)].forEach(other => {
+      expect(compareFingerprints(reference, fingerprint(other)).similarity).toBeLessThan(
+        DUPLICATE_THRESHOLD
+      );
+    });
+  });
+
+  it('should not fingerprint silence or clips that are too short', () => {
+    expect(fingerprint(new Float32Array(sampleRate))).toBeNull();
+    expect(fingerprint(call(600, 0.1))).toBeNull();
+    expect(compareFingerprints(reference, '')).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+const zlib = require('zlib');
+const { renderImage } = require('../../src/audio/image');
+const { tone } = require('../helpers/wav');
+
+// Decode the RGBA pixels of a PNG written by encodePng (single IDAT, unfiltered rows)
+function pngPixels(png) {
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const raw = zlib.inflateSync(png.subarray(41, 41 + png.readUInt32BE(33)));
+  const pixel = (x, y) => [...raw.subarray(y * (width * 4 + 1) + 1 + x * 4).subarray(0, 4)];
+  return { width, height, pixel };
+}
+
+describe('audio image', () => {
+  const samples = tone([1000], 1, { amplitude: 0.5 });
+
+  it('should render a spectrogram PNG of the requested size', () => {
+    const png = renderImage(samples, 44100, {
+      type: 'spectrogram',
+      format: 'png',
+      width: 64,
+      height: 80,
+    });
+    const { width, height, pixel } = pngPixels(png);
+
+    expect([width, height]).toEqual([64, 80]);
+    // 1 kHz sits an eighth of the way up an 8 kHz axis; the top row is background
+    const toneRow = Math.round(80 * (1 - 1000 / 8000));
+    const brightness = y =>
+      pixel(32, y)
+        .slice(0, 3)
+        .reduce((sum, channel) => sum + channel, 0);
+    expect(brightness(toneRow)).toBeGreaterThan(brightness(0) + 300);
+    expect(pixel(32, 0)[3]).toBe(255);
+  });
+
+  it('should render a waveform PNG with a transparent background', () => {
+    const quiet = new Float32Array(44100);
+    quiet.set(samples.subarray(0, 22050));
+    const png = renderImage(quiet, 44100, {
+      type: 'waveform',
+      format: 'png',
+      width: 20,
+      height: 40,
+    });
+    const { pixel } = pngPixels(png);
+
+    expect(pixel(5, 1)[3]).toBe(255);
+    expect(pixel(15, 1)[3]).toBe(0);
+    expect(pixel(15, 20)[3]).toBe(255);
+  });
+
+  it('should render SVGs with an intrinsic size', () => {
+    const waveform = renderImage(samples, 44100, {
+      type: 'waveform',
+      format: 'svg',
+      width: 300,
+      height: 60,
+    }).toString();
+    expect(waveform).toContain('width="300" height="60" viewBox="0 0 300 100"');
+
+    const spectrogram = renderImage(samples, 44100, {
+      type: 'spectrogram',
+      format: 'svg',
+      width: 32,
+      height: 32,
+    }).toString();
+    expect(spectrogram).toMatch(/^<svg [^>]*width="32" height="32"/);
+    expect(spectrogram).toContain('href="data:image/png;base64,');
+  });
+});
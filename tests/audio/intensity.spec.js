@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  INTENSITY_FEATURES,
+  loadCalibration,
+  intensityFeatures,
+  curatedSamples,
+  scoreIntensity,
+  fitIntensityModel,
+} = require('../../src/audio/intensity');
+
+describe('audio intensity', () => {
+  const calibration = {
+    intercept: 7,
+    weights: { duration: 1, primary_frequency_khz: 2, tone_count: 0, tone_span: 0 },
+  };
+
+  it('should load the bundled calibration', () => {
+    const bundled = loadCalibration();
+    expect(INTENSITY_FEATURES).toEqual(expect.arrayContaining(bundled.features));
+    bundled.features.forEach(name => expect(typeof bundled.weights[name]).toBe('number'));
+    expect(bundled.samples).toBeGreaterThan(0);
+  });
+
+  it('should keep the bundled calibration within its error bound on the curated clips', () => {
+    // Fitted without the level features: the clip durations are those of the catalog
+    const bundled = loadCalibration();
+    const durations = Object.fromEntries(
+      require('../../data/screams-public.json').map(scream => [
+        scream.id,
+        { duration: scream.audio.duration },
+      ])
+    );
+    const samples = curatedSamples(require('../../data/analysis-map.json'), durations);
+    expect(samples).toHaveLength(bundled.samples);
+
+    const error =
+      samples.reduce((sum, s) => sum + Math.abs(scoreIntensity(s.features) - s.intensity), 0) /
+      samples.length;
+    expect(error).toBeCloseTo(bundled.mean_absolute_error, 2);
+    expect(error).toBeLessThan(1.5);
+  });
+
+  it('should load a calibration file', () => {
+    const file = path.join(os.tmpdir(), `calibration-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(calibration));
+    try {
+      expect(loadCalibration(file)).toEqual(calibration);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should derive features from an analysis', () => {
+    expect(
+      intensityFeatures({
+        duration: 2,
+        primary_note: 'A4',
+        tones_in_order: ['G4', 'A4 (primary)', 'E5', 'bogus'],
+      })
+    ).toEqual({
+      duration: 2,
+      rms_decibels: 0,
+      peak_decibels: 0,
+      primary_frequency_khz: 0.44,
+      tone_count: 3,
+      tone_span: 9,
+    });
+    expect(
+      intensityFeatures({
+        duration: 1,
+        rms_decibels: -18.5,
+        peak_decibels: -3,
+        primary_note: null,
+        tones_in_order: [],
+      })
+    ).toEqual({
+      duration: 1,
+      rms_decibels: -18.5,
+      peak_decibels: -3,
+      primary_frequency_khz: 0,
+      tone_count: 0,
+      tone_span: 0,
+    });
+  });
+
+  it('should pair measured clips with their curated intensity and notes', () => {
+    const samples = curatedSamples(
+      {
+        a: { intensity: 6, primary_note: 'A5', tones_in_order: ['A5 (primary)'] },
+        b: { primary_note: 'C4' },
+        c: { intensity: 9, primary_note: 'C4' },
+      },
+      {
+        a: { duration: 1.5, rms_decibels: -12, peak_decibels: -1 },
+        b: { duration: 1, rms_decibels: -20, peak_decibels: -6 },
+      }
+    );
+    expect(samples).toEqual([
+      {
+        id: 'a',
+        features: {
+          duration: 1.5,
+          rms_decibels: -12,
+          peak_decibels: -1,
+          primary_frequency_khz: 0.88,
+          tone_count: 1,
+          tone_span: 0,
+        },
+        intensity: 6,
+      },
+    ]);
+  });
+
+  it('should score louder clips higher when the levels carry weight', () => {
+    const levels = { intercept: 12, weights: { rms_decibels: 0.2, peak_decibels: 0.1 } };
+    const quiet = intensityFeatures({ duration: 1, rms_decibels: -30, peak_decibels: -12 });
+    const loud = intensityFeatures({ duration: 1, rms_decibels: -10, peak_decibels: -1 });
+    expect(scoreIntensity(quiet, levels)).toBe(5);
+    expect(scoreIntensity(loud, levels)).toBe(10);
+  });
+
+  it('should score on the 1–10 scale', () => {
+    expect(scoreIntensity({ duration: -3, primary_frequency_khz: -1.5 }, calibration)).toBe(1);
+    expect(scoreIntensity({ duration: 10 }, calibration)).toBe(10);
+    expect(scoreIntensity({ duration: -4, primary_frequency_khz: 0.5 }, calibration)).toBe(4);
+  });
+
+  it('should recover a linear relationship from samples', () => {
+    const samples = [];
+    for (let i = 0; i < 40; i += 1) {
+      const features = {
+        duration: 0.5 + (i % 5) * 0.5,
+        rms_decibels: -30 + (i % 4) * 5,
+        peak_decibels: -12 + (i % 6) * 2,
+        primary_frequency_khz: 0.3 + (i % 3) * 0.4,
+        tone_count: 1 + (i % 7),
+        tone_span: (i % 10) * 2,
+      };
+      const intensity =
+        2 + 0.25 * features.tone_span + 1.2 * features.duration + 0.1 * features.rms_decibels;
+      samples.push({ features, intensity });
+    }
+
+    const fitted = fitIntensityModel(samples, { lambda: 1e-9 });
+    expect(fitted.samples).toBe(40);
+    expect(fitted.intercept).toBeCloseTo(2, 3);
+    expect(fitted.weights.tone_span).toBeCloseTo(0.25, 4);
+    expect(fitted.weights.duration).toBeCloseTo(1.2, 4);
+    expect(fitted.weights.rms_decibels).toBeCloseTo(0.1, 4);
+    expect(fitted.weights.peak_decibels).toBeCloseTo(0, 4);
+    expect(fitted.weights.tone_count).toBeCloseTo(0, 4);
+    expect(fitted.mean_absolute_error).toBeLessThan(0.5);
+  });
+
+  it('should require more samples than coefficients', () => {
+    expect(() => fitIntensityModel([])).toThrow('Need at least 7 samples');
+  });
+});
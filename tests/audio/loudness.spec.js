@@ -0,0 +1,81 @@
+const { kWeightingFilters, truePeak, measureLoudness } = require('../../src/audio/loudness');
+
+describe('audio/loudness', () => {
+  const sine = (frequency, seconds, sampleRate, amplitude, phase = 0) =>
+    Float32Array.from(
+      { length: Math.round(seconds * sampleRate) },
+      (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate + phase)
+    );
+
+  describe('kWeightingFilters', () => {
+    it('should match the BS.1770 coefficients at 48 kHz', () => {
+      const [shelf, highPass] = kWeightingFilters(48000);
+      expect(shelf.b[0]).toBeCloseTo(1.53512485958697, 6);
+      expect(shelf.b[1]).toBeCloseTo(-2.69169618940638, 6);
+      expect(shelf.b[2]).toBeCloseTo(1.19839281085285, 6);
+      expect(shelf.a[1]).toBeCloseTo(-1.69065929318241, 6);
+      expect(shelf.a[2]).toBeCloseTo(0.73248077421585, 6);
+      expect(highPass.a[1]).toBeCloseTo(-1.99004745483398, 6);
+      expect(highPass.a[2]).toBeCloseTo(0.99007225036621, 6);
+    });
+  });
+
+  describe('measureLoudness', () => {
+    it('should measure a 1 kHz stereo tone at -23 dBFS as -23 LUFS', () => {
+      const amplitude = 10 ** (-23 / 20);
+      const tone = sine(1000, 5, 48000, amplitude);
+      expect(measureLoudness({ sampleRate: 48000, channels: [tone, tone] })).toEqual({
+        integrated_lufs: -23,
+        loudness_range_lu: 0,
+        true_peak_dbtp: -23,
+      });
+    });
+
+    it('should measure a full-scale mono tone at about -3 LUFS', () => {
+      const { integrated_lufs } = measureLoudness({
+        sampleRate: 44100,
+        channels: [sine(997, 2, 44100, 1)],
+      });
+      expect(integrated_lufs).toBeCloseTo(-3, 0);
+    });
+
+    it('should measure the loudness range between a loud and a quiet passage', () => {
+      const sampleRate = 16000;
+      const loud = sine(1000, 20, sampleRate, 10 ** (-20 / 20));
+      const signal = new Float32Array(loud.length * 2);
+      signal.set(loud);
+      signal.set(
+        loud.map(sample => sample * 10 ** (-10 / 20)),
+        loud.length
+      );
+
+      const result = measureLoudness({ sampleRate, channels: [signal, signal] });
+      expect(result.loudness_range_lu).toBeCloseTo(10, 0);
+      expect(result.integrated_lufs).toBeGreaterThan(-23);
+      expect(result.integrated_lufs).toBeLessThan(-20);
+    });
+
+    it('should measure clips shorter than a gating block', () => {
+      const result = measureLoudness({ sampleRate: 44100, channels: [sine(440, 0.2, 44100, 0.5)] });
+      expect(result.integrated_lufs).toBeCloseTo(-9.7, 0);
+      expect(result.loudness_range_lu).toBe(0);
+    });
+
+    it('should report silence without an integrated loudness', () => {
+      expect(measureLoudness({ sampleRate: 8000, channels: [new Float32Array(8000)] })).toEqual({
+        integrated_lufs: null,
+        loudness_range_lu: 0,
+        true_peak_dbtp: -120,
+      });
+    });
+  });
+
+  describe('truePeak', () => {
+    it('should find peaks between samples', () => {
+      // A quarter-rate sine sampled 45° off its crests never hits a sample at full scale
+      const samples = sine(12000, 0.1, 48000, 1, Math.PI / 4);
+      expect(Math.max(...samples.map(Math.abs))).toBeCloseTo(Math.SQRT1_2, 3);
+      expect(truePeak([samples], 48000)).toBeCloseTo(1, 1);
+    });
+  });
+});
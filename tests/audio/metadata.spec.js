@@ -0,0 +1,62 @@
+const { buildId3Tag, embedMetadata } = require('../../src/audio/metadata');
+const { encodeWav } = require('../../src/audio/encode');
+const { decodeWav, detectFormat } = require('../../src/audio/decode');
+
+describe('audio/metadata', () => {
+  const tags = { title: 'Remix of Gäte', comment: 'Attribution: CC BY goat', software: 'api 1.0' };
+
+  describe('buildId3Tag', () => {
+    it('should write UTF-8 text and comment frames with syncsafe sizes', () => {
+      const tag = buildId3Tag(tags);
+
+      expect(tag.toString('latin1', 0, 3)).toBe('ID3');
+      expect(tag[3]).toBe(4);
+      const size = (tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9];
+      expect(size).toBe(tag.length - 10);
+
+      expect(tag.toString('latin1', 10, 14)).toBe('TIT2');
+      expect(tag[20]).toBe(3);
+      expect(tag.subarray(21, 21 + Buffer.byteLength(tags.title)).toString('utf8')).toBe(
+        tags.title
+      );
+      expect(tag.indexOf('TSSE')).toBeGreaterThan(0);
+      const comm = tag.indexOf('COMM');
+      expect(tag.toString('latin1', comm + 11, comm + 14)).toBe('eng');
+      expect(tag.subarray(comm + 15).toString('utf8')).toBe(tags.comment);
+    });
+  });
+
+  describe('embedMetadata', () => {
+    it('should put the ID3 tag in front of MP3 data', () => {
+      const mp3 = Buffer.from([0xff, 0xfb, 0x90, 0x00]);
+      const file = embedMetadata(mp3, 'mp3', tags);
+
+      expect(detectFormat(file)).toBe('mp3');
+      expect(file.subarray(-4)).toEqual(mp3);
+    });
+
+    it('should append a LIST/INFO chunk that leaves the WAV decodable', () => {
+      // Odd-length data chunk (24-bit mono, one frame) needs a pad byte before the LIST chunk
+      const wav = encodeWav(
+        { sampleRate: 8000, channels: [Float32Array.from([0.5])] },
+        {
+          bitDepth: 24,
+        }
+      );
+      const file = embedMetadata(wav, 'wav', tags);
+
+      expect(file.readUInt32LE(4)).toBe(file.length - 8);
+      const list = file.indexOf('LIST');
+      expect(list).toBe(wav.length + 1);
+      expect(file.toString('latin1', list + 8, list + 12)).toBe('INFO');
+      expect(file.indexOf(Buffer.from(`${tags.title}\0`, 'utf8'))).toBeGreaterThan(list);
+      expect(file.indexOf('ICMT')).toBeGreaterThan(list);
+      expect(decodeWav(file).channels[0][0]).toBeCloseTo(0.5, 4);
+    });
+
+    it('should leave other formats unchanged', () => {
+      const ogg = Buffer.from('OggS');
+      expect(embedMetadata(ogg, 'ogg', tags)).toBe(ogg);
+    });
+  });
+});
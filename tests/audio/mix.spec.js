@@ -0,0 +1,82 @@
+const { resample, mixTracks } = require('../../src/audio/mix');
+const { levels, dominantFrequency } = require('../../src/audio/dsp');
+const { tone } = require('../helpers/wav');
+
+describe('audio/mix', () => {
+  const mono = (samples, sampleRate = 8000) => ({ sampleRate, channels: [samples] });
+
+  describe('resample', () => {
+    it('should interpolate between input samples', () => {
+      const input = Float32Array.from([0, 1, 0, -1, 0]);
+      expect(Array.from(resample(input, 0.5))).toEqual([0, 0.5, 1, 0.5, 0, -0.5, -1, -0.5, 0]);
+      expect(Array.from(resample(input, 2))).toEqual([0, 0, 0]);
+      expect(resample(input, 1)).not.toBe(input);
+      expect(resample(new Float32Array(0), 2)).toHaveLength(0);
+    });
+  });
+
+  describe('mixTracks', () => {
+    it('should place layered tracks at their offsets', () => {
+      const ones = new Float32Array(4000).fill(0.25);
+      const mixed = mixTracks([{ audio: mono(ones) }, { audio: mono(ones), offset: 0.25 }]);
+
+      expect(mixed.sampleRate).toBe(8000);
+      expect(mixed.channels).toHaveLength(1);
+      expect(mixed.channels[0]).toHaveLength(6000);
+      expect(mixed.starts).toEqual([0, 0.25]);
+      expect(mixed.channels[0][1000]).toBeCloseTo(0.25);
+      expect(mixed.channels[0][3000]).toBeCloseTo(0.5);
+      expect(mixed.channels[0][5000]).toBeCloseTo(0.25);
+    });
+
+    it('should chain concatenated tracks with the offset as a gap', () => {
+      const clip = new Float32Array(800).fill(0.1);
+      const mixed = mixTracks(
+        [{ audio: mono(clip) }, { audio: mono(clip), offset: 0.1 }, { audio: mono(clip) }],
+        { mode: 'concat' }
+      );
+
+      expect(mixed.starts).toEqual([0, 0.2, 0.3]);
+      expect(mixed.channels[0]).toHaveLength(3200);
+      expect(mixed.channels[0][1200]).toBe(0);
+    });
+
+    it('should apply gain and keep the sum below the ceiling', () => {
+      const loud = tone([200], 0.5, { sampleRate: 8000, amplitude: 0.9 });
+      const quiet = mixTracks([{ audio: mono(loud), gainDb: -20 }]);
+      expect(levels(quiet.channels[0]).peak).toBeCloseTo(0.09, 2);
+
+      const summed = mixTracks([{ audio: mono(loud) }, { audio: mono(loud) }]);
+      expect(levels(summed.channels[0]).peak).toBeCloseTo(10 ** (-1 / 20), 3);
+    });
+
+    it('should pitch shift by playback speed', () => {
+      const sampleRate = 8000;
+      const mixed = mixTracks([
+        { audio: mono(tone([440], 1, { sampleRate }), sampleRate), pitchShift: 12 },
+      ]);
+
+      expect(mixed.channels[0].length).toBeCloseTo(4000, -1);
+      expect(dominantFrequency(mixed.channels[0], sampleRate)).toBeCloseTo(880, -1);
+    });
+
+    it('should mix mono and stereo at the highest sample rate', () => {
+      const mixed = mixTracks([
+        { audio: mono(new Float32Array(8000).fill(0.2), 8000) },
+        {
+          audio: {
+            sampleRate: 16000,
+            channels: [new Float32Array(8000).fill(0.1), new Float32Array(8000).fill(-0.1)],
+          },
+        },
+      ]);
+
+      expect(mixed.sampleRate).toBe(16000);
+      expect(mixed.channels).toHaveLength(2);
+      expect(mixed.channels[0]).toHaveLength(15999);
+      expect(mixed.channels[0][100]).toBeCloseTo(0.3);
+      expect(mixed.channels[1][100]).toBeCloseTo(0.1);
+      expect(mixed.channels[1][12000]).toBeCloseTo(0.2);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { pitchTrack, frequencyToMidi, summarizeNotes } = require('../../src/audio/pitch');
+const { tone } = require('../helpers/wav');
+
+describe('audio pitch', () => {
+  it('should convert frequencies to MIDI notes', () => {
+    expect(frequencyToMidi(440)).toBe(69);
+    expect(frequencyToMidi(261.63)).toBe(60);
+    expect(frequencyToMidi(450)).toBe(69);
+  });
+
+  it('should track the pitch of a steady tone', () => {
+    const { hop, frames } = pitchTrack(tone([330], 0.5), 44100);
+    expect(hop).toBeCloseTo(0.02, 3);
+    const voiced = frames.filter(frame => frame.frequency);
+    expect(voiced.length).toBeGreaterThan(frames.length * 0.9);
+    voiced.forEach(frame => expect(Math.abs(frame.frequency - 330)).toBeLessThan(3));
+  });
+
+  it('should leave silent frames unvoiced', () => {
+    const { frames } = pitchTrack(tone([0, 440], 1), 44100);
+    expect(frames[0].frequency).toBeNull();
+    expect(frames[frames.length - 1].frequency).not.toBeNull();
+  });
+
+  it('should summarise the tones in order and mark the longest as primary', () => {
+    // A#4 briefly, C5 held longest, then B5
+    const samples = tone([466.16, 523.25, 523.25, 987.77], 2);
+    expect(summarizeNotes(pitchTrack(samples, 44100))).toEqual({
+      primary_note: 'C5',
+      tones_in_order: ['A#4', 'C5 (primary)', 'B5'],
+    });
+  });
+
+  it('should drop blips shorter than a tone', () => {
+    const track = {
+      hop: 0.02,
+      frames: [440, 440, 440, 440, 880, 440, 440].map(frequency => ({ frequency })),
+    };
+    expect(summarizeNotes(track).tones_in_order).toEqual(['A4 (primary)']);
+  });
+
+  it('should report no notes for silence', () => {
+    expect(summarizeNotes(pitchTrack(new Float32Array(44100), 44100))).toEqual({
+      primary_note: null,
+      tones_in_order: [],
+    });
+  });
+});
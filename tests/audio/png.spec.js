@@ -0,0 +1,41 @@
+const zlib = require('zlib');
+const { crc32, encodePng } = require('../../src/audio/png');
+
+describe('audio png', () => {
+  describe('crc32', () => {
+    it('should match the PNG chunk checksum', () => {
+      expect(crc32(Buffer.from('IEND'))).toBe(0xae426082);
+    });
+  });
+
+  describe('encodePng', () => {
+    const pixels = Uint8Array.from([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 255, 0, 0, 0, 0]);
+
+    it('should write the signature, header and chunk checksums', () => {
+      const png = encodePng(2, 2, pixels);
+
+      expect(png.subarray(0, 8)).toEqual(
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+      );
+      expect(png.toString('latin1', 12, 16)).toBe('IHDR');
+      expect(png.readUInt32BE(16)).toBe(2);
+      expect(png.readUInt32BE(20)).toBe(2);
+      expect([png[24], png[25]]).toEqual([8, 6]);
+      expect(png.readUInt32BE(29)).toBe(crc32(png.subarray(12, 29)));
+      expect(png.toString('latin1', png.length - 8, png.length - 4)).toBe('IEND');
+    });
+
+    it('should store unfiltered scanlines', () => {
+      const png = encodePng(2, 2, pixels);
+      const length = png.readUInt32BE(33);
+      expect(png.toString('latin1', 37, 41)).toBe('IDAT');
+
+      const raw = zlib.inflateSync(png.subarray(41, 41 + length));
+      expect([...raw]).toEqual([0, ...pixels.subarray(0, 8), 0, ...pixels.subarray(8)]);
+    });
+
+    it('should reject pixel buffers of the wrong size', () => {
+      expect(() => encodePng(3, 2, pixels)).toThrow('Expected 24 bytes');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { sniffAudio } = require('../../src/audio/sniff');
+const { tone, encodeWav } = require('../helpers/wav');
+
+describe('audio/sniff', () => {
+  const bytes = (...parts) =>
+    Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1'))));
+
+  it('should recognise the decodable containers', () => {
+    expect(sniffAudio(encodeWav([tone([440], 0.01)]))).toBe('wav');
+    expect(sniffAudio(bytes('ID3', Buffer.alloc(10)))).toBe('mp3');
+    expect(sniffAudio(Buffer.from([0xff, 0xfb, 0x90, 0x64]))).toBe('mp3');
+    expect(sniffAudio(bytes('OggS', Buffer.alloc(10)))).toBe('ogg');
+    expect(sniffAudio(bytes('fLaC', Buffer.alloc(10)))).toBe('flac');
+  });
+
+  it('should recognise M4A, AAC and WebM', () => {
+    expect(sniffAudio(bytes(Buffer.from([0, 0, 0, 0x20]), 'ftypM4A ', Buffer.alloc(8)))).toBe(
+      'm4a'
+    );
+    expect(sniffAudio(Buffer.from([0xff, 0xf1, 0x50, 0x80]))).toBe('aac');
+    const ebml = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0x82]);
+    expect(sniffAudio(bytes(ebml, Buffer.from([0x84]), 'webm'))).toBe('webm');
+    expect(sniffAudio(bytes(ebml, Buffer.from([0x88]), 'matroska'))).toBeNull();
+  });
+
+  it('should refuse anything else whatever it is called', () => {
+    expect(sniffAudio(Buffer.from('<!DOCTYPE html><html>'))).toBeNull();
+    expect(sniffAudio(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]))).toBeNull();
+    expect(sniffAudio(Buffer.alloc(0))).toBeNull();
+    expect(sniffAudio(null)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+const { SPECTROGRAM_FLOOR_DB, computeSpectrogram } = require('../../src/audio/spectrogram');
+const { tone } = require('../helpers/wav');
+
+describe('audio spectrogram', () => {
+  it('should compute one frame per column up to the maximum frequency', () => {
+    const { binHz, frames } = computeSpectrogram(tone([1000], 1), 44100, {
+      columns: 40,
+      maxFrequency: 4000,
+    });
+
+    expect(binHz).toBeCloseTo(44100 / 1024);
+    expect(frames).toHaveLength(40);
+    expect(frames[0]).toHaveLength(Math.floor(4000 / binHz) + 1);
+  });
+
+  it('should peak at the tone frequency, in dB relative to the loudest bin', () => {
+    const { binHz, frames } = computeSpectrogram(tone([1000], 1), 44100, { columns: 10 });
+
+    frames.forEach(frame => {
+      const loudest = frame.indexOf(Math.max(...frame));
+      expect(Math.abs(loudest * binHz - 1000)).toBeLessThan(binHz);
+      expect(Math.max(...frame)).toBeLessThanOrEqual(0);
+      expect(Math.min(...frame)).toBeGreaterThanOrEqual(SPECTROGRAM_FLOOR_DB);
+    });
+    expect(Math.max(...frames.map(frame => Math.max(...frame)))).toBe(0);
+  });
+
+  it('should follow pitch changes over time', () => {
+    const { binHz, frames } = computeSpectrogram(tone([500, 2000], 2), 44100, { columns: 4 });
+    const peakHz = frame => frame.indexOf(Math.max(...frame)) * binHz;
+
+    expect(peakHz(frames[0])).toBeCloseTo(500, -2);
+    expect(peakHz(frames[3])).toBeCloseTo(2000, -2);
+  });
+
+  it('should render silence and clips shorter than a frame at the floor', () => {
+    const silent = computeSpectrogram(new Float32Array(44100), 44100, { columns: 3 });
+    silent.frames.forEach(frame => frame.forEach(db => expect(db).toBe(SPECTROGRAM_FLOOR_DB)));
+
+    const short = computeSpectrogram(tone([1000], 0.01), 44100, { columns: 5 });
+    expect(short.frames).toHaveLength(5);
+  });
+});
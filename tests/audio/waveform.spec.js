@@ -0,0 +1,91 @@
+const {
+  WAVEFORM_RESOLUTIONS,
+  computeWaveform,
+  resamplePeaks,
+  selectPeaks,
+  renderWaveformSvg,
+} = require('../../src/audio/waveform');
+const { tone } = require('../helpers/wav');
+
+describe('audio waveform', () => {
+  describe('computeWaveform', () => {
+    it('should compute normalised peaks at every resolution', () => {
+      const waveform = computeWaveform(tone([440], 1, { amplitude: 0.25 }));
+      expect(waveform.map(entry => entry.points)).toEqual(WAVEFORM_RESOLUTIONS);
+      waveform.forEach(({ points, peaks }) => {
+        expect(peaks).toHaveLength(points);
+        expect(Math.max(...peaks)).toBe(1);
+        peaks.forEach(peak => expect(peak).toBeGreaterThan(0.9));
+      });
+    });
+
+    it('should follow the envelope of the clip', () => {
+      // Loud first half, quiet second half
+      const samples = tone([440], 1);
+      for (let i = samples.length / 2; i < samples.length; i += 1) samples[i] *= 0.2;
+      const [coarse] = computeWaveform(samples, [10]);
+      expect(coarse.peaks.slice(0, 5)).toEqual([1, 1, 1, 1, 1]);
+      coarse.peaks.slice(5).forEach(peak => expect(peak).toBeCloseTo(0.2, 2));
+    });
+
+    it('should compute resolutions that do not divide the finest one', () => {
+      const waveform = computeWaveform(tone([440], 0.5), [30, 100]);
+      expect(waveform[0].peaks).toHaveLength(30);
+      expect(waveform[1].peaks).toHaveLength(100);
+    });
+
+    it('should return zeros for silence and empty clips', () => {
+      expect(computeWaveform(new Float32Array(1000), [10])[0].peaks).toEqual(new Array(10).fill(0));
+      expect(computeWaveform(new Float32Array(0), [10])[0].peaks).toEqual(new Array(10).fill(0));
+    });
+  });
+
+  describe('resamplePeaks', () => {
+    it('should max-pool groups of peaks', () => {
+      expect(resamplePeaks([0.1, 0.5, 0.2, 0.3, 1, 0], 3)).toEqual([0.5, 0.3, 1]);
+      expect(resamplePeaks([0.1, 0.5, 0.2, 0.3, 1], 2)).toEqual([0.5, 1]);
+    });
+
+    it('should copy peaks when no reduction is needed', () => {
+      const peaks = [0.1, 0.2];
+      expect(resamplePeaks(peaks, 2)).toEqual(peaks);
+      expect(resamplePeaks(peaks, 2)).not.toBe(peaks);
+    });
+  });
+
+  describe('selectPeaks', () => {
+    const resolutions = [
+      { points: 4, peaks: [0.1, 1, 0.5, 0.2] },
+      { points: 2, peaks: [1, 0.5] },
+    ];
+
+    it('should use an exact resolution when stored', () => {
+      expect(selectPeaks(resolutions, 2)).toEqual([1, 0.5]);
+    });
+
+    it('should pool from the next larger resolution', () => {
+      expect(selectPeaks(resolutions, 3)).toEqual([0.1, 1, 0.5]);
+    });
+
+    it('should return null when nothing is fine enough', () => {
+      expect(selectPeaks(resolutions, 5)).toBeNull();
+      expect(selectPeaks(undefined, 2)).toBeNull();
+    });
+  });
+
+  describe('renderWaveformSvg', () => {
+    it('should draw one mirrored bar per peak', () => {
+      const svg = renderWaveformSvg([1, 0.5, 0]);
+      expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 3 100"/);
+      expect(svg).toContain('fill="currentColor"');
+      expect(svg).toContain('M0 0h0.8v100h-0.8z');
+      expect(svg).toContain('M1 25h0.8v50h-0.8z');
+      expect(svg).toContain('M2 49.5h0.8v1h-0.8z');
+    });
+
+    it('should set an intrinsic size when given one', () => {
+      const svg = renderWaveformSvg([1, 0.5], { width: 300, height: 80 });
+      expect(svg).toContain(' width="300" height="80" viewBox="0 0 2 100"');
+    });
+  });
+});
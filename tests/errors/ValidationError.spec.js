@@ -20,6 +20,16 @@ describe('ValidationError', () => {
     expect(error.details).toEqual(details);
   });
 
+  it('should accept a specific error code', () => {
+    const error = new ValidationError('Audio is empty', { field: 'audio' }, 'EMPTY_AUDIO');
+    expect(error.code).toBe('EMPTY_AUDIO');
+    expect(error.statusCode).toBe(400);
+    expect(error.toJSON().error).toMatchObject({
+      code: 'EMPTY_AUDIO',
+      details: { field: 'audio' },
+    });
+  });
+
   it('should exclude details when not provided', () => {
     const error = new ValidationError('Validation failed');
     expect(error.details).toBe(null);
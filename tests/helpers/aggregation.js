@@ -0,0 +1,105 @@
+/**
+ * Minimal evaluator for the aggregation operators the note filters compile to, so their $expr
+ * clauses can be checked against the in-memory predicates without a MongoDB server.
+ * Follows MongoDB semantics where they differ from JavaScript: arithmetic on null gives null,
+ * and null sorts below every number.
+ */
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const arithmetic = fn => args => (args.some(arg => arg == null) ? null : fn(...args));
+
+const OPERATORS = {
+  $add: arithmetic((...values) => values.reduce((sum, value) => sum + value, 0)),
+  $subtract: arithmetic((a, b) => a - b),
+  $multiply: arithmetic((...values) => values.reduce((product, value) => product * value, 1)),
+  $mod: arithmetic((a, b) => a % b),
+  $max: args => Math.max(...args.filter(arg => arg != null)),
+  $toInt: arithmetic(value => parseInt(value, 10)),
+  $toUpper: ([value]) => (value == null ? '' : String(value).toUpperCase()),
+  $strLenCP: ([value]) => Array.from(value).length,
+  $indexOfCP: ([text, search]) => Array.from(text).indexOf(search),
+  $size: ([list]) => list.length,
+  $range: ([from, to]) => Array.from({ length: Math.max(0, to - from) }, (_, i) => from + i),
+  $arrayElemAt: ([list, i]) => list[i],
+  $eq: ([a, b]) => compare(a ?? null, b ?? null) === 0,
+  $ne: ([a, b]) => compare(a ?? null, b ?? null) !== 0,
+  $gte: ([a, b]) => compare(a ?? null, b ?? null) >= 0,
+  $lte: ([a, b]) => compare(a ?? null, b ?? null) <= 0,
+  $and: args => args.every(Boolean),
+  $anyElementTrue: ([list]) => list.some(Boolean),
+  $ifNull: ([value, fallback]) => value ?? fallback,
+};
+
+/**
+ * Evaluate an aggregation expression against a document
+ * @param {*} expr - Expression
+ * @param {Object} doc - Document ($field paths)
+ * @param {Object} [vars] - Variables ($$name paths)
+ * @returns {*} Value (undefined for missing)
+ */
+function evaluate(expr, doc, vars = {}) {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    const [root, ...rest] = expr.startsWith('$$')
+      ? expr.slice(2).split('.')
+      : expr.slice(1).split('.');
+    const start = expr.startsWith('$$') ? vars[root] : doc?.[root];
+    return rest.reduce((value, key) => value?.[key], start);
+  }
+  if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc, vars));
+  if (!expr || typeof expr !== 'object') return expr;
+
+  const [op] = Object.keys(expr);
+  const arg = expr[op];
+  switch (op) {
+    case '$let': {
+      const scope = { ...vars };
+      Object.entries(arg.vars).forEach(([name, value]) => {
+        scope[name] = evaluate(value, doc, vars);
+      });
+      return evaluate(arg.in, doc, scope);
+    }
+    case '$map':
+      return (evaluate(arg.input, doc, vars) || []).map(item =>
+        evaluate(arg.in, doc, { ...vars, [arg.as]: item })
+      );
+    case '$cond': {
+      const [test, then, otherwise] = arg;
+      return evaluate(test, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    case '$type': {
+      const value = evaluate(arg, doc, vars);
+      if (value === undefined) return 'missing';
+      return value === null ? 'null' : typeof value;
+    }
+    case '$regexFind':
+    case '$regexMatch': {
+      const input = evaluate(arg.input, doc, vars);
+      const match = typeof input === 'string' ? new RegExp(arg.regex).exec(input) : null;
+      if (op === '$regexMatch') return Boolean(match);
+      return match && { match: match[0], captures: match.slice(1).map(c => c ?? null) };
+    }
+    default: {
+      if (!OPERATORS[op]) throw new Error(`Unsupported operator ${op}`);
+      const args = Array.isArray(arg) ? arg : [arg];
+      return OPERATORS[op](args.map(item => evaluate(item, doc, vars)));
+    }
+  }
+}
+
+/**
+ * Test a document against a { $expr } clause
+ * @param {Object} clause - Query clause with $expr
+ * @param {Object} doc - Document
+ * @returns {boolean} Whether the document matches
+ */
+function matchesExpr(clause, doc) {
+  return Boolean(evaluate(clause.$expr, doc));
+}
+
+module.exports = { evaluate, matchesExpr };
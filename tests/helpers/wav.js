@@ -0,0 +1,91 @@
+/**
+ * Synthesised WAV fixtures for the audio pipeline tests
+ */
+
+/**
+ * Generate samples of a tone sequence, each tone taking an equal share of the duration
+ * @param {number[]} frequencies - Tone frequencies in Hz (0 for silence)
+ * @param {number} seconds - Total duration
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=44100]
+ * @param {number} [options.amplitude=0.5] - Peak amplitude (1 = full scale)
+ * @returns {Float32Array} Samples
+ */
+function tone(frequencies, seconds, { sampleRate = 44100, amplitude = 0.5 } = {}) {
+  const list = [].concat(frequencies);
+  const length = Math.round(sampleRate * seconds);
+  const samples = new Float32Array(length);
+  let phase = 0;
+  for (let i = 0; i < length; i += 1) {
+    const frequency = list[Math.floor((i / length) * list.length)];
+    phase += (2 * Math.PI * frequency) / sampleRate;
+    samples[i] = frequency ? Math.sin(phase) * amplitude : 0;
+  }
+  return samples;
+}
+
+/**
+ * Generate a scream-like call: a wavering pitch with harmonics under a pulsing envelope
+ * @param {number} frequency - Centre frequency in Hz
+ * @param {number} seconds - Duration
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=44100]
+ * @returns {Float32Array} Samples
+ */
+function call(frequency, seconds, { sampleRate = 44100 } = {}) {
+  const samples = new Float32Array(Math.round(sampleRate * seconds));
+  let phase = 0;
+  for (let i = 0; i < samples.length; i += 1) {
+    const t = i / sampleRate;
+    phase += (2 * Math.PI * frequency * (1 + 0.3 * Math.sin(2 * Math.PI * 1.3 * t))) / sampleRate;
+    const envelope = Math.min(1, t * 8, (seconds - t) * 4) * (0.6 + 0.4 * Math.sin(6 * t));
+    samples[i] =
+      envelope * (0.5 * Math.sin(phase) + 0.25 * Math.sin(2 * phase) + 0.1 * Math.sin(3 * phase));
+  }
+  return samples;
+}
+
+/**
+ * Encode planar samples as a WAV file
+ * @param {Float32Array|Float32Array[]} channels - Mono samples or planar channels
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=44100]
+ * @param {number} [options.bitDepth=16] - 8, 16, 24 or 32 (integer PCM), or 'float'
+ * @returns {Buffer} WAV file contents
+ */
+function encodeWav(channels, { sampleRate = 44100, bitDepth = 16 } = {}) {
+  const planar = Array.isArray(channels) ? channels : [channels];
+  const isFloat = bitDepth === 'float';
+  const bytes = isFloat ? 4 : bitDepth / 8;
+  const frames = planar[0].length;
+  const dataSize = frames * planar.length * bytes;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'latin1');
+  buffer.write('fmt ', 12, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(isFloat ? 3 : 1, 20);
+  buffer.writeUInt16LE(planar.length, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * planar.length * bytes, 28);
+  buffer.writeUInt16LE(planar.length * bytes, 32);
+  buffer.writeUInt16LE(isFloat ? 32 : bitDepth, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  let offset = 44;
+  for (let i = 0; i < frames; i += 1) {
+    planar.forEach(channel => {
+      const value = Math.max(-1, Math.min(1, channel[i]));
+      if (isFloat) buffer.writeFloatLE(value, offset);
+      else if (bytes === 1) buffer.writeUInt8(Math.round(value * 127) + 128, offset);
+      else buffer.writeIntLE(Math.round(value * (2 ** (bitDepth - 1) - 1)), offset, bytes);
+      offset += bytes;
+    });
+  }
+  return buffer;
+}
+
+module.exports = { tone, call, encodeWav };
@@ -65,12 +65,43 @@ describe('Cache Middleware', () => {
         expect(DEFAULT_CONFIG['/api/v1/screams'].maxAge).toBeGreaterThan(0);
       });
 
+      it('should cache the daily scream until the next day', () => {
+        expect(DEFAULT_CONFIG['/api/v1/screams/daily'].untilNextDay).toBe(true);
+      });
+
       it('should have no-store for health endpoints', () => {
         expect(DEFAULT_CONFIG['/health'].directive).toBe('no-store');
         expect(DEFAULT_CONFIG['/ready'].directive).toBe('no-store');
         expect(DEFAULT_CONFIG['/metrics'].directive).toBe('no-store');
       });
     });
+
+    describe('resolveDayBoundary', () => {
+      const { resolveDayBoundary } = cacheMiddleware;
+      const now = new Date('2024-06-01T20:00:00Z');
+
+      it('should leave other configs alone', () => {
+        const config = { directive: 'public', maxAge: 60 };
+        expect(resolveDayBoundary(config, { query: {} }, now)).toEqual({ config, expires: null });
+      });
+
+      it('should expire at the next local midnight', () => {
+        const config = { directive: 'public', untilNextDay: true };
+
+        const utc = resolveDayBoundary(config, { query: {} }, now);
+        expect(utc.config.maxAge).toBe(4 * 3600);
+        expect(utc.expires.toISOString()).toBe('2024-06-02T00:00:00.000Z');
+
+        const tokyo = resolveDayBoundary(config, { query: { tz: 'Asia/Tokyo' } }, now);
+        expect(tokyo.config.maxAge).toBe(19 * 3600);
+      });
+
+      it('should fall back to UTC for invalid time zones', () => {
+        const config = { directive: 'public', untilNextDay: true };
+        const { config: resolved } = resolveDayBoundary(config, { query: { tz: 'x/y' } }, now);
+        expect(resolved.maxAge).toBe(4 * 3600);
+      });
+    });
   });
 
   describe('Integration Tests', () => {
@@ -119,6 +150,18 @@ describe('Cache Middleware', () => {
         expect(res.headers['cache-control']).toBe('no-store, no-cache, must-revalidate');
       });
 
+      it('should set max-age and Expires ending at the day boundary for /api/v1/screams/daily', async () => {
+        app.get('/api/v1/screams/daily', (req, res) => res.json({ id: 'daily' }));
+
+        const res = await request(app).get('/api/v1/screams/daily?tz=Europe/Berlin');
+
+        const maxAge = Number(/max-age=(\d+)/.exec(res.headers['cache-control'])[1]);
+        expect(res.headers['cache-control']).toMatch(/^public/);
+        expect(maxAge).toBeGreaterThan(0);
+        expect(maxAge).toBeLessThanOrEqual(25 * 3600);
+        expect(new Date(res.headers['expires']).getTime()).toBeGreaterThan(Date.now());
+      });
+
       it('should not set headers for unconfigured routes', async () => {
         app.get('/unknown', (req, res) => res.json({ data: [] }));
 
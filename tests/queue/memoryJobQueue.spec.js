@@ -0,0 +1,167 @@
+const { MemoryJobQueue, getJobQueue, resetJobQueue } = require('../../src/queue');
+const { backoffDelay } = require('../../src/queue/baseJobQueue');
+
+describe('MemoryJobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new MemoryJobQueue();
+  });
+
+  it('should hand out due jobs oldest first and count attempts', async () => {
+    const first = await queue.enqueue('scream', { n: 1 });
+    await queue.enqueue('scream', { n: 2 });
+    await queue.enqueue('scream', { n: 3 }, { delayMs: 60000 });
+
+    expect(first).toMatchObject({ id: expect.stringMatching(/^job_/), status: 'queued' });
+    const claimed = await queue.claim();
+    expect(claimed).toMatchObject({ id: first.id, status: 'running', attempts: 1 });
+    expect(claimed.locked_until.getTime()).toBeGreaterThan(Date.now());
+    expect((await queue.claim()).payload).toEqual({ n: 2 });
+    // The delayed job is not due yet
+    expect(await queue.claim()).toBeNull();
+  });
+
+  it('should only claim the requested types', async () => {
+    await queue.enqueue('remix', {});
+    expect(await queue.claim({ types: ['scream'] })).toBeNull();
+    expect(await queue.claim({ types: [] })).toBeNull();
+    expect(await queue.claim({ types: ['remix'] })).toMatchObject({ type: 'remix' });
+  });
+
+  it('should hand out running jobs again once their lease expires', async () => {
+    const job = await queue.enqueue('scream', {});
+    await queue.claim({ leaseMs: 0 });
+    expect(await queue.claim()).toMatchObject({ id: job.id, attempts: 2 });
+    expect(await queue.claim()).toBeNull();
+  });
+
+  it('should complete jobs', async () => {
+    const job = await queue.enqueue('scream', {});
+    const claimed = await queue.claim();
+    expect(await queue.complete(job.id, claimed.lease_token)).toMatchObject({
+      status: 'completed',
+      locked_until: null,
+      lease_token: null,
+      completed_at: expect.any(Date),
+    });
+    expect(await queue.counts()).toEqual({ queued: 0, running: 0, completed: 1, dead: 0 });
+  });
+
+  it('should drop outcomes written under a lost lease', async () => {
+    const job = await queue.enqueue('scream', {});
+    const stale = await queue.claim({ leaseMs: 0 });
+    const current = await queue.claim();
+    expect(current.lease_token).not.toBe(stale.lease_token);
+
+    expect(await queue.complete(job.id, stale.lease_token)).toBeNull();
+    expect(await queue.fail(job.id, stale.lease_token, new Error('late'))).toBeNull();
+    expect(await queue.get(job.id)).toMatchObject({
+      status: 'running',
+      attempts: 2,
+      lease_token: current.lease_token,
+      last_error: null,
+    });
+    expect(await queue.complete(job.id, current.lease_token)).toMatchObject({
+      status: 'completed',
+    });
+    // Nor can a finished job be completed or failed again
+    expect(await queue.fail(job.id, current.lease_token, new Error('again'))).toBeNull();
+  });
+
+  it('should requeue failed jobs with backoff, then dead-letter them', async () => {
+    const job = await queue.enqueue('scream', {}, { maxAttempts: 2 });
+    const first = await queue.claim();
+    const before = Date.now();
+    const retrying = await queue.fail(
+      job.id,
+      first.lease_token,
+      Object.assign(new Error('boom'), { code: 'E_BOOM' })
+    );
+    expect(retrying).toMatchObject({
+      status: 'queued',
+      attempts: 1,
+      last_error: { message: 'boom', code: 'E_BOOM' },
+    });
+    expect(retrying.run_at.getTime()).toBeGreaterThanOrEqual(before + backoffDelay(1));
+    expect(await queue.claim()).toBeNull();
+
+    queue.jobs.get(job.id).run_at = new Date();
+    const second = await queue.claim();
+    expect(await queue.fail(job.id, second.lease_token, new Error('boom again'))).toMatchObject({
+      status: 'dead',
+      attempts: 2,
+      last_error: { message: 'boom again', code: null },
+    });
+    expect(await queue.claim()).toBeNull();
+  });
+
+  it('should dead-letter permanent failures straight away', async () => {
+    const job = await queue.enqueue('scream', {});
+    const { lease_token: lease } = await queue.claim();
+    expect(
+      await queue.fail(job.id, lease, new Error('bad input'), { permanent: true })
+    ).toMatchObject({
+      status: 'dead',
+      attempts: 1,
+    });
+  });
+
+  it('should retry dead jobs with fresh attempts', async () => {
+    const job = await queue.enqueue('scream', {}, { maxAttempts: 1 });
+    expect(await queue.retry(job.id)).toBeNull();
+    const { lease_token: lease } = await queue.claim();
+    await queue.fail(job.id, lease, new Error('boom'));
+
+    expect(await queue.retry(job.id)).toMatchObject({ status: 'queued', attempts: 0 });
+    expect(await queue.claim()).toMatchObject({ id: job.id, attempts: 1 });
+    expect(await queue.retry('job_missing')).toBeNull();
+  });
+
+  it('should not share state with the jobs it returns', async () => {
+    const payload = { submission_id: 'sub_1' };
+    const job = await queue.enqueue('scream', payload);
+    payload.submission_id = 'changed';
+    job.payload.submission_id = 'changed too';
+    job.status = 'dead';
+    expect(await queue.get(job.id)).toMatchObject({
+      status: 'queued',
+      payload: { submission_id: 'sub_1' },
+    });
+    expect(await queue.get('job_missing')).toBeNull();
+  });
+});
+
+describe('backoffDelay', () => {
+  it('should double the delay per attempt up to five minutes', () => {
+    expect([1, 2, 3, 4].map(backoffDelay)).toEqual([5000, 10000, 20000, 40000]);
+    expect(backoffDelay(20)).toBe(300000);
+  });
+});
+
+describe('getJobQueue', () => {
+  const originalDriver = process.env.JOB_QUEUE_DRIVER;
+
+  afterEach(() => {
+    if (originalDriver === undefined) delete process.env.JOB_QUEUE_DRIVER;
+    else process.env.JOB_QUEUE_DRIVER = originalDriver;
+    resetJobQueue();
+  });
+
+  it('should build the configured driver once', () => {
+    process.env.JOB_QUEUE_DRIVER = 'memory';
+    const queue = getJobQueue();
+    expect(queue.name).toBe('memory');
+    expect(getJobQueue()).toBe(queue);
+  });
+
+  it('should default to the mongo driver', () => {
+    delete process.env.JOB_QUEUE_DRIVER;
+    expect(getJobQueue().name).toBe('mongo');
+  });
+
+  it('should reject unknown drivers', () => {
+    process.env.JOB_QUEUE_DRIVER = 'redis';
+    expect(() => getJobQueue()).toThrow('Unknown JOB_QUEUE_DRIVER "redis". Allowed: memory, mongo');
+  });
+});
@@ -0,0 +1,108 @@
+const { MongoJobQueue } = require('../../src/queue');
+
+describe('MongoJobQueue', () => {
+  const lean = value => ({ lean: () => Promise.resolve(value) });
+
+  const model = () => ({
+    create: jest.fn(job => Promise.resolve({ toObject: () => ({ _id: 'oid', __v: 0, ...job }) })),
+    findOne: jest.fn(() => lean({ attempts: 1, max_attempts: 3 })),
+    findOneAndUpdate: jest.fn((filter, update) => lean({ id: filter.id, ...update.$set })),
+    aggregate: jest.fn(() =>
+      Promise.resolve([
+        { _id: 'queued', count: 2 },
+        { _id: 'dead', count: 1 },
+      ])
+    ),
+  });
+
+  it('should store new jobs without Mongo internals in the result', async () => {
+    const jobs = model();
+    const queue = new MongoJobQueue(jobs);
+    const job = await queue.enqueue('scream', { id: 'goat' }, { maxAttempts: 3 });
+    expect(job).toMatchObject({ type: 'scream', status: 'queued', attempts: 0, max_attempts: 3 });
+    expect(job).not.toHaveProperty('_id');
+    expect(job).not.toHaveProperty('__v');
+  });
+
+  it('should claim the oldest due or expired job in one atomic update', async () => {
+    const jobs = model();
+    const queue = new MongoJobQueue(jobs);
+    await queue.claim({ types: ['scream'], leaseMs: 1000 });
+
+    const [filter, update, options] = jobs.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      type: { $in: ['scream'] },
+      $or: [
+        { status: 'queued', run_at: { $lte: expect.any(Date) } },
+        { status: 'running', locked_until: { $lte: expect.any(Date) } },
+      ],
+    });
+    expect(update).toEqual({
+      $set: { status: 'running', locked_until: expect.any(Date), lease_token: expect.any(String) },
+      $inc: { attempts: 1 },
+    });
+    expect(options).toMatchObject({ sort: { run_at: 1 }, new: true });
+  });
+
+  it('should requeue failed jobs with backoff until they run out of attempts', async () => {
+    const jobs = model();
+    const queue = new MongoJobQueue(jobs);
+    const retrying = await queue.fail('job_1', 'lease-1', new Error('boom'));
+    expect(retrying).toMatchObject({ status: 'queued', last_error: { message: 'boom' } });
+    expect(retrying.run_at.getTime()).toBeGreaterThan(Date.now());
+
+    jobs.findOne.mockReturnValueOnce(lean({ attempts: 3, max_attempts: 3 }));
+    const dead = await queue.fail('job_1', 'lease-1', new Error('boom'));
+    expect(dead.status).toBe('dead');
+    expect(dead).not.toHaveProperty('run_at');
+
+    jobs.findOne.mockReturnValueOnce(lean(null));
+    expect(await queue.fail('job_missing', 'lease-1', new Error('boom'))).toBeNull();
+  });
+
+  it('should only write outcomes while the job holds the lease', async () => {
+    const jobs = model();
+    const queue = new MongoJobQueue(jobs);
+    const held = { id: 'job_1', status: 'running', lease_token: 'lease-1' };
+
+    await queue.complete('job_1', 'lease-1');
+    expect(jobs.findOneAndUpdate).toHaveBeenLastCalledWith(
+      held,
+      { $set: expect.objectContaining({ status: 'completed', lease_token: null }) },
+      expect.any(Object)
+    );
+
+    await queue.fail('job_1', 'lease-1', new Error('boom'));
+    expect(jobs.findOne).toHaveBeenLastCalledWith(held, expect.any(Object));
+    expect(jobs.findOneAndUpdate).toHaveBeenLastCalledWith(
+      held,
+      { $set: expect.objectContaining({ status: 'queued', lease_token: null }) },
+      expect.any(Object)
+    );
+
+    // Reclaimed by another worker: nothing matches, nothing is written
+    jobs.findOne.mockReturnValueOnce(lean(null));
+    jobs.findOneAndUpdate.mockClear();
+    expect(await queue.fail('job_1', 'lease-stale', new Error('late'))).toBeNull();
+    expect(jobs.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should only retry dead jobs', async () => {
+    const jobs = model();
+    await new MongoJobQueue(jobs).retry('job_1');
+    expect(jobs.findOneAndUpdate).toHaveBeenCalledWith(
+      { id: 'job_1', status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, run_at: expect.any(Date) } },
+      expect.any(Object)
+    );
+  });
+
+  it('should count jobs per status', async () => {
+    expect(await new MongoJobQueue(model()).counts()).toEqual({
+      queued: 2,
+      running: 0,
+      completed: 0,
+      dead: 1,
+    });
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn() }));
+
+const { MemoryJobQueue } = require('../../src/queue');
+const JobWorker = require('../../src/queue/worker');
+const { warn: logWarn, error: logError } = require('../../src/utils/logger');
+
+describe('JobWorker', () => {
+  let queue;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queue = new MemoryJobQueue();
+  });
+
+  it('should run due jobs with their handler and complete them', async () => {
+    const run = jest.fn(() => Promise.resolve());
+    const worker = new JobWorker(queue, { scream: { run } });
+    const job = await queue.enqueue('scream', { id: 'goat' });
+    await queue.enqueue('remix', { id: 'mix' });
+
+    expect(await worker.drain()).toBe(1);
+    expect(run).toHaveBeenCalledWith({ id: 'goat' }, expect.objectContaining({ id: job.id }));
+    expect(await queue.get(job.id)).toMatchObject({ status: 'completed' });
+    // Jobs without a handler are left for another worker
+    expect(await queue.counts()).toMatchObject({ queued: 1, completed: 1 });
+  });
+
+  it('should queue failed jobs again and dead-letter them when out of attempts', async () => {
+    const onDeadLetter = jest.fn();
+    const worker = new JobWorker(queue, {
+      scream: { run: () => Promise.reject(new Error('storage down')), onDeadLetter },
+    });
+    const job = await queue.enqueue('scream', { id: 'goat' }, { maxAttempts: 2 });
+
+    // The retry waits out its backoff, so drain returns
+    expect(await worker.drain()).toBe(1);
+    expect(await queue.get(job.id)).toMatchObject({ status: 'queued', attempts: 1 });
+    expect(logWarn).toHaveBeenCalledWith(
+      'Job failed, retrying',
+      expect.objectContaining({ job_id: job.id, error: 'storage down' })
+    );
+    expect(onDeadLetter).not.toHaveBeenCalled();
+
+    queue.jobs.get(job.id).run_at = new Date();
+    expect(await worker.runNext()).toMatchObject({ status: 'dead', attempts: 2 });
+    expect(logError).toHaveBeenCalledWith(
+      'Job dead-lettered',
+      expect.objectContaining({ job_id: job.id, permanent: false })
+    );
+    expect(onDeadLetter).toHaveBeenCalledWith(
+      { id: 'goat' },
+      expect.objectContaining({ status: 'dead' }),
+      expect.objectContaining({ message: 'storage down' })
+    );
+  });
+
+  it('should dead-letter permanent failures on the first attempt', async () => {
+    const onDeadLetter = jest.fn(() => Promise.reject(new Error('hook failed')));
+    const worker = new JobWorker(queue, {
+      scream: {
+        run: () => Promise.reject(Object.assign(new Error('not audio'), { code: 'BAD' })),
+        isPermanent: err => err.code === 'BAD',
+        onDeadLetter,
+      },
+    });
+    const job = await queue.enqueue('scream', {});
+
+    expect(await worker.runNext()).toMatchObject({ status: 'dead', attempts: 1 });
+    expect(onDeadLetter).toHaveBeenCalled();
+    // A failing dead-letter hook is logged, not thrown
+    expect(logError).toHaveBeenCalledWith('Dead-letter handler failed', {
+      job_id: job.id,
+      error: 'hook failed',
+    });
+  });
+
+  it('should drop the outcome of an attempt that overran its lease', async () => {
+    const worker = new JobWorker(
+      queue,
+      {
+        scream: {
+          // Another worker reclaims the job while this attempt is still running
+          run: () => queue.claim({ types: ['scream'] }).then(() => undefined),
+        },
+      },
+      { leaseMs: 0 }
+    );
+    const job = await queue.enqueue('scream', {});
+
+    expect(await worker.runNext()).toMatchObject({ status: 'running', attempts: 2 });
+    expect(logWarn).toHaveBeenCalledWith(
+      'Job lease lost, dropping the outcome of this attempt',
+      expect.objectContaining({ job_id: job.id })
+    );
+  });
+
+  it('should work the queue in the background until stopped', async () => {
+    let finish;
+    const done = new Promise(resolve => {
+      finish = resolve;
+    });
+    const run = jest.fn(() => finish());
+    const worker = new JobWorker(queue, { scream: { run } }, { pollIntervalMs: 5 });
+    worker.start();
+    worker.start();
+
+    await queue.enqueue('scream', {});
+    await done;
+    await worker.stop();
+    expect(run).toHaveBeenCalledTimes(1);
+
+    await queue.enqueue('scream', {});
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
@@ -2,7 +2,12 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const MongoScreamsRepository = require('../../src/repositories/mongoScreamsRepository');
 const GoatScream = require('../../src/models/GoatScream');
+const Waveform = require('../../src/models/Waveform');
+const DailyCycle = require('../../src/models/DailyCycle');
 const { connectMongo } = require('../../src/db/connection');
+const { parseFilterExpression, toPredicate } = require('../../src/utils/filterExpression');
+const { compareBySort } = require('../../src/utils/cursor');
+const { deepGet } = require('../../src/utils/filters');
 
 describe('MongoScreamsRepository', () => {
   let repository;
@@ -114,6 +119,147 @@ describe('MongoScreamsRepository', () => {
       expect(results[0]).toHaveProperty('year');
       expect(results[0]).not.toHaveProperty('audio');
     });
+
+    it('should apply keyset boundary from a cursor', async () => {
+      await createTestScreams();
+
+      const sort = { date_added: 1, id: 1 };
+      const forward = await repository.find(
+        { approved: true },
+        { sort, after: { date_added: '2020-01-01T00:00:00.000Z', id: 'test-1' } }
+      );
+      expect(forward.map(s => s.id)).toEqual(['test-2']);
+
+      const backward = await repository.find(
+        { approved: true },
+        {
+          sort: { date_added: -1, id: -1 },
+          after: { date_added: '2021-01-01T00:00:00.000Z', id: 'test-2' },
+        }
+      );
+      expect(backward.map(s => s.id)).toEqual(['test-1']);
+    });
+
+    it.each([
+      { 'audio.intensity': -1, id: 1 },
+      { 'audio.intensity': 1, id: 1 },
+      { year: -1, id: -1 },
+    ])('should page through documents missing the sort field like static mode (%p)', async sort => {
+      await createTestScreams();
+      await GoatScream.collection.insertOne({ id: 'test-4', title: 'No audio', approved: true });
+      const all = await repository.find({ approved: true }, { sort: { id: 1 } });
+      // The static repository sorts missing values as 0
+      const expected = [...all].sort((a, b) => compareBySort(a, b, sort)).map(s => s.id);
+
+      const seen = [];
+      let after;
+      for (let page = 0; page < 5; page += 1) {
+        const [doc] = await repository.find({ approved: true }, { sort, after, limit: 1 });
+        if (!doc) break;
+        seen.push(doc.id);
+        after = Object.fromEntries(Object.keys(sort).map(field => [field, deepGet(doc, field)]));
+      }
+      expect(seen).toEqual(expected);
+    });
+
+    it('should apply a filter expression in find and count', async () => {
+      await createTestScreams();
+
+      const expression = parseFilterExpression(
+        'audio.intensity >= 5 and (meme_status in [classic] or tags has funny)'
+      );
+      const results = await repository.find({ approved: true }, { expression, sort: { id: 1 } });
+      const count = await repository.count({ approved: true }, { expression });
+
+      expect(results.map(s => s.id)).toEqual(['test-1', 'test-2']);
+      expect(count).toBe(2);
+    });
+
+    it.each([
+      'audio.intensity >= "7"',
+      'year in ["2020", 2022] or meme_status = null',
+      'date_added > 2020-06-01 and not tags has viral',
+      'approved = "false" or goat.breed != Alpine',
+      'title = "Test Scream 2" or audio.duration < 2',
+    ])('should match the in-memory predicate for %p', async expr => {
+      const created = await createTestScreams();
+      // Static mode reads the JSON snapshot, where dates are ISO strings
+      const snapshot = JSON.parse(JSON.stringify(created.map(doc => doc.toObject())));
+      const expression = parseFilterExpression(expr);
+
+      const results = await repository.find({}, { expression, sort: { id: 1 } });
+      const expected = snapshot.filter(toPredicate(expression)).map(s => s.id);
+      expect(results.map(s => s.id)).toEqual(expected.sort());
+      expect(expected.length).toBeGreaterThan(0);
+    });
+
+    it('should run full-text queries with a text score', async () => {
+      await GoatScream.init();
+      await createTestScreams();
+
+      const results = await repository.find(
+        { approved: true },
+        { text: 'funny', sort: { score: -1, id: 1 } }
+      );
+      const count = await repository.count({ approved: true }, { text: 'funny' });
+
+      expect(results.map(s => s.id)).toEqual(['test-2']);
+      expect(results[0].score).toBeGreaterThan(0);
+      expect(count).toBe(1);
+    });
+  });
+
+  describe('buildTextPipeline', () => {
+    it('should match text first, expose the score and apply keyset, paging and projection', () => {
+      const sort = { score: -1, id: 1 };
+      expect(
+        MongoScreamsRepository.buildTextPipeline(
+          { approved: true },
+          {
+            text: 'goat',
+            sort,
+            after: { score: 2, id: 'a' },
+            limit: 5,
+            projection: { _id: 0, id: 1 },
+          }
+        )
+      ).toEqual([
+        { $match: { $and: [{ $text: { $search: 'goat' } }, { approved: true }] } },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $match: { $or: [{ score: { $lt: 2 } }, { score: 2, id: { $gt: 'a' } }] } },
+        { $sort: sort },
+        { $limit: 5 },
+        { $project: { _id: 0, id: 1, score: 1 } },
+      ]);
+    });
+  });
+
+  describe('buildKeysetFilter', () => {
+    it('should expand a compound sort into ordered $or clauses', () => {
+      expect(
+        MongoScreamsRepository.buildKeysetFilter(
+          { remix_count: -1, id: 1 },
+          { remix_count: 3, id: 'b' }
+        )
+      ).toEqual({
+        $or: [
+          { $or: [{ remix_count: { $lt: 3 } }, { remix_count: null }] },
+          { remix_count: 3, id: { $gt: 'b' } },
+        ],
+      });
+    });
+
+    it('should place missing values before every value', () => {
+      expect(
+        MongoScreamsRepository.buildKeysetFilter({ year: 1, id: 1 }, { year: null, id: 'b' })
+      ).toEqual({ $or: [{ year: { $ne: null } }, { year: null, id: { $gt: 'b' } }] });
+      expect(
+        MongoScreamsRepository.buildKeysetFilter({ year: -1, id: 1 }, { year: null, id: 'b' })
+      ).toEqual({ $or: [{ year: null, id: { $gt: 'b' } }] });
+      expect(MongoScreamsRepository.buildKeysetFilter({ year: -1 }, { year: null })).toEqual({
+        $expr: false,
+      });
+    });
   });
 
   describe('findById', () => {
@@ -142,6 +288,22 @@ describe('MongoScreamsRepository', () => {
     });
   });
 
+  describe('fingerprints', () => {
+    it('should keep fingerprints out of find, text and random results', async () => {
+      await createTestScreams();
+      await GoatScream.updateMany({}, { $set: { fingerprint: 'AAAAAP////8=' } });
+
+      const results = [
+        ...(await repository.find({ approved: true })),
+        ...(await repository.find({ approved: true }, { text: 'funny' })),
+        ...(await repository.findRandom({ approved: true }, 2)),
+        await repository.findById('test-1'),
+      ];
+      expect(results.length).toBeGreaterThanOrEqual(5);
+      results.forEach(scream => expect(scream).not.toHaveProperty('fingerprint'));
+    });
+  });
+
   describe('findRandom', () => {
     it('should return random screams', async () => {
       await createTestScreams();
@@ -167,6 +329,36 @@ describe('MongoScreamsRepository', () => {
 
       expect(results.every(s => s.year === 2020)).toBe(true);
     });
+
+    it('should pick in seeded order, matching the shared sampler', async () => {
+      await createTestScreams();
+      const { seededOrder } = require('../../src/utils/sampling');
+      const approved = await GoatScream.find({ approved: true }).lean();
+      const expected = seededOrder(approved, 'demo', 'intensity').map(s => s.id);
+
+      const results = await repository.findRandom({ approved: true }, 10, {
+        seed: 'demo',
+        weightBy: 'intensity',
+      });
+      const skipped = await repository.findRandom({ approved: true }, 10, {
+        seed: 'demo',
+        weightBy: 'intensity',
+        skip: 1,
+      });
+
+      expect(results.map(s => s.id)).toEqual(expected);
+      expect(skipped.map(s => s.id)).toEqual(expected.slice(1));
+    });
+
+    it('should leave out excluded ids', async () => {
+      await createTestScreams();
+
+      const results = await repository.findRandom({ approved: true }, 10, {
+        exclude: ['test-1'],
+      });
+
+      expect(results.map(s => s.id)).not.toContain('test-1');
+    });
   });
 
   describe('count', () => {
@@ -280,6 +472,83 @@ describe('MongoScreamsRepository', () => {
     });
   });
 
+  describe('findWaveform', () => {
+    afterEach(async () => {
+      await Waveform.deleteMany({});
+    });
+
+    it('should return the stored waveform without Mongo internals', async () => {
+      await Waveform.create({
+        scream_id: 'test-1',
+        duration: 2.5,
+        resolutions: [{ points: 2, peaks: [1, 0.5] }],
+      });
+
+      const waveform = await repository.findWaveform('test-1');
+
+      expect(waveform).toMatchObject({
+        scream_id: 'test-1',
+        duration: 2.5,
+        resolutions: [{ points: 2, peaks: [1, 0.5] }],
+      });
+      expect(waveform).not.toHaveProperty('_id');
+    });
+
+    it('should return null when no waveform exists', async () => {
+      await expect(repository.findWaveform('nonexistent')).resolves.toBeNull();
+    });
+  });
+
+  describe('saveWaveform', () => {
+    afterEach(async () => {
+      await Waveform.deleteMany({});
+    });
+
+    it('should store a waveform and replace it on later saves', async () => {
+      await repository.saveWaveform('test-1', {
+        duration: 1,
+        resolutions: [{ points: 2, peaks: [0.5, 1] }],
+      });
+      const saved = await repository.saveWaveform('test-1', {
+        duration: 2.5,
+        resolutions: [{ points: 2, peaks: [1, 0.5] }],
+      });
+
+      expect(saved).toMatchObject({ scream_id: 'test-1', duration: 2.5 });
+      expect(saved).not.toHaveProperty('_id');
+      await expect(Waveform.countDocuments({ scream_id: 'test-1' })).resolves.toBe(1);
+      await expect(repository.findWaveform('test-1')).resolves.toMatchObject({
+        resolutions: [{ points: 2, peaks: [1, 0.5] }],
+      });
+    });
+  });
+
+  describe('daily cycles', () => {
+    afterEach(async () => {
+      await DailyCycle.deleteMany({});
+    });
+
+    it('should store cycles and list them in order', async () => {
+      await repository.saveDailyCycle({ cycle: 1, start_day: 19730, size: 4 });
+      await repository.saveDailyCycle({ cycle: 0, start_day: 19725, size: 1 });
+
+      await expect(repository.findDailyCycles()).resolves.toEqual([
+        { cycle: 0, start_day: 19725, size: 1 },
+        { cycle: 1, start_day: 19730, size: 4 },
+      ]);
+    });
+
+    it('should keep the first cycle stored under a number', async () => {
+      const [a, b] = await Promise.all([
+        repository.saveDailyCycle({ cycle: 0, start_day: 19725, size: 1 }),
+        repository.saveDailyCycle({ cycle: 0, start_day: 19725, size: 2 }),
+      ]);
+
+      expect(b).toEqual(a);
+      await expect(repository.findDailyCycles()).resolves.toEqual([a]);
+    });
+  });
+
   describe('getCircuitBreakerState', () => {
     it('should return circuit breaker state for MongoDB', () => {
       const state = MongoScreamsRepository.getCircuitBreakerState();
@@ -1,5 +1,7 @@
 const StaticScreamsRepository = require('../../src/repositories/staticScreamsRepository');
-const { getStaticScreams } = require('../../src/utils/staticScreams');
+const { getStaticScreams, reloadStaticScreams } = require('../../src/utils/staticScreams');
+const { parseFilterExpression } = require('../../src/utils/filterExpression');
+const { buildMongoFilter } = require('../../src/utils/filters');
 
 describe('StaticScreamsRepository', () => {
   let repository;
@@ -41,6 +43,13 @@ describe('StaticScreamsRepository', () => {
       expect(results.every(s => s.audio?.intensity >= 8 && s.audio?.intensity <= 10)).toBe(true);
     });
 
+    it('should match the case-insensitive note regex of buildMongoFilter', async () => {
+      const results = await repository.find(buildMongoFilter({ note: 'a#5' }));
+
+      expect(results.length).toBeGreaterThan(0);
+      expect(results.every(s => s.analysis.primary_note === 'A#5')).toBe(true);
+    });
+
     it('should apply sort', async () => {
       const results = await repository.find({ approved: true }, { sort: { year: 1 } });
 
@@ -75,6 +84,61 @@ describe('StaticScreamsRepository', () => {
       expect(results2.length).toBeGreaterThan(0);
       expect(results2[0].title).toBe(originalTitle);
     });
+
+    it('should return only documents after the keyset boundary', async () => {
+      const sort = { date_added: 1, id: 1 };
+      const all = await repository.find({ approved: true }, { sort });
+      const boundary = all[4];
+
+      const results = await repository.find(
+        { approved: true },
+        { sort, after: { date_added: boundary.date_added, id: boundary.id }, limit: 3 }
+      );
+
+      expect(results.map(s => s.id)).toEqual(all.slice(5, 8).map(s => s.id));
+    });
+  });
+
+  describe('projection', () => {
+    it('should copy only projected fields in find and findRandom', async () => {
+      const projection = { _id: 0, id: 1, 'audio.intensity': 1 };
+
+      const found = await repository.find({ approved: true }, { limit: 3, projection });
+      const random = await repository.findRandom({ approved: true }, 3, { projection });
+
+      [...found, ...random].forEach(s => {
+        expect(Object.keys(s).sort()).toEqual(['audio', 'id']);
+        expect(Object.keys(s.audio)).toEqual(['intensity']);
+      });
+    });
+  });
+
+  describe('filter expressions', () => {
+    it('should apply the expression in find and count', async () => {
+      const expression = parseFilterExpression('audio.intensity >= 8 and not year = 2020');
+
+      const results = await repository.find({ approved: true }, { expression });
+      const count = await repository.count({ approved: true }, { expression });
+
+      expect(results.length).toBeGreaterThan(0);
+      expect(results.every(s => s.audio.intensity >= 8 && s.year !== 2020)).toBe(true);
+      expect(count).toBe(results.length);
+    });
+  });
+
+  describe('full-text search', () => {
+    it('should return only matches with a score and count them', async () => {
+      const results = await repository.find(
+        { approved: true },
+        { text: 'frantic', sort: { score: -1, id: 1 } }
+      );
+      const count = await repository.count({ approved: true }, { text: 'frantic' });
+
+      expect(results.length).toBe(count);
+      expect(count).toBeGreaterThan(0);
+      expect(results.every(s => s.score > 0)).toBe(true);
+      expect(results[0].score).toBeGreaterThanOrEqual(results[results.length - 1].score);
+    });
   });
 
   describe('findById', () => {
@@ -127,6 +191,38 @@ describe('StaticScreamsRepository', () => {
   });
 
   describe('findRandom', () => {
+    it('should return the same picks for the same seed', async () => {
+      const first = await repository.findRandom({ approved: true }, 5, { seed: 'demo' });
+      const second = await repository.findRandom({ approved: true }, 5, { seed: 'demo' });
+
+      expect(first.map(s => s.id)).toEqual(second.map(s => s.id));
+      expect(first).toHaveLength(5);
+    });
+
+    it('should continue the seeded order with skip', async () => {
+      const firstTen = await repository.findRandom({ approved: true }, 10, { seed: 'demo' });
+      const secondFive = await repository.findRandom({ approved: true }, 5, {
+        seed: 'demo',
+        skip: 5,
+      });
+
+      expect(secondFive.map(s => s.id)).toEqual(firstTen.slice(5).map(s => s.id));
+    });
+
+    it('should leave out excluded ids', async () => {
+      const first = await repository.findRandom({ approved: true }, 5, { seed: 'demo' });
+      const excluded = first.map(s => s.id);
+
+      const results = await repository.findRandom({ approved: true }, 5, {
+        seed: 'demo',
+        exclude: excluded,
+      });
+      const unseeded = await repository.findRandom({ approved: true }, 50, { exclude: excluded });
+
+      expect(results.some(s => excluded.includes(s.id))).toBe(false);
+      expect(unseeded.some(s => excluded.includes(s.id))).toBe(false);
+    });
+
     it('should return random screams', async () => {
       const results = await repository.findRandom({ approved: true }, 5);
 
@@ -306,4 +402,52 @@ describe('StaticScreamsRepository', () => {
       expect(found.title).not.toBe('Updated');
     });
   });
+
+  describe('findWaveform', () => {
+    it('should return null for screams without a generated waveform', async () => {
+      await expect(repository.findWaveform('nonexistent-id-12345')).resolves.toBeNull();
+    });
+  });
+
+  describe('saveWaveform', () => {
+    afterEach(() => {
+      reloadStaticScreams();
+    });
+
+    it('should keep waveforms in memory until the dataset is reloaded', async () => {
+      const waveform = { duration: 1.2, resolutions: [{ points: 2, peaks: [1, 0.5] }] };
+      await expect(repository.saveWaveform('computed-1', waveform)).resolves.toEqual({
+        scream_id: 'computed-1',
+        ...waveform,
+      });
+      await expect(repository.findWaveform('computed-1')).resolves.toEqual({
+        scream_id: 'computed-1',
+        ...waveform,
+      });
+
+      reloadStaticScreams();
+      await expect(repository.findWaveform('computed-1')).resolves.toBeNull();
+    });
+  });
+
+  describe('daily cycles', () => {
+    afterEach(() => {
+      reloadStaticScreams();
+    });
+
+    it('should keep the first cycle stored under a number until the data reloads', async () => {
+      await repository.saveDailyCycle({ cycle: 1, start_day: 19730, size: 4 });
+      const first = await repository.saveDailyCycle({ cycle: 0, start_day: 19725, size: 1 });
+      const again = await repository.saveDailyCycle({ cycle: 0, start_day: 19725, size: 2 });
+
+      expect(again).toEqual(first);
+      await expect(repository.findDailyCycles()).resolves.toEqual([
+        { cycle: 0, start_day: 19725, size: 1 },
+        { cycle: 1, start_day: 19730, size: 4 },
+      ]);
+
+      reloadStaticScreams();
+      await expect(repository.findDailyCycles()).resolves.toEqual([]);
+    });
+  });
 });
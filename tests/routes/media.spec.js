@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const { LocalStorageDriver } = require('../../src/storage');
+
+describe('GET /api/v1/media (local storage driver)', () => {
+  const originalEnv = process.env;
+  let root;
+  let url;
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-media-route-'));
+    const source = path.join(root, 'scream.mp3');
+    fs.writeFileSync(source, 'ID3 goat');
+    ({ url } = await new LocalStorageDriver({ root, baseUrl: '' }).upload(
+      source,
+      'goat-screams/audio/goat-1'
+    ));
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, STORAGE_DRIVER: 'local', STORAGE_DIR: root };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should serve stored media with range support', async () => {
+    const res = await request(app).get(url).expect(200);
+    expect(res.headers['content-type']).toBe('audio/mpeg');
+    expect(String(res.body)).toBe('ID3 goat');
+
+    const ranged = await request(app).get(url).set('Range', 'bytes=4-7').expect(206);
+    expect(String(ranged.body)).toBe('goat');
+  });
+
+  it('should serve stored thumbnails', async () => {
+    const source = path.join(root, 'thumb.png');
+    fs.writeFileSync(source, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    const thumbnail = await new LocalStorageDriver({ root, baseUrl: '' }).upload(
+      source,
+      'goat-screams/thumbnails/goat-1'
+    );
+
+    const res = await request(app).get(thumbnail.url).expect(200);
+    expect(res.headers['content-type']).toBe('image/png');
+  });
+
+  it('should not serve metadata sidecars or missing files', async () => {
+    await request(app).get('/api/v1/media/goat-screams/audio/goat-1.json').expect(404);
+    const res = await request(app).get('/api/v1/media/goat-screams/audio/nope.mp3').expect(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  it('should return 404 when another driver is active', async () => {
+    process.env.STORAGE_DRIVER = 'cloudinary';
+    const res = await request(app).get(url).expect(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+});
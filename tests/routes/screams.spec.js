@@ -377,6 +377,19 @@ describe('GET /api/screams/ordered/:index', () => {
     await request(app).get('/api/v1/screams/ordered/999').expect(404);
     await request(app).get('/api/v1/screams/ordered/invalid').expect(400);
   });
+
+  it('should order screams added at the same time by id, after undated ones', async () => {
+    const date_added = new Date('2020-01-01');
+    await GoatScream.create([
+      { id: 'same-c', title: 'C', date_added, approved: true },
+      { id: 'same-a', title: 'A', date_added, approved: true },
+      { id: 'same-b', title: 'B', date_added, approved: true },
+    ]);
+    await GoatScream.collection.insertOne({ id: 'undated', title: 'Undated', approved: true });
+
+    const res = await request(app).get('/api/v1/screams/ordered/0-3').expect(200);
+    expect(res.body.map(s => s.id)).toEqual(['undated', 'same-a', 'same-b', 'same-c']);
+  });
 });
 
 describe('GET /api/screams/intense', () => {
@@ -656,7 +669,7 @@ describe('POST /api/screams/:id/download', () => {
     });
     const res3 = await request(app)
       .post(`/api/v1/screams/${scream3.id}/download`)
-      .send({ format: 'wav', quality: 'medium' })
+      .send({ format: 'flac', quality: 'medium' })
       .expect(400);
     expect(res3.body.error).toHaveProperty('message', 'Unsupported audio format');
     expect(res3.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
@@ -668,6 +681,12 @@ describe('POST /api/screams/:id/download', () => {
     expect(res4.body.error).toHaveProperty('message', 'Unsupported quality for requested format');
     expect(res4.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
 
+    const res4b = await request(app)
+      .post(`/api/v1/screams/${scream3.id}/download`)
+      .send({ format: 'mp3', quality: 'medium', start: 2, end: 1 })
+      .expect(400);
+    expect(res4b.body.error).toHaveProperty('message', 'end must be after start');
+
     // Missing/null media.audio
     const scream4 = await GoatScream.create({
       id: 'download-4',
@@ -1,5 +1,6 @@
 const request = require('supertest');
 const app = require('../../src/app');
+const { getStaticScreams } = require('../../src/utils/staticScreams');
 
 // Test routes when MongoDB is not connected (static fallback mode)
 // These tests verify the fallback logic works correctly
@@ -24,6 +25,240 @@ describe('Routes with static fallback (no MongoDB)', () => {
     });
   });
 
+  describe('GET /api/screams with cursors', () => {
+    it('should crawl the same items as page-based pagination', async () => {
+      const paged = await request(app).get('/api/v1/screams').query({ limit: 60 }).expect(200);
+
+      const crawled = [];
+      let cursor = null;
+      let res = await request(app).get('/api/v1/screams').query({ limit: 20 }).expect(200);
+      crawled.push(...res.body.items);
+      cursor = res.body.next_cursor;
+      while (cursor && crawled.length < 60) {
+        res = await request(app).get('/api/v1/screams').query({ limit: 20, cursor }).expect(200);
+        crawled.push(...res.body.items);
+        cursor = res.body.next_cursor;
+      }
+
+      expect(crawled.map(s => s.id)).toEqual(paged.body.items.map(s => s.id));
+
+      const back = await request(app)
+        .get('/api/v1/screams')
+        .query({ limit: 20, cursor: res.body.prev_cursor })
+        .expect(200);
+      expect(back.body.items.map(s => s.id)).toEqual(crawled.slice(20, 40).map(s => s.id));
+    });
+
+    it('should reject an invalid cursor', async () => {
+      const res = await request(app).get('/api/v1/screams').query({ cursor: 'nope' }).expect(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/screams with filter expressions', () => {
+    it('should filter by a boolean expression', async () => {
+      const res = await request(app)
+        .get('/api/v1/screams')
+        .query({
+          filter: 'audio.intensity>=7 and (meme_status in [viral,legendary] or tags has "goat")',
+        })
+        .expect(200);
+
+      expect(res.body.total).toBe(res.body.items.length);
+      expect(res.body.items.length).toBeGreaterThan(0);
+      res.body.items.forEach(s => {
+        expect(s.audio.intensity).toBeGreaterThanOrEqual(7);
+        expect(['viral', 'legendary'].includes(s.meme_status) || s.tags.includes('goat')).toBe(
+          true
+        );
+      });
+    });
+
+    it('should report the column of a syntax error', async () => {
+      const res = await request(app)
+        .get('/api/v1/screams')
+        .query({ filter: 'year >= 2020 and' })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(res.body.error.details).toEqual(
+        expect.objectContaining({ field: 'filter', column: 17 })
+      );
+    });
+  });
+
+  describe('Sparse fieldsets', () => {
+    const onlyHas = (item, keys) => Object.keys(item).sort().join(',') === keys.sort().join(',');
+
+    it('should return only requested fields on list, random, intense, ordered and search', async () => {
+      const fields = 'title,audio.intensity';
+
+      const list = await request(app)
+        .get('/api/v1/screams')
+        .query({ fields, limit: 5 })
+        .expect(200);
+      expect(list.body.items.every(s => onlyHas(s, ['id', 'title', 'audio']))).toBe(true);
+      expect(list.body.items.every(s => onlyHas(s.audio, ['intensity']))).toBe(true);
+      expect(list.body.next_cursor).toEqual(expect.any(String));
+
+      const random = await request(app)
+        .get('/api/v1/screams/random')
+        .query({ fields, results: 3, sort: 'year' })
+        .expect(200);
+      expect(random.body.every(s => onlyHas(s, ['id', 'title', 'audio']))).toBe(true);
+
+      const intense = await request(app)
+        .get('/api/v1/screams/intense')
+        .query({ fields })
+        .expect(200);
+      expect(intense.body.every(s => onlyHas(s, ['id', 'title', 'audio']))).toBe(true);
+
+      const ordered = await request(app).get('/api/v1/screams/ordered/0-2').query({ fields });
+      expect(ordered.status).toBe(200);
+      expect(ordered.body.every(s => onlyHas(s, ['id', 'title', 'audio']))).toBe(true);
+
+      const search = await request(app).get('/api/v1/search').query({ fields }).expect(200);
+      expect(search.body.items.every(s => onlyHas(s, ['id', 'title', 'audio']))).toBe(true);
+    });
+
+    it('should reject malformed field paths', async () => {
+      const res = await request(app).get('/api/v1/search').query({ fields: '$where' }).expect(400);
+      expect(res.body.error.details.field).toBe('fields');
+    });
+  });
+
+  describe('GET /api/screams/random with seeds and sessions', () => {
+    it('should return the same picks for the same seed', async () => {
+      const query = { results: 5, seed: 'demo', weight_by: 'intensity', fields: 'id' };
+      const first = await request(app).get('/api/v1/screams/random').query(query).expect(200);
+      const second = await request(app).get('/api/v1/screams/random').query(query).expect(200);
+
+      expect(first.body).toHaveLength(5);
+      expect(first.body).toEqual(second.body);
+    });
+
+    it('should not repeat screams within a shuffle cycle', async () => {
+      const seen = new Set();
+      let session = 'new';
+      let body;
+      do {
+        ({ body } = await request(app)
+          .get('/api/v1/screams/random')
+          .query({ session, results: 50, intensity_min: 7, fields: 'id' })
+          .expect(200));
+        body.items.forEach(item => {
+          expect(seen.has(item.id)).toBe(false);
+          seen.add(item.id);
+        });
+        ({ session } = body);
+      } while (body.remaining > 0);
+
+      expect(body.cycle).toBe(0);
+      expect(seen.size).toBeGreaterThan(0);
+    });
+
+    it('should return 400 for a malformed session', async () => {
+      const res = await request(app).get('/api/v1/screams/random?session=nope').expect(400);
+      expect(res.body.error.details.field).toBe('session');
+    });
+  });
+
+  describe('GET /api/screams/scale and /chord', () => {
+    it('should return one scream per scale degree', async () => {
+      const res = await request(app)
+        .get('/api/v1/screams/scale')
+        .query({ root: 'C4', mode: 'major', octaves: 2 })
+        .expect(200);
+
+      expect(res.body).toMatchObject({ root: 'C4', mode: 'major', octaves: 2 });
+      expect(res.body.notes).toHaveLength(15);
+      expect(res.body.notes.map(n => n.note).slice(0, 8)).toEqual([
+        'C4',
+        'D4',
+        'E4',
+        'F4',
+        'G4',
+        'A4',
+        'B4',
+        'C5',
+      ]);
+      res.body.notes.forEach(n => {
+        expect(n.scream.approved).not.toBe(false);
+        expect(n.scream.analysis.primary_note).toBe(n.matched_note);
+      });
+    });
+
+    it('should return the same picks on every request', async () => {
+      const first = await request(app).get('/api/v1/screams/chord?notes=C4,E4,G4').expect(200);
+      const second = await request(app).get('/api/v1/screams/chord?notes=C4,E4,G4').expect(200);
+
+      expect(first.body.notes.map(n => n.scream.id)).toEqual(
+        second.body.notes.map(n => n.scream.id)
+      );
+    });
+
+    it('should return 400 for an invalid root', async () => {
+      const res = await request(app).get('/api/v1/screams/scale?root=H4').expect(400);
+      expect(res.body.error.details.field).toBe('root');
+    });
+  });
+
+  describe('GET /api/screams/daily', () => {
+    it('should return the same scream for repeated requests on a day', async () => {
+      const first = await request(app).get('/api/v1/screams/daily?tz=Asia/Tokyo').expect(200);
+      const second = await request(app).get('/api/v1/screams/daily?tz=Asia/Tokyo').expect(200);
+
+      expect(first.body.tz).toBe('Asia/Tokyo');
+      expect(first.body.scream.id).toBeDefined();
+      expect(second.body.scream.id).toBe(first.body.scream.id);
+      expect(first.headers['cache-control']).toMatch(/max-age=\d+/);
+    });
+
+    it('should return past days and differ between consecutive days', async () => {
+      const a = await request(app).get('/api/v1/screams/daily?date=2024-01-01').expect(200);
+      const b = await request(app).get('/api/v1/screams/daily?date=2024-01-02').expect(200);
+
+      expect(a.body.next_change_at).toBeNull();
+      expect(a.body.index).not.toBe(b.body.index);
+      expect(a.body.scream.id).not.toBe(b.body.scream.id);
+    });
+
+    it('should only pick from screams added before the cycle began', async () => {
+      const res = await request(app).get('/api/v1/screams/daily?date=2024-01-01').expect(200);
+      // The catalog is taken when the cycle's first day begins at UTC+14
+      const cutoff = Date.parse(`${res.body.cycle_start}T00:00:00Z`) - 14 * 60 * 60 * 1000;
+      const added = getStaticScreams().filter(
+        s => s.approved !== false && new Date(s.date_added).getTime() < cutoff
+      );
+
+      expect(res.body.cycle_start <= '2024-01-01').toBe(true);
+      expect(res.body.cycle_length).toBe(added.length);
+      expect(added.map(s => s.id)).toContain(res.body.scream.id);
+    });
+
+    it('should visit every scream of a cycle once', async () => {
+      const first = await request(app).get('/api/v1/screams/daily?date=2024-01-01').expect(200);
+      const start = Date.parse(first.body.cycle_start);
+      const ids = new Set();
+      for (let i = 0; i < first.body.cycle_length; i += 1) {
+        const date = new Date(start + i * 86400000).toISOString().slice(0, 10);
+        const res = await request(app).get(`/api/v1/screams/daily?date=${date}`).expect(200);
+        if (res.body.cycle_start !== first.body.cycle_start) break;
+        ids.add(res.body.scream.id);
+      }
+
+      expect(ids.size).toBe(first.body.cycle_length);
+    });
+
+    it('should return 400 for invalid dates, future dates and time zones', async () => {
+      const bad = await request(app).get('/api/v1/screams/daily?date=2024-13-01').expect(400);
+      expect(bad.body.error.details.field).toBe('date');
+      await request(app).get('/api/v1/screams/daily?date=2999-01-01').expect(400);
+      const tz = await request(app).get('/api/v1/screams/daily?tz=Nowhere/Land').expect(400);
+      expect(tz.body.error.details.field).toBe('tz');
+    });
+  });
+
   describe('GET /api/screams/sources', () => {
     it('should return sources from static data', async () => {
       const res = await request(app).get('/api/v1/screams/sources').expect(200);
@@ -39,6 +274,30 @@ describe('Routes with static fallback (no MongoDB)', () => {
     });
   });
 
+  describe('GET /api/screams/:id', () => {
+    it('should return a scream with related screams and honor ETags', async () => {
+      const listRes = await request(app).get('/api/v1/screams').expect(200);
+      const screamId = listRes.body.items[0].id;
+
+      const res = await request(app).get(`/api/v1/screams/${screamId}`).expect(200);
+      expect(res.body.id).toBe(screamId);
+      expect(Array.isArray(res.body.related)).toBe(true);
+      expect(res.body.related.length).toBeLessThanOrEqual(5);
+      expect(res.body.related.every(r => r.id !== screamId && r.reasons.length > 0)).toBe(true);
+      expect(res.headers.etag).toBeDefined();
+
+      await request(app)
+        .get(`/api/v1/screams/${screamId}`)
+        .set('If-None-Match', res.headers.etag)
+        .expect(304);
+    });
+
+    it('should return 404 for an unknown scream', async () => {
+      const res = await request(app).get('/api/v1/screams/does-not-exist').expect(404);
+      expect(res.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
   describe('POST /api/screams/:id/download', () => {
     it('should handle download from static data', async () => {
       // First, get a scream ID from static data
@@ -51,11 +310,345 @@ describe('Routes with static fallback (no MongoDB)', () => {
       // Try to download - may fail if no media, but should handle gracefully
       const res = await request(app)
         .post(`/api/v1/screams/${screamId}/download`)
-        .send({ format: 'mp3', quality: 'medium' });
+        .send({ format: 'mp3', quality: 'high' });
 
       // Could be 200 (if has media) or 400/404 (if no media or not found)
       expect([200, 400, 404]).toContain(res.status);
     });
+
+    describe('transcoding', () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const { mediaKey } = require('../../src/services/mediaSource');
+      const { tone, encodeWav } = require('../helpers/wav');
+      const originalEnv = process.env;
+      let mediaDir;
+      let storageDir;
+      let screamId;
+
+      beforeAll(async () => {
+        const res = await request(app).get('/api/v1/screams?limit=1').expect(200);
+        const scream = res.body.items[0];
+        screamId = scream.id;
+        mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-transcode-media-'));
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-transcode-store-'));
+        const file = path.join(mediaDir, mediaKey(scream.media.audio.mp3.high));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, encodeWav([tone([440], 2)]));
+      });
+
+      beforeEach(() => {
+        process.env = {
+          ...originalEnv,
+          MEDIA_DIR: mediaDir,
+          MEDIA_SOURCE: 'local',
+          STORAGE_DRIVER: 'local',
+          STORAGE_DIR: storageDir,
+        };
+      });
+
+      afterEach(() => {
+        process.env = originalEnv;
+      });
+
+      afterAll(() => {
+        fs.rmSync(mediaDir, { recursive: true, force: true });
+        fs.rmSync(storageDir, { recursive: true, force: true });
+      });
+
+      it('should transcode trimmed WAV downloads once and reuse the stored rendition', async () => {
+        const body = { format: 'wav', quality: 'medium', start: 0.5, end: 1.5, fade_out: 0.1 };
+        const first = await request(app)
+          .post(`/api/v1/screams/${screamId}/download`)
+          .send(body)
+          .expect(200);
+
+        expect(first.body).toMatchObject({
+          format: 'wav',
+          quality: 'medium',
+          filename: `goat_scream_${screamId}.wav`,
+          transcoded: true,
+          cached: false,
+          duration: 1,
+        });
+        expect(first.body.download_url).toMatch(
+          new RegExp(`^/api/v1/media/goat-screams/renditions/${screamId}/medium-[0-9a-f]+\\.wav$`)
+        );
+
+        const file = await request(app).get(first.body.download_url).expect(200);
+        expect(file.headers['content-type']).toBe('audio/wav');
+        expect(file.body.toString('latin1', 8, 12)).toBe('WAVE');
+
+        const second = await request(app)
+          .post(`/api/v1/screams/${screamId}/download`)
+          .send(body)
+          .expect(200);
+        expect(second.body).toMatchObject({ cached: true, duration: 1 });
+        expect(second.body.download_url).toBe(first.body.download_url);
+      });
+
+      it('should reject invalid edits', async () => {
+        const res = await request(app)
+          .post(`/api/v1/screams/${screamId}/download`)
+          .send({ format: 'wav', start: 2, end: 1 })
+          .expect(400);
+        expect(res.body.error.message).toBe('end must be after start');
+
+        const late = await request(app)
+          .post(`/api/v1/screams/${screamId}/download`)
+          .send({ format: 'wav', start: 30 })
+          .expect(400);
+        expect(late.body.error.message).toBe('start is beyond the end of the clip');
+      });
+    });
+  });
+
+  describe('GET /api/screams/:id/stream', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { mediaKey } = require('../../src/services/mediaSource');
+    const originalEnv = process.env;
+    const content = Buffer.from('ID3 fake goat scream audio');
+    let dir;
+    let screamId;
+
+    beforeAll(async () => {
+      const res = await request(app).get('/api/v1/screams?limit=1').expect(200);
+      const scream = res.body.items[0];
+      screamId = scream.id;
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-media-'));
+      const file = path.join(dir, mediaKey(scream.media.audio.mp3.medium));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, MEDIA_DIR: dir, MEDIA_SOURCE: 'local' };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should stream media from the local media directory', async () => {
+      const res = await request(app).get(`/api/v1/screams/${screamId}/stream`).expect(200);
+
+      expect(res.headers['content-type']).toBe('audio/mpeg');
+      expect(res.headers['accept-ranges']).toBe('bytes');
+      expect(res.headers['content-length']).toBe(String(content.length));
+      expect(Buffer.compare(res.body, content)).toBe(0);
+    });
+
+    it('should serve byte ranges and conditional requests', async () => {
+      const ranged = await request(app)
+        .get(`/api/v1/screams/${screamId}/stream`)
+        .set('Range', 'bytes=0-3')
+        .expect(206);
+      expect(ranged.headers['content-range']).toBe(`bytes 0-3/${content.length}`);
+      expect(ranged.body.toString()).toBe('ID3 ');
+
+      await request(app)
+        .get(`/api/v1/screams/${screamId}/stream`)
+        .set('If-None-Match', ranged.headers.etag)
+        .expect(304);
+    });
+
+    it('should return 404 when the media file is missing', async () => {
+      process.env.MEDIA_DIR = os.tmpdir();
+      const res = await request(app).get(`/api/v1/screams/${screamId}/stream`).expect(404);
+      expect(res.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/screams/:id/waveform', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const StaticScreamsRepository = require('../../src/repositories/staticScreamsRepository');
+    const { mediaKey } = require('../../src/services/mediaSource');
+    const { reloadStaticScreams } = require('../../src/utils/staticScreams');
+    const { tone, encodeWav } = require('../helpers/wav');
+    const originalEnv = process.env;
+    let dir;
+    let screamId;
+
+    beforeAll(async () => {
+      const res = await request(app).get('/api/v1/screams?limit=1').expect(200);
+      const scream = res.body.items[0];
+      screamId = scream.id;
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-waveform-'));
+      const file = path.join(dir, mediaKey(scream.media.audio.mp3.medium));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, encodeWav([tone([660], 0.5)]));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, MEDIA_DIR: dir, MEDIA_SOURCE: 'local' };
+      reloadStaticScreams();
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      reloadStaticScreams();
+    });
+
+    it('should compute peaks from the audio of a snapshot scream and keep them', async () => {
+      const res = await request(app).get(`/api/v1/screams/${screamId}/waveform`).expect(200);
+      expect(res.body).toMatchObject({ id: screamId, points: 200, duration: 0.5 });
+      expect(res.body.peaks).toHaveLength(200);
+
+      // Served from memory once computed, even with the audio gone
+      process.env.MEDIA_DIR = os.tmpdir();
+      const again = await request(app).get(`/api/v1/screams/${screamId}/waveform`).expect(200);
+      expect(again.body.peaks).toEqual(res.body.peaks);
+    });
+
+    it('should return 404 when neither a waveform nor the audio is available', async () => {
+      process.env.MEDIA_DIR = os.tmpdir();
+      const res = await request(app).get(`/api/v1/screams/${screamId}/waveform`).expect(404);
+      expect(res.body.error.code).toBe('NOT_FOUND');
+    });
+
+    it('should serve peaks from the sidecar as JSON or SVG', async () => {
+      jest.spyOn(StaticScreamsRepository.prototype, 'findWaveform').mockResolvedValue({
+        scream_id: screamId,
+        duration: 2,
+        resolutions: [{ points: 200, peaks: new Array(200).fill(0.5) }],
+      });
+
+      const json = await request(app).get(`/api/v1/screams/${screamId}/waveform`).expect(200);
+      expect(json.body).toMatchObject({ id: screamId, points: 200, duration: 2 });
+      expect(json.body.peaks).toHaveLength(200);
+
+      const svg = await request(app)
+        .get(`/api/v1/screams/${screamId}/waveform`)
+        .query({ points: 50, format: 'svg' })
+        .expect(200);
+      expect(svg.headers['content-type']).toMatch(/^image\/svg\+xml/);
+      expect(svg.body.toString()).toContain('viewBox="0 0 50 100"');
+    });
+
+    it('should reject invalid points', async () => {
+      const res = await request(app)
+        .get(`/api/v1/screams/${screamId}/waveform`)
+        .query({ points: 2 })
+        .expect(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/screams/:id/image', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { mediaKey } = require('../../src/services/mediaSource');
+    const { tone, encodeWav } = require('../helpers/wav');
+    const originalEnv = process.env;
+    let dir;
+    let screamId;
+
+    beforeAll(async () => {
+      const res = await request(app).get('/api/v1/screams?limit=1').expect(200);
+      const scream = res.body.items[0];
+      screamId = scream.id;
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-image-'));
+      const file = path.join(dir, mediaKey(scream.media.audio.mp3.medium));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, encodeWav([tone([660], 0.5)]));
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv, MEDIA_DIR: dir, MEDIA_SOURCE: 'local' };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should render a cacheable PNG and revalidate it', async () => {
+      const res = await request(app)
+        .get(`/api/v1/screams/${screamId}/image`)
+        .query({ type: 'waveform', w: 120, h: 40 })
+        .expect(200);
+
+      expect(res.headers['content-type']).toBe('image/png');
+      expect(res.headers['cache-control']).toContain('max-age=604800');
+      expect(res.body.readUInt32BE(16)).toBe(120);
+
+      await request(app)
+        .get(`/api/v1/screams/${screamId}/image`)
+        .query({ type: 'waveform', w: 120, h: 40 })
+        .set('If-None-Match', res.headers.etag)
+        .expect(304);
+    });
+
+    it('should render SVG', async () => {
+      const res = await request(app)
+        .get(`/api/v1/screams/${screamId}/image`)
+        .query({ format: 'svg', w: 64, h: 32 })
+        .expect(200);
+      expect(res.headers['content-type']).toMatch(/^image\/svg\+xml/);
+    });
+
+    it('should keep renderings in storage and serve them from there', async () => {
+      process.env = { ...originalEnv, STORAGE_DRIVER: 'local', STORAGE_DIR: dir };
+      const first = await request(app)
+        .get(`/api/v1/screams/${screamId}/image`)
+        .query({ format: 'svg', w: 48, h: 24 })
+        .expect(200);
+      const name = `spectrogram-${first.headers.etag.slice(1, -1)}`;
+      const stored = path.join(dir, 'goat-screams/images', screamId, `${name}.svg`);
+      expect(fs.readFileSync(stored)).toEqual(first.body);
+
+      // Later requests read the stored file instead of rendering again
+      fs.writeFileSync(stored, '<svg id="stored"/>');
+      const again = await request(app)
+        .get(`/api/v1/screams/${screamId}/image`)
+        .query({ format: 'svg', w: 48, h: 24 })
+        .expect(200);
+      expect(again.body.toString()).toBe('<svg id="stored"/>');
+    });
+
+    it('should serve the default renderings drawn ahead of time from storage', async () => {
+      const { prerenderImages } = require('../../src/services/renderedImages');
+      process.env = { ...originalEnv, STORAGE_DRIVER: 'local', STORAGE_DIR: dir };
+      const scream = getStaticScreams().find(candidate => candidate.id === screamId);
+      const { rendered } = await prerenderImages(scream);
+      expect(rendered).toHaveLength(2);
+
+      const name = rendered.find(candidate => candidate.startsWith('waveform-'));
+      const stored = path.join(dir, 'goat-screams/images', screamId, `${name}.png`);
+      fs.writeFileSync(stored, 'prerendered');
+      const res = await request(app)
+        .get(`/api/v1/screams/${screamId}/image`)
+        .query({ type: 'waveform' })
+        .expect(200);
+      expect(res.headers.etag).toBe(`"${name.slice('waveform-'.length)}"`);
+      expect(res.body.toString()).toBe('prerendered');
+    });
+
+    it('should reject invalid parameters', async () => {
+      const res = await request(app)
+        .get(`/api/v1/screams/${screamId}/image`)
+        .query({ type: 'histogram' })
+        .expect(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
   });
 
   describe('GET /api/search', () => {
@@ -94,6 +687,60 @@ describe('Routes with static fallback (no MongoDB)', () => {
     });
   });
 
+  describe('GET /api/search with note filters', () => {
+    it('should filter by pitch range and tone intervals', async () => {
+      const res = await request(app)
+        .get('/api/v1/search')
+        .query({ pitch_range: 'C4-G5', intervals: '-1,-1' })
+        .expect(200);
+      expect(res.body.total).toBeGreaterThan(0);
+    });
+
+    it('should return 400 for an invalid note', async () => {
+      const res = await request(app).get('/api/v1/search').query({ note: 'H2' }).expect(400);
+      expect(res.body.error.details.field).toBe('note');
+    });
+  });
+
+  describe('GET /api/search with facets', () => {
+    it('should include facet counts only when requested', async () => {
+      const plain = await request(app).get('/api/v1/search').expect(200);
+      expect(plain.body).not.toHaveProperty('facets');
+
+      const res = await request(app)
+        .get('/api/v1/search')
+        .query({ facets: 'meme_status,analysis.primary_note' })
+        .expect(200);
+      expect(Object.keys(res.body.facets)).toEqual(['meme_status', 'analysis.primary_note']);
+      expect(res.body.facets.meme_status[0]).toEqual({
+        value: expect.any(String),
+        count: expect.any(Number),
+      });
+    });
+
+    it('should reject unknown facets', async () => {
+      const res = await request(app).get('/api/v1/search').query({ facets: 'title' }).expect(400);
+      expect(res.body.error.details.field).toBe('facets');
+    });
+  });
+
+  describe('GET /api/search/suggest', () => {
+    it('should return completions for a typo', async () => {
+      const res = await request(app)
+        .get('/api/v1/search/suggest')
+        .query({ q: 'scremaing' })
+        .expect(200);
+
+      expect(res.body.suggestions.length).toBeGreaterThan(0);
+      expect(res.body.suggestions[0].text.toLowerCase()).toContain('screaming');
+    });
+
+    it('should reject a missing q', async () => {
+      const res = await request(app).get('/api/v1/search/suggest').expect(400);
+      expect(res.body.error.details.field).toBe('q');
+    });
+  });
+
   describe('GET /api/stats', () => {
     it('should return stats from static data', async () => {
       const res = await request(app).get('/api/v1/stats').expect(200);
@@ -109,4 +756,24 @@ describe('Routes with static fallback (no MongoDB)', () => {
       expect(Array.isArray(res.body.top_tags)).toBe(true);
     });
   });
+
+  describe('GET /api/submissions/:id', () => {
+    it('should require the Advanced API setup', async () => {
+      const res = await request(app)
+        .get('/api/v1/submissions/sub_1')
+        .set('x-claim-token', 'token')
+        .expect(503);
+      expect(res.body.error).toBe('Submissions endpoint requires Advanced API setup');
+    });
+  });
+
+  describe('POST /api/remixes', () => {
+    it('should require the Advanced API setup', async () => {
+      const res = await request(app)
+        .post('/api/v1/remixes')
+        .send({ tracks: [{ id: 'goat-1' }] })
+        .expect(503);
+      expect(res.body.error).toBe('Remixes endpoint requires Advanced API setup');
+    });
+  });
 });
@@ -1,83 +1,83 @@
-const { analyzeAudio } = require('../../src/services/analysis');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeAudio, measureAudio, pickCategory } = require('../../src/services/analysis');
+const { intensityFeatures, scoreIntensity } = require('../../src/audio/intensity');
+const { ValidationError } = require('../../src/errors');
+const { tone, encodeWav } = require('../helpers/wav');
 
 describe('analysis service', () => {
-  beforeEach(() => {
-    jest.spyOn(Math, 'random').mockRestore();
+  it('should measure a decoded tone', () => {
+    const { waveform, ...measured } = measureAudio({
+      sampleRate: 44100,
+      channels: [tone([440], 1.5)],
+    });
+    expect(measured).toEqual({
+      duration: 1.5,
+      peak_decibels: -6.02,
+      rms_decibels: -9.03,
+      integrated_lufs: -9.7,
+      loudness_range_lu: 0,
+      true_peak_dbtp: -6,
+      dominant_frequency: 440,
+      primary_note: 'A4',
+      tones_in_order: ['A4 (primary)'],
+    });
+    expect(waveform.map(entry => entry.points)).toEqual([50, 200, 1000]);
+    expect(Math.max(...waveform[1].peaks)).toBe(1);
   });
 
-  it('should return complete analysis with all properties and handle source (string vs non-string)', async () => {
-    jest.spyOn(Math, 'random').mockReturnValue(0.5);
-
-    const result = await analyzeAudio('/path/to/audio.mp3');
-
-    // All required properties
-    expect(result).toHaveProperty('duration');
-    expect(result).toHaveProperty('intensity');
-    expect(result).toHaveProperty('peak_decibels');
-    expect(result).toHaveProperty('dominant_frequency');
-    expect(result).toHaveProperty('category');
-    expect(result).toHaveProperty('source');
-
-    // Value ranges
-    expect(typeof result.duration).toBe('number');
-    expect(result.duration).toBeGreaterThanOrEqual(1.0);
-    expect(result.duration).toBeLessThanOrEqual(4.0);
-
-    expect(typeof result.intensity).toBe('number');
-    expect(result.intensity).toBeGreaterThanOrEqual(3);
-    expect(result.intensity).toBeLessThanOrEqual(10);
-
-    expect(['short_burst', 'prolonged', 'melodic', 'multiple']).toContain(result.category);
-
-    // Source handling
-    expect(result.source).toBe('/path/to/audio.mp3');
-
-    // Non-string source
-    const result2 = await analyzeAudio(null);
-    expect(result2.source).toBe('unknown');
+  it('should take the peak from the loudest channel', () => {
+    const measured = measureAudio({
+      sampleRate: 44100,
+      channels: [tone([440], 0.5, { amplitude: 1 }), new Float32Array(22050)],
+    });
+    expect(measured.peak_decibels).toBeCloseTo(0, 1);
+    expect(measured.rms_decibels).toBeCloseTo(-9.03, 1);
   });
 
-  it('should categorize audio correctly (prolonged, melodic, short_burst, multiple)', async () => {
-    // Prolonged: long, intense
-    jest
-      .spyOn(Math, 'random')
-      .mockReturnValueOnce(0.9) // duration ~3.7
-      .mockReturnValueOnce(0.8); // intensity ~8.6 -> 8
-    const result1 = await analyzeAudio('/test1.mp3');
-    expect(result1.category).toBe('prolonged');
-
-    // Melodic: medium duration, low intensity
-    jest
-      .spyOn(Math, 'random')
-      .mockReturnValueOnce(0.5) // duration ~2.5
-      .mockReturnValueOnce(0.2); // intensity ~4.4 -> 4
-    const result2 = await analyzeAudio('/test2.mp3');
-    expect(result2.category).toBe('melodic');
-
-    // Short burst: short, intense
-    jest
-      .spyOn(Math, 'random')
-      .mockReturnValueOnce(0.1) // duration ~1.3
-      .mockReturnValueOnce(0.9); // intensity ~9.3 -> 9
-    const result3 = await analyzeAudio('/test3.mp3');
-    expect(result3.category).toBe('short_burst');
+  it('should analyse a WAV file from disk', async () => {
+    const file = path.join(os.tmpdir(), `analysis-${process.pid}.wav`);
+    fs.writeFileSync(file, encodeWav(tone([466.16, 523.25, 523.25, 987.77], 2)));
+    try {
+      const result = await analyzeAudio(file);
+      expect(result).toMatchObject({
+        duration: 2,
+        primary_note: 'C5',
+        tones_in_order: ['A#4', 'C5 (primary)', 'B5'],
+        format: 'wav',
+        sample_rate: 44100,
+        channels: 1,
+        fingerprint: expect.any(String),
+        source: file,
+      });
+      expect(Number.isInteger(result.intensity)).toBe(true);
+      expect(result.intensity).toBeGreaterThanOrEqual(1);
+      expect(result.intensity).toBeLessThanOrEqual(10);
+      expect(result.category).toBe(pickCategory(result));
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
 
-    // Multiple: default category
-    jest
-      .spyOn(Math, 'random')
-      .mockReturnValueOnce(0.3) // duration ~1.9
-      .mockReturnValueOnce(0.5); // intensity ~6.5 -> 6
-    const result4 = await analyzeAudio('/test4.mp3');
-    expect(result4.category).toBe('multiple');
+  it('should score intensity with the calibrated model', async () => {
+    const result = await analyzeAudio(encodeWav(tone([600, 1200], 2)));
+    expect(result.intensity).toBe(scoreIntensity(intensityFeatures(result)));
+    expect(result.source).toBe('unknown');
   });
 
-  it('should return peak_decibels and dominant_frequency in valid ranges', async () => {
-    const result = await analyzeAudio('/test.mp3');
+  it('should return null for containers it cannot decode', async () => {
+    await expect(analyzeAudio(Buffer.from('\0\0\0 ftypM4A '))).resolves.toBeNull();
+  });
 
-    expect(result.peak_decibels).toBeGreaterThanOrEqual(-10);
-    expect(result.peak_decibels).toBeLessThanOrEqual(-1);
+  it('should reject corrupt audio of a supported format', async () => {
+    await expect(analyzeAudio(Buffer.from('RIFF\0\0\0\0WAVE'))).rejects.toThrow(ValidationError);
+  });
 
-    expect(result.dominant_frequency).toBeGreaterThanOrEqual(150);
-    expect(result.dominant_frequency).toBeLessThanOrEqual(650);
+  it('should categorize audio correctly (prolonged, melodic, short_burst, multiple)', () => {
+    expect(pickCategory({ duration: 3.7, intensity: 8 })).toBe('prolonged');
+    expect(pickCategory({ duration: 2.5, intensity: 4 })).toBe('melodic');
+    expect(pickCategory({ duration: 1.3, intensity: 9 })).toBe('short_burst');
+    expect(pickCategory({ duration: 1.9, intensity: 6 })).toBe('multiple');
   });
 });
@@ -0,0 +1,157 @@
+jest.mock('axios');
+
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+const { ValidationError } = require('../../src/errors');
+const {
+  downloadRemoteAudio,
+  checkAudioHead,
+  analyzeSubmissionAudio,
+} = require('../../src/services/audioIntake');
+const { tone, encodeWav } = require('../helpers/wav');
+
+describe('audioIntake', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'goat-intake-'));
+    axios.mockReset();
+  });
+
+  afterEach(async () => {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('downloadRemoteAudio', () => {
+    const respond = (body, headers = {}) =>
+      axios.mockResolvedValueOnce({ data: Readable.from([body]), headers });
+
+    it('should download audio with redirects, time and address limits', async () => {
+      respond(Buffer.from('ID3 goat'), { 'content-type': 'audio/mpeg' });
+      const target = path.join(dir, 'goat.download');
+
+      await expect(downloadRemoteAudio('https://example.com/goat.mp3', target)).resolves.toBe(
+        target
+      );
+      expect(await fsp.readFile(target, 'utf8')).toBe('ID3 goat');
+      expect(axios).toHaveBeenCalledWith(
+        expect.objectContaining({
+          responseType: 'stream',
+          maxRedirects: 3,
+          timeout: expect.any(Number),
+          lookup: expect.any(Function),
+          beforeRedirect: expect.any(Function),
+        })
+      );
+
+      // Redirects to internal addresses are refused
+      const { beforeRedirect } = axios.mock.calls[0][0];
+      expect(() => beforeRedirect({ href: 'http://169.254.169.254/latest/meta-data' })).toThrow(
+        expect.objectContaining({ code: 'BLOCKED_URL' })
+      );
+    });
+
+    it('should refuse internal URLs without fetching them', async () => {
+      await expect(
+        downloadRemoteAudio('http://127.0.0.1:27017/', path.join(dir, 'x'))
+      ).rejects.toMatchObject({ code: 'BLOCKED_URL' });
+      await expect(
+        downloadRemoteAudio('ftp://example.com/goat.mp3', path.join(dir, 'x'))
+      ).rejects.toMatchObject({ code: 'INVALID_URL' });
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    it('should surface errors raised inside the HTTP client by their own code', async () => {
+      const blocked = new ValidationError('blocked', null, 'BLOCKED_URL');
+      axios.mockRejectedValueOnce(Object.assign(new Error('wrapped'), { cause: blocked }));
+      await expect(
+        downloadRemoteAudio('https://rebind.example/goat.mp3', path.join(dir, 'x'))
+      ).rejects.toBe(blocked);
+
+      axios.mockRejectedValueOnce(
+        Object.assign(new Error('Maximum number of redirects exceeded'), {
+          code: 'ERR_FR_TOO_MANY_REDIRECTS',
+        })
+      );
+      await expect(
+        downloadRemoteAudio('https://loop.example/goat.mp3', path.join(dir, 'x'))
+      ).rejects.toMatchObject({ code: 'TOO_MANY_REDIRECTS' });
+    });
+
+    it('should refuse responses that are not audio', async () => {
+      respond(Buffer.from('<html>'), { 'content-type': 'text/html; charset=utf-8' });
+      await expect(
+        downloadRemoteAudio('https://example.com/page', path.join(dir, 'x'))
+      ).rejects.toMatchObject({ code: 'INVALID_CONTENT_TYPE', statusCode: 400 });
+    });
+
+    it('should stop downloads past the byte limit', async () => {
+      const target = path.join(dir, 'big.download');
+      respond(Buffer.alloc(10), { 'content-type': 'audio/wav', 'content-length': '2048' });
+      await expect(
+        downloadRemoteAudio('https://example.com/big.wav', target, { maxBytes: 1024 })
+      ).rejects.toMatchObject({ code: 'AUDIO_TOO_LARGE' });
+
+      // A missing or lying Content-Length is caught while streaming, and the partial file removed
+      respond(Buffer.alloc(2048), { 'content-type': 'audio/wav' });
+      await expect(
+        downloadRemoteAudio('https://example.com/big.wav', target, { maxBytes: 1024 })
+      ).rejects.toMatchObject({ code: 'AUDIO_TOO_LARGE' });
+      await expect(fsp.stat(target)).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+  });
+
+  describe('checkAudioHead', () => {
+    it('should name the container or refuse bytes that are not audio', () => {
+      expect(checkAudioHead(encodeWav(tone([440], 0.05)).subarray(0, 64))).toBe('wav');
+      expect(() => checkAudioHead(Buffer.alloc(0))).toThrow(
+        expect.objectContaining({ code: 'EMPTY_AUDIO' })
+      );
+      expect(() => checkAudioHead(Buffer.from('<html>not a goat</html>'))).toThrow(
+        expect.objectContaining({ code: 'UNSUPPORTED_AUDIO_TYPE', details: expect.any(Object) })
+      );
+    });
+  });
+
+  describe('analyzeSubmissionAudio', () => {
+    const write = async (name, contents) => {
+      const file = path.join(dir, name);
+      await fsp.writeFile(file, contents);
+      return file;
+    };
+
+    it('should detect the format from content and analyse the audio', async () => {
+      const file = await write('goat.mp3', encodeWav(tone([440], 0.5)));
+      const { format, analysis } = await analyzeSubmissionAudio(file);
+      expect(format).toBe('wav');
+      expect(analysis.duration).toBeCloseTo(0.5, 2);
+    });
+
+    it('should accept containers that cannot be analysed without an analysis', async () => {
+      const m4a = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypM4A ')]);
+      await expect(analyzeSubmissionAudio(await write('goat.m4a', m4a))).resolves.toEqual({
+        format: 'm4a',
+        analysis: null,
+      });
+    });
+
+    it('should reject each kind of bad file with its own code', async () => {
+      const check = async (contents, code) =>
+        expect(analyzeSubmissionAudio(await write('goat.wav', contents))).rejects.toMatchObject({
+          code,
+          statusCode: 400,
+        });
+
+      await check(Buffer.alloc(0), 'EMPTY_AUDIO');
+      await check(Buffer.from('<!DOCTYPE html><html></html>'), 'UNSUPPORTED_AUDIO_TYPE');
+      await check(
+        Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEjunk')]),
+        'CORRUPT_AUDIO'
+      );
+      await check(encodeWav(tone([440], 0.05)), 'AUDIO_TOO_SHORT');
+    });
+  });
+});
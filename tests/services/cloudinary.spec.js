@@ -8,6 +8,7 @@ jest.mock('cloudinary', () => ({
     },
     api: {
       resource: jest.fn(),
+      resources: jest.fn(),
       update: jest.fn(),
     },
   },
@@ -20,6 +21,7 @@ const {
   renameAsset,
   deleteAsset,
   updateAssetMetadata,
+  listAssets,
 } = require('../../src/services/cloudinary');
 
 describe('cloudinary service', () => {
@@ -130,6 +132,16 @@ describe('cloudinary service', () => {
       expect(result).toEqual(mockAsset);
     });
 
+    it('should look images up as image resources', async () => {
+      cloudinary.api.resource.mockResolvedValueOnce({ public_id: 'goat-screams/images/x/w' });
+
+      await getAsset('goat-screams/images/x/w', { resourceType: 'image' });
+
+      expect(cloudinary.api.resource).toHaveBeenCalledWith('goat-screams/images/x/w', {
+        resource_type: 'image',
+      });
+    });
+
     it('should return null for 404 errors', async () => {
       const error = new Error('Not found');
       error.http_code = 404;
@@ -221,4 +233,19 @@ describe('cloudinary service', () => {
       expect(callArgs.tags).toBeUndefined();
     });
   });
+
+  describe('listAssets', () => {
+    it('should follow next_cursor across pages', async () => {
+      cloudinary.api.resources
+        .mockResolvedValueOnce({ resources: [{ public_id: 'a' }], next_cursor: 'page-2' })
+        .mockResolvedValueOnce({ resources: [{ public_id: 'b' }] });
+
+      const resources = await listAssets('goat-screams/audio/');
+
+      expect(resources.map(r => r.public_id)).toEqual(['a', 'b']);
+      expect(cloudinary.api.resources).toHaveBeenLastCalledWith(
+        expect.objectContaining({ prefix: 'goat-screams/audio/', next_cursor: 'page-2' })
+      );
+    });
+  });
 });
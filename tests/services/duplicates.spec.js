@@ -0,0 +1,67 @@
+const DuplicateService = require('../../src/services/duplicates');
+const { computeFingerprint } = require('../../src/audio/fingerprint');
+const { call } = require('../helpers/wav');
+
+describe('DuplicateService', () => {
+  const fingerprint = samples => computeFingerprint({ sampleRate: 44100, channels: [samples] });
+  const original = call(600, 3);
+  const clip = fingerprint(original);
+
+  const model = docs => ({
+    find: jest.fn(() => ({ lean: () => Promise.resolve(docs) })),
+  });
+
+  it('should report copies among screams and pending submissions, most similar first', async () => {
+    const screams = model([
+      { id: 'goat-copy', title: 'Copy', fingerprint: fingerprint(original.map(v => v * 0.2)) },
+      { id: 'goat-other', title: 'Other', fingerprint: fingerprint(call(450, 4)) },
+    ]);
+    const submissions = model([
+      {
+        id: 'sub_trimmed',
+        title: 'Trimmed',
+        fingerprint: fingerprint(original.subarray(44100)),
+        audio: { cloudinary_url: 'https://cdn.example.com/sub_trimmed.mp3' },
+      },
+    ]);
+    const service = new DuplicateService(screams, submissions);
+
+    const matches = await service.findDuplicates(clip, { excludeSubmission: 'sub_new' });
+    expect(matches.map(match => match.id)).toEqual(['goat-copy', 'sub_trimmed']);
+    expect(matches[0]).toEqual({
+      kind: 'scream',
+      id: 'goat-copy',
+      title: 'Copy',
+      similarity: expect.any(Number),
+      offset: 0,
+      url: '/api/v1/screams/goat-copy',
+    });
+    expect(matches[0].similarity).toBeGreaterThan(0.99);
+    expect(matches[1]).toMatchObject({
+      kind: 'submission',
+      offset: 1,
+      url: 'https://cdn.example.com/sub_trimmed.mp3',
+    });
+    expect(submissions.find).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'pending_review', id: { $ne: 'sub_new' } }),
+      expect.objectContaining({ fingerprint: 1 })
+    );
+  });
+
+  it('should apply the threshold and limit', async () => {
+    const screams = model(['a', 'b', 'c'].map(id => ({ id, title: id, fingerprint: clip })));
+    const service = new DuplicateService(screams, model([]));
+    await expect(service.findDuplicates(clip, { limit: 2 })).resolves.toHaveLength(2);
+    await expect(
+      service.findDuplicates(fingerprint(call(450, 4)), { threshold: 0.99 })
+    ).resolves.toEqual([]);
+  });
+
+  it('should skip the lookup without a fingerprint', async () => {
+    const screams = model([]);
+    await expect(new DuplicateService(screams, model([])).findDuplicates(null)).resolves.toEqual(
+      []
+    );
+    expect(screams.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  mediaKey,
+  createLocalSource,
+  createUpstreamSource,
+  getMediaSource,
+} = require('../../src/services/mediaSource');
+const { ExternalServiceError } = require('../../src/errors');
+
+const readAll = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+
+describe('mediaSource service', () => {
+  describe('mediaKey', () => {
+    it('should strip the Cloudinary delivery prefix', () => {
+      expect(
+        mediaKey('https://res.cloudinary.com/x/video/upload/v1760601265/goat-screams/audio/a.mp3')
+      ).toBe('goat-screams/audio/a.mp3');
+    });
+
+    it('should strip the local storage media route', () => {
+      expect(mediaKey('/api/v1/media/goat-screams/audio/a.mp3')).toBe('goat-screams/audio/a.mp3');
+    });
+
+    it('should keep the path of other URLs', () => {
+      expect(mediaKey('https://cdn.example.com/media/a%20b.mp3')).toBe('media/a b.mp3');
+    });
+  });
+
+  describe('createLocalSource', () => {
+    let dir;
+    let source;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-media-'));
+      fs.mkdirSync(path.join(dir, 'audio'));
+      fs.writeFileSync(path.join(dir, 'audio', 'a.mp3'), CONTENT);
+      source = createLocalSource(dir);
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should stat files with strong validators', async () => {
+      const stat = await source.stat({ key: 'audio/a.mp3' });
+      expect(stat.size).toBe(CONTENT.length);
+      expect(stat.etag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+      expect(stat.lastModified.getTime()).toBe(
+        fs.statSync(path.join(dir, 'audio', 'a.mp3')).mtime.getTime()
+      );
+    });
+
+    it('should return null for missing files, directories and paths outside the root', async () => {
+      expect(await source.stat({ key: 'audio/missing.mp3' })).toBeNull();
+      expect(await source.stat({ key: 'audio' })).toBeNull();
+      expect(await source.stat({ key: '../etc/passwd' })).toBeNull();
+    });
+
+    it('should read inclusive byte ranges', async () => {
+      const body = await readAll(source.read({ key: 'audio/a.mp3' }, { start: 2, end: 5 }));
+      expect(body.toString()).toBe('2345');
+    });
+  });
+
+  describe('createUpstreamSource', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/missing.mp3') {
+          res.statusCode = 404;
+          return res.end();
+        }
+        if (req.url === '/broken.mp3') {
+          res.statusCode = 503;
+          return res.end();
+        }
+        res.setHeader('ETag', '"upstream"');
+        res.setHeader('Last-Modified', 'Mon, 01 Jan 2024 00:00:00 GMT');
+        const match = /bytes=(\d+)-(\d+)/.exec(req.headers.range || '');
+        // /plain.mp3 ignores Range, like some origins do
+        if (match && req.url !== '/plain.mp3') {
+          const [start, end] = [Number(match[1]), Number(match[2])];
+          res.statusCode = 206;
+          res.setHeader('Content-Range', `bytes ${start}-${end}/${CONTENT.length}`);
+          return res.end(CONTENT.subarray(start, end + 1));
+        }
+        res.setHeader('Content-Length', CONTENT.length);
+        return res.end(CONTENT);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should stat with a one-byte range request', async () => {
+      const stat = await createUpstreamSource().stat({ url: `${baseUrl}/a.mp3` });
+      expect(stat).toEqual({
+        size: CONTENT.length,
+        etag: '"upstream"',
+        lastModified: new Date('2024-01-01T00:00:00Z'),
+      });
+    });
+
+    it('should return null when the upstream has no such media', async () => {
+      expect(await createUpstreamSource().stat({ url: `${baseUrl}/missing.mp3` })).toBeNull();
+    });
+
+    it('should wrap upstream failures in ExternalServiceError', async () => {
+      await expect(
+        createUpstreamSource().stat({ url: `${baseUrl}/broken.mp3` })
+      ).rejects.toBeInstanceOf(ExternalServiceError);
+    });
+
+    it('should forward ranges upstream', async () => {
+      const body = await readAll(
+        await createUpstreamSource().read({ url: `${baseUrl}/a.mp3` }, { start: 3, end: 6 })
+      );
+      expect(body.toString()).toBe('3456');
+    });
+
+    it('should stat upstreams that ignore Range from Content-Length', async () => {
+      const stat = await createUpstreamSource().stat({ url: `${baseUrl}/plain.mp3` });
+      expect(stat.size).toBe(CONTENT.length);
+    });
+
+    it('should slice full responses from upstreams that ignore Range', async () => {
+      const body = await readAll(
+        await createUpstreamSource().read({ url: `${baseUrl}/plain.mp3` }, { start: 15, end: 19 })
+      );
+      expect(body.toString()).toBe('fghij');
+    });
+  });
+
+  describe('getMediaSource', () => {
+    const originalEnv = process.env;
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    it('should pick the local source when MEDIA_DIR is set', () => {
+      process.env = { ...originalEnv, MEDIA_DIR: os.tmpdir(), MEDIA_SOURCE: '' };
+      expect(getMediaSource().name).toBe('local');
+    });
+
+    it('should read from the local storage driver directory', () => {
+      process.env = {
+        ...originalEnv,
+        MEDIA_DIR: '',
+        MEDIA_SOURCE: '',
+        STORAGE_DRIVER: 'local',
+        STORAGE_DIR: os.tmpdir(),
+      };
+      expect(getMediaSource().name).toBe('local');
+    });
+
+    it('should default to the upstream source', () => {
+      process.env = { ...originalEnv, MEDIA_DIR: '', MEDIA_SOURCE: '', STORAGE_DRIVER: '' };
+      expect(getMediaSource().name).toBe('upstream');
+    });
+
+    it('should require MEDIA_DIR for the local source', () => {
+      process.env = { ...originalEnv, MEDIA_DIR: '', MEDIA_SOURCE: 'local', STORAGE_DRIVER: '' };
+      expect(() => getMediaSource()).toThrow('MEDIA_DIR');
+    });
+  });
+});
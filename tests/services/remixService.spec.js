@@ -0,0 +1,203 @@
+jest.mock('../../src/services/storage', () => ({
+  signMediaUrl: jest.fn(async url => url),
+  uploadRemix: jest.fn(),
+}));
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const RemixService = require('../../src/services/remixService');
+const { uploadRemix } = require('../../src/services/storage');
+const { decodeWav } = require('../../src/audio/decode');
+const { NotFoundError, ValidationError } = require('../../src/errors');
+const { tone, encodeWav } = require('../helpers/wav');
+
+describe('RemixService', () => {
+  const files = {
+    'goat-1.wav': encodeWav([tone([440], 1, { sampleRate: 8000 })], { sampleRate: 8000 }),
+    'goat-2.wav': encodeWav([tone([660], 0.5, { sampleRate: 8000 })], { sampleRate: 8000 }),
+  };
+  const screams = {
+    'goat-1': {
+      id: 'goat-1',
+      title: 'Alarm Goat',
+      media: { audio: { wav: { high: 'https://cdn.example.com/goat-1.wav' } } },
+      license: { type: 'CC-BY-4.0', attribution_required: true, attribution_text: 'by Farmer Jo' },
+    },
+    'goat-2': {
+      id: 'goat-2',
+      title: 'Yelling Goat',
+      media: { audio: { wav: { high: 'https://cdn.example.com/goat-2.wav' } } },
+      license: { type: 'CC0-1.0', attribution_required: false },
+    },
+  };
+  let repository;
+  let mediaSource;
+  let remixModel;
+  let service;
+  let uploaded;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repository = {
+      findById: jest.fn(async id => screams[id] || null),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+    };
+    mediaSource = {
+      stat: jest.fn(async ({ key }) => ({ size: files[key].length, etag: '"v1"' })),
+      read: jest.fn(({ key }) => Readable.from([files[key]])),
+    };
+    remixModel = {
+      create: jest.fn(async doc => ({ toObject: () => ({ _id: 'oid', __v: 0, ...doc }) })),
+      findOne: jest.fn(),
+    };
+    uploadRemix.mockImplementation(async (file, id) => {
+      uploaded = fs.readFileSync(file);
+      return { publicId: `goat-screams/remixes/${id}`, url: `https://store/${id}.wav` };
+    });
+    service = new RemixService(repository, mediaSource, remixModel);
+  });
+
+  describe('createRemix', () => {
+    it('should mix, store and record a remix', async () => {
+      const remix = await service.createRemix(
+        {
+          format: 'wav',
+          mode: 'concat',
+          tracks: [
+            { id: 'goat-1', gain_db: -6 },
+            { id: 'goat-2', offset: 0.25, pitch_shift: -12 },
+          ],
+        },
+        { ip: '10.0.0.1' }
+      );
+
+      expect(remix).toMatchObject({
+        id: expect.stringMatching(/^remix_/),
+        title: 'Remix of Alarm Goat + Yelling Goat',
+        mode: 'concat',
+        tracks: [
+          { scream_id: 'goat-1', offset: 0, gain_db: -6, pitch_shift: 0, start: 0 },
+          { scream_id: 'goat-2', offset: 0.25, gain_db: 0, pitch_shift: -12, start: 1.25 },
+        ],
+        attribution_required: true,
+        attribution: [
+          {
+            scream_id: 'goat-1',
+            title: 'Alarm Goat',
+            text: 'by Farmer Jo',
+            license: 'CC-BY-4.0',
+            license_url: null,
+          },
+        ],
+        audio: {
+          url: `https://store/${remix.id}.wav`,
+          format: 'wav',
+          duration: 2.25,
+          sample_rate: 8000,
+          channels: 1,
+        },
+      });
+      expect(remix).not.toHaveProperty('_id');
+      expect(remix).not.toHaveProperty('creator_ip');
+      expect(remixModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ creator_ip: '10.0.0.1' })
+      );
+
+      // Stored file carries the mix and the attribution
+      expect(decodeWav(uploaded).channels[0]).toHaveLength(17999);
+      expect(uploaded.includes('Attribution: by Farmer Jo')).toBe(true);
+      expect(uploadRemix).toHaveBeenCalledWith(expect.any(String), remix.id, {
+        context: { title: remix.title },
+      });
+
+      expect(repository.updateOne).toHaveBeenCalledTimes(2);
+      expect(repository.updateOne).toHaveBeenCalledWith(
+        { id: 'goat-1' },
+        { $inc: { remix_count: 1 } }
+      );
+      expect(repository.updateOne).toHaveBeenCalledWith(
+        { id: 'goat-2' },
+        { $inc: { remix_count: 1 } }
+      );
+    });
+
+    it('should count a scream used in several tracks once', async () => {
+      const remix = await service.createRemix({
+        title: 'Echo',
+        tracks: [{ id: 'goat-2' }, { id: 'goat-2', offset: 0.1, gain_db: -12 }],
+      });
+
+      expect(remix).toMatchObject({ title: 'Echo', attribution_required: false, attribution: [] });
+      expect(remix.audio.format).toBe('mp3');
+      expect(uploaded.toString('latin1', 0, 3)).toBe('ID3');
+      expect(mediaSource.read).toHaveBeenCalledTimes(1);
+      expect(repository.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate the request before loading any audio', async () => {
+      await expect(service.createRemix({})).rejects.toThrow(
+        'tracks must list between 1 and 8 screams'
+      );
+      await expect(service.createRemix({ tracks: [{ offset: 1 }] })).rejects.toThrow(
+        'tracks[0].id is required'
+      );
+      await expect(
+        service.createRemix({ tracks: [{ id: 'goat-1', pitch_shift: 13 }] })
+      ).rejects.toThrow('tracks[0].pitch_shift must be a number between -12 and 12');
+      await expect(
+        service.createRemix({ tracks: [{ id: 'goat-1', gain_db: 'loud' }] })
+      ).rejects.toThrow(ValidationError);
+      await expect(
+        service.createRemix({ format: 'ogg', tracks: [{ id: 'goat-1' }] })
+      ).rejects.toThrow('Unsupported audio format');
+      await expect(
+        service.createRemix({ mode: 'stack', tracks: [{ id: 'goat-1' }] })
+      ).rejects.toThrow('mode must be one of: layer, concat');
+      expect(repository.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown screams and overlong mixes without storing anything', async () => {
+      await expect(
+        service.createRemix({ tracks: [{ id: 'goat-1' }, { id: 'nope' }] })
+      ).rejects.toThrow(NotFoundError);
+
+      await expect(
+        service.createRemix({
+          mode: 'concat',
+          tracks: [
+            { id: 'goat-1', offset: 30 },
+            { id: 'goat-1', offset: 30 },
+          ],
+        })
+      ).rejects.toThrow('Remix would be longer than 60 seconds');
+
+      expect(uploadRemix).not.toHaveBeenCalled();
+      expect(remixModel.create).not.toHaveBeenCalled();
+      expect(repository.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRemix', () => {
+    it('should return stored remixes and 404 unknown ones', async () => {
+      remixModel.findOne.mockReturnValueOnce({
+        lean: async () => ({
+          _id: 'oid',
+          id: 'remix_1',
+          attribution: [],
+          audio: { url: 'https://store/remix_1.mp3' },
+          creator_ip: '10.0.0.1',
+        }),
+      });
+      await expect(service.getRemix('remix_1')).resolves.toEqual({
+        id: 'remix_1',
+        attribution: [],
+        attribution_required: false,
+        audio: { url: 'https://store/remix_1.mp3' },
+      });
+      expect(remixModel.findOne).toHaveBeenCalledWith({ id: 'remix_1' });
+
+      remixModel.findOne.mockReturnValueOnce({ lean: async () => null });
+      await expect(service.getRemix('remix_2')).rejects.toThrow('Remix not found');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { Readable } = require('stream');
+
+jest.mock('../../src/utils/logger', () => ({ warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/models/GoatScream', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/services/storage', () => ({
+  ...jest.requireActual('../../src/services/storage'),
+  findRenderedImage: jest.fn(),
+  uploadRenderedImage: jest.fn(),
+}));
+
+const GoatScream = require('../../src/models/GoatScream');
+const { findRenderedImage, uploadRenderedImage } = require('../../src/services/storage');
+const { MemoryJobQueue } = require('../../src/queue');
+const { NotFoundError } = require('../../src/errors');
+const {
+  RENDER_IMAGES_JOB,
+  PRERENDERED_IMAGES,
+  renderedImageHash,
+  prerenderImages,
+  enqueueImageRendering,
+  renderScreamImages,
+  createImageWorker,
+} = require('../../src/services/renderedImages');
+const { tone, encodeWav } = require('../helpers/wav');
+
+describe('rendered images', () => {
+  const wav = encodeWav([tone([880], 0.5)]);
+  const scream = {
+    id: 'test-1',
+    media: {
+      audio: { mp3: { medium: 'https://res.cloudinary.com/x/video/upload/v1/goat/test-1.mp3' } },
+    },
+  };
+  let mediaSource;
+  let uploaded;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mediaSource = {
+      stat: jest.fn().mockResolvedValue({ size: wav.length, etag: '"v1"' }),
+      read: jest.fn(() => Readable.from([wav])),
+    };
+    uploaded = [];
+    findRenderedImage.mockResolvedValue(null);
+    uploadRenderedImage.mockImplementation((file, id, name) => {
+      uploaded.push({ id, name, body: require('fs').readFileSync(file) });
+      return Promise.resolve({ publicId: `goat-screams/images/${id}/${name}`, url: 'u' });
+    });
+  });
+
+  describe('renderedImageHash', () => {
+    it('should change with the audio and with every rendering option', () => {
+      const rendering = PRERENDERED_IMAGES[0];
+      const hash = renderedImageHash({ etag: '"v1"' }, rendering);
+
+      expect(hash).toMatch(/^[0-9a-f]{32}$/);
+      expect(renderedImageHash({ etag: '"v1"' }, { ...rendering })).toBe(hash);
+      expect(renderedImageHash({ etag: '"v2"' }, rendering)).not.toBe(hash);
+      expect(renderedImageHash({ etag: '"v1"' }, { ...rendering, width: 601 })).not.toBe(hash);
+    });
+  });
+
+  describe('prerenderImages', () => {
+    it('should draw and store the default spectrogram and waveform', async () => {
+      const result = await prerenderImages(scream, { mediaSource });
+
+      const names = PRERENDERED_IMAGES.map(
+        rendering => `${rendering.type}-${renderedImageHash({ etag: '"v1"' }, rendering)}`
+      );
+      expect(result).toEqual({ rendered: names, stored: 0 });
+      expect(uploaded.map(({ id, name }) => ({ id, name }))).toEqual(
+        names.map(name => ({ id: 'test-1', name }))
+      );
+      // PNGs at the endpoint's default size
+      expect(uploaded[0].body.readUInt32BE(16)).toBe(600);
+      expect(uploaded[0].body.readUInt32BE(20)).toBe(200);
+      expect(mediaSource.read).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave stored renderings alone and skip decoding when none is missing', async () => {
+      findRenderedImage.mockResolvedValue({ publicId: 'p', url: 'u' });
+
+      await expect(prerenderImages(scream, { mediaSource })).resolves.toEqual({
+        rendered: [],
+        stored: 2,
+      });
+      expect(mediaSource.read).not.toHaveBeenCalled();
+      expect(uploadRenderedImage).not.toHaveBeenCalled();
+
+      const forced = await prerenderImages(scream, { mediaSource, force: true });
+      expect(forced.rendered).toHaveLength(2);
+    });
+
+    it('should throw NotFoundError when the audio is missing', async () => {
+      mediaSource.stat.mockResolvedValue(null);
+      await expect(prerenderImages(scream, { mediaSource })).rejects.toThrow(NotFoundError);
+      await expect(prerenderImages({ id: 'no-media' }, { mediaSource })).rejects.toThrow(
+        'Audio file not found'
+      );
+    });
+  });
+
+  describe('render job', () => {
+    const lean = value => ({ lean: () => Promise.resolve(value) });
+
+    it('should queue a job per approved scream and skip screams removed since', async () => {
+      const queue = new MemoryJobQueue();
+      await enqueueImageRendering('test-1', queue);
+
+      expect([...queue.jobs.values()]).toEqual([
+        expect.objectContaining({ type: RENDER_IMAGES_JOB, payload: { scream_id: 'test-1' } }),
+      ]);
+
+      GoatScream.findOne.mockReturnValue(lean(null));
+      await expect(renderScreamImages({ scream_id: 'test-1' })).resolves.toBeUndefined();
+      expect(GoatScream.findOne).toHaveBeenCalledWith(
+        { id: 'test-1' },
+        { _id: 0, id: 1, media: 1 }
+      );
+    });
+
+    it('should dead-letter jobs of screams without audio straight away', async () => {
+      const queue = new MemoryJobQueue();
+      const worker = createImageWorker(queue);
+      GoatScream.findOne.mockReturnValue(lean({ id: 'no-media' }));
+      await enqueueImageRendering('no-media', queue);
+
+      expect(await worker.runNext()).toMatchObject({ status: 'dead', attempts: 1 });
+    });
+  });
+});
@@ -9,11 +9,28 @@ jest.mock('../../src/utils/stats', () => ({
   recordAccess: jest.fn(() => Promise.resolve()),
 }));
 
+// Keep transcoding out of the service tests (covered in transcoder.spec.js)
+jest.mock('../../src/services/transcoder', () => ({
+  ...jest.requireActual('../../src/services/transcoder'),
+  getRendition: jest.fn(),
+}));
+
+// Rendered images are kept in storage; stub that part of it
+jest.mock('../../src/services/storage', () => ({
+  ...jest.requireActual('../../src/services/storage'),
+  findRenderedImage: jest.fn(),
+  uploadRenderedImage: jest.fn(),
+}));
+
 const ScreamsService = require('../../src/services/screamsService');
+const { getRendition } = require('../../src/services/transcoder');
+const { findRenderedImage, uploadRenderedImage } = require('../../src/services/storage');
 const { NotFoundError, ValidationError } = require('../../src/errors');
 const cache = require('../../src/services/cache');
 const dbConnection = require('../../src/db/connection');
 const statsUtils = require('../../src/utils/stats');
+const { encodeCursor } = require('../../src/utils/cursor');
+const { toPredicate } = require('../../src/utils/filterExpression');
 
 describe('ScreamsService', () => {
   let service;
@@ -29,6 +46,8 @@ describe('ScreamsService', () => {
       distinct: jest.fn(),
       aggregate: jest.fn(),
       updateOne: jest.fn(),
+      findWaveform: jest.fn(),
+      saveWaveform: jest.fn(),
     };
 
     // Create service with mocked repository
@@ -103,6 +122,123 @@ describe('ScreamsService', () => {
 
       expect(result.limit).toBe(5000);
     });
+
+    it('should return cursors in page mode', async () => {
+      mockRepository.find.mockResolvedValue([
+        { id: 'a', date_added: '2020-01-01' },
+        { id: 'b', date_added: '2020-01-02' },
+      ]);
+      mockRepository.count.mockResolvedValue(5);
+
+      const result = await service.getScreams({ page: '1', limit: '2' });
+
+      expect(result.prev_cursor).toBeNull();
+      expect(typeof result.next_cursor).toBe('string');
+    });
+
+    it('should page by keyset when a cursor is provided', async () => {
+      mockRepository.find.mockResolvedValue([{ id: 'a', date_added: '2020-01-01' }]);
+      mockRepository.count.mockResolvedValue(1);
+      const first = await service.getScreams({ page: '1', limit: '1' });
+      expect(first.next_cursor).toBeNull();
+
+      const cursor = encodeCursor({ id: 'a', date_added: '2020-01-01' }, { date_added: 1, id: 1 });
+      mockRepository.find.mockResolvedValue([
+        { id: 'b', date_added: '2020-01-02' },
+        { id: 'c', date_added: '2020-01-03' },
+      ]);
+      mockRepository.count.mockResolvedValue(3);
+
+      const result = await service.getScreams({ cursor, limit: '1' });
+
+      expect(result.page).toBeNull();
+      expect(result.items).toEqual([{ id: 'b', date_added: '2020-01-02' }]);
+      expect(result.next_cursor).toEqual(expect.any(String));
+      expect(result.prev_cursor).toEqual(expect.any(String));
+      expect(mockRepository.find).toHaveBeenLastCalledWith(expect.any(Object), {
+        sort: { date_added: 1, id: 1 },
+        after: { date_added: '2020-01-01', id: 'a' },
+        limit: 2,
+      });
+    });
+
+    it('should reverse the sort when paging backwards', async () => {
+      const cursor = encodeCursor(
+        { id: 'c', date_added: '2020-01-03' },
+        { date_added: 1, id: 1 },
+        'prev'
+      );
+      mockRepository.find.mockResolvedValue([
+        { id: 'b', date_added: '2020-01-02' },
+        { id: 'a', date_added: '2020-01-01' },
+      ]);
+      mockRepository.count.mockResolvedValue(3);
+
+      const result = await service.getScreams({ cursor, limit: '2' });
+
+      expect(result.items.map(s => s.id)).toEqual(['a', 'b']);
+      expect(result.prev_cursor).toBeNull();
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ sort: { date_added: -1, id: -1 } })
+      );
+    });
+
+    it('should reject an invalid cursor', async () => {
+      await expect(service.getScreams({ cursor: 'garbage' })).rejects.toThrow(ValidationError);
+    });
+
+    it('should pass a projection to the repository when fields are requested', async () => {
+      mockRepository.find.mockResolvedValue([
+        { id: 'a', date_added: '2020-01-01', audio: { intensity: 4 } },
+      ]);
+      mockRepository.count.mockResolvedValue(1);
+
+      const result = await service.getScreams({ fields: 'audio.intensity' });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({
+          projection: {
+            _id: 1,
+            id: 1,
+            'audio.intensity': 1,
+            date_added: 1,
+            'stats.last_accessed_date': 1,
+          },
+        })
+      );
+      expect(result.items).toEqual([{ id: 'a', audio: { intensity: 4 } }]);
+    });
+
+    it('should reject malformed fields', async () => {
+      await expect(service.getScreams({ fields: 'title,$where' })).rejects.toThrow(ValidationError);
+    });
+
+    it('should pass a parsed filter expression to find and count', async () => {
+      mockRepository.find.mockResolvedValue([]);
+      mockRepository.count.mockResolvedValue(0);
+
+      await service.getScreams({ filter: 'year >= 2020 and tags has "viral"' });
+
+      const expression = {
+        type: 'and',
+        children: [
+          { type: 'compare', field: 'year', op: 'gte', value: 2020 },
+          { type: 'compare', field: 'tags', op: 'has', value: 'viral' },
+        ],
+      };
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ expression })
+      );
+      expect(mockRepository.count).toHaveBeenCalledWith(expect.any(Object), { expression });
+    });
+
+    it('should reject an invalid filter expression before querying', async () => {
+      await expect(service.getScreams({ filter: 'year >=' })).rejects.toThrow(ValidationError);
+      expect(mockRepository.find).not.toHaveBeenCalled();
+    });
   });
 
   describe('getRandomScreams', () => {
@@ -141,6 +277,71 @@ describe('ScreamsService', () => {
       expect(Array.isArray(result)).toBe(true);
     });
 
+    it('should pass seed, weighting and exclusions to the repository', async () => {
+      mockRepository.findRandom.mockResolvedValue([{ id: '1' }]);
+
+      await service.getRandomScreams({
+        seed: 'demo',
+        weight_by: 'recency',
+        exclude: 'a, b,a',
+      });
+
+      expect(mockRepository.findRandom).toHaveBeenCalledWith(
+        { approved: true },
+        1,
+        expect.objectContaining({ seed: 'demo', weightBy: 'recency', exclude: ['a', 'b'] })
+      );
+    });
+
+    it('should seed weighted picks even without a seed', async () => {
+      mockRepository.findRandom.mockResolvedValue([{ id: '1' }]);
+
+      await service.getRandomScreams({ weight_by: 'intensity' });
+
+      expect(mockRepository.findRandom.mock.calls[0][2].seed).toEqual(expect.any(String));
+    });
+
+    it('should start over once every scream has been excluded', async () => {
+      mockRepository.findRandom.mockResolvedValueOnce([]).mockResolvedValueOnce([{ id: 'a' }]);
+
+      const result = await service.getRandomScreams({ exclude: 'a,b' });
+
+      expect(result).toEqual({ id: 'a' });
+      expect(mockRepository.findRandom.mock.calls[1][2].exclude).toEqual([]);
+    });
+
+    it('should reject unknown weightings', async () => {
+      await expect(service.getRandomScreams({ weight_by: 'volume' })).rejects.toThrow(
+        ValidationError
+      );
+    });
+
+    it('should page through a shuffle session and then start a new cycle', async () => {
+      mockRepository.count.mockResolvedValue(3);
+      mockRepository.findRandom.mockImplementation((filter, limit, options) =>
+        Promise.resolve(
+          ['a', 'b', 'c'].slice(options.skip, options.skip + limit).map(id => ({ id }))
+        )
+      );
+
+      const first = await service.getRandomScreams({ session: 'new', seed: 'demo', results: '2' });
+      expect(first).toMatchObject({ items: [{ id: 'a' }, { id: 'b' }], cycle: 0, remaining: 1 });
+      expect(mockRepository.findRandom.mock.calls[0][2]).toMatchObject({
+        seed: 'demo:0',
+        skip: 0,
+      });
+
+      const second = await service.getRandomScreams({ session: first.session, results: '2' });
+      expect(second).toMatchObject({ items: [{ id: 'c' }], cycle: 0, remaining: 0 });
+
+      const third = await service.getRandomScreams({ session: second.session, results: '2' });
+      expect(third).toMatchObject({ cycle: 1, remaining: 1 });
+      expect(mockRepository.findRandom.mock.calls[2][2]).toMatchObject({
+        seed: 'demo:1',
+        skip: 0,
+      });
+    });
+
     it('should throw NotFoundError when no screams available', async () => {
       mockRepository.findRandom.mockResolvedValue([]);
 
@@ -170,7 +371,38 @@ describe('ScreamsService', () => {
 
       await service.getRandomScreams({ results: '100' });
 
-      expect(mockRepository.findRandom).toHaveBeenCalledWith(expect.any(Object), 50);
+      expect(mockRepository.findRandom).toHaveBeenCalledWith(
+        expect.any(Object),
+        50,
+        expect.any(Object)
+      );
+    });
+
+    it('should project requested fields and trim internal ones', async () => {
+      mockRepository.findRandom.mockResolvedValue([
+        { _id: 'oid-1', id: '1', title: 'Loud', audio: { intensity: 9 } },
+        { _id: 'oid-2', id: '2', title: 'Quiet', audio: { intensity: 2 } },
+      ]);
+
+      const result = await service.getRandomScreams({
+        results: '2',
+        sort: 'intensity',
+        fields: 'title',
+      });
+
+      expect(mockRepository.findRandom).toHaveBeenCalledWith(expect.any(Object), 2, {
+        projection: {
+          _id: 1,
+          id: 1,
+          title: 1,
+          'audio.intensity': 1,
+          'stats.last_accessed_date': 1,
+        },
+      });
+      expect(result).toEqual([
+        { id: '1', title: 'Loud' },
+        { id: '2', title: 'Quiet' },
+      ]);
     });
   });
 
@@ -192,6 +424,65 @@ describe('ScreamsService', () => {
     });
   });
 
+  describe('getScreamDetail', () => {
+    const scream = {
+      id: 'ref',
+      title: 'Reference',
+      source: { title: 'Goat Movie' },
+      analysis: { primary_note: 'F4' },
+      audio: { intensity: 6 },
+    };
+
+    it('should return the scream with ranked related screams', async () => {
+      mockRepository.findById.mockResolvedValue(scream);
+      mockRepository.find.mockResolvedValue([
+        scream,
+        { id: 'b', source: { title: 'Other' }, analysis: {}, audio: { intensity: 7 } },
+        {
+          id: 'a',
+          source: { title: 'Goat Movie' },
+          analysis: { primary_note: 'f4' },
+          audio: { intensity: 6 },
+        },
+      ]);
+
+      const result = await service.getScreamDetail('ref');
+
+      expect(result.id).toBe('ref');
+      expect(result.related.map(r => r.id)).toEqual(['a', 'b']);
+      expect(result.related[0].reasons).toEqual(['same_source', 'same_note', 'similar_intensity']);
+      expect(result.related[1].reasons).toEqual(['similar_intensity']);
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true, 'source.title': 'Goat Movie' },
+        expect.objectContaining({ sort: { date_added: 1, id: 1 } })
+      );
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true, 'audio.intensity': { $gte: 5, $lte: 7 } },
+        expect.any(Object)
+      );
+      // The note lookup ignores case, as the same_note ranking does
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true, 'analysis.primary_note': { $regex: '^F4$', $options: 'i' } },
+        expect.any(Object)
+      );
+    });
+
+    it('should respect related_limit and skip lookups when it is 0', async () => {
+      mockRepository.findById.mockResolvedValue(scream);
+
+      const result = await service.getScreamDetail('ref', { related_limit: '0' });
+
+      expect(result.related).toEqual([]);
+      expect(mockRepository.find).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError when scream not found', async () => {
+      mockRepository.findById.mockResolvedValue(null);
+
+      await expect(service.getScreamDetail('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
   describe('getScreamByOrderedIndex', () => {
     beforeEach(() => {
       // Mock getDbStatus to return connected for these tests (override the default disconnected mock)
@@ -208,7 +499,7 @@ describe('ScreamsService', () => {
       expect(mockRepository.find).toHaveBeenCalledWith(
         { approved: true },
         expect.objectContaining({
-          sort: { date_added: 1 },
+          sort: { date_added: 1, id: 1 },
           skip: 5,
           limit: 1,
         })
@@ -226,7 +517,7 @@ describe('ScreamsService', () => {
       expect(mockRepository.find).toHaveBeenCalledWith(
         { approved: true },
         expect.objectContaining({
-          sort: { date_added: 1 },
+          sort: { date_added: 1, id: 1 },
           skip: 5,
           limit: 3,
         })
@@ -247,6 +538,164 @@ describe('ScreamsService', () => {
     });
   });
 
+  describe('getDailyScream', () => {
+    let catalog;
+    let cycles;
+
+    // Add screams one per day from 2024-01-01, or all at `addedAt`
+    const addScreams = (count, addedAt) => {
+      const from = catalog.length;
+      for (let i = from; i < from + count; i += 1) {
+        catalog.push({
+          id: `s${String(i).padStart(2, '0')}`,
+          approved: true,
+          date_added: addedAt || new Date(Date.UTC(2024, 0, 1 + i, 12)),
+        });
+      }
+    };
+    const dailyIds = async (from, days) => {
+      const ids = [];
+      for (let i = 0; i < days; i += 1) {
+        const date = new Date(Date.parse(from) + i * 86400000).toISOString().slice(0, 10);
+        ids.push((await service.getDailyScream({ date })).scream.id);
+      }
+      return ids;
+    };
+
+    beforeEach(() => {
+      dbConnection.getDbStatus.mockReturnValue({ connected: true });
+      catalog = [];
+      cycles = [];
+
+      // Evaluate queries against `catalog` the way the repositories do
+      const select = (filter, expression) =>
+        catalog
+          .filter(s => s.approved)
+          .filter(expression ? toPredicate(expression) : () => true)
+          .sort((a, b) => a.date_added - b.date_added || (a.id < b.id ? -1 : 1));
+      mockRepository.find.mockImplementation(async (filter, { expression, skip = 0, limit }) =>
+        select(filter, expression).slice(skip, limit === undefined ? undefined : skip + limit)
+      );
+      mockRepository.count.mockImplementation(
+        async (filter, { expression }) => select(filter, expression).length
+      );
+      mockRepository.findDailyCycles = jest.fn(async () => cycles.map(cycle => ({ ...cycle })));
+      mockRepository.saveDailyCycle = jest.fn(async cycle => {
+        if (!cycles.some(existing => existing.cycle === cycle.cycle)) cycles.push(cycle);
+        return cycles.find(existing => existing.cycle === cycle.cycle);
+      });
+    });
+
+    it('should start the rotation on the first day to begin after the earliest scream', async () => {
+      addScreams(5);
+
+      // Added at noon UTC on 2024-01-01, after 2024-01-02 began at UTC+14
+      const result = await service.getDailyScream({ date: '2024-01-03' });
+
+      expect(result).toMatchObject({
+        date: '2024-01-03',
+        tz: 'UTC',
+        cycle_start: '2024-01-03',
+        cycle_length: 1,
+        next_change_at: null,
+        scream: { id: 's00' },
+      });
+      expect(cycles).toEqual([{ cycle: 0, start_day: 19725, size: 1 }]);
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true },
+        expect.objectContaining({ sort: { date_added: 1, id: 1 }, limit: 1 })
+      );
+      await expect(service.getDailyScream({ date: '2024-01-02' })).rejects.toThrow(NotFoundError);
+    });
+
+    it('should visit every scream of a cycle once before repeating', async () => {
+      addScreams(7);
+      const last = await service.getDailyScream({ date: '2024-02-01' });
+      expect(last.cycle_length).toBe(7);
+
+      const ids = await dailyIds(last.cycle_start, 7);
+      expect(new Set(ids).size).toBe(7);
+    });
+
+    it('should keep past days and the current cycle as the catalog grows', async () => {
+      addScreams(7);
+      const before = await dailyIds('2024-01-20', 20);
+      const current = await service.getDailyScream({ date: '2024-02-08' });
+
+      // Screams added during a cycle wait for the next one
+      addScreams(3, new Date('2024-02-08T12:00:00Z'));
+
+      expect(await dailyIds('2024-01-20', 20)).toEqual(before);
+      const after = await service.getDailyScream({ date: '2024-02-08' });
+      expect(after).toMatchObject({
+        cycle_start: current.cycle_start,
+        cycle_length: current.cycle_length,
+        scream: current.scream,
+      });
+
+      const next = await service.getDailyScream({
+        date: new Date(Date.parse(current.cycle_start) + 7 * 86400000).toISOString().slice(0, 10),
+      });
+      expect(next.cycle_start).toBe(next.date);
+      expect(next.cycle_length).toBe(10);
+    });
+
+    it('should count screams without date_added in every cycle', async () => {
+      addScreams(2);
+      catalog.push({ id: 'undated', approved: true });
+      const select = mockRepository.find.getMockImplementation();
+      // Missing dates sort first, as in MongoDB
+      mockRepository.find.mockImplementation(async (filter, options) => {
+        const rows = await select(filter, options);
+        return options.skip === undefined && !options.expression
+          ? [{ id: 'undated' }, ...rows.filter(s => s.id !== 'undated')].slice(0, options.limit)
+          : rows;
+      });
+
+      const result = await service.getDailyScream({ date: '2024-01-01' });
+
+      expect(result).toMatchObject({ cycle_start: '2024-01-01', cycle_length: 1 });
+      expect(mockRepository.count).toHaveBeenCalledWith(
+        { approved: true },
+        {
+          expression: {
+            type: 'or',
+            children: [
+              {
+                type: 'compare',
+                field: 'date_added',
+                op: 'lt',
+                value: new Date('1969-12-31T10:00:00Z'),
+              },
+              { type: 'compare', field: 'date_added', op: 'eq', value: null },
+            ],
+          },
+        }
+      );
+    });
+
+    it("should report when today's scream changes", async () => {
+      addScreams(3);
+      const result = await service.getDailyScream({ tz: 'Asia/Tokyo' });
+
+      expect(result.tz).toBe('Asia/Tokyo');
+      expect(new Date(result.next_change_at).getTime()).toBeGreaterThan(Date.now());
+      expect(new Date(result.next_change_at).getTime()).toBeLessThanOrEqual(
+        Date.now() + 25 * 60 * 60 * 1000
+      );
+    });
+
+    it('should reject future dates and invalid time zones', async () => {
+      await expect(service.getDailyScream({ date: '2999-01-01' })).rejects.toThrow(ValidationError);
+      await expect(service.getDailyScream({ tz: 'Nowhere/Land' })).rejects.toThrow(ValidationError);
+    });
+
+    it('should throw NotFoundError when there are no screams', async () => {
+      await expect(service.getDailyScream()).rejects.toThrow(NotFoundError);
+      expect(mockRepository.saveDailyCycle).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getIntenseScreams', () => {
     it('should return cached result if available', async () => {
       const cachedResult = [{ id: '1', intensity: 10 }];
@@ -275,6 +724,31 @@ describe('ScreamsService', () => {
       expect(cache.set).toHaveBeenCalled();
     });
 
+    it('should record access with the internal fields and leave them out of the result', async () => {
+      dbConnection.getDbStatus.mockReturnValue({ connected: true });
+      const fetched = [
+        {
+          _id: 'oid-1',
+          id: '1',
+          title: 'Loud',
+          stats: { last_accessed_date: '2026-10-18' },
+        },
+      ];
+      mockRepository.find.mockResolvedValue(fetched);
+
+      const result = await service.getIntenseScreams(1, { fields: 'title' });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({
+          projection: { _id: 1, id: 1, title: 1, 'stats.last_accessed_date': 1 },
+        })
+      );
+      expect(statsUtils.recordAccess).toHaveBeenCalledWith(fetched);
+      expect(result).toEqual([{ id: '1', title: 'Loud' }]);
+      expect(cache.set).toHaveBeenCalledWith(expect.any(String), result, 60);
+    });
+
     it('should use default limit of 10', async () => {
       mockRepository.find.mockResolvedValue([]);
 
@@ -287,6 +761,100 @@ describe('ScreamsService', () => {
     });
   });
 
+  describe('getScale / getChord', () => {
+    const candidates = [
+      { id: 'c', analysis: { primary_note: 'C4' } },
+      { id: 'd-2', analysis: { primary_note: 'D4' } },
+      { id: 'd-1', analysis: { primary_note: 'D4' } },
+      { id: 'bb', analysis: { primary_note: 'Bb4' } },
+      { id: 'junk', analysis: { primary_note: 'unknown' } },
+    ];
+
+    beforeEach(() => {
+      mockRepository.find.mockImplementation((filter, options) =>
+        Promise.resolve(
+          options.expression.field === 'id'
+            ? options.expression.value.map(id => ({ id, title: `Scream ${id}` }))
+            : candidates
+        )
+      );
+    });
+
+    it('should pick the closest scream per scale degree', async () => {
+      const result = await service.getScale({ root: 'C4', mode: 'major_pentatonic' });
+
+      expect(result).toMatchObject({ root: 'C4', mode: 'major_pentatonic', octaves: 1 });
+      expect(result.notes.map(n => [n.degree, n.note, n.matched_note, n.offset])).toEqual([
+        [1, 'C4', 'C4', 0],
+        [2, 'D4', 'D4', 0],
+        [3, 'E4', 'D4', -2],
+        [4, 'G4', 'Bb4', 3],
+        [5, 'A4', 'Bb4', 1],
+        [6, 'C5', 'Bb4', -2],
+      ]);
+      expect(result.notes[0].scream).toEqual({ id: 'c', title: 'Scream c' });
+    });
+
+    it('should break ties by unused screams, then lowest id', async () => {
+      const result = await service.getScale({ root: 'C4', mode: 'major_pentatonic' });
+
+      // D4 and E4 both land on a D4 scream: d-1 (lowest id) first, then the unused d-2
+      expect(result.notes[1].scream.id).toBe('d-1');
+      expect(result.notes[2].scream.id).toBe('d-2');
+    });
+
+    it('should query approved screams with a primary note through the repository', async () => {
+      await service.getChord({ notes: 'C4,E4,G4' });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true },
+        expect.objectContaining({
+          expression: { type: 'compare', field: 'analysis.primary_note', op: 'ne', value: null },
+        })
+      );
+    });
+
+    it('should build chords from enharmonic notes', async () => {
+      const result = await service.getChord({ notes: 'C4, A#4' });
+
+      expect(result.notes.map(n => [n.note, n.scream.id])).toEqual([
+        ['C4', 'c'],
+        ['A#4', 'bb'],
+      ]);
+    });
+
+    it('should return null matches when no scream has a primary note', async () => {
+      mockRepository.find.mockResolvedValue([]);
+
+      const result = await service.getChord({ notes: 'C4' });
+
+      expect(result.notes).toEqual([
+        { note: 'C4', matched_note: null, offset: null, scream: null },
+      ]);
+    });
+
+    it('should validate root, mode, octaves and notes', async () => {
+      await expect(service.getScale({})).rejects.toThrow(ValidationError);
+      await expect(service.getScale({ root: 'C' })).rejects.toThrow(/with an octave/);
+      await expect(service.getScale({ root: 'C4', mode: 'ionian' })).rejects.toThrow(
+        /Unknown mode/
+      );
+      await expect(service.getScale({ root: 'C4', octaves: '5' })).rejects.toThrow(ValidationError);
+      await expect(service.getChord({})).rejects.toThrow(ValidationError);
+      await expect(service.getChord({ notes: 'C4,Q4' })).rejects.toThrow(ValidationError);
+    });
+
+    it('should return cached results', async () => {
+      const cached = [{ note: 'C4', matched_note: 'C4', offset: 0, scream: { id: 'c' } }];
+      cache.get.mockResolvedValue(cached);
+
+      const result = await service.getChord({ notes: 'C4' });
+
+      expect(result.notes).toBe(cached);
+      expect(mockRepository.find).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getBreeds', () => {
     it('should return unique breeds', async () => {
       const mockBreeds = ['Alpine', 'Nubian', 'Saanen'];
@@ -325,6 +893,113 @@ describe('ScreamsService', () => {
     });
   });
 
+  describe('getStream', () => {
+    const { Readable } = require('stream');
+    const lastModified = new Date('2024-01-01T00:00:00Z');
+    let mediaSource;
+
+    beforeEach(() => {
+      mediaSource = {
+        stat: jest.fn().mockResolvedValue({ size: 100, etag: '"v1"', lastModified }),
+        read: jest.fn(() => Readable.from([Buffer.alloc(1)])),
+      };
+      service = new ScreamsService(mockRepository, mediaSource);
+      mockRepository.findById.mockResolvedValue({
+        id: 'test-1',
+        media: {
+          audio: {
+            mp3: { medium: 'https://res.cloudinary.com/x/video/upload/v1/goat/test-1.mp3' },
+          },
+        },
+      });
+      mockRepository.updateOne.mockResolvedValue({ acknowledged: true });
+    });
+
+    it('should stream the whole file without a Range header', async () => {
+      const result = await service.getStream('test-1');
+
+      expect(result.status).toBe(200);
+      expect(result.headers).toMatchObject({
+        'Accept-Ranges': 'bytes',
+        'Content-Type': 'audio/mpeg',
+        'Content-Length': '100',
+        ETag: '"v1"',
+        'Last-Modified': lastModified.toUTCString(),
+      });
+      expect(mediaSource.stat).toHaveBeenCalledWith({
+        url: 'https://res.cloudinary.com/x/video/upload/v1/goat/test-1.mp3',
+        key: 'goat/test-1.mp3',
+      });
+      expect(mediaSource.read).toHaveBeenCalledWith(expect.any(Object), { start: 0, end: 99 });
+    });
+
+    it('should serve partial content for a Range header', async () => {
+      const result = await service.getStream('test-1', { headers: { range: 'bytes=10-19' } });
+
+      expect(result.status).toBe(206);
+      expect(result.headers['Content-Range']).toBe('bytes 10-19/100');
+      expect(result.headers['Content-Length']).toBe('10');
+      expect(mediaSource.read).toHaveBeenCalledWith(expect.any(Object), { start: 10, end: 19 });
+    });
+
+    it('should answer unsatisfiable ranges with 416', async () => {
+      const result = await service.getStream('test-1', { headers: { range: 'bytes=500-' } });
+
+      expect(result.status).toBe(416);
+      expect(result.headers['Content-Range']).toBe('bytes */100');
+      expect(result.body).toBeNull();
+    });
+
+    it('should answer matching conditional requests with 304', async () => {
+      const result = await service.getStream('test-1', { headers: { 'if-none-match': '"v1"' } });
+
+      expect(result.status).toBe(304);
+      expect(mediaSource.read).not.toHaveBeenCalled();
+    });
+
+    it('should ignore the range when If-Range does not match', async () => {
+      const result = await service.getStream('test-1', {
+        headers: { range: 'bytes=10-19', 'if-range': '"v0"' },
+      });
+
+      expect(result.status).toBe(200);
+    });
+
+    it('should not open the media for HEAD requests', async () => {
+      const result = await service.getStream('test-1', { head: true });
+
+      expect(result.status).toBe(200);
+      expect(result.body).toBeNull();
+      expect(mediaSource.read).not.toHaveBeenCalled();
+    });
+
+    it('should count a play only when playback starts', async () => {
+      dbConnection.getDbStatus.mockReturnValue({ connected: true });
+
+      await service.getStream('test-1', { headers: { range: 'bytes=50-' } });
+      expect(mockRepository.updateOne).not.toHaveBeenCalled();
+
+      await service.getStream('test-1', { headers: { range: 'bytes=0-' } });
+      expect(mockRepository.updateOne).toHaveBeenCalledWith(
+        { id: 'test-1' },
+        expect.objectContaining({ $inc: { 'stats.plays': 1 } })
+      );
+      expect(statsUtils.recordAccess).toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError when the media is missing', async () => {
+      mediaSource.stat.mockResolvedValue(null);
+
+      await expect(service.getStream('test-1')).rejects.toThrow(NotFoundError);
+    });
+
+    it('should throw ValidationError for an unsupported quality', async () => {
+      await expect(service.getStream('test-1', { quality: 'ultra' })).rejects.toThrow(
+        ValidationError
+      );
+    });
+  });
+
   describe('getDownloadUrl', () => {
     it('should return download URL for valid format and quality', async () => {
       const mockScream = {
@@ -380,6 +1055,106 @@ describe('ScreamsService', () => {
       );
     });
 
+    describe('transcoding', () => {
+      // Promoted screams share one URL across all mp3 tiers
+      const promoted = {
+        id: 'test-1',
+        media: {
+          audio: {
+            mp3: {
+              high: 'https://example.com/test-1.mp3',
+              medium: 'https://example.com/test-1.mp3',
+              low: 'https://example.com/test-1.mp3',
+            },
+          },
+        },
+      };
+
+      beforeEach(() => {
+        mockRepository.findById.mockResolvedValue(promoted);
+        getRendition.mockResolvedValue({
+          url: 'https://example.com/rendition',
+          cached: false,
+          duration: 1.25,
+        });
+      });
+
+      it('should hand out the stored file for the highest tier of a shared URL', async () => {
+        const result = await service.getDownloadUrl('test-1', 'mp3', 'high');
+
+        expect(result).toMatchObject({
+          download_url: 'https://example.com/test-1.mp3',
+          transcoded: false,
+        });
+        expect(getRendition).not.toHaveBeenCalled();
+      });
+
+      it('should transcode formats and tiers that are not stored', async () => {
+        const wav = await service.getDownloadUrl('test-1', 'wav', 'medium');
+        expect(wav).toEqual({
+          download_url: 'https://example.com/rendition',
+          format: 'wav',
+          quality: 'medium',
+          filename: 'goat_scream_test-1.wav',
+          transcoded: true,
+          cached: false,
+          duration: 1.25,
+        });
+        expect(getRendition).toHaveBeenCalledWith(
+          promoted,
+          { format: 'wav', quality: 'medium', edits: {} },
+          expect.any(Object)
+        );
+
+        await service.getDownloadUrl('test-1', 'mp3', 'low');
+        expect(getRendition).toHaveBeenLastCalledWith(
+          promoted,
+          { format: 'mp3', quality: 'low', edits: {} },
+          expect.any(Object)
+        );
+      });
+
+      it('should transcode stored variants when edits are requested', async () => {
+        await service.getDownloadUrl('test-1', 'mp3', 'high', {
+          start: '0.5',
+          end: 2,
+          fade_in: 0,
+          fade_out: '0.2',
+          normalize: 'true',
+        });
+
+        expect(getRendition).toHaveBeenCalledWith(
+          promoted,
+          {
+            format: 'mp3',
+            quality: 'high',
+            edits: { start: 0.5, end: 2, fadeOut: 0.2, normalize: true },
+          },
+          expect.any(Object)
+        );
+      });
+
+      it('should validate edits before loading the scream', async () => {
+        await expect(
+          service.getDownloadUrl('test-1', 'mp3', 'high', { start: -1 })
+        ).rejects.toThrow('start must be a non-negative number of seconds');
+        await expect(
+          service.getDownloadUrl('test-1', 'mp3', 'high', { start: 2, end: 1 })
+        ).rejects.toThrow('end must be after start');
+        await expect(
+          service.getDownloadUrl('test-1', 'mp3', 'high', { fade_in: 'soon' })
+        ).rejects.toThrow(ValidationError);
+        expect(mockRepository.findById).not.toHaveBeenCalled();
+      });
+
+      it('should reject formats it can neither serve nor encode', async () => {
+        await expect(service.getDownloadUrl('test-1', 'flac', 'high')).rejects.toMatchObject({
+          message: 'Unsupported audio format',
+          details: expect.objectContaining({ supported_formats: ['mp3', 'ogg', 'wav'] }),
+        });
+      });
+    });
+
     it('should update download stats when connected to MongoDB', async () => {
       // Override the default disconnected mock to return connected
       dbConnection.getDbStatus.mockReturnValue({ connected: true });
@@ -405,4 +1180,264 @@ describe('ScreamsService', () => {
       );
     });
   });
+
+  describe('getWaveform', () => {
+    const waveform = {
+      scream_id: 'test-1',
+      duration: 1.5,
+      resolutions: [
+        { points: 10, peaks: [0.1, 0.2, 1, 0.4, 0.3, 0.2, 0.6, 0.5, 0.1, 0] },
+        { points: 20, peaks: new Array(20).fill(0.5) },
+      ],
+    };
+
+    beforeEach(() => {
+      mockRepository.findById.mockResolvedValue({ id: 'test-1', audio: { duration: 1.4 } });
+      mockRepository.findWaveform.mockResolvedValue(waveform);
+    });
+
+    it('should return stored peaks as JSON', async () => {
+      const result = await service.getWaveform('test-1', { points: '10' });
+
+      expect(mockRepository.findWaveform).toHaveBeenCalledWith('test-1');
+      expect(result).toEqual({
+        format: 'json',
+        data: { id: 'test-1', points: 10, duration: 1.5, peaks: waveform.resolutions[0].peaks },
+      });
+    });
+
+    it('should pool peaks down to the requested resolution', async () => {
+      const { data } = await service.getWaveform('test-1', { points: '15' });
+      expect(data.peaks).toHaveLength(15);
+      expect(data.peaks.every(peak => peak === 0.5)).toBe(true);
+    });
+
+    it('should render SVG', async () => {
+      const result = await service.getWaveform('test-1', { points: '10', format: 'svg' });
+      expect(result.format).toBe('svg');
+      expect(result.data).toMatch(/^<svg .*viewBox="0 0 10 100"/);
+    });
+
+    it('should validate points and format', async () => {
+      await expect(service.getWaveform('test-1', { points: '5' })).rejects.toThrow(
+        'points must be between 10 and 1000'
+      );
+      await expect(service.getWaveform('test-1', { points: '1001' })).rejects.toThrow(
+        ValidationError
+      );
+      await expect(service.getWaveform('test-1', { format: 'png' })).rejects.toThrow(
+        'Unsupported waveform format'
+      );
+    });
+
+    it('should throw NotFoundError without a fine enough waveform', async () => {
+      await expect(service.getWaveform('test-1', { points: '200' })).rejects.toThrow(
+        'Waveform not available for this scream'
+      );
+      mockRepository.findWaveform.mockResolvedValue(null);
+      await expect(service.getWaveform('test-1', { points: '10' })).rejects.toThrow(NotFoundError);
+    });
+
+    it('should throw NotFoundError for unknown screams', async () => {
+      mockRepository.findById.mockResolvedValue(null);
+      await expect(service.getWaveform('missing')).rejects.toThrow('Scream not found');
+      expect(mockRepository.findWaveform).not.toHaveBeenCalled();
+    });
+
+    describe('without a stored waveform', () => {
+      const { Readable } = require('stream');
+      const { tone, encodeWav } = require('../helpers/wav');
+      const wav = encodeWav([tone([440], 0.5)]);
+      let mediaSource;
+
+      beforeEach(() => {
+        mediaSource = {
+          stat: jest.fn().mockResolvedValue({ size: wav.length, etag: '"v1"' }),
+          read: jest.fn(() => Readable.from([wav])),
+        };
+        service = new ScreamsService(mockRepository, mediaSource);
+        mockRepository.findWaveform.mockResolvedValue(null);
+        mockRepository.saveWaveform.mockResolvedValue({});
+        mockRepository.findById.mockResolvedValue({
+          id: 'test-1',
+          media: {
+            audio: {
+              mp3: { medium: 'https://res.cloudinary.com/x/video/upload/v1/goat/test-1.mp3' },
+            },
+          },
+        });
+      });
+
+      it('should compute peaks from the audio and store them', async () => {
+        const { data } = await service.getWaveform('test-1', { points: '50' });
+
+        expect(data).toMatchObject({ id: 'test-1', points: 50, duration: 0.5 });
+        expect(data.peaks).toHaveLength(50);
+        expect(Math.max(...data.peaks)).toBe(1);
+        expect(mediaSource.stat).toHaveBeenCalledWith({
+          url: 'https://res.cloudinary.com/x/video/upload/v1/goat/test-1.mp3',
+          key: 'goat/test-1.mp3',
+        });
+        expect(mockRepository.saveWaveform).toHaveBeenCalledWith('test-1', {
+          duration: 0.5,
+          resolutions: [
+            expect.objectContaining({ points: 50 }),
+            expect.objectContaining({ points: 200 }),
+            expect.objectContaining({ points: 1000 }),
+          ],
+        });
+      });
+
+      it('should serve the computed peaks when they cannot be stored', async () => {
+        mockRepository.saveWaveform.mockRejectedValue(new Error('read-only'));
+        const { data } = await service.getWaveform('test-1', { points: '10' });
+        expect(data.peaks).toHaveLength(10);
+      });
+
+      it('should throw NotFoundError when the audio is missing', async () => {
+        mediaSource.stat.mockResolvedValue(null);
+        await expect(service.getWaveform('test-1')).rejects.toThrow(
+          'Waveform not available for this scream'
+        );
+        expect(mockRepository.saveWaveform).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('getImage', () => {
+    const path = require('path');
+    const { Readable } = require('stream');
+    const { ExternalServiceError } = require('../../src/errors');
+    const { tone, encodeWav } = require('../helpers/wav');
+    const wav = encodeWav([tone([880], 0.5)]);
+    const lastModified = new Date('2024-01-01T00:00:00Z');
+    let mediaSource;
+
+    beforeEach(() => {
+      mediaSource = {
+        stat: jest.fn().mockResolvedValue({ size: wav.length, etag: '"v1"', lastModified }),
+        read: jest.fn(() => Readable.from([wav])),
+      };
+      service = new ScreamsService(mockRepository, mediaSource);
+      findRenderedImage.mockReset().mockResolvedValue(null);
+      uploadRenderedImage.mockReset().mockResolvedValue({});
+      mockRepository.findById.mockResolvedValue({
+        id: 'test-1',
+        media: {
+          audio: {
+            mp3: { high: 'https://res.cloudinary.com/x/video/upload/v1/goat/test-1.mp3' },
+          },
+        },
+      });
+    });
+
+    it('should render a spectrogram PNG by default', async () => {
+      const result = await service.getImage('test-1');
+
+      expect(result.status).toBe(200);
+      expect(result.headers).toMatchObject({
+        'Content-Type': 'image/png',
+        'Cache-Control': expect.stringContaining('max-age=604800'),
+        'Last-Modified': lastModified.toUTCString(),
+      });
+      expect(result.headers.ETag).toMatch(/^"[0-9a-f]{32}"$/);
+      expect(result.body.readUInt32BE(16)).toBe(600);
+      expect(result.body.readUInt32BE(20)).toBe(200);
+      expect(mediaSource.stat).toHaveBeenCalledWith({
+        url: 'https://res.cloudinary.com/x/video/upload/v1/goat/test-1.mp3',
+        key: 'goat/test-1.mp3',
+      });
+    });
+
+    it('should render the requested type, format and size', async () => {
+      const result = await service.getImage('test-1', {
+        type: 'waveform',
+        format: 'svg',
+        w: '300',
+        h: '50',
+      });
+
+      expect(result.headers['Content-Type']).toBe('image/svg+xml');
+      expect(result.body.toString()).toContain('width="300" height="50"');
+    });
+
+    it('should give each rendering its own ETag', async () => {
+      const spectrogram = await service.getImage('test-1', { w: '100' });
+      const waveform = await service.getImage('test-1', { w: '100', type: 'waveform' });
+      const again = await service.getImage('test-1', { w: '100' });
+
+      expect(spectrogram.headers.ETag).not.toBe(waveform.headers.ETag);
+      expect(again.headers.ETag).toBe(spectrogram.headers.ETag);
+    });
+
+    it('should answer conditional requests without decoding the audio', async () => {
+      const { headers } = await service.getImage('test-1');
+      mediaSource.read.mockClear();
+
+      const result = await service.getImage(
+        'test-1',
+        {},
+        { headers: { 'if-none-match': headers.ETag } }
+      );
+
+      expect(result.status).toBe(304);
+      expect(result.body).toBeNull();
+      expect(mediaSource.read).not.toHaveBeenCalled();
+    });
+
+    it('should store each rendering and serve it from storage afterwards', async () => {
+      const first = await service.getImage('test-1', { format: 'svg', w: '100' });
+      const name = `spectrogram-${first.headers.ETag.slice(1, -1)}`;
+      const [file, id, stored] = uploadRenderedImage.mock.calls[0];
+      expect([path.basename(file), id, stored]).toEqual([`${name}.svg`, 'test-1', name]);
+
+      const url = 'https://res.cloudinary.com/x/image/upload/v1/goat-screams/images/test-1/x.svg';
+      findRenderedImage.mockResolvedValue({ url });
+      mediaSource.read.mockClear().mockImplementation(() => Readable.from([first.body]));
+      const again = await service.getImage('test-1', { format: 'svg', w: '100' });
+
+      expect(findRenderedImage).toHaveBeenLastCalledWith('test-1', name);
+      expect(again.body).toEqual(first.body);
+      expect(mediaSource.read).toHaveBeenCalledTimes(1);
+      expect(mediaSource.read).toHaveBeenCalledWith(
+        { url, key: 'goat-screams/images/test-1/x.svg' },
+        expect.any(Object)
+      );
+      expect(uploadRenderedImage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should still serve the image when storing it fails', async () => {
+      uploadRenderedImage.mockRejectedValue(new Error('storage down'));
+      const result = await service.getImage('test-1');
+      expect(result.status).toBe(200);
+      expect(result.body.length).toBeGreaterThan(0);
+    });
+
+    it('should validate type, format and size', async () => {
+      await expect(service.getImage('test-1', { type: 'sonogram' })).rejects.toThrow(
+        'Unsupported image type. Allowed: spectrogram, waveform'
+      );
+      await expect(service.getImage('test-1', { format: 'jpg' })).rejects.toThrow(
+        'Unsupported image format. Allowed: png, svg'
+      );
+      await expect(service.getImage('test-1', { w: '8' })).rejects.toThrow(
+        'w must be between 16 and 2000'
+      );
+      await expect(service.getImage('test-1', { h: '1001' })).rejects.toThrow(ValidationError);
+      expect(mediaSource.stat).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError when the audio is missing', async () => {
+      mediaSource.stat.mockResolvedValue(null);
+      await expect(service.getImage('test-1')).rejects.toThrow(NotFoundError);
+
+      mockRepository.findById.mockResolvedValue({ id: 'test-1', media: {} });
+      await expect(service.getImage('test-1')).rejects.toThrow('Audio file not found');
+    });
+
+    it('should throw ExternalServiceError when the stored audio cannot be decoded', async () => {
+      mediaSource.read.mockImplementation(() => Readable.from([Buffer.from('not audio')]));
+      await expect(service.getImage('test-1')).rejects.toThrow(ExternalServiceError);
+    });
+  });
 });
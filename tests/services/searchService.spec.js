@@ -14,6 +14,7 @@ const { ValidationError } = require('../../src/errors');
 const dbConnection = require('../../src/db/connection');
 const staticScreams = require('../../src/utils/staticScreams');
 const statsUtils = require('../../src/utils/stats');
+const { matchesExpr } = require('../helpers/aggregation');
 
 describe('SearchService', () => {
   let service;
@@ -41,17 +42,65 @@ describe('SearchService', () => {
 
   describe('searchScreams (MongoDB mode)', () => {
     it('should search with text query', async () => {
-      const mockResults = [{ id: '1', title: 'Test Scream' }];
+      const mockResults = [{ id: '1', title: 'Test Scream', score: 1.23456 }];
       mockRepository.find.mockResolvedValue(mockResults);
       mockRepository.count.mockResolvedValue(1);
 
       const result = await service.searchScreams({ q: 'test' });
 
-      expect(result).toHaveProperty('items', mockResults);
+      expect(result).toHaveProperty('items', [
+        { id: '1', title: 'Test Scream', score: 1.2346, matched_fields: ['title'] },
+      ]);
       expect(result).toHaveProperty('total', 1);
       expect(mockRepository.find).toHaveBeenCalled();
     });
 
+    it('should run text queries through the text index and sort by score', async () => {
+      mockRepository.find.mockResolvedValue([]);
+      mockRepository.count.mockResolvedValue(0);
+
+      await service.searchScreams({ q: 'Loud, goat!' });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true },
+        expect.objectContaining({
+          text: 'loud goat',
+          sort: { score: -1, remix_count: -1, id: 1 },
+        })
+      );
+      expect(mockRepository.count).toHaveBeenCalledWith({ approved: true }, { text: 'loud goat' });
+    });
+
+    it('should expand text queries with prefix and typo matches from the corpus', async () => {
+      mockRepository.find.mockResolvedValue([
+        { id: '1', title: 'Screaming goat', goat: { breed: 'Nubian' } },
+      ]);
+      mockRepository.count.mockResolvedValue(1);
+
+      await service.searchScreams({ q: 'scremaing nubi' });
+      await service.searchScreams({ q: 'goat' });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true },
+        expect.objectContaining({ text: 'scremaing nubi screaming nubian' })
+      );
+      // The vocabulary corpus is fetched once and reused
+      const corpusCalls = mockRepository.find.mock.calls.filter(([, options]) => !options.text);
+      expect(corpusCalls).toHaveLength(1);
+    });
+
+    it('should keep an explicit sort_by when a text query is present', async () => {
+      mockRepository.find.mockResolvedValue([]);
+      mockRepository.count.mockResolvedValue(0);
+
+      await service.searchScreams({ q: 'goat', sort_by: 'year' });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ text: 'goat', sort: { year: -1, id: 1 } })
+      );
+    });
+
     it('should handle intensity range', async () => {
       mockRepository.find.mockResolvedValue([]);
       mockRepository.count.mockResolvedValue(0);
@@ -201,7 +250,7 @@ describe('SearchService', () => {
       expect(mockRepository.find).toHaveBeenCalledWith(
         expect.any(Object),
         expect.objectContaining({
-          sort: { 'audio.intensity': -1 },
+          sort: { 'audio.intensity': -1, id: 1 },
         })
       );
     });
@@ -215,7 +264,7 @@ describe('SearchService', () => {
       expect(mockRepository.find).toHaveBeenCalledWith(
         expect.any(Object),
         expect.objectContaining({
-          sort: { year: -1 },
+          sort: { year: -1, id: 1 },
         })
       );
     });
@@ -229,7 +278,7 @@ describe('SearchService', () => {
       expect(mockRepository.find).toHaveBeenCalledWith(
         expect.any(Object),
         expect.objectContaining({
-          sort: { 'audio.duration': -1 },
+          sort: { 'audio.duration': -1, id: 1 },
         })
       );
     });
@@ -243,11 +292,89 @@ describe('SearchService', () => {
       expect(mockRepository.find).toHaveBeenCalledWith(
         expect.any(Object),
         expect.objectContaining({
-          sort: { remix_count: -1, date_added: -1 },
+          sort: { remix_count: -1, date_added: -1, id: 1 },
         })
       );
     });
 
+    it('should filter by source_type, meme_status and category', async () => {
+      mockRepository.find.mockResolvedValue([]);
+      mockRepository.count.mockResolvedValue(0);
+
+      await service.searchScreams({
+        source_type: 'movie,viral_video',
+        meme_status: 'classic',
+        category: 'short_burst',
+      });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        {
+          $and: [
+            { approved: true },
+            { source_type: { $in: ['movie', 'viral_video'] } },
+            { meme_status: { $in: ['classic'] } },
+            { 'audio.category': { $in: ['short_burst'] } },
+          ],
+        },
+        expect.any(Object)
+      );
+    });
+
+    it('should count facets with $facet, leaving out each facet own filter', async () => {
+      mockRepository.find.mockResolvedValue([]);
+      mockRepository.count.mockResolvedValue(0);
+      mockRepository.aggregate = jest
+        .fn()
+        .mockResolvedValue([
+          { tags: [{ _id: 'loud', count: 4 }], year: [{ _id: 2020, count: 2 }] },
+        ]);
+
+      const result = await service.searchScreams({
+        tags: 'loud',
+        years: '2020',
+        facets: 'tags,year',
+      });
+
+      const [pipeline] = mockRepository.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: { approved: true } });
+      expect(pipeline[1].$facet.tags[0]).toEqual({
+        $match: { approved: true, year: { $gte: 2020 } },
+      });
+      expect(pipeline[1].$facet.year[0]).toEqual({
+        $match: { $and: [{ approved: true }, { tags: { $in: ['loud'] } }] },
+      });
+      expect(result.facets).toEqual({
+        tags: [{ value: 'loud', count: 4 }],
+        year: [{ value: 2020, count: 2 }],
+      });
+    });
+
+    it('should compile note filters into the query', async () => {
+      mockRepository.find.mockResolvedValue([]);
+      mockRepository.count.mockResolvedValue(0);
+
+      await service.searchScreams({ note: 'Bb', pitch_range: 'A4-B4', tones: 'C4,E4' });
+
+      const [filter] = mockRepository.find.mock.calls[0];
+      const primary = note => ({ analysis: { primary_note: note } });
+      expect(matchesExpr(filter.$and[1], primary('a♯5'))).toBe(true);
+      expect(matchesExpr(filter.$and[1], primary('B5'))).toBe(false);
+      expect(matchesExpr(filter.$and[2], primary('A##4'))).toBe(true);
+      expect(matchesExpr(filter.$and[2], primary('C5'))).toBe(false);
+      expect(filter.$and[3]).toHaveProperty('$expr');
+    });
+
+    it('should reject malformed note filters', async () => {
+      await expect(service.searchScreams({ pitch_range: 'G5-C4' })).rejects.toThrow(
+        ValidationError
+      );
+      expect(mockRepository.find).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown facets', async () => {
+      await expect(service.searchScreams({ facets: 'title' })).rejects.toThrow(ValidationError);
+    });
+
     it('should throw ValidationError for invalid intensity_range format', async () => {
       await expect(service.searchScreams({ intensity_range: 'invalid' })).rejects.toThrow(
         ValidationError
@@ -260,6 +387,33 @@ describe('SearchService', () => {
       );
     });
 
+    it('should handle loudness ranges', async () => {
+      mockRepository.find.mockResolvedValue([]);
+      mockRepository.count.mockResolvedValue(0);
+
+      await service.searchScreams({
+        lufs_range: '-30--14',
+        lra_range: '-6',
+        true_peak_range: '-1-',
+      });
+
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          'audio.integrated_lufs': { $gte: -30, $lte: -14 },
+          'audio.loudness_range_lu': { $lte: 6 },
+          'audio.true_peak_dbtp': { $gte: -1 },
+        }),
+        expect.any(Object)
+      );
+    });
+
+    it('should throw ValidationError for invalid loudness ranges', async () => {
+      await expect(service.searchScreams({ lufs_range: 'quiet' })).rejects.toMatchObject({
+        message: 'Invalid lufs_range format. Expected format: "min-max" or "number"',
+        details: { field: 'lufs_range', value: 'quiet' },
+      });
+    });
+
     it('should throw ValidationError for invalid years format', async () => {
       await expect(service.searchScreams({ years: 'invalid' })).rejects.toThrow(ValidationError);
     });
@@ -335,5 +489,165 @@ describe('SearchService', () => {
 
       expect(result.items.every(s => s.audio.intensity >= 5 && s.audio.intensity <= 7)).toBe(true);
     });
+
+    it('should filter static data by loudness, leaving out unmeasured screams', async () => {
+      jest.spyOn(staticScreams, 'getStaticScreams').mockReturnValue([
+        { id: '1', approved: true, audio: { intensity: 5, integrated_lufs: -28 } },
+        { id: '2', approved: true, audio: { intensity: 5, integrated_lufs: -12 } },
+        { id: '3', approved: true, audio: { intensity: 5 } },
+      ]);
+
+      const result = await service.searchScreams({ lufs_range: '-30--20' });
+
+      expect(result.items.map(s => s.id)).toEqual(['1']);
+    });
+
+    it('should rank static matches by BM25 score with matched fields', async () => {
+      const result = await service.searchScreams({ q: 'frantic compilation', limit: '100' });
+
+      expect(result.total).toBeGreaterThan(0);
+      expect(result.items.length).toBe(Math.min(result.total, 100));
+      result.items.forEach(item => {
+        expect(item.score).toBeGreaterThan(0);
+        expect(item.matched_fields.length).toBeGreaterThan(0);
+      });
+      const scores = result.items.map(item => item.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      // A title match outranks a match only in the vibe
+      expect(result.items[0].matched_fields).toContain('title');
+    });
+
+    it('should only return screams that match the text query', async () => {
+      const result = await service.searchScreams({ q: 'zzzunmatchedterm' });
+
+      expect(result.total).toBe(0);
+      expect(result.items).toEqual([]);
+    });
+
+    it('should tolerate typos and partial words in static search', async () => {
+      const typo = await service.searchScreams({ q: 'scremaing', limit: '5' });
+      const partial = await service.searchScreams({ q: 'compil', limit: '5' });
+
+      expect(typo.total).toBeGreaterThan(0);
+      expect(partial.total).toBeGreaterThan(0);
+      expect(partial.items[0].matched_fields).toContain('title');
+    });
+
+    it('should count static facets over the filtered set, ignoring each facet own filter', async () => {
+      const all = await service.searchScreams({ facets: 'tags' });
+      const result = await service.searchScreams({ tags: 'ai_generated', facets: 'tags,year' });
+
+      // The tags facet ignores the tags filter, so it matches the unfiltered counts
+      expect(result.facets.tags).toEqual(all.facets.tags);
+      // Other facets are counted over the filtered results
+      expect(result.facets.year.reduce((sum, { count }) => sum + count, 0)).toBe(result.total);
+      expect(result.total).toBeLessThan(all.total);
+    });
+
+    it('should match static primary notes enharmonically and across octaves', async () => {
+      const sharp = await service.searchScreams({ note: 'A#4' });
+      const flat = await service.searchScreams({ note: 'bb4' });
+      const anyOctave = await service.searchScreams({ note: 'Bb', limit: '100' });
+
+      expect(flat.total).toBe(sharp.total);
+      expect(sharp.total).toBeGreaterThan(0);
+      expect(anyOctave.total).toBeGreaterThan(sharp.total);
+      expect(anyOctave.items.every(s => /^A#\d$/.test(s.analysis.primary_note))).toBe(true);
+    });
+
+    it('should filter static data by pitch range and tone sequence', async () => {
+      const ranged = await service.searchScreams({ pitch_range: 'C4-C5', limit: '100' });
+      expect(ranged.total).toBeGreaterThan(0);
+      expect(ranged.items.every(s => /^(?:[A-G]#?4|C5)$/.test(s.analysis.primary_note))).toBe(true);
+
+      const sequence = await service.searchScreams({ tones: 'E4,F4', limit: '100' });
+      expect(sequence.total).toBeGreaterThan(0);
+      sequence.items.forEach(s => {
+        const tones = s.analysis.tones_in_order.map(t => t.replace(' (primary)', ''));
+        expect(tones.some((t, i) => t === 'E4' && tones[i + 1] === 'F4')).toBe(true);
+      });
+    });
+
+    it('should filter static data by source_type', async () => {
+      const result = await service.searchScreams({ source_type: 'viral_video', limit: '100' });
+
+      expect(result.total).toBeGreaterThan(0);
+      expect(result.items.every(s => s.source_type === 'viral_video')).toBe(true);
+    });
+
+    it('should crawl static results with next/prev cursors', async () => {
+      const reference = await service.searchScreams({ sort_by: 'intensity', limit: '90' });
+      expect(reference.prev_cursor).toBeNull();
+
+      const pages = [];
+      let result = await service.searchScreams({ sort_by: 'intensity', limit: '30' });
+      pages.push(result);
+      while (pages.length < 3) {
+        result = await service.searchScreams({
+          sort_by: 'intensity',
+          limit: '30',
+          cursor: result.next_cursor,
+        });
+        expect(result.page).toBeNull();
+        pages.push(result);
+      }
+
+      const crawled = pages.flatMap(page => page.items.map(s => s.id));
+      expect(crawled).toEqual(reference.items.map(s => s.id));
+
+      const back = await service.searchScreams({
+        sort_by: 'intensity',
+        limit: '30',
+        cursor: pages[2].prev_cursor,
+      });
+      expect(back.items.map(s => s.id)).toEqual(pages[1].items.map(s => s.id));
+    });
+
+    it('should reject a cursor issued for another sort order', async () => {
+      const first = await service.searchScreams({ sort_by: 'year', limit: '1' });
+
+      await expect(
+        service.searchScreams({ sort_by: 'intensity', cursor: first.next_cursor })
+      ).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('suggest', () => {
+    it('should return ranked completions from the static dataset', async () => {
+      dbConnection.getDbStatus.mockReturnValue({ connected: false });
+
+      const result = await service.suggest({ q: 'scr', limit: '3' });
+
+      expect(result.q).toBe('scr');
+      expect(result.suggestions).toHaveLength(3);
+      result.suggestions.forEach(suggestion => {
+        expect(suggestion.text.toLowerCase()).toMatch(/^scr/);
+        expect(suggestion).toEqual({
+          text: expect.any(String),
+          type: expect.any(String),
+          count: expect.any(Number),
+        });
+      });
+    });
+
+    it('should build suggestions from approved screams in MongoDB mode', async () => {
+      mockRepository.find.mockResolvedValue([
+        { id: '1', title: 'Alarm goat', goat: { breed: 'Nubian' } },
+      ]);
+
+      const result = await service.suggest({ q: 'nubi' });
+
+      expect(result.suggestions).toEqual([{ text: 'Nubian', type: 'breed', count: 1 }]);
+      expect(mockRepository.find).toHaveBeenCalledWith(
+        { approved: true },
+        { projection: expect.objectContaining({ id: 1, 'goat.breed': 1 }) }
+      );
+    });
+
+    it('should require q', async () => {
+      await expect(service.suggest({})).rejects.toThrow(ValidationError);
+      await expect(service.suggest({ q: '   ' })).rejects.toThrow(ValidationError);
+      await expect(service.suggest({ q: 'x'.repeat(101) })).rejects.toThrow(ValidationError);
+    });
   });
 });
@@ -1,9 +1,23 @@
 const {
   uploadSubmissionAudio,
+  uploadIncomingAudio,
+  findIncomingAudio,
+  deleteIncomingAudio,
   promoteSubmissionAudio,
   deleteSubmissionAudio,
+  findRendition,
+  uploadRendition,
+  findRenderedImage,
+  uploadRenderedImage,
+  uploadRemix,
 } = require('../../src/services/storage');
-const { uploadAudio, renameAsset, deleteAsset } = require('../../src/services/cloudinary');
+const {
+  uploadAudio,
+  uploadImage,
+  renameAsset,
+  deleteAsset,
+  getAsset,
+} = require('../../src/services/cloudinary');
 
 jest.mock('../../src/services/cloudinary');
 
@@ -12,6 +26,38 @@ describe('storage service', () => {
     jest.clearAllMocks();
   });
 
+  describe('incoming audio', () => {
+    it('should keep raw submitted audio under the incoming prefix', async () => {
+      uploadAudio.mockResolvedValueOnce({
+        public_id: 'goat-screams/incoming/sub_1',
+        secure_url: 'https://res.cloudinary.com/sub_1.mp3',
+      });
+      getAsset.mockResolvedValueOnce({
+        public_id: 'goat-screams/incoming/sub_1',
+        secure_url: 'https://res.cloudinary.com/sub_1.mp3',
+      });
+      getAsset.mockResolvedValueOnce(null);
+      deleteAsset.mockResolvedValueOnce({ result: 'ok' });
+
+      await expect(uploadIncomingAudio('/tmp/goat.mp3', 'sub_1')).resolves.toEqual({
+        publicId: 'goat-screams/incoming/sub_1',
+        url: 'https://res.cloudinary.com/sub_1.mp3',
+      });
+      expect(uploadAudio).toHaveBeenCalledWith('/tmp/goat.mp3', {
+        publicId: 'goat-screams/incoming/sub_1',
+        tags: ['incoming'],
+        context: { submission_id: 'sub_1' },
+      });
+      await expect(findIncomingAudio('sub_1')).resolves.toEqual({
+        publicId: 'goat-screams/incoming/sub_1',
+        url: 'https://res.cloudinary.com/sub_1.mp3',
+      });
+      await expect(findIncomingAudio('sub_1')).resolves.toBeNull();
+      await deleteIncomingAudio('sub_1');
+      expect(deleteAsset).toHaveBeenCalledWith('goat-screams/incoming/sub_1');
+    });
+  });
+
   describe('uploadSubmissionAudio', () => {
     it('should upload audio with correct prefix, tags, context, and URL fallback', async () => {
       // Basic upload with tags and context
@@ -125,4 +171,110 @@ describe('storage service', () => {
       expect(result3).toBeNull();
     });
   });
+
+  describe('renditions', () => {
+    it('should store renditions under the scream with their duration', async () => {
+      uploadAudio.mockResolvedValueOnce({
+        public_id: 'goat-screams/renditions/goat-1/low-abc',
+        secure_url: 'https://res.cloudinary.com/low-abc.ogg',
+      });
+
+      const result = await uploadRendition('/tmp/low-abc.ogg', 'goat-1', 'low-abc', {
+        duration: 1.5,
+      });
+
+      expect(uploadAudio).toHaveBeenCalledWith('/tmp/low-abc.ogg', {
+        publicId: 'goat-screams/renditions/goat-1/low-abc',
+        tags: ['rendition'],
+        context: { goat_scream_id: 'goat-1', duration: 1.5 },
+      });
+      expect(result).toEqual({
+        publicId: 'goat-screams/renditions/goat-1/low-abc',
+        url: 'https://res.cloudinary.com/low-abc.ogg',
+      });
+    });
+
+    it('should find stored renditions', async () => {
+      getAsset.mockResolvedValueOnce({
+        public_id: 'goat-screams/renditions/goat-1/low-abc',
+        secure_url: 'https://res.cloudinary.com/low-abc.ogg',
+        context: { custom: { duration: '1.5' } },
+      });
+      getAsset.mockResolvedValueOnce(null);
+
+      await expect(findRendition('goat-1', 'low-abc')).resolves.toEqual({
+        publicId: 'goat-screams/renditions/goat-1/low-abc',
+        url: 'https://res.cloudinary.com/low-abc.ogg',
+        duration: 1.5,
+      });
+      expect(getAsset).toHaveBeenCalledWith('goat-screams/renditions/goat-1/low-abc', {
+        resourceType: 'video',
+      });
+      await expect(findRendition('goat-1', 'missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('rendered images', () => {
+    it('should store rendered images under the scream as image resources', async () => {
+      uploadImage.mockResolvedValueOnce({
+        public_id: 'goat-screams/images/goat-1/waveform-abc',
+        secure_url: 'https://res.cloudinary.com/waveform-abc.svg',
+      });
+
+      const result = await uploadRenderedImage('/tmp/waveform-abc.svg', 'goat-1', 'waveform-abc');
+
+      expect(uploadImage).toHaveBeenCalledWith('/tmp/waveform-abc.svg', {
+        publicId: 'goat-screams/images/goat-1/waveform-abc',
+        tags: ['image'],
+        context: { goat_scream_id: 'goat-1' },
+      });
+      expect(result).toEqual({
+        publicId: 'goat-screams/images/goat-1/waveform-abc',
+        url: 'https://res.cloudinary.com/waveform-abc.svg',
+      });
+    });
+
+    it('should find stored rendered images', async () => {
+      getAsset.mockResolvedValueOnce({
+        public_id: 'goat-screams/images/goat-1/waveform-abc',
+        secure_url: 'https://res.cloudinary.com/waveform-abc.svg',
+      });
+      getAsset.mockResolvedValueOnce(null);
+
+      await expect(findRenderedImage('goat-1', 'waveform-abc')).resolves.toEqual({
+        publicId: 'goat-screams/images/goat-1/waveform-abc',
+        url: 'https://res.cloudinary.com/waveform-abc.svg',
+      });
+      // Rendered images are Cloudinary image resources, not audio
+      expect(getAsset).toHaveBeenCalledWith('goat-screams/images/goat-1/waveform-abc', {
+        resourceType: 'image',
+      });
+      await expect(findRenderedImage('goat-1', 'missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('uploadRemix', () => {
+    it('should store remixes by id', async () => {
+      uploadAudio.mockResolvedValueOnce({
+        public_id: 'goat-screams/remixes/remix_1',
+        secure_url: 'https://res.cloudinary.com/remix_1.mp3',
+        bytes: 2048,
+      });
+
+      const result = await uploadRemix('/tmp/remix_1.mp3', 'remix_1', {
+        context: { title: 'Echo' },
+      });
+
+      expect(uploadAudio).toHaveBeenCalledWith('/tmp/remix_1.mp3', {
+        publicId: 'goat-screams/remixes/remix_1',
+        tags: ['remix'],
+        context: { remix_id: 'remix_1', title: 'Echo' },
+      });
+      expect(result).toEqual({
+        publicId: 'goat-screams/remixes/remix_1',
+        url: 'https://res.cloudinary.com/remix_1.mp3',
+        bytes: 2048,
+      });
+    });
+  });
 });
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/models/Submission', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(() => Promise.resolve()),
+}));
+jest.mock('../../src/services/audioIntake', () => ({
+  downloadRemoteAudio: jest.fn((url, target) => {
+    require('fs').writeFileSync(target, 'downloaded goat');
+    return Promise.resolve(target);
+  }),
+  analyzeSubmissionAudio: jest.fn(() =>
+    Promise.resolve({
+      format: 'mp3',
+      analysis: {
+        duration: 1.5,
+        intensity: 7,
+        category: 'short_burst',
+        waveform: [],
+        fingerprint: 'AAAA',
+      },
+    })
+  ),
+}));
+jest.mock('../../src/services/storage', () => ({
+  ...jest.requireActual('../../src/services/storage'),
+  uploadSubmissionAudio: jest.fn(() =>
+    Promise.resolve({ publicId: 'submissions/sub_job', url: 'https://cdn.example.com/sub.mp3' })
+  ),
+  deleteSubmissionAudio: jest.fn(() => Promise.resolve()),
+}));
+jest.mock('../../src/services/duplicates', () =>
+  jest.fn().mockImplementation(() => ({ findDuplicates: jest.fn(() => Promise.resolve([])) }))
+);
+
+const Submission = require('../../src/models/Submission');
+const { downloadRemoteAudio } = require('../../src/services/audioIntake');
+const { uploadSubmissionAudio, deleteSubmissionAudio } = require('../../src/services/storage');
+const { ValidationError } = require('../../src/errors');
+const {
+  storeRawAudio,
+  hasRawAudio,
+  isPermanentFailure,
+  processSubmission,
+  failSubmission,
+} = require('../../src/services/submissionJobs');
+
+describe('submission jobs', () => {
+  const id = 'sub_job';
+  const lean = value => ({ lean: () => Promise.resolve(value) });
+  const originalEnv = process.env;
+  let root;
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Submission.findOneAndUpdate.mockResolvedValue({ id });
+    // Raw audio goes through the (local) storage driver, as it would on any instance
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-submission-jobs-'));
+    process.env = { ...originalEnv, STORAGE_DRIVER: 'local', STORAGE_DIR: root };
+    stored = [];
+    uploadSubmissionAudio.mockImplementation(file => {
+      stored.push({ name: path.basename(file), body: fs.readFileSync(file, 'utf8') });
+      return Promise.resolve({
+        publicId: 'submissions/sub_job',
+        url: 'https://cdn.example.com/sub.mp3',
+      });
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const storeUpload = async () => {
+    const upload = path.join(root, 'goat.mp3');
+    fs.writeFileSync(upload, 'uploaded goat');
+    await storeRawAudio(upload, id);
+    fs.rmSync(upload);
+  };
+
+  it('should analyse, store and hand a submission to moderators', async () => {
+    await storeUpload();
+    Submission.findOne.mockReturnValue(
+      lean({ id, title: 'Goat', status: 'processing', metadata: { tags: ['farm'] } })
+    );
+
+    await processSubmission({ submission_id: id });
+    expect(downloadRemoteAudio).not.toHaveBeenCalled();
+    expect(stored).toEqual([{ name: `${id}.mp3`, body: 'uploaded goat' }]);
+    expect(uploadSubmissionAudio).toHaveBeenCalledWith(expect.any(String), id, {
+      tags: ['farm'],
+      context: { submission_id: id, title: 'Goat' },
+    });
+    const [filter, update] = Submission.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ id, status: 'processing' });
+    expect(update.$set).toMatchObject({
+      status: 'pending_review',
+      analysis: { duration: 1.5, intensity: 7, category: 'short_burst' },
+      'audio.cloudinary_url': 'https://cdn.example.com/sub.mp3',
+      fingerprint: 'AAAA',
+      duplicates: [],
+      cloudinary_public_id: 'submissions/sub_job',
+    });
+    expect(await hasRawAudio(id)).toBe(false);
+    // Working copies are gone too
+    expect(fs.existsSync(uploadSubmissionAudio.mock.calls[0][0])).toBe(false);
+  });
+
+  it('should keep the raw audio in storage for another attempt when one fails', async () => {
+    await storeUpload();
+    expect(fs.readdirSync(path.join(root, 'goat-screams/incoming'))).toEqual([
+      `${id}.json`,
+      `${id}.mp3`,
+    ]);
+    Submission.findOne.mockReturnValue(lean({ id, title: 'Goat', status: 'processing' }));
+    uploadSubmissionAudio.mockRejectedValueOnce(new Error('storage down'));
+
+    await expect(processSubmission({ submission_id: id })).rejects.toThrow('storage down');
+    expect(await hasRawAudio(id)).toBe(true);
+    await processSubmission({ submission_id: id });
+    expect(stored).toEqual([{ name: `${id}.mp3`, body: 'uploaded goat' }]);
+    expect(await hasRawAudio(id)).toBe(false);
+  });
+
+  it('should download audio_url submissions first', async () => {
+    Submission.findOne.mockReturnValue(
+      lean({ id, title: 'Goat', status: 'processing', audio: { original_url: 'https://x.io/a' } })
+    );
+    await processSubmission({ submission_id: id });
+    expect(downloadRemoteAudio).toHaveBeenCalledWith('https://x.io/a', expect.any(String));
+    expect(stored).toEqual([{ name: `${id}.mp3`, body: 'downloaded goat' }]);
+  });
+
+  it('should refuse submissions whose audio is gone', async () => {
+    Submission.findOne.mockReturnValue(lean({ id, title: 'Goat', status: 'processing' }));
+    await expect(processSubmission({ submission_id: id })).rejects.toMatchObject({
+      code: 'AUDIO_MISSING',
+    });
+  });
+
+  it('should only clean up after submissions withdrawn in the meantime', async () => {
+    await storeUpload();
+    Submission.findOne.mockReturnValue(lean({ id, status: 'withdrawn' }));
+    await processSubmission({ submission_id: id });
+    expect(uploadSubmissionAudio).not.toHaveBeenCalled();
+    expect(await hasRawAudio(id)).toBe(false);
+
+    // Withdrawn while being stored: the stored copy is deleted again
+    await storeUpload();
+    Submission.findOne.mockReturnValue(lean({ id, title: 'Goat', status: 'processing' }));
+    Submission.findOneAndUpdate.mockResolvedValue(null);
+    await processSubmission({ submission_id: id });
+    expect(deleteSubmissionAudio).toHaveBeenCalledWith('submissions/sub_job');
+  });
+
+  it('should tell permanent failures from transient ones', () => {
+    expect(isPermanentFailure(new ValidationError('bad', null, 'CORRUPT_AUDIO'))).toBe(true);
+    expect(isPermanentFailure({ response: { status: 404 } })).toBe(true);
+    expect(isPermanentFailure({ response: { status: 429 } })).toBe(false);
+    expect(isPermanentFailure({ response: { status: 503 } })).toBe(false);
+    expect(isPermanentFailure(new Error('ECONNRESET'))).toBe(false);
+  });
+
+  it('should mark dead submissions failed, keeping the audio only for a retry', async () => {
+    await storeUpload();
+    await failSubmission({ submission_id: id }, {}, new Error('storage down'));
+    expect(Submission.updateOne).toHaveBeenCalledWith(
+      { id, status: 'processing' },
+      {
+        $set: {
+          status: 'failed',
+          processing_error: {
+            code: 'PROCESSING_FAILED',
+            message: 'Processing failed repeatedly; a moderator can retry it',
+          },
+        },
+      }
+    );
+    expect(await hasRawAudio(id)).toBe(true);
+
+    await failSubmission(
+      { submission_id: id },
+      {},
+      new ValidationError('Audio file is empty', null, 'EMPTY_AUDIO')
+    );
+    expect(Submission.updateOne).toHaveBeenLastCalledWith(expect.any(Object), {
+      $set: {
+        status: 'failed',
+        processing_error: { code: 'EMPTY_AUDIO', message: 'Audio file is empty' },
+      },
+    });
+    expect(await hasRawAudio(id)).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../../src/services/storage', () => ({
+  signMediaUrl: jest.fn(async url => url),
+  findRendition: jest.fn(),
+  uploadRendition: jest.fn(),
+}));
+
+const { Readable } = require('stream');
+const { findRendition, uploadRendition } = require('../../src/services/storage');
+const { sourceAudioUrl, getRendition } = require('../../src/services/transcoder');
+const { decodeWav } = require('../../src/audio/decode');
+const { ExternalServiceError, NotFoundError, ValidationError } = require('../../src/errors');
+const { tone, encodeWav } = require('../helpers/wav');
+
+describe('transcoder', () => {
+  const wav = encodeWav([tone([440], 2)]);
+  const scream = {
+    id: 'goat-1',
+    media: { audio: { mp3: { high: 'https://cdn.example.com/goat-screams/audio/goat-1.mp3' } } },
+  };
+  let mediaSource;
+  let uploaded;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mediaSource = {
+      stat: jest.fn().mockResolvedValue({ size: wav.length, etag: '"v1"' }),
+      read: jest.fn(() => Readable.from([wav])),
+    };
+    findRendition.mockResolvedValue(null);
+    uploadRendition.mockImplementation(async (file, id, name) => {
+      uploaded = require('fs').readFileSync(file);
+      return { publicId: `goat-screams/renditions/${id}/${name}`, url: `https://store/${name}` };
+    });
+  });
+
+  describe('sourceAudioUrl', () => {
+    it('should prefer lossless and higher-quality variants', () => {
+      expect(
+        sourceAudioUrl({
+          media: { audio: { mp3: { low: 'l.mp3', high: 'h.mp3' }, wav: { low: 'l.wav' } } },
+        })
+      ).toBe('l.wav');
+      expect(sourceAudioUrl({ media: { audio: { mp3: { low: 'l', medium: 'm' } } } })).toBe('m');
+      expect(sourceAudioUrl({ media: { audio: { m4a: { high: 'h.m4a' } } } })).toBeNull();
+      expect(sourceAudioUrl({})).toBeNull();
+    });
+  });
+
+  describe('getRendition', () => {
+    it('should encode, edit and store a new rendition', async () => {
+      const result = await getRendition(
+        scream,
+        { format: 'wav', quality: 'high', edits: { start: 0.5, end: 1 } },
+        { mediaSource }
+      );
+
+      expect(result).toEqual({
+        url: expect.stringMatching(/^https:\/\/store\/high-[0-9a-f]{20}$/),
+        cached: false,
+        duration: 0.5,
+      });
+      expect(uploadRendition).toHaveBeenCalledWith(
+        expect.stringMatching(/\.wav$/),
+        'goat-1',
+        expect.stringMatching(/^high-/),
+        { duration: 0.5 }
+      );
+      const decoded = decodeWav(uploaded);
+      expect(decoded.channels[0]).toHaveLength(22050);
+    });
+
+    it('should reuse a stored rendition without reading the audio', async () => {
+      findRendition.mockResolvedValue({ publicId: 'k', url: 'https://store/k', duration: 2 });
+
+      const result = await getRendition(scream, { format: 'ogg', quality: 'low' }, { mediaSource });
+
+      expect(result).toEqual({ url: 'https://store/k', cached: true, duration: 2 });
+      expect(mediaSource.read).not.toHaveBeenCalled();
+      expect(uploadRendition).not.toHaveBeenCalled();
+    });
+
+    it('should name renditions after the source version, format, tier and edits', async () => {
+      const names = [];
+      findRendition.mockImplementation(async (id, name) => {
+        names.push(name);
+        return { url: name };
+      });
+      const request = async (options, etag = '"v1"') => {
+        mediaSource.stat.mockResolvedValue({ size: wav.length, etag });
+        await getRendition(
+          scream,
+          { format: 'mp3', quality: 'medium', ...options },
+          { mediaSource }
+        );
+      };
+
+      await request({});
+      await request({});
+      await request({ format: 'ogg' });
+      await request({ edits: { normalize: true } });
+      await request({}, '"v2"');
+
+      expect(names[0]).toBe(names[1]);
+      expect(new Set(names).size).toBe(4);
+    });
+
+    it('should reject trims that start past the end of the clip', async () => {
+      await expect(
+        getRendition(
+          scream,
+          { format: 'wav', quality: 'medium', edits: { start: 2 } },
+          { mediaSource }
+        )
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it('should throw NotFoundError without stored audio', async () => {
+      await expect(
+        getRendition({ id: 'x', media: {} }, { format: 'wav', quality: 'medium' }, { mediaSource })
+      ).rejects.toThrow(NotFoundError);
+
+      mediaSource.stat.mockResolvedValue(null);
+      await expect(
+        getRendition(scream, { format: 'wav', quality: 'medium' }, { mediaSource })
+      ).rejects.toThrow('Audio file not found');
+    });
+
+    it('should throw ExternalServiceError when the stored audio cannot be decoded', async () => {
+      mediaSource.read.mockImplementation(() => Readable.from([Buffer.from('junk')]));
+      await expect(
+        getRendition(scream, { format: 'wav', quality: 'medium' }, { mediaSource })
+      ).rejects.toThrow(ExternalServiceError);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { createHash } = require('crypto');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const UploadService = require('../../src/services/uploads');
+const { NotFoundError, ValidationError } = require('../../src/errors');
+
+describe('UploadService', () => {
+  const file = Buffer.from('RIFF goat scream bytes, sent in three chunks');
+  const sha256 = (data, encoding) => createHash('sha256').update(data).digest(encoding);
+  let dir;
+  let service;
+
+  beforeEach(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'goat-uploads-'));
+    service = new UploadService(dir);
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  const start = (params = {}) =>
+    service.createUpload({
+      filename: 'my goat.wav',
+      size: file.length,
+      mime_type: 'audio/wav',
+      checksum: sha256(file, 'hex'),
+      ...params,
+    });
+
+  it('should assemble chunks into a verified file', async () => {
+    const created = await start();
+    expect(created).toMatchObject({
+      upload_id: expect.stringMatching(/^upl_/),
+      filename: 'my_goat.wav',
+      size: file.length,
+      offset: 0,
+      complete: false,
+    });
+    const id = created.upload_id;
+
+    await service.appendChunk(id, 0, file.subarray(0, 10), {
+      checksum: sha256(file.subarray(0, 10), 'base64'),
+    });
+    await service.appendChunk(id, 10, file.subarray(10, 30));
+    // A client that lost track asks for the offset and resumes from there
+    const { offset } = await service.getUpload(id);
+    expect(offset).toBe(30);
+    const last = await service.appendChunk(id, offset, file.subarray(30));
+    expect(last).toMatchObject({ offset: file.length, complete: true });
+
+    const done = await service.completeUpload(id);
+    expect(done).toEqual({
+      path: path.join(dir, `${id}.wav`),
+      filename: 'my_goat.wav',
+      mime_type: 'audio/wav',
+      size: file.length,
+    });
+    expect(await fsp.readFile(done.path)).toEqual(file);
+    await expect(service.getUpload(id)).rejects.toThrow(NotFoundError);
+  });
+
+  it('should reject chunks at the wrong offset, past the end or with a bad checksum', async () => {
+    const { upload_id: id } = await start();
+
+    await expect(service.appendChunk(id, 5, file.subarray(0, 5))).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Upload offset mismatch: expected 0',
+    });
+    await expect(
+      service.appendChunk(id, 0, file.subarray(0, 5), { checksum: sha256('other', 'base64') })
+    ).rejects.toThrow('Chunk checksum mismatch');
+    await expect(service.appendChunk(id, 0, Buffer.alloc(file.length + 1))).rejects.toThrow(
+      ValidationError
+    );
+    await expect(service.appendChunk(id, 0, Buffer.alloc(0))).rejects.toThrow('Chunk is empty');
+
+    expect((await service.getUpload(id)).offset).toBe(0);
+  });
+
+  it('should only complete full uploads and discard ones failing the file checksum', async () => {
+    const { upload_id: id } = await start();
+    await service.appendChunk(id, 0, file.subarray(0, 10));
+    await expect(service.completeUpload(id)).rejects.toThrow(
+      `Upload incomplete: 10 of ${file.length} bytes received`
+    );
+
+    const { upload_id: corrupt } = await start();
+    await service.appendChunk(corrupt, 0, Buffer.alloc(file.length, 1));
+    await expect(service.completeUpload(corrupt)).rejects.toThrow('Upload checksum mismatch');
+    await expect(service.getUpload(corrupt)).rejects.toThrow(NotFoundError);
+  });
+
+  it('should validate new uploads', async () => {
+    await expect(start({ size: 0 })).rejects.toThrow('size must be an integer between 1');
+    await expect(start({ size: UploadService.MAX_UPLOAD_SIZE + 1 })).rejects.toThrow(
+      ValidationError
+    );
+    await expect(start({ checksum: 'abc' })).rejects.toThrow(
+      'checksum must be a hex SHA-256 digest'
+    );
+    await expect(service.getUpload('../../etc/passwd')).rejects.toThrow(NotFoundError);
+  });
+
+  it('should expire abandoned uploads', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), doNotFake: ['setImmediate'] });
+    const { upload_id: abandoned } = await start();
+    const { upload_id: active } = await start();
+
+    jest.setSystemTime(new Date('2026-01-01T20:00:00Z'));
+    // Activity extends the expiry
+    await service.appendChunk(active, 0, file.subarray(0, 1));
+
+    jest.setSystemTime(new Date('2026-01-02T01:00:00Z'));
+    await expect(service.purgeExpiredUploads()).resolves.toBe(1);
+    await expect(service.getUpload(abandoned)).rejects.toThrow(NotFoundError);
+    await expect(service.getUpload(active)).resolves.toMatchObject({ offset: 1 });
+    expect((await fsp.readdir(dir)).sort()).toEqual([`${active}.json`, `${active}.part`]);
+
+    // Expired uploads are also dropped when they are next touched
+    jest.setSystemTime(new Date('2026-01-03T00:00:00Z'));
+    await expect(service.getUpload(active)).rejects.toThrow(NotFoundError);
+    expect(await fsp.readdir(dir)).toEqual([]);
+  });
+
+  it('should remove uploads on request', async () => {
+    const { upload_id: id } = await start();
+    await service.removeUpload(id);
+    expect(await fsp.readdir(dir)).toEqual([]);
+  });
+});
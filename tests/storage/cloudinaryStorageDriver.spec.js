@@ -0,0 +1,140 @@
+const { CloudinaryStorageDriver } = require('../../src/storage');
+const {
+  uploadAudio,
+  uploadImage,
+  getAsset,
+  renameAsset,
+  deleteAsset,
+  updateAssetMetadata,
+  listAssets,
+} = require('../../src/services/cloudinary');
+
+jest.mock('../../src/services/cloudinary');
+
+describe('CloudinaryStorageDriver', () => {
+  const driver = new CloudinaryStorageDriver();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should upload through uploadAudio and normalize the result', async () => {
+    uploadAudio.mockResolvedValueOnce({
+      public_id: 'goat-screams/submissions/x',
+      secure_url: 'https://res.cloudinary.com/x.mp3',
+      duration: 1.5,
+      bytes: 10,
+      format: 'mp3',
+    });
+
+    const result = await driver.upload('/tmp/x.mp3', 'goat-screams/submissions/x', {
+      tags: ['submission'],
+    });
+
+    expect(uploadAudio).toHaveBeenCalledWith('/tmp/x.mp3', {
+      publicId: 'goat-screams/submissions/x',
+      tags: ['submission'],
+      context: {},
+    });
+    expect(result).toEqual({
+      key: 'goat-screams/submissions/x',
+      url: 'https://res.cloudinary.com/x.mp3',
+      duration: 1.5,
+      bytes: 10,
+      format: 'mp3',
+    });
+  });
+
+  it('should upload PNG thumbnails as image resources', async () => {
+    uploadImage.mockResolvedValueOnce({
+      public_id: 'goat-screams/thumbnails/x',
+      secure_url: 'https://res.cloudinary.com/x.png',
+      bytes: 10,
+      format: 'png',
+    });
+
+    const result = await driver.upload('/tmp/x.png', 'goat-screams/thumbnails/x');
+
+    expect(uploadAudio).not.toHaveBeenCalled();
+    expect(uploadImage).toHaveBeenCalledWith('/tmp/x.png', {
+      publicId: 'goat-screams/thumbnails/x',
+      tags: [],
+      context: {},
+    });
+    expect(result.url).toBe('https://res.cloudinary.com/x.png');
+  });
+
+  it('should move through renameAsset and delete through deleteAsset', async () => {
+    renameAsset.mockResolvedValueOnce({ public_id: 'to', url: 'http://res.cloudinary.com/to' });
+    deleteAsset.mockResolvedValueOnce({ result: 'ok' });
+
+    expect(await driver.move('from', 'to')).toEqual({
+      key: 'to',
+      url: 'http://res.cloudinary.com/to',
+    });
+    expect(await driver.delete('to')).toEqual({ result: 'ok' });
+    expect(renameAsset).toHaveBeenCalledWith('from', 'to');
+    expect(deleteAsset).toHaveBeenCalledWith('to');
+  });
+
+  it('should normalize assets and pass metadata updates through', async () => {
+    getAsset.mockResolvedValueOnce({
+      public_id: 'k',
+      secure_url: 'https://res.cloudinary.com/k.mp3',
+      bytes: 5,
+      format: 'mp3',
+      tags: ['a'],
+      context: { custom: { title: 'T' } },
+    });
+    getAsset.mockResolvedValueOnce(null);
+
+    expect(await driver.getAsset('k')).toEqual({
+      key: 'k',
+      url: 'https://res.cloudinary.com/k.mp3',
+      bytes: 5,
+      format: 'mp3',
+      tags: ['a'],
+      context: { title: 'T' },
+    });
+    expect(await driver.getAsset('missing')).toBeNull();
+
+    await driver.updateMetadata('k', { tags: ['b'] });
+    expect(updateAssetMetadata).toHaveBeenCalledWith('k', { context: {}, tags: ['b'] });
+  });
+
+  it('should look audio up as video resources and images as image resources', async () => {
+    getAsset.mockResolvedValue({ public_id: 'k', secure_url: 'https://res.cloudinary.com/k' });
+
+    await driver.getAsset('goat-screams/audio/x');
+    await driver.getAsset('goat-screams/images/x/waveform-abc', { image: true });
+
+    expect(getAsset.mock.calls).toEqual([
+      ['goat-screams/audio/x', { resourceType: 'video' }],
+      ['goat-screams/images/x/waveform-abc', { resourceType: 'image' }],
+    ]);
+  });
+
+  it('should list assets under a prefix', async () => {
+    listAssets.mockResolvedValueOnce([
+      {
+        public_id: 'p/a',
+        secure_url: 'https://x/a.mp3',
+        bytes: 3,
+        format: 'mp3',
+        duration: 1,
+        etag: 'abc',
+      },
+    ]);
+
+    expect(await driver.list('p/')).toEqual([
+      { key: 'p/a', url: 'https://x/a.mp3', bytes: 3, format: 'mp3', duration: 1, hash: 'abc' },
+    ]);
+    expect(listAssets).toHaveBeenCalledWith('p/');
+  });
+
+  it('should return stored URLs unsigned', async () => {
+    expect(await driver.signedUrl('https://res.cloudinary.com/x.mp3')).toBe(
+      'https://res.cloudinary.com/x.mp3'
+    );
+  });
+});
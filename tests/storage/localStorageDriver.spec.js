@@ -0,0 +1,141 @@
+const { createHash } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStorageDriver, getStorageDriver } = require('../../src/storage');
+
+describe('LocalStorageDriver', () => {
+  let root;
+  let source;
+  let driver;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-storage-'));
+    source = path.join(root, 'upload.WAV');
+    fs.writeFileSync(source, 'RIFF fake goat');
+    driver = new LocalStorageDriver({ root: path.join(root, 'store'), baseUrl: '' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should upload a copy with a metadata sidecar and an API URL', async () => {
+    const result = await driver.upload(source, 'goat-screams/submissions/sub_1', {
+      tags: ['submission', 'submission'],
+      context: { title: 'Test' },
+    });
+
+    expect(result).toEqual({
+      key: 'goat-screams/submissions/sub_1',
+      url: '/api/v1/media/goat-screams/submissions/sub_1.wav',
+      bytes: 14,
+      format: 'wav',
+    });
+    expect(fs.existsSync(source)).toBe(true);
+    expect(await driver.getAsset('goat-screams/submissions/sub_1')).toMatchObject({
+      bytes: 14,
+      format: 'wav',
+      tags: ['submission'],
+      context: { title: 'Test' },
+    });
+  });
+
+  it('should prefix URLs with the public base URL', async () => {
+    driver = new LocalStorageDriver({ root, baseUrl: 'https://media.example.com/' });
+    const { url } = await driver.upload(source, 'a b');
+    expect(url).toBe('https://media.example.com/api/v1/media/a%20b.wav');
+  });
+
+  it('should move assets, replacing the target', async () => {
+    await driver.upload(source, 'goat-screams/submissions/sub_1');
+    await driver.upload(source, 'goat-screams/audio/goat-1');
+
+    const moved = await driver.move('goat-screams/submissions/sub_1', 'goat-screams/audio/goat-1');
+
+    expect(moved).toEqual({
+      key: 'goat-screams/audio/goat-1',
+      url: '/api/v1/media/goat-screams/audio/goat-1.wav',
+    });
+    expect(await driver.getAsset('goat-screams/submissions/sub_1')).toBeNull();
+    expect(fs.existsSync(driver.resolvePath('goat-screams/audio/goat-1', '.wav'))).toBe(true);
+  });
+
+  it('should reject moving a missing asset', async () => {
+    await expect(driver.move('missing', 'target')).rejects.toThrow('Asset not found');
+  });
+
+  it('should merge metadata updates', async () => {
+    await driver.upload(source, 'k', { tags: ['a'], context: { title: 'T', keep: '1' } });
+
+    await driver.updateMetadata('k', { tags: ['b', 'a'], context: { title: 'New' } });
+
+    expect(await driver.getAsset('k')).toMatchObject({
+      tags: ['a', 'b'],
+      context: { title: 'New', keep: '1' },
+    });
+  });
+
+  it('should delete assets and report missing ones', async () => {
+    await driver.upload(source, 'k');
+
+    expect(await driver.delete('k')).toEqual({ result: 'ok' });
+    expect(await driver.delete('k')).toEqual({ result: 'not found' });
+    expect(fs.readdirSync(driver.root)).toEqual([]);
+  });
+
+  it('should list assets under a prefix', async () => {
+    await driver.upload(source, 'goat-screams/audio/b');
+    await driver.upload(source, 'goat-screams/audio/a');
+    await driver.upload(source, 'goat-screams/submissions/c');
+    const hash = createHash('md5').update(fs.readFileSync(source)).digest('hex');
+
+    expect(await driver.list('goat-screams/audio/')).toEqual([
+      {
+        key: 'goat-screams/audio/a',
+        url: '/api/v1/media/goat-screams/audio/a.wav',
+        bytes: 14,
+        format: 'wav',
+        hash,
+      },
+      {
+        key: 'goat-screams/audio/b',
+        url: '/api/v1/media/goat-screams/audio/b.wav',
+        bytes: 14,
+        format: 'wav',
+        hash,
+      },
+    ]);
+  });
+
+  it('should list nothing before the first upload', async () => {
+    expect(await driver.list('')).toEqual([]);
+  });
+
+  it('should refuse keys outside the storage root', () => {
+    expect(() => driver.resolvePath('../escape')).toThrow('Invalid storage key');
+  });
+
+  describe('getStorageDriver', () => {
+    const originalEnv = process.env;
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    it('should select the driver from STORAGE_DRIVER', () => {
+      process.env = { ...originalEnv, STORAGE_DRIVER: 'local', STORAGE_DIR: root };
+      const selected = getStorageDriver();
+      expect(selected.name).toBe('local');
+      expect(selected.root).toBe(path.resolve(root));
+
+      process.env = { ...originalEnv, STORAGE_DRIVER: '' };
+      expect(getStorageDriver().name).toBe('cloudinary');
+    });
+
+    it('should reject unknown drivers', () => {
+      process.env = { ...originalEnv, STORAGE_DRIVER: 'floppy' };
+      expect(() => getStorageDriver()).toThrow('Unknown STORAGE_DRIVER');
+    });
+  });
+});
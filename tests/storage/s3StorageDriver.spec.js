@@ -0,0 +1,222 @@
+const { createHash } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { S3StorageDriver } = require('../../src/storage');
+
+/**
+ * Minimal in-memory S3 answering the commands the driver sends
+ */
+function createFakeS3() {
+  const objects = new Map();
+  const send = jest.fn(async command => {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'PutObjectCommand': {
+        const chunks = [];
+        for await (const chunk of input.Body) chunks.push(chunk);
+        objects.set(input.Key, {
+          body: Buffer.concat(chunks),
+          contentType: input.ContentType,
+          metadata: input.Metadata,
+        });
+        return {};
+      }
+      case 'CopyObjectCommand': {
+        const sourceKey = decodeURIComponent(input.CopySource.split('/').slice(1).join('/'));
+        const source = objects.get(sourceKey);
+        objects.set(input.Key, {
+          ...source,
+          contentType: input.ContentType || source.contentType,
+          metadata: input.MetadataDirective === 'REPLACE' ? input.Metadata : source.metadata,
+        });
+        return {};
+      }
+      case 'DeleteObjectCommand':
+        objects.delete(input.Key);
+        return {};
+      case 'HeadObjectCommand': {
+        const object = objects.get(input.Key);
+        if (!object) throw Object.assign(new Error('NotFound'), { name: 'NotFound' });
+        return {
+          ContentLength: object.body.length,
+          ContentType: object.contentType,
+          Metadata: object.metadata,
+        };
+      }
+      case 'ListObjectsV2Command': {
+        const keys = Array.from(objects.keys())
+          .filter(key => key.startsWith(input.Prefix))
+          .sort();
+        // Two keys per page to exercise pagination
+        const start = input.ContinuationToken ? Number(input.ContinuationToken) : 0;
+        const page = keys.slice(start, start + 2);
+        return {
+          Contents: page.map(key => ({
+            Key: key,
+            Size: objects.get(key).body.length,
+            ETag: `"${createHash('md5').update(objects.get(key).body).digest('hex')}"`,
+          })),
+          IsTruncated: start + 2 < keys.length,
+          NextContinuationToken: String(start + 2),
+        };
+      }
+      default:
+        throw new Error(`Unexpected command ${command.constructor.name}`);
+    }
+  });
+  return { objects, send };
+}
+
+describe('S3StorageDriver', () => {
+  let dir;
+  let source;
+  let fake;
+  let driver;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-s3-'));
+    source = path.join(dir, 'scream.mp3');
+    fs.writeFileSync(source, 'ID3 goat');
+
+    fake = createFakeS3();
+    const client = new S3Client({
+      region: 'us-east-1',
+      endpoint: 'http://localhost:9000',
+      forcePathStyle: true,
+      credentials: { accessKeyId: 'minio', secretAccessKey: 'minio-secret' },
+    });
+    client.send = fake.send;
+    driver = new S3StorageDriver({
+      bucket: 'goats',
+      publicUrl: 'http://localhost:9000/goats',
+      client,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require a bucket', () => {
+    const { S3_BUCKET } = process.env;
+    delete process.env.S3_BUCKET;
+    expect(() => new S3StorageDriver()).toThrow('S3_BUCKET');
+    if (S3_BUCKET !== undefined) process.env.S3_BUCKET = S3_BUCKET;
+  });
+
+  it('should upload objects with content type and metadata', async () => {
+    const result = await driver.upload(source, 'goat-screams/submissions/sub_1', {
+      tags: ['submission'],
+      context: { title: 'Scrëam' },
+    });
+
+    expect(result).toEqual({
+      key: 'goat-screams/submissions/sub_1',
+      url: 'http://localhost:9000/goats/goat-screams/submissions/sub_1.mp3',
+      bytes: 8,
+      format: 'mp3',
+    });
+    expect(fake.objects.get('goat-screams/submissions/sub_1.mp3').contentType).toBe('audio/mpeg');
+    expect(await driver.getAsset('goat-screams/submissions/sub_1')).toMatchObject({
+      bytes: 8,
+      format: 'mp3',
+      tags: ['submission'],
+      context: { title: 'Scrëam' },
+    });
+  });
+
+  it('should promote with a server-side copy and remove the original', async () => {
+    await driver.upload(source, 'goat-screams/submissions/sub_1');
+
+    const moved = await driver.move('goat-screams/submissions/sub_1', 'goat-screams/audio/goat-1');
+
+    expect(moved).toEqual({
+      key: 'goat-screams/audio/goat-1',
+      url: 'http://localhost:9000/goats/goat-screams/audio/goat-1.mp3',
+    });
+    expect(Array.from(fake.objects.keys())).toEqual(['goat-screams/audio/goat-1.mp3']);
+    const commands = fake.send.mock.calls.map(([command]) => command.constructor.name);
+    expect(commands).toContain('CopyObjectCommand');
+  });
+
+  it('should not match keys that only share a prefix', async () => {
+    await driver.upload(source, 'goat-1.backup');
+
+    expect(await driver.getAsset('goat-1')).toBeNull();
+    expect(await driver.delete('goat-1')).toEqual({ result: 'not found' });
+  });
+
+  it('should merge metadata by copying the object onto itself', async () => {
+    await driver.upload(source, 'k', { tags: ['a'], context: { title: 'T' } });
+
+    await driver.updateMetadata('k', { tags: ['b'], context: { analysed: 'yes' } });
+
+    expect(await driver.getAsset('k')).toMatchObject({
+      tags: ['a', 'b'],
+      context: { title: 'T', analysed: 'yes' },
+    });
+    expect(fake.objects.get('k.mp3').contentType).toBe('audio/mpeg');
+  });
+
+  it('should delete objects', async () => {
+    await driver.upload(source, 'k');
+
+    expect(await driver.delete('k')).toEqual({ result: 'ok' });
+    expect(fake.objects.size).toBe(0);
+  });
+
+  it('should list every page under a prefix', async () => {
+    await Promise.all(['a', 'b', 'c'].map(id => driver.upload(source, `goat-screams/audio/${id}`)));
+    await driver.upload(source, 'goat-screams/submissions/x');
+
+    const assets = await driver.list('goat-screams/audio/');
+
+    expect(assets.map(asset => asset.key)).toEqual([
+      'goat-screams/audio/a',
+      'goat-screams/audio/b',
+      'goat-screams/audio/c',
+    ]);
+    expect(assets[0]).toMatchObject({
+      bytes: 8,
+      format: 'mp3',
+      hash: createHash('md5').update('ID3 goat').digest('hex'),
+    });
+  });
+
+  it('should give uploads a breaker with a longer timeout', async () => {
+    let breakers;
+    await jest.isolateModulesAsync(async () => {
+      const circuitBreaker = require('../../src/services/circuitBreaker');
+      const create = jest.spyOn(circuitBreaker, 'createCircuitBreaker');
+      const Driver = require('../../src/storage/s3StorageDriver');
+      const isolated = new Driver({ bucket: 'goats', client: driver.client });
+
+      await isolated.upload(source, 'k');
+      await isolated.delete('k');
+      breakers = create.mock.calls.map(([, options]) => options);
+    });
+
+    expect(breakers).toEqual([
+      expect.objectContaining({ name: 's3', timeout: 10000 }),
+      expect.objectContaining({ name: 's3-upload', timeout: 120000 }),
+    ]);
+    expect(fake.objects.size).toBe(0);
+  });
+
+  it('should presign URLs of its own objects only', async () => {
+    const signed = await driver.signedUrl(
+      'http://localhost:9000/goats/goat-screams/audio/goat-1.mp3',
+      { filename: 'goat_scream_goat-1.mp3' }
+    );
+
+    expect(signed).toMatch(/^http:\/\/localhost:9000\/goats\/goat-screams\/audio\/goat-1\.mp3\?/);
+    expect(signed).toContain('X-Amz-Signature=');
+    expect(signed).toContain('X-Amz-Expires=3600');
+    expect(signed).toContain('response-content-disposition=attachment');
+    expect(await driver.signedUrl('https://res.cloudinary.com/x.mp3')).toBe(
+      'https://res.cloudinary.com/x.mp3'
+    );
+  });
+});
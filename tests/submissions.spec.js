@@ -1,10 +1,16 @@
+const { createHash } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { Readable } = require('stream');
 const request = require('supertest');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
+// Raw audio goes through the real storage service (local driver, see beforeAll)
 jest.mock('../src/services/storage', () => {
   return {
+    ...jest.requireActual('../src/services/storage'),
     uploadSubmissionAudio: jest.fn(() =>
       Promise.resolve({
         publicId: 'goat-screams/submissions/mock-id',
@@ -28,8 +34,14 @@ jest.mock('../src/services/analysis', () => ({
       duration: 1.6,
       intensity: 8,
       peak_decibels: -3,
+      integrated_lufs: -14.2,
+      loudness_range_lu: 1.5,
+      true_peak_dbtp: -2.8,
       dominant_frequency: 320,
+      primary_note: 'E4',
+      tones_in_order: ['D4', 'E4 (primary)'],
       category: 'short_burst',
+      waveform: [{ points: 2, peaks: [1, 0.25] }],
     })
   ),
 }));
@@ -46,63 +58,106 @@ const { analyzeAudio } = require('../src/services/analysis');
 const { connectMongo } = require('../src/db/connection');
 const Submission = require('../src/models/Submission');
 const GoatScream = require('../src/models/GoatScream');
+const Waveform = require('../src/models/Waveform');
+const { computeFingerprint } = require('../src/audio/fingerprint');
+const { getJobQueue, resetJobQueue } = require('../src/queue');
+const { createSubmissionWorker, hasRawAudio } = require('../src/services/submissionJobs');
+const { RENDER_IMAGES_JOB } = require('../src/services/renderedImages');
+const { call } = require('./helpers/wav');
 const app = require('../src/app');
 
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
+// Enough of an MP3 for content sniffing; decoding is mocked
+const MP3_BYTES = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(29)]);
+
 describe('Submission pipeline', () => {
   let mongo;
+  let storageDir;
+  const worker = createSubmissionWorker();
+  // Runs the processing jobs queued by the requests so far
+  const processJobs = () => worker.drain();
 
   beforeAll(async () => {
     mongo = await MongoMemoryServer.create();
     const uri = mongo.getUri();
     process.env.MONGODB_URI = uri;
     process.env.FULL_STACK = 'true';
+    process.env.JOB_QUEUE_DRIVER = 'memory';
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-submissions-'));
+    process.env.STORAGE_DRIVER = 'local';
+    process.env.STORAGE_DIR = storageDir;
     await connectMongo({ uri });
   });
 
   afterAll(async () => {
     await mongoose.connection.close();
     if (mongo) await mongo.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
   });
 
   beforeEach(() => {
     jest.clearAllMocks();
-    axios.mockImplementation(() =>
-      Promise.resolve({ data: Readable.from(Buffer.from('fake-audio')) })
-    );
+    axios.mockImplementation(() => Promise.resolve({ data: Readable.from(MP3_BYTES) }));
   });
 
   afterEach(async () => {
     await Submission.deleteMany({});
     await GoatScream.deleteMany({});
+    await Waveform.deleteMany({});
+    resetJobQueue();
   });
 
   it('accepts submissions (JSON with remote audio and multipart with file upload)', async () => {
-    // JSON submission with remote audio
+    // JSON submission with remote audio: accepted right away, downloaded and analysed by the job
     const res1 = await request(app)
       .post('/api/v1/submissions')
       .send({ title: 'Remote Goat', audio_url: 'https://example.com/audio.mp3' })
       .expect(202);
-    expect(res1.body.submission).toHaveProperty('id');
+    expect(res1.body.submission).toMatchObject({ status: 'processing' });
+    expect(res1.headers.location).toBe(`/api/v1/submissions/${res1.body.submission.id}`);
+    expect(axios).not.toHaveBeenCalled();
+    const queued = await Submission.findOne({ id: res1.body.submission.id }).lean();
+    expect(queued.status).toBe('processing');
+    expect(queued.audio.original_url).toBe('https://example.com/audio.mp3');
+    expect(await getJobQueue().get(queued.job_id)).toMatchObject({ status: 'queued' });
+
+    await processJobs();
     expect(uploadSubmissionAudio).toHaveBeenCalledTimes(1);
     expect(analyzeAudio).toHaveBeenCalled();
     const docs1 = await Submission.find();
     expect(docs1).toHaveLength(1);
     expect(docs1[0].status).toBe('pending_review');
+    const stored1 = await Submission.findOne({ id: res1.body.submission.id }).lean();
+    expect(stored1.audio.waveform).toEqual([{ points: 2, peaks: [1, 0.25] }]);
+    expect(stored1.audio.cloudinary_url).toBe(
+      'https://cloudinary.example.com/submissions/mock.mp3'
+    );
+    expect(stored1.analysis).not.toHaveProperty('waveform');
+    expect(await getJobQueue().get(stored1.job_id)).toMatchObject({ status: 'completed' });
+    expect(await hasRawAudio(stored1.id)).toBe(false);
 
-    // Multipart submission
+    // Multipart submission: the file is kept for the job
     const res2 = await request(app)
       .post('/api/v1/submissions')
-      .attach('audio', Buffer.from('goat scream'), 'goat.mp3')
+      .attach('audio', MP3_BYTES, 'goat.mp3')
       .field('title', 'Multipart Goat')
       .field('context', 'User recorded clip')
       .expect(202);
-    expect(res2.body.submission.status).toBe('pending_review');
+    expect(res2.body.submission.status).toBe('processing');
+    expect(await hasRawAudio(res2.body.submission.id)).toBe(true);
+    await processJobs();
     expect(uploadSubmissionAudio).toHaveBeenCalledTimes(2);
     const doc2 = await Submission.findOne({ id: res2.body.submission.id });
     expect(doc2).not.toBeNull();
     expect(doc2.title).toBe('Multipart Goat');
+    expect(doc2.status).toBe('pending_review');
+    const claimed = await request(app)
+      .get(`/api/v1/submissions/${doc2.id}`)
+      .set('x-claim-token', res2.body.submission.claim_token)
+      .expect(200);
+    expect(claimed.body.analysis).toMatchObject({ duration: 1.6, intensity: 8 });
+    expect(claimed.body.analysis).not.toHaveProperty('waveform');
   });
 
   it('approves submissions and promotes to GoatScream (basic and full flow)', async () => {
@@ -111,6 +166,7 @@ describe('Submission pipeline', () => {
       .post('/api/v1/submissions')
       .send({ title: 'Goat Clip', audio_url: 'https://example.com/audio.mp3' })
       .expect(202);
+    await processJobs();
     const submissionId1 = submissionRes1.body.submission.id;
     const approveRes1 = await request(app)
       .patch(`/api/v1/moderation/submissions/${submissionId1}/approve`)
@@ -123,14 +179,28 @@ describe('Submission pipeline', () => {
     expect(goatDoc1).not.toBeNull();
     expect(goatDoc1.approved).toBe(true);
     expect(goatDoc1.tags).toContain('approved');
+    expect(goatDoc1.audio.peak_decibels).toBe(-3);
+    expect(goatDoc1.audio.integrated_lufs).toBe(-14.2);
+    expect(goatDoc1.audio.loudness_range_lu).toBe(1.5);
+    expect(goatDoc1.audio.true_peak_dbtp).toBe(-2.8);
+    expect(goatDoc1.audio.dominant_frequency).toBe(320);
+    expect(goatDoc1.analysis.primary_note).toBe('E4');
+    expect(goatDoc1.analysis.tones_in_order).toEqual(['D4', 'E4 (primary)']);
+    const waveform = await Waveform.findOne({ scream_id: goatDoc1.id }).lean();
+    expect(waveform.resolutions).toEqual([{ points: 2, peaks: [1, 0.25] }]);
     const updatedSubmission1 = await Submission.findOne({ id: submissionId1 });
     expect(updatedSubmission1.status).toBe('approved');
+    // The scream's default images are queued to be drawn ahead of time
+    expect([...getJobQueue().jobs.values()]).toContainEqual(
+      expect.objectContaining({ type: RENDER_IMAGES_JOB, payload: { scream_id: goatDoc1.id } })
+    );
 
     // Full flow: submit → view in queue → approve → verify in /api/screams
     const submissionRes2 = await request(app)
       .post('/api/v1/submissions')
       .send({ title: 'Full Flow Test', audio_url: 'https://example.com/audio.mp3', year: 2023 })
       .expect(202);
+    await processJobs();
     const submissionId2 = submissionRes2.body.submission.id;
     const queueRes = await request(app)
       .get('/api/v1/moderation/submissions')
@@ -161,6 +231,7 @@ describe('Submission pipeline', () => {
       .post('/api/v1/submissions')
       .send({ title: 'Reject Me', audio_url: 'https://example.com/audio.mp3' })
       .expect(202);
+    await processJobs();
     const submissionId1 = submissionRes1.body.submission.id;
     await request(app)
       .patch(`/api/v1/moderation/submissions/${submissionId1}/reject`)
@@ -177,6 +248,7 @@ describe('Submission pipeline', () => {
       .post('/api/v1/submissions')
       .send({ title: 'Rejection Test', audio_url: 'https://example.com/audio.mp3' })
       .expect(202);
+    await processJobs();
     const submissionId2 = submissionRes2.body.submission.id;
     const rejectionReason = 'Audio quality too poor for our collection';
     await request(app)
@@ -195,6 +267,7 @@ describe('Submission pipeline', () => {
       .post('/api/v1/submissions')
       .send({ title: 'Keep Asset Test', audio_url: 'https://example.com/audio.mp3' })
       .expect(202);
+    await processJobs();
     const submissionId3 = submissionRes3.body.submission.id;
     const originalPublicId = (await Submission.findOne({ id: submissionId3 })).cloudinary_public_id;
     const callCountBefore = deleteSubmissionAudio.mock.calls.length;
@@ -209,6 +282,294 @@ describe('Submission pipeline', () => {
     expect(updatedSubmission3.cloudinary_public_id).toBe(originalPublicId);
   });
 
+  it('lets submitters track their submission with the claim token', async () => {
+    const created = await request(app)
+      .post('/api/v1/submissions')
+      .set('user-agent', 'goat-tests')
+      .send({ title: 'Tracked Goat', audio_url: 'https://example.com/audio.mp3' })
+      .expect(202);
+    await processJobs();
+    const { id, claim_token: token } = created.body.submission;
+    expect(token).toEqual(expect.any(String));
+
+    // Only a hash of the token is stored
+    const stored = await Submission.findOne({ id }).select('+claim_token_hash').lean();
+    expect(stored.claim_token_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(stored)).not.toContain(token);
+
+    const pending = await request(app)
+      .get(`/api/v1/submissions/${id}`)
+      .set('x-claim-token', token)
+      .expect(200);
+    expect(pending.body).toMatchObject({
+      id,
+      title: 'Tracked Goat',
+      status: 'pending_review',
+      review_notes: null,
+      goat_scream_id: null,
+    });
+
+    await request(app).get(`/api/v1/submissions/${id}`).expect(401);
+    await request(app).get(`/api/v1/submissions/${id}`).set('x-claim-token', 'wrong').expect(404);
+    await request(app)
+      .get('/api/v1/submissions/sub_missing')
+      .set('x-claim-token', token)
+      .expect(404);
+
+    const approve = await request(app)
+      .patch(`/api/v1/moderation/submissions/${id}/approve`)
+      .set('x-admin-token', ADMIN_TOKEN)
+      .send({ review_notes: 'Great scream' })
+      .expect(200);
+
+    const approved = await request(app)
+      .get(`/api/v1/submissions/${id}`)
+      .query({ claim_token: token })
+      .expect(200);
+    expect(approved.body).toMatchObject({
+      status: 'approved',
+      goat_scream_id: approve.body.goat_scream_id,
+    });
+
+    // Approved submissions can no longer be withdrawn
+    const late = await request(app)
+      .delete(`/api/v1/submissions/${id}`)
+      .set('x-claim-token', token)
+      .expect(409);
+    expect(late.body.error.code).toBe('SUBMISSION_NOT_WITHDRAWABLE');
+  });
+
+  it('lets submitters withdraw pending submissions', async () => {
+    const created = await request(app)
+      .post('/api/v1/submissions')
+      .send({ title: 'Shy Goat', audio_url: 'https://example.com/audio.mp3' })
+      .expect(202);
+    await processJobs();
+    const { id, claim_token: token } = created.body.submission;
+
+    await request(app).delete(`/api/v1/submissions/${id}`).set('x-claim-token', 'nope').expect(404);
+
+    const res = await request(app)
+      .delete(`/api/v1/submissions/${id}`)
+      .set('x-claim-token', token)
+      .expect(200);
+    expect(res.body).toEqual({ message: 'Submission withdrawn', id, status: 'withdrawn' });
+    expect(deleteSubmissionAudio).toHaveBeenCalledWith('goat-screams/submissions/mock-id');
+
+    const doc = await Submission.findOne({ id }).lean();
+    expect(doc.status).toBe('withdrawn');
+    expect(doc.cloudinary_public_id).toBeNull();
+
+    // Moderators cannot act on it any more
+    await request(app)
+      .patch(`/api/v1/moderation/submissions/${id}/approve`)
+      .set('x-admin-token', ADMIN_TOKEN)
+      .send({})
+      .expect(400);
+
+    // Submissions still being processed can be withdrawn too; their job only cleans up
+    const early = await request(app)
+      .post('/api/v1/submissions')
+      .attach('audio', MP3_BYTES, 'goat.mp3')
+      .field('title', 'Hasty Goat')
+      .expect(202);
+    await request(app)
+      .delete(`/api/v1/submissions/${early.body.submission.id}`)
+      .set('x-claim-token', early.body.submission.claim_token)
+      .expect(200);
+    uploadSubmissionAudio.mockClear();
+    await processJobs();
+    expect(uploadSubmissionAudio).not.toHaveBeenCalled();
+    expect(await hasRawAudio(early.body.submission.id)).toBe(false);
+    expect((await Submission.findOne({ id: early.body.submission.id })).status).toBe('withdrawn');
+  });
+
+  it('keeps the stored audio accounted for when a withdrawal races with processing', async () => {
+    const created = await request(app)
+      .post('/api/v1/submissions')
+      .send({ title: 'Racing Goat', audio_url: 'https://example.com/audio.mp3' })
+      .expect(202);
+    const { id, claim_token: token } = created.body.submission;
+
+    // The job finishes after the withdrawal has loaded the submission but before it writes
+    const findOneAndUpdate = Submission.findOneAndUpdate.bind(Submission);
+    jest.spyOn(Submission, 'findOneAndUpdate').mockImplementationOnce(async (...args) => {
+      await processJobs();
+      expect((await Submission.findOne({ id }).lean()).status).toBe('pending_review');
+      return findOneAndUpdate(...args);
+    });
+
+    try {
+      await request(app)
+        .delete(`/api/v1/submissions/${id}`)
+        .set('x-claim-token', token)
+        .expect(200);
+    } finally {
+      Submission.findOneAndUpdate.mockRestore();
+    }
+
+    // The job's audio is deleted rather than orphaned behind a blind overwrite
+    expect(uploadSubmissionAudio).toHaveBeenCalledTimes(1);
+    expect(deleteSubmissionAudio).toHaveBeenCalledWith('goat-screams/submissions/mock-id');
+    const doc = await Submission.findOne({ id }).lean();
+    expect(doc).toMatchObject({ status: 'withdrawn', cloudinary_public_id: null });
+  });
+
+  it('keeps submitter details out of the public list', async () => {
+    await request(app)
+      .post('/api/v1/submissions')
+      .set('user-agent', 'goat-tests')
+      .send({ title: 'Listed Goat', audio_url: 'https://example.com/audio.mp3', tags: 'a,b' })
+      .expect(202);
+    await processJobs();
+
+    const res = await request(app).get('/api/v1/submissions').expect(200);
+    expect(res.body.items).toHaveLength(1);
+    expect(res.body.items[0].title).toBe('Listed Goat');
+    ['submitter_ip', 'metadata', 'claim_token_hash', '_id', 'analysis', 'processing_error'].forEach(
+      field => {
+        expect(res.body.items[0]).not.toHaveProperty(field);
+      }
+    );
+    expect(res.body.items[0].audio).not.toHaveProperty('original_url');
+    expect(res.body.items[0].audio.cloudinary_url).toBe(
+      'https://cloudinary.example.com/submissions/mock.mp3'
+    );
+  });
+
+  it('keeps a withdrawal during a review from being overwritten', async () => {
+    const created = await request(app)
+      .post('/api/v1/submissions')
+      .send({ title: 'Hesitant Goat', audio_url: 'https://example.com/audio.mp3' })
+      .expect(202);
+    await processJobs();
+    const { id, claim_token: token } = created.body.submission;
+
+    // The submitter withdraws while the approval is promoting the audio: the approval claimed
+    // the submission first, so the withdrawal is refused
+    promoteSubmissionAudio.mockImplementationOnce(async () => {
+      const late = await request(app)
+        .delete(`/api/v1/submissions/${id}`)
+        .set('x-claim-token', token)
+        .expect(409);
+      expect(late.body.error.code).toBe('SUBMISSION_NOT_WITHDRAWABLE');
+      return {
+        publicId: 'goat-screams/audio/mock-goat',
+        url: 'https://cloudinary.example.com/audio/mock.mp3',
+      };
+    });
+    await request(app)
+      .patch(`/api/v1/moderation/submissions/${id}/approve`)
+      .set('x-admin-token', ADMIN_TOKEN)
+      .send({})
+      .expect(200);
+    expect((await Submission.findOne({ id }).lean()).status).toBe('approved');
+
+    // A review that loaded the submission before it was withdrawn finds nothing to claim
+    const other = await request(app)
+      .post('/api/v1/submissions')
+      .send({ title: 'Shy Goat', audio_url: 'https://example.com/audio.mp3' })
+      .expect(202);
+    await processJobs();
+    const findOne = Submission.findOne.bind(Submission);
+    jest.spyOn(Submission, 'findOne').mockImplementationOnce((...args) => {
+      const query = findOne(...args);
+      const exec = query.exec.bind(query);
+      query.exec = async () => {
+        const doc = await exec();
+        await request(app)
+          .delete(`/api/v1/submissions/${other.body.submission.id}`)
+          .set('x-claim-token', other.body.submission.claim_token)
+          .expect(200);
+        return doc;
+      };
+      return query;
+    });
+    let res;
+    try {
+      res = await request(app)
+        .patch(`/api/v1/moderation/submissions/${other.body.submission.id}/approve`)
+        .set('x-admin-token', ADMIN_TOKEN)
+        .send({})
+        .expect(409);
+    } finally {
+      Submission.findOne.mockRestore();
+    }
+    expect(res.body.error.code).toBe('SUBMISSION_STATUS_CHANGED');
+    expect(await GoatScream.countDocuments({ id: `user-${other.body.submission.id}` })).toBe(0);
+    expect((await Submission.findOne({ id: other.body.submission.id }).lean()).status).toBe(
+      'withdrawn'
+    );
+  });
+
+  it('accepts resumable chunked uploads', async () => {
+    const file = Buffer.concat([MP3_BYTES, Buffer.from('goat scream sent in two chunks')]);
+    const created = await request(app)
+      .post('/api/v1/submissions/uploads')
+      .send({
+        filename: 'goat.mp3',
+        size: file.length,
+        mime_type: 'audio/mpeg',
+        checksum: createHash('sha256').update(file).digest('hex'),
+      })
+      .expect(201);
+    const uploadUrl = created.headers.location;
+    expect(uploadUrl).toBe(`/api/v1/submissions/uploads/${created.body.upload_id}`);
+
+    const chunk = file.subarray(0, 10);
+    await request(app)
+      .patch(uploadUrl)
+      .set('Content-Type', 'application/offset+octet-stream')
+      .set('Upload-Offset', '0')
+      .set('Upload-Checksum', `sha256 ${createHash('sha256').update(chunk).digest('base64')}`)
+      .send(chunk)
+      .expect('Upload-Offset', '10')
+      .expect(200);
+
+    // Resending from a stale offset is refused; the client asks where to resume
+    await request(app)
+      .patch(uploadUrl)
+      .set('Content-Type', 'application/offset+octet-stream')
+      .set('Upload-Offset', '0')
+      .send(file.subarray(10))
+      .expect(409);
+    await request(app).head(uploadUrl).expect('Upload-Offset', '10').expect(200);
+    await request(app).post(`${uploadUrl}/complete`).send({ title: 'Too Early Goat' }).expect(400);
+
+    await request(app)
+      .patch(uploadUrl)
+      .set('Content-Type', 'application/offset+octet-stream')
+      .set('Upload-Offset', '10')
+      .send(file.subarray(10))
+      .expect(200);
+
+    const res = await request(app)
+      .post(`${uploadUrl}/complete`)
+      .send({ title: 'Chunked Goat', tags: 'mobile' })
+      .expect(202);
+    expect(res.body.submission).toMatchObject({ status: 'processing' });
+    await processJobs();
+    expect(uploadSubmissionAudio).toHaveBeenCalledWith(
+      expect.stringMatching(/sub_.*\.mp3$/),
+      res.body.submission.id,
+      expect.any(Object)
+    );
+    const doc = await Submission.findOne({ id: res.body.submission.id }).lean();
+    expect(doc.title).toBe('Chunked Goat');
+    expect(doc.metadata.tags).toEqual(['mobile']);
+
+    // The upload is consumed
+    await request(app).get(uploadUrl).expect(404);
+  });
+
+  it('rejects resumable uploads of unsupported types', async () => {
+    const res = await request(app)
+      .post('/api/v1/submissions/uploads')
+      .send({ filename: 'goat.exe', size: 10, mime_type: 'application/octet-stream' })
+      .expect(400);
+    expect(res.body.error.message).toMatch(/^Invalid file type/);
+  });
+
   it('validates submissions (missing title, invalid year, missing audio)', async () => {
     // Missing title
     const res1 = await request(app)
@@ -232,24 +593,141 @@ describe('Submission pipeline', () => {
     expect(res3.body.error.details.some(e => e.includes('audio'))).toBe(true);
   });
 
-  it('handles errors gracefully (Cloudinary upload failure, analysis failure)', async () => {
-    // Cloudinary upload failure
-    uploadSubmissionAudio.mockRejectedValueOnce(new Error('Cloudinary upload failed'));
-    const res1 = await request(app)
+  it('checks submitted audio by its content and refuses internal URLs', async () => {
+    // Files that are not audio are refused during the upload, whatever their declared type
+    const notAudio = await request(app)
       .post('/api/v1/submissions')
-      .send({ title: 'Cloudinary Fail', audio_url: 'https://example.com/audio.mp3' })
-      .expect(502);
-    expect(res1.body.error).toHaveProperty('code', 'EXTERNAL_SERVICE_ERROR');
-    expect(res1.body.error.message).toBe('Failed to process submission');
+      .attach('audio', Buffer.from('<html>not a goat</html>'), 'goat.mp3')
+      .field('title', 'Disguised Goat')
+      .expect(400);
+    expect(notAudio.body.error).toMatchObject({
+      code: 'UNSUPPORTED_AUDIO_TYPE',
+      details: { field: 'audio' },
+    });
 
-    // Analysis failure
-    analyzeAudio.mockRejectedValueOnce(new Error('Analysis failed'));
-    const res2 = await request(app)
+    analyzeAudio.mockResolvedValueOnce({ duration: 0.02, waveform: [] });
+    const tooShort = await request(app)
+      .post('/api/v1/submissions')
+      .attach('audio', MP3_BYTES, 'goat.mp3')
+      .field('title', 'Blip Goat')
+      .expect(202);
+    await processJobs();
+
+    // Unusable audio fails at once, without retries
+    const short = await Submission.findOne({ id: tooShort.body.submission.id }).lean();
+    expect(short.status).toBe('failed');
+    expect(short.processing_error.code).toBe('AUDIO_TOO_SHORT');
+    expect(await getJobQueue().get(short.job_id)).toMatchObject({ status: 'dead', attempts: 1 });
+    expect(await hasRawAudio(short.id)).toBe(false);
+
+    const blocked = await request(app)
+      .post('/api/v1/submissions')
+      .send({ title: 'Metadata Goat', audio_url: 'http://169.254.169.254/latest/meta-data' })
+      .expect(400);
+    expect(blocked.body.error.code).toBe('BLOCKED_URL');
+    expect(axios).not.toHaveBeenCalled();
+    expect(uploadSubmissionAudio).not.toHaveBeenCalled();
+    expect(await Submission.countDocuments()).toBe(1);
+  });
+
+  it('retries failed processing with backoff and dead-letters it', async () => {
+    uploadSubmissionAudio.mockRejectedValue(new Error('Cloudinary upload failed'));
+    const created = await request(app)
+      .post('/api/v1/submissions')
+      .attach('audio', MP3_BYTES, 'goat.mp3')
+      .field('title', 'Unlucky Goat')
+      .expect(202);
+    const { id } = created.body.submission;
+    const { job_id: jobId } = await Submission.findOne({ id }).lean();
+
+    // A failed attempt is queued again after a delay; the submission stays in processing
+    expect(await processJobs()).toBe(1);
+    const retrying = await getJobQueue().get(jobId);
+    expect(retrying).toMatchObject({
+      status: 'queued',
+      attempts: 1,
+      last_error: { message: 'Cloudinary upload failed' },
+    });
+    expect(retrying.run_at.getTime()).toBeGreaterThan(Date.now());
+    expect((await Submission.findOne({ id })).status).toBe('processing');
+
+    // Out of attempts: dead-lettered, and the submission is marked failed
+    for (let attempt = 2; attempt <= retrying.max_attempts; attempt += 1) {
+      getJobQueue().jobs.get(jobId).run_at = new Date();
+      await processJobs();
+    }
+    expect(await getJobQueue().get(jobId)).toMatchObject({ status: 'dead' });
+    const failed = await request(app)
+      .get(`/api/v1/submissions/${id}`)
+      .set('x-claim-token', created.body.submission.claim_token)
+      .expect(200);
+    expect(failed.body).toMatchObject({ status: 'failed', error: { code: 'PROCESSING_FAILED' } });
+    expect(failed.body.error.message).not.toMatch(/Cloudinary/);
+    expect(await hasRawAudio(id)).toBe(true);
+
+    // Failed submissions cannot be approved, but moderators can retry them
+    await request(app)
+      .patch(`/api/v1/moderation/submissions/${id}/approve`)
+      .set('x-admin-token', ADMIN_TOKEN)
+      .send({})
+      .expect(400);
+    uploadSubmissionAudio.mockReset();
+    uploadSubmissionAudio.mockResolvedValue({
+      publicId: 'goat-screams/submissions/mock-id',
+      url: 'https://cloudinary.example.com/submissions/mock.mp3',
+      duration: 2.1,
+    });
+    // Of concurrent retries only one queues the job; the other is refused, at the latest when
+    // it tries to move the submission back to processing
+    const retries = await Promise.all(
+      [1, 2].map(() =>
+        request(app)
+          .patch(`/api/v1/moderation/submissions/${id}/retry`)
+          .set('x-admin-token', ADMIN_TOKEN)
+      )
+    );
+    const [retried, refused] = [...retries].sort((a, b) => a.status - b.status);
+    expect(retried.status).toBe(202);
+    expect(retried.body).toMatchObject({ id, status: 'processing', job_id: jobId });
+    expect([400, 409]).toContain(refused.status);
+    expect(await processJobs()).toBe(1);
+    expect(uploadSubmissionAudio).toHaveBeenCalledTimes(1);
+    const processed = await Submission.findOne({ id }).lean();
+    expect(processed.status).toBe('pending_review');
+    expect(processed.processing_error).toBeNull();
+    expect(await hasRawAudio(id)).toBe(false);
+
+    // Only failed submissions are retried
+    await request(app)
+      .patch(`/api/v1/moderation/submissions/${id}/retry`)
+      .set('x-admin-token', ADMIN_TOKEN)
+      .expect(400);
+  });
+
+  it('treats refused audio_url downloads as permanent failures', async () => {
+    axios.mockRejectedValueOnce(
+      Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } })
+    );
+    const created = await request(app)
       .post('/api/v1/submissions')
-      .send({ title: 'Analysis Fail', audio_url: 'https://example.com/audio.mp3' })
-      .expect(502);
-    expect(res2.body.error).toHaveProperty('code', 'EXTERNAL_SERVICE_ERROR');
-    expect(res2.body.error.message).toBe('Failed to process submission');
+      .send({ title: 'Missing Goat', audio_url: 'https://example.com/gone.mp3' })
+      .expect(202);
+    await processJobs();
+    const doc = await Submission.findOne({ id: created.body.submission.id }).lean();
+    expect(doc.status).toBe('failed');
+    expect(doc.processing_error).toEqual({
+      code: 'AUDIO_DOWNLOAD_FAILED',
+      message: 'audio_url could not be downloaded (HTTP 404)',
+    });
+
+    // The download is attempted again on a retry
+    await request(app)
+      .patch(`/api/v1/moderation/submissions/${doc.id}/retry`)
+      .set('x-admin-token', ADMIN_TOKEN)
+      .expect(202);
+    await processJobs();
+    expect((await Submission.findOne({ id: doc.id })).status).toBe('pending_review');
+    expect(axios).toHaveBeenCalledTimes(2);
   });
 
   it('tracks stats correctly after approval', async () => {
@@ -257,6 +735,7 @@ describe('Submission pipeline', () => {
       .post('/api/v1/submissions')
       .send({ title: 'Stats Test', audio_url: 'https://example.com/audio.mp3' })
       .expect(202);
+    await processJobs();
 
     const submissionId = submissionRes.body.submission.id;
 
@@ -281,11 +760,13 @@ describe('Submission pipeline', () => {
       .post('/api/v1/submissions')
       .send({ title: 'Pending 1', audio_url: 'https://example.com/audio1.mp3' })
       .expect(202);
+    await processJobs();
 
     await request(app)
       .post('/api/v1/submissions')
       .send({ title: 'Pending 2', audio_url: 'https://example.com/audio2.mp3' })
       .expect(202);
+    await processJobs();
 
     // Approve one
     await request(app)
@@ -324,12 +805,79 @@ describe('Submission pipeline', () => {
     expect(allRes.body.total).toBeGreaterThanOrEqual(2);
   });
 
+  it('flags likely duplicates in the moderation queue', async () => {
+    const clip = call(600, 3);
+    const fingerprint = computeFingerprint({ sampleRate: 44100, channels: [clip] });
+    const analysisWith = samples => ({
+      duration: 3,
+      intensity: 6,
+      category: 'multiple',
+      fingerprint: computeFingerprint({ sampleRate: 44100, channels: [samples] }),
+    });
+    await GoatScream.create({
+      id: 'goat-viral',
+      title: 'Viral Goat',
+      source_type: 'viral_video',
+      audio: { duration: 3 },
+      fingerprint,
+    });
+
+    analyzeAudio.mockResolvedValueOnce(analysisWith(clip.map(v => v * 0.5)));
+    const copy = await request(app)
+      .post('/api/v1/submissions')
+      .send({ title: 'Viral Goat again', audio_url: 'https://example.com/copy.mp3' })
+      .expect(202);
+    await processJobs();
+    analyzeAudio.mockResolvedValueOnce(analysisWith(call(450, 4)));
+    const original = await request(app)
+      .post('/api/v1/submissions')
+      .send({ title: 'My own goat', audio_url: 'https://example.com/mine.mp3' })
+      .expect(202);
+    await processJobs();
+    // The copy is not shown to the submitter
+    expect(copy.body.submission).not.toHaveProperty('duplicates');
+
+    const flagged = await request(app)
+      .get('/api/v1/moderation/submissions')
+      .set('x-admin-token', ADMIN_TOKEN)
+      .query({ duplicates: 'true' })
+      .expect(200);
+    expect(flagged.body.items.map(item => item.id)).toEqual([copy.body.submission.id]);
+    expect(flagged.body.items[0].duplicates).toEqual([
+      expect.objectContaining({
+        kind: 'scream',
+        id: 'goat-viral',
+        title: 'Viral Goat',
+        url: '/api/v1/screams/goat-viral',
+      }),
+    ]);
+    expect(flagged.body.items[0].duplicates[0].similarity).toBeGreaterThan(0.9);
+    expect(flagged.body.items[0]).not.toHaveProperty('fingerprint');
+
+    const clean = await request(app)
+      .get('/api/v1/moderation/submissions')
+      .set('x-admin-token', ADMIN_TOKEN)
+      .query({ duplicates: 'false' })
+      .expect(200);
+    expect(clean.body.items.map(item => item.id)).toEqual([original.body.submission.id]);
+
+    // Approved screams keep the fingerprint for later checks
+    await request(app)
+      .patch(`/api/v1/moderation/submissions/${original.body.submission.id}/approve`)
+      .set('x-admin-token', ADMIN_TOKEN)
+      .send({ goat_scream_id: 'goat-mine' })
+      .expect(200);
+    const promoted = await GoatScream.findOne({ id: 'goat-mine' }).select('+fingerprint').lean();
+    expect(promoted.fingerprint).toEqual(expect.any(String));
+  });
+
   it('prevents state changes on already approved submissions (approve twice, reject after approve)', async () => {
     // Prevent double approval
     const submissionRes1 = await request(app)
       .post('/api/v1/submissions')
       .send({ title: 'Double Approve Test', audio_url: 'https://example.com/audio.mp3' })
       .expect(202);
+    await processJobs();
     const submissionId1 = submissionRes1.body.submission.id;
 
     // First approval
@@ -352,6 +900,7 @@ describe('Submission pipeline', () => {
       .post('/api/v1/submissions')
       .send({ title: 'Reject Approved Test', audio_url: 'https://example.com/audio2.mp3' })
       .expect(202);
+    await processJobs();
     const submissionId2 = submissionRes2.body.submission.id;
 
     // Approve first
@@ -0,0 +1,97 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  reverseSort,
+  compareBySort,
+  buildPageCursors,
+} = require('../../src/utils/cursor');
+const { ValidationError } = require('../../src/errors');
+
+describe('cursor utilities', () => {
+  const sort = { date_added: 1, id: 1 };
+  const doc = { id: 'goat-2', date_added: new Date('2020-01-02T00:00:00.000Z') };
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip sort values and direction', () => {
+      const token = encodeCursor(doc, sort, 'prev');
+
+      expect(typeof token).toBe('string');
+      expect(token).not.toMatch(/[+/=]/);
+      expect(decodeCursor(token, sort)).toEqual({
+        direction: 'prev',
+        after: { date_added: '2020-01-02T00:00:00.000Z', id: 'goat-2' },
+      });
+    });
+
+    it('should read nested fields and encode missing values as null', () => {
+      const token = encodeCursor({ id: 'x' }, { 'audio.intensity': -1, id: 1 });
+
+      expect(decodeCursor(token, { 'audio.intensity': -1, id: 1 }).after).toEqual({
+        'audio.intensity': null,
+        id: 'x',
+      });
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(() => decodeCursor('not-a-cursor', sort)).toThrow(ValidationError);
+      expect(() =>
+        decodeCursor(Buffer.from('{"d":"sideways"}').toString('base64url'), sort)
+      ).toThrow(ValidationError);
+    });
+
+    it('should reject cursors issued for a different sort', () => {
+      const token = encodeCursor(doc, { year: -1, id: 1 });
+
+      expect(() => decodeCursor(token, sort)).toThrow(ValidationError);
+    });
+  });
+
+  describe('reverseSort', () => {
+    it('should flip every direction', () => {
+      expect(reverseSort({ remix_count: -1, id: 1 })).toEqual({ remix_count: 1, id: -1 });
+    });
+  });
+
+  describe('compareBySort', () => {
+    it('should fall through to later sort keys on ties', () => {
+      const a = { date_added: '2020-01-01', id: 'a' };
+      const b = { date_added: '2020-01-01', id: 'b' };
+
+      expect(compareBySort(a, b, sort)).toBeLessThan(0);
+      expect(compareBySort(b, a, sort)).toBeGreaterThan(0);
+      expect(compareBySort(a, a, sort)).toBe(0);
+      expect(compareBySort(a, b, reverseSort(sort))).toBeGreaterThan(0);
+    });
+  });
+
+  describe('buildPageCursors', () => {
+    const items = [
+      { id: 'a', date_added: '2020-01-01' },
+      { id: 'b', date_added: '2020-01-02' },
+    ];
+
+    it('should point next at the last item and prev at the first', () => {
+      const cursors = buildPageCursors(items, sort, { hasPrev: true, hasNext: true });
+
+      expect(decodeCursor(cursors.next_cursor, sort)).toEqual({
+        direction: 'next',
+        after: { date_added: '2020-01-02', id: 'b' },
+      });
+      expect(decodeCursor(cursors.prev_cursor, sort)).toEqual({
+        direction: 'prev',
+        after: { date_added: '2020-01-01', id: 'a' },
+      });
+    });
+
+    it('should return null cursors at the edges and for empty pages', () => {
+      expect(buildPageCursors(items, sort, { hasPrev: false, hasNext: false })).toEqual({
+        next_cursor: null,
+        prev_cursor: null,
+      });
+      expect(buildPageCursors([], sort, { hasPrev: true, hasNext: true })).toEqual({
+        next_cursor: null,
+        prev_cursor: null,
+      });
+    });
+  });
+});
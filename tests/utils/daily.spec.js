@@ -0,0 +1,140 @@
+const {
+  parseTimeZone,
+  localDate,
+  nextDayStart,
+  dayNumber,
+  dayDate,
+  dayStart,
+  dailyIndex,
+  cycleCutoff,
+  firstDayAfter,
+  nextCycleStart,
+} = require('../../src/utils/daily');
+const { ValidationError } = require('../../src/errors');
+
+describe('daily utils', () => {
+  describe('parseTimeZone', () => {
+    it('should default to UTC', () => {
+      expect(parseTimeZone()).toBe('UTC');
+      expect(parseTimeZone('')).toBe('UTC');
+    });
+
+    it('should canonicalise known time zones', () => {
+      expect(parseTimeZone('europe/berlin')).toBe('Europe/Berlin');
+    });
+
+    it('should reject unknown time zones', () => {
+      expect(() => parseTimeZone('Mars/Olympus')).toThrow(ValidationError);
+    });
+  });
+
+  describe('localDate', () => {
+    it('should use the calendar day of the time zone', () => {
+      const instant = new Date('2024-06-01T23:30:00Z');
+      expect(localDate(instant, 'UTC')).toBe('2024-06-01');
+      expect(localDate(instant, 'Asia/Tokyo')).toBe('2024-06-02');
+      expect(localDate(instant, 'America/Los_Angeles')).toBe('2024-06-01');
+    });
+  });
+
+  describe('nextDayStart', () => {
+    it('should return the next UTC midnight', () => {
+      expect(nextDayStart(new Date('2024-06-01T12:34:56.789Z'), 'UTC').toISOString()).toBe(
+        '2024-06-02T00:00:00.000Z'
+      );
+    });
+
+    it('should handle fractional offsets', () => {
+      expect(nextDayStart(new Date('2024-06-01T12:00:00Z'), 'Asia/Kolkata').toISOString()).toBe(
+        '2024-06-01T18:30:00.000Z'
+      );
+    });
+
+    it('should handle days shortened or lengthened by DST', () => {
+      // New York springs forward on 2026-03-08 and falls back on 2026-11-01
+      expect(nextDayStart(new Date('2026-03-08T05:30:00Z'), 'America/New_York').toISOString()).toBe(
+        '2026-03-09T04:00:00.000Z'
+      );
+      expect(nextDayStart(new Date('2026-11-01T05:00:00Z'), 'America/New_York').toISOString()).toBe(
+        '2026-11-02T05:00:00.000Z'
+      );
+    });
+  });
+
+  describe('dayNumber', () => {
+    it('should count days since the epoch', () => {
+      expect(dayNumber('1970-01-01')).toBe(0);
+      expect(dayNumber('2024-03-01') - dayNumber('2024-02-28')).toBe(2);
+    });
+
+    it('should reject malformed and impossible dates', () => {
+      expect(() => dayNumber('2024-2-1')).toThrow(ValidationError);
+      expect(() => dayNumber('2023-02-29')).toThrow(ValidationError);
+    });
+
+    it('should format day numbers back to dates', () => {
+      expect(dayDate(dayNumber('2024-02-29'))).toBe('2024-02-29');
+    });
+  });
+
+  describe('dayStart', () => {
+    it.each([
+      ['UTC', '2024-06-01T00:00:00.000Z'],
+      ['America/New_York', '2024-06-01T04:00:00.000Z'],
+      ['Pacific/Pago_Pago', '2024-06-01T11:00:00.000Z'],
+      ['Asia/Kolkata', '2024-05-31T18:30:00.000Z'],
+      ['Pacific/Kiritimati', '2024-05-31T10:00:00.000Z'],
+    ])('should find local midnight in %s', (tz, expected) => {
+      expect(dayStart('2024-06-01', tz).toISOString()).toBe(expected);
+    });
+
+    it('should reject malformed dates', () => {
+      expect(() => dayStart('2024-06-31', 'UTC')).toThrow(ValidationError);
+    });
+  });
+
+  describe('dailyIndex', () => {
+    it('should visit every index once per cycle', () => {
+      [1, 7, 10, 186].forEach(size => {
+        const seen = new Set();
+        for (let position = 0; position < size; position += 1) {
+          seen.add(dailyIndex(position, size));
+        }
+        expect(seen.size).toBe(size);
+      });
+    });
+
+    it('should not step to the neighbouring index on consecutive days', () => {
+      const today = dailyIndex(20, 186);
+      const tomorrow = dailyIndex(21, 186);
+      expect(Math.abs(today - tomorrow)).toBeGreaterThan(1);
+    });
+  });
+
+  describe('cycles', () => {
+    const day = dayNumber('2024-06-01');
+
+    it('should take the catalog when the day begins at UTC+14', () => {
+      expect(cycleCutoff(day).toISOString()).toBe('2024-05-31T10:00:00.000Z');
+      expect(cycleCutoff(day).getTime()).toBeLessThanOrEqual(
+        dayStart('2024-06-01', 'Pacific/Kiritimati').getTime()
+      );
+    });
+
+    it('should find the first day whose catalog includes an instant', () => {
+      expect(firstDayAfter(new Date('2024-05-31T09:59:59Z'))).toBe(day);
+      expect(firstDayAfter('2024-05-31T10:00:00Z')).toBe(day + 1);
+      expect(firstDayAfter(null)).toBe(0);
+    });
+
+    it('should start the next cycle at a boundary of the current one', () => {
+      const cycle = { start_day: day, size: 10 };
+      // Added during the first pass: the next cycle follows it
+      expect(nextCycleStart(cycle, '2024-06-03T12:00:00Z')).toBe(day + 10);
+      // Added during the third pass: the catalog repeats twice before growing
+      expect(nextCycleStart(cycle, '2024-06-25T12:00:00Z')).toBe(day + 30);
+      // Added right at the cutoff misses the cycle and waits for the next one
+      expect(nextCycleStart(cycle, '2024-05-31T10:00:00Z')).toBe(day + 10);
+    });
+  });
+});
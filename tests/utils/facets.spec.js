@@ -0,0 +1,72 @@
+const {
+  parseFacets,
+  buildFacetStage,
+  readFacetResult,
+  countFacet,
+} = require('../../src/utils/facets');
+const { ValidationError } = require('../../src/errors');
+
+describe('facets', () => {
+  describe('parseFacets', () => {
+    it('should parse, trim and dedupe facet fields', () => {
+      expect(parseFacets(' year,tags ,year')).toEqual(['year', 'tags']);
+      expect(parseFacets(['meme_status', 'audio.category'])).toEqual([
+        'meme_status',
+        'audio.category',
+      ]);
+      expect(parseFacets(undefined)).toBeNull();
+      expect(parseFacets(' , ')).toBeNull();
+    });
+
+    it('should reject unknown facets', () => {
+      expect(() => parseFacets('year,title')).toThrow(ValidationError);
+    });
+  });
+
+  describe('buildFacetStage / readFacetResult', () => {
+    it('should build one sub-pipeline per facet with its own match', () => {
+      const stage = buildFacetStage(['audio.category', 'tags'], facet => ({ facet }));
+
+      expect(stage.$facet.audio_category).toEqual([
+        { $match: { facet: 'audio.category' } },
+        { $group: { _id: '$audio.category', count: { $sum: 1 } } },
+        { $match: { _id: { $ne: null } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 100 },
+      ]);
+      expect(stage.$facet.tags[1]).toEqual({ $unwind: '$tags' });
+    });
+
+    it('should map results back to facet names', () => {
+      expect(
+        readFacetResult(['audio.category', 'year'], {
+          audio_category: [{ _id: 'short_burst', count: 3 }],
+        })
+      ).toEqual({ 'audio.category': [{ value: 'short_burst', count: 3 }], year: [] });
+    });
+  });
+
+  describe('countFacet', () => {
+    const docs = [
+      { year: 2020, tags: ['loud', 'goat'], audio: { category: 'short_burst' } },
+      { year: 2021, tags: ['goat'], audio: { category: 'short_burst' } },
+      { year: 2020, tags: [] },
+      {},
+    ];
+
+    it('should count values most common first, then by value', () => {
+      expect(countFacet(docs, 'year')).toEqual([
+        { value: 2020, count: 2 },
+        { value: 2021, count: 1 },
+      ]);
+      expect(countFacet(docs, 'audio.category')).toEqual([{ value: 'short_burst', count: 2 }]);
+    });
+
+    it('should count each element of array facets', () => {
+      expect(countFacet(docs, 'tags')).toEqual([
+        { value: 'goat', count: 2 },
+        { value: 'loud', count: 1 },
+      ]);
+    });
+  });
+});
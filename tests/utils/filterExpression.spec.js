@@ -0,0 +1,176 @@
+const {
+  FILTER_FIELDS,
+  parseFilterExpression,
+  toMongoQuery,
+  toPredicate,
+} = require('../../src/utils/filterExpression');
+const { ValidationError } = require('../../src/errors');
+const GoatScream = require('../../src/models/GoatScream');
+
+describe('filterExpression', () => {
+  const docs = [
+    {
+      id: 'a',
+      year: 2019,
+      date_added: '2019-05-01T00:00:00.000Z',
+      meme_status: 'viral',
+      tags: ['alarm', 'goat'],
+      audio: { intensity: 9 },
+      approved: true,
+    },
+    {
+      id: 'b',
+      year: 2021,
+      date_added: '2021-05-01T00:00:00.000Z',
+      meme_status: 'classic',
+      tags: ['goat'],
+      audio: { intensity: 7 },
+      approved: true,
+    },
+    { id: 'c', year: 2022, meme_status: 'legendary', tags: [], audio: { intensity: 4 } },
+    { id: 'd', year: 2023, tags: ['alarm'], approved: false },
+  ];
+  const run = expr => docs.filter(toPredicate(parseFilterExpression(expr))).map(d => d.id);
+
+  describe('parseFilterExpression', () => {
+    it('should give and precedence over or', () => {
+      expect(parseFilterExpression('year = 1 or remix_count = 2 and audio.intensity = 3')).toEqual({
+        type: 'or',
+        children: [
+          { type: 'compare', field: 'year', op: 'eq', value: 1 },
+          {
+            type: 'and',
+            children: [
+              { type: 'compare', field: 'remix_count', op: 'eq', value: 2 },
+              { type: 'compare', field: 'audio.intensity', op: 'eq', value: 3 },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('should parse lists, quoted strings, keywords and literals', () => {
+      expect(parseFilterExpression("title in [1, 'two', three] AND NOT year != null")).toEqual({
+        type: 'and',
+        children: [
+          { type: 'compare', field: 'title', op: 'in', value: ['1', 'two', 'three'] },
+          { type: 'not', child: { type: 'compare', field: 'year', op: 'ne', value: null } },
+        ],
+      });
+    });
+
+    it("should coerce literals to the field's schema type", () => {
+      const values = expr => {
+        const ast = parseFilterExpression(expr);
+        return (ast.children || [ast]).map(node => node.value);
+      };
+      expect(
+        values(
+          'audio.intensity >= "7" and year in ["2020", 2021] and title = 2020 and approved = "true"'
+        )
+      ).toEqual([7, [2020, 2021], '2020', true]);
+      expect(values('date_added > 2021-01-01 and last_curated_at = null')).toEqual([
+        new Date('2021-01-01'),
+        null,
+      ]);
+    });
+
+    it.each([
+      ['', 1],
+      ['year >=', 8],
+      ['year >= 2020 and', 17],
+      ['(year = 1', 10],
+      ['year ~ 1', 6],
+      ['year = 1 year', 10],
+      ['tags in alarm', 9],
+      ['"year" = 1', 1],
+      ['$where = 1', 1],
+      ['title = "open', 9],
+      ['year > true', 8],
+      ['goat_mood = 1', 1],
+      ['year = 1 or fingerprint = AAAA', 13],
+      ['year = soon', 8],
+      ['audio.intensity in [7, loud]', 24],
+      ['date_added > yesterday', 14],
+      ['date_added < 2021', 14],
+      ['approved = yes', 12],
+      ['approved >= true', 13],
+      ['tags has false', 10],
+    ])('should reject %p with the column of the problem', (expr, column) => {
+      let error;
+      try {
+        parseFilterExpression(expr);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual({ field: 'filter', value: expr, column });
+      expect(error.message).toContain(`column ${column}`);
+    });
+
+    it('should reject overly deep nesting', () => {
+      const expr = `${'('.repeat(30)}year = 1${')'.repeat(30)}`;
+      expect(() => parseFilterExpression(expr)).toThrow(ValidationError);
+    });
+  });
+
+  describe('toMongoQuery', () => {
+    it('should compile the AST to a MongoDB query', () => {
+      const ast = parseFilterExpression(
+        'audio.intensity>=7 and (meme_status in [viral,legendary] or tags has "alarm") and not year < 2000'
+      );
+
+      expect(toMongoQuery(ast)).toEqual({
+        $and: [
+          { 'audio.intensity': { $gte: 7 } },
+          { $or: [{ meme_status: { $in: ['viral', 'legendary'] } }, { tags: 'alarm' }] },
+          { $nor: [{ year: { $lt: 2000 } }] },
+        ],
+      });
+    });
+
+    it('should leave nothing for Mongoose to cast', () => {
+      const ast = parseFilterExpression(
+        'audio.intensity >= "7" and year in ["2020", 2021] and title = 2020 and approved = "true" and date_added > 2021-01-01'
+      );
+      const query = toMongoQuery(ast);
+      expect(GoatScream.find(query).cast(GoatScream)).toEqual(query);
+    });
+  });
+
+  describe('FILTER_FIELDS', () => {
+    it('should match the GoatScream schema types', () => {
+      Object.entries(FILTER_FIELDS).forEach(([field, type]) => {
+        const path = GoatScream.schema.path(field);
+        const instance = path.instance === 'Array' ? path.caster.instance : path.instance;
+        expect([field, instance.toLowerCase()]).toEqual([field, type]);
+      });
+    });
+  });
+
+  describe('toPredicate', () => {
+    it('should evaluate comparisons and boolean operators', () => {
+      expect(
+        run('audio.intensity>=7 and (meme_status in [viral,legendary] or tags has "alarm")')
+      ).toEqual(['a']);
+      expect(run('year > 2020 or tags has alarm')).toEqual(['a', 'b', 'c', 'd']);
+      expect(run('not (year <= 2021)')).toEqual(['c', 'd']);
+    });
+
+    it('should follow MongoDB semantics for missing fields and arrays', () => {
+      expect(run('meme_status = null')).toEqual(['d']);
+      expect(run('meme_status != viral')).toEqual(['b', 'c', 'd']);
+      expect(run('audio.intensity < 8')).toEqual(['b', 'c']);
+      expect(run('tags != goat')).toEqual(['c', 'd']);
+      expect(run('tags = alarm')).toEqual(['a', 'd']);
+    });
+
+    it('should compare coerced literals like MongoDB does', () => {
+      expect(run('year > "2020"')).toEqual(['b', 'c', 'd']);
+      expect(run('approved = "true"')).toEqual(['a', 'b']);
+      expect(run('date_added >= 2021-01-01')).toEqual(['b']);
+      expect(run('date_added = 2019-05-01')).toEqual(['a']);
+      expect(run('date_added in [2021-05-01, null]')).toEqual(['b', 'c', 'd']);
+    });
+  });
+});
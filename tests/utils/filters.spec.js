@@ -221,6 +221,36 @@ describe('filters utilities', () => {
     });
   });
 
+  describe('loudness ranges', () => {
+    const measured = [
+      { id: 'quiet', audio: { integrated_lufs: -31.2, loudness_range_lu: 2, true_peak_dbtp: -12 } },
+      { id: 'loud', audio: { integrated_lufs: -9.5, loudness_range_lu: 0, true_peak_dbtp: 0.4 } },
+      { id: 'unmeasured', audio: { intensity: 5 } },
+    ];
+
+    it('should filter by LUFS, LRA and true peak ranges, skipping unmeasured screams', () => {
+      const ids = query => applyFilters(measured, query).map(s => s.id);
+      expect(ids({ lufs_range: '-35--20' })).toEqual(['quiet']);
+      expect(ids({ lufs_range: '-20-' })).toEqual(['loud']);
+      expect(ids({ lra_range: '1-' })).toEqual(['quiet']);
+      expect(ids({ true_peak_range: '-1-' })).toEqual(['loud']);
+      // Unparseable ranges are ignored like other list filters
+      expect(ids({ lufs_range: 'loud' })).toHaveLength(3);
+    });
+
+    it('should compile loudness ranges into MongoDB filters', () => {
+      expect(buildMongoFilter({ lufs_range: '-30--14', true_peak_range: '--1' })).toEqual({
+        approved: true,
+        'audio.integrated_lufs': { $gte: -30, $lte: -14 },
+        'audio.true_peak_dbtp': { $lte: -1 },
+      });
+      expect(buildMongoFilter({ lra_range: '5' })).toEqual({
+        approved: true,
+        'audio.loudness_range_lu': { $gte: 5 },
+      });
+    });
+  });
+
   describe('deepGet', () => {
     const obj = {
       a: {
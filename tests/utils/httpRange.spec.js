@@ -0,0 +1,79 @@
+const { parseRange, isNotModified, ifRangeMatches } = require('../../src/utils/httpRange');
+
+describe('httpRange utils', () => {
+  describe('parseRange', () => {
+    it('should return null without a usable Range header', () => {
+      expect(parseRange(undefined, 100)).toBeNull();
+      expect(parseRange('items=0-5', 100)).toBeNull();
+      expect(parseRange('bytes=0-5,10-15', 100)).toBeNull();
+      expect(parseRange('bytes=20-10', 100)).toBeNull();
+    });
+
+    it('should parse closed, open and suffix ranges', () => {
+      expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+      expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+      expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+      expect(parseRange('bytes=-500', 100)).toEqual({ start: 0, end: 99 });
+    });
+
+    it('should clamp the end to the representation', () => {
+      expect(parseRange('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+    });
+
+    it('should mark ranges past the end as unsatisfiable', () => {
+      expect(parseRange('bytes=100-', 100)).toEqual({ unsatisfiable: true });
+      expect(parseRange('bytes=-0', 100)).toEqual({ unsatisfiable: true });
+    });
+  });
+
+  describe('isNotModified', () => {
+    const validators = { etag: '"abc"', lastModified: new Date('2024-01-01T00:00:00.500Z') };
+
+    it('should match If-None-Match weakly', () => {
+      expect(isNotModified({ 'if-none-match': '"abc"' }, validators)).toBe(true);
+      expect(isNotModified({ 'if-none-match': 'W/"abc", "x"' }, validators)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '*' }, validators)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"x"' }, validators)).toBe(false);
+    });
+
+    it('should compare If-Modified-Since at second precision', () => {
+      const since = 'Mon, 01 Jan 2024 00:00:00 GMT';
+      expect(isNotModified({ 'if-modified-since': since }, validators)).toBe(true);
+      expect(
+        isNotModified({ 'if-modified-since': 'Sun, 31 Dec 2023 00:00:00 GMT' }, validators)
+      ).toBe(false);
+    });
+
+    it('should ignore If-Modified-Since when If-None-Match is present', () => {
+      expect(
+        isNotModified(
+          { 'if-none-match': '"x"', 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' },
+          validators
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe('ifRangeMatches', () => {
+    const validators = { etag: '"abc"', lastModified: new Date('2024-01-01T00:00:00Z') };
+
+    it('should honour ranges without If-Range', () => {
+      expect(ifRangeMatches({}, validators)).toBe(true);
+    });
+
+    it('should compare entity tags strongly', () => {
+      expect(ifRangeMatches({ 'if-range': '"abc"' }, validators)).toBe(true);
+      expect(ifRangeMatches({ 'if-range': 'W/"abc"' }, validators)).toBe(false);
+      expect(ifRangeMatches({ 'if-range': '"abc"' }, { etag: 'W/"abc"' })).toBe(false);
+    });
+
+    it('should compare dates exactly', () => {
+      expect(ifRangeMatches({ 'if-range': 'Mon, 01 Jan 2024 00:00:00 GMT' }, validators)).toBe(
+        true
+      );
+      expect(ifRangeMatches({ 'if-range': 'Tue, 02 Jan 2024 00:00:00 GMT' }, validators)).toBe(
+        false
+      );
+    });
+  });
+});
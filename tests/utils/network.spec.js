@@ -0,0 +1,101 @@
+jest.mock('dns', () => ({ lookup: jest.fn() }));
+
+const dns = require('dns');
+const { isPrivateAddress, assertPublicUrl, safeLookup } = require('../../src/utils/network');
+
+describe('utils/network', () => {
+  describe('isPrivateAddress', () => {
+    it.each([
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.31.255.255',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '255.255.255.255',
+      '::1',
+      '::',
+      'fd12:3456::1',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      'not-an-ip',
+    ])('should block %s', address => {
+      expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    it.each(['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111'])(
+      'should allow %s',
+      address => {
+        expect(isPrivateAddress(address)).toBe(false);
+      }
+    );
+  });
+
+  describe('assertPublicUrl', () => {
+    it('should accept public http(s) URLs', () => {
+      expect(assertPublicUrl('https://example.com/goat.mp3').hostname).toBe('example.com');
+      expect(assertPublicUrl('http://93.184.216.34/goat.mp3').protocol).toBe('http:');
+    });
+
+    it('should reject malformed and non-http URLs', () => {
+      expect(() => assertPublicUrl('not a url')).toThrow(
+        expect.objectContaining({ code: 'INVALID_URL' })
+      );
+      expect(() => assertPublicUrl('file:///etc/passwd')).toThrow(
+        expect.objectContaining({ code: 'INVALID_URL' })
+      );
+    });
+
+    it('should reject internal addresses in any spelling', () => {
+      [
+        'http://127.0.0.1/goat.mp3',
+        'http://localhost:3000/goat.mp3',
+        'http://[::1]/goat.mp3',
+        'http://2130706433/goat.mp3',
+        'http://0x7f.1/goat.mp3',
+        'http://[::ffff:10.0.0.1]/goat.mp3',
+      ].forEach(url => {
+        expect(() => assertPublicUrl(url)).toThrow(
+          expect.objectContaining({ code: 'BLOCKED_URL' })
+        );
+      });
+    });
+  });
+
+  describe('safeLookup', () => {
+    const lookup = (hostname, options) =>
+      new Promise(resolve => {
+        safeLookup(hostname, options, (...args) => resolve(args));
+      });
+
+    it('should pass through public addresses', async () => {
+      dns.lookup.mockImplementation((host, options, callback) =>
+        callback(null, [{ address: '93.184.216.34', family: 4 }])
+      );
+      await expect(lookup('example.com', {})).resolves.toEqual([null, '93.184.216.34', 4]);
+      await expect(lookup('example.com', { all: true })).resolves.toEqual([
+        null,
+        [{ address: '93.184.216.34', family: 4 }],
+      ]);
+      expect(dns.lookup).toHaveBeenCalledWith('example.com', { all: true }, expect.any(Function));
+    });
+
+    it('should fail when any resolved address is internal', async () => {
+      dns.lookup.mockImplementation((host, options, callback) =>
+        callback(null, [
+          { address: '93.184.216.34', family: 4 },
+          { address: '10.0.0.5', family: 4 },
+        ])
+      );
+      const [err] = await lookup('rebind.example', {});
+      expect(err).toMatchObject({ code: 'BLOCKED_URL', statusCode: 400 });
+    });
+
+    it('should pass on resolver errors', async () => {
+      const notFound = Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+      dns.lookup.mockImplementation((host, options, callback) => callback(notFound));
+      await expect(lookup('nowhere.invalid', {})).resolves.toEqual([notFound]);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const {
+  scaleNotes,
+  parseNote,
+  noteName,
+  spellings,
+  parsePitchRange,
+  parseNoteFilters,
+  noteFiltersToPredicates,
+  noteFiltersToMongo,
+} = require('../../src/utils/notes');
+const { ValidationError } = require('../../src/errors');
+const { matchesExpr } = require('../helpers/aggregation');
+
+const scream = (primary, tones) => ({ analysis: { primary_note: primary, tones_in_order: tones } });
+
+describe('notes', () => {
+  describe('parseNote', () => {
+    it('should parse notes to pitch class and MIDI number', () => {
+      expect(parseNote('C4')).toEqual({ pitchClass: 0, octave: 4, midi: 60 });
+      expect(parseNote('A#4')).toEqual({ pitchClass: 10, octave: 4, midi: 70 });
+      expect(parseNote('g#5').midi).toBe(80);
+      expect(parseNote('C-1').midi).toBe(0);
+    });
+
+    it('should treat sharps and flats as enharmonic', () => {
+      expect(parseNote('Bb4').midi).toBe(parseNote('A#4').midi);
+      expect(parseNote('D♭3').midi).toBe(parseNote('C#3').midi);
+      expect(parseNote('B#3').midi).toBe(parseNote('C4').midi);
+      expect(parseNote('Cb4').midi).toBe(parseNote('B3').midi);
+    });
+
+    it('should parse notes without octave as pitch classes', () => {
+      expect(parseNote('Eb')).toEqual({ pitchClass: 3, octave: null, midi: null });
+    });
+
+    it('should ignore trailing annotations like (primary)', () => {
+      expect(parseNote('F4 (primary)').midi).toBe(65);
+    });
+
+    it('should return null for non-notes', () => {
+      expect(parseNote('H2')).toBeNull();
+      expect(parseNote('C#4#')).toBeNull();
+      expect(parseNote(null)).toBeNull();
+    });
+  });
+
+  describe('noteName / spellings', () => {
+    it('should spell MIDI numbers with sharps', () => {
+      expect(noteName(60)).toBe('C4');
+      expect(noteName(70)).toBe('A#4');
+    });
+
+    it('should list sharp and flat spellings', () => {
+      expect(spellings(10)).toEqual(['A#', 'Bb']);
+      expect(spellings(4)).toEqual(['E']);
+    });
+  });
+
+  describe('scaleNotes', () => {
+    it('should list scale degrees ending on the root an octave up', () => {
+      expect(scaleNotes(60, 'major').map(noteName)).toEqual([
+        'C4',
+        'D4',
+        'E4',
+        'F4',
+        'G4',
+        'A4',
+        'B4',
+        'C5',
+      ]);
+      expect(scaleNotes(57, 'minor_pentatonic', 2)).toEqual([
+        57, 60, 62, 64, 67, 69, 72, 74, 76, 79, 81,
+      ]);
+    });
+  });
+
+  describe('parsePitchRange', () => {
+    it('should parse low-high ranges into MIDI bounds', () => {
+      expect(parsePitchRange('C4-G5')).toEqual({ min: 60, max: 79 });
+      expect(parsePitchRange('Bb3')).toEqual({ min: 58, max: 58 });
+      expect(parsePitchRange('C-1-C0')).toEqual({ min: 0, max: 12 });
+    });
+
+    it('should reject bounds without octave, reversed ranges and junk', () => {
+      expect(() => parsePitchRange('C-G')).toThrow(ValidationError);
+      expect(() => parsePitchRange('G5-C4')).toThrow(/low note is above high note/);
+      expect(() => parsePitchRange('C4-D4-E4')).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseNoteFilters', () => {
+    it('should return nulls when no note parameters are given', () => {
+      expect(parseNoteFilters({})).toEqual({
+        note: null,
+        pitch_range: null,
+        tones: null,
+        intervals: null,
+      });
+    });
+
+    it('should report the offending parameter', () => {
+      const fieldOf = params => {
+        try {
+          parseNoteFilters(params);
+        } catch (err) {
+          return err.details.field;
+        }
+        return null;
+      };
+      expect(fieldOf({ note: 'X4' })).toBe('note');
+      expect(fieldOf({ tones: 'C4,nope' })).toBe('tones');
+      expect(fieldOf({ intervals: '1,1.5' })).toBe('intervals');
+      expect(fieldOf({ intervals: '99' })).toBe('intervals');
+      expect(fieldOf({ tones: Array(17).fill('C').join(',') })).toBe('tones');
+    });
+  });
+
+  describe('noteFiltersToPredicates', () => {
+    const docs = [
+      scream('A#4', ['G#4', 'A4', 'A#4 (primary)', 'B4']),
+      scream('A#5', ['A#5 (primary)', 'C6']),
+      scream('E4', ['F4', 'E4 (primary)', 'D#4']),
+      scream(null, []),
+    ];
+    const run = params => {
+      const predicates = noteFiltersToPredicates(parseNoteFilters(params));
+      return docs
+        .map((doc, i) => (predicates.every(({ test }) => test(doc)) ? i : null))
+        .filter(i => i !== null);
+    };
+
+    it('should match primary notes enharmonically, with or without octave', () => {
+      expect(run({ note: 'Bb4' })).toEqual([0]);
+      expect(run({ note: 'bb' })).toEqual([0, 1]);
+    });
+
+    it('should match primary notes within a pitch range', () => {
+      expect(run({ pitch_range: 'E4-B4' })).toEqual([0, 2]);
+    });
+
+    it('should match consecutive tone sequences', () => {
+      expect(run({ tones: 'A4,Bb4,B4' })).toEqual([0]);
+      expect(run({ tones: 'F,E' })).toEqual([2]);
+      expect(run({ tones: 'A4,B4' })).toEqual([]);
+    });
+
+    it('should match consecutive intervals in any key', () => {
+      expect(run({ intervals: '1,1,1' })).toEqual([0]);
+      expect(run({ intervals: '-1' })).toEqual([2]);
+      expect(run({ intervals: '2' })).toEqual([1]);
+    });
+
+    it('should tag predicates with their parameter', () => {
+      const params = { note: 'C', pitch_range: 'C4-C5', tones: 'C', intervals: '1' };
+      expect(noteFiltersToPredicates(parseNoteFilters(params)).map(p => p.param)).toEqual([
+        'note',
+        'pitch_range',
+        'tones',
+        'intervals',
+      ]);
+    });
+  });
+
+  describe('noteFiltersToMongo', () => {
+    // Every spelling parseNote accepts, and strings it rejects
+    const docs = [
+      scream('A#4', ['G#4', 'A4', 'A#4 (primary)', 'B4']),
+      scream('bb4', ['a##4 (primary)', 'Cb5']),
+      scream('A♯5', ['B♭♭4', 'B𝄪4', 'c♯5']),
+      scream(' Cb5 (primary) ', ['F', 'E', 'E4']),
+      scream('Ebb4', ['D4', 'Fb4', 'e#4']),
+      scream('B#3', ['C4', 'E-1', 'F-1']),
+      scream('A#40', ['H4', 'C4x', 'Cb']),
+      scream('Bbb', []),
+      scream(null, null),
+      { id: 'no analysis' },
+    ];
+    const compare = params => {
+      const filters = parseNoteFilters(params);
+      const clauses = noteFiltersToMongo(filters).map(({ clause }) => clause);
+      const predicates = noteFiltersToPredicates(filters);
+      const matches = docs.map((doc, i) => (predicates.every(({ test }) => test(doc)) ? i : null));
+      expect(docs.map((doc, i) => (clauses.every(c => matchesExpr(c, doc)) ? i : null))).toEqual(
+        matches
+      );
+      return matches.filter(i => i !== null);
+    };
+
+    it.each([
+      [{ note: 'Bb4' }, [0, 1]],
+      [{ note: 'a#' }, [0, 1, 2, 6]],
+      [{ note: 'B4' }, [3]],
+      [{ note: 'A' }, [7]],
+      [{ note: 'C4' }, [5]],
+      [{ pitch_range: 'A4-B4' }, [0, 1, 3]],
+      [{ pitch_range: 'C4-D4' }, [4, 5]],
+      [{ tones: 'A4,A#4,B4' }, [0]],
+      [{ tones: 'B4,B' }, [1]],
+      [{ tones: 'A4' }, [0, 2]],
+      [{ tones: 'F,E' }, [3]],
+      [{ tones: 'E-1,F-1' }, [5]],
+      [{ intervals: '1,1,1' }, [0]],
+      [{ intervals: '1' }, [0, 4, 5]],
+      [{ intervals: '0' }, [1]],
+      [{ note: 'bb', intervals: '1' }, [0]],
+    ])('should match what the in-memory predicates match for %p', (params, expected) => {
+      expect(compare(params)).toEqual(expected);
+    });
+
+    it('should tag clauses with their parameter', () => {
+      const params = { note: 'C', pitch_range: 'C4-C5', tones: 'C', intervals: '1' };
+      expect(noteFiltersToMongo(parseNoteFilters(params)).map(c => c.param)).toEqual([
+        'note',
+        'pitch_range',
+        'tones',
+        'intervals',
+      ]);
+    });
+  });
+});
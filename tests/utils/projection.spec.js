@@ -0,0 +1,116 @@
+const {
+  parseFields,
+  buildProjection,
+  applyProjection,
+  pickFields,
+} = require('../../src/utils/projection');
+const { ValidationError } = require('../../src/errors');
+
+describe('projection utilities', () => {
+  describe('parseFields', () => {
+    it('should split, trim and always include id', () => {
+      expect(parseFields('title, audio.intensity')).toEqual(['id', 'title', 'audio.intensity']);
+      expect(parseFields(['title', 'year'])).toEqual(['id', 'title', 'year']);
+    });
+
+    it('should drop child paths covered by a parent path', () => {
+      expect(parseFields('audio.intensity,audio,media.audio.mp3.low')).toEqual([
+        'id',
+        'audio',
+        'media.audio.mp3.low',
+      ]);
+    });
+
+    it('should return null when no fields are requested', () => {
+      expect(parseFields(undefined)).toBeNull();
+      expect(parseFields('')).toBeNull();
+      expect(parseFields(' , ')).toBeNull();
+    });
+
+    it('should reject operators, private fields and oversized lists', () => {
+      expect(() => parseFields('$where')).toThrow(ValidationError);
+      expect(() => parseFields('_id')).toThrow(ValidationError);
+      expect(() => parseFields('audio..intensity')).toThrow(ValidationError);
+      const many = Array.from({ length: 51 }, (_, i) => `f${i}`).join(',');
+      expect(() => parseFields(many)).toThrow(ValidationError);
+    });
+  });
+
+  describe('buildProjection', () => {
+    it('should build an inclusion projection with internal extras', () => {
+      expect(buildProjection(['id', 'title'], ['date_added'])).toEqual({
+        _id: 1,
+        id: 1,
+        title: 1,
+        date_added: 1,
+        'stats.last_accessed_date': 1,
+      });
+      expect(buildProjection(['id', 'audio', 'stats'], ['audio.intensity'])).toEqual({
+        _id: 1,
+        id: 1,
+        audio: 1,
+        stats: 1,
+      });
+      expect(buildProjection(null, ['date_added'])).toBeUndefined();
+    });
+  });
+
+  describe('applyProjection', () => {
+    const doc = {
+      id: 'g1',
+      title: 'Goat',
+      audio: { intensity: 7, duration: 2 },
+      media: { audio: { mp3: { low: 'low.mp3', high: 'high.mp3' } } },
+    };
+
+    it('should copy only included nested paths', () => {
+      const projected = applyProjection(doc, {
+        _id: 0,
+        id: 1,
+        'audio.intensity': 1,
+        'media.audio.mp3.low': 1,
+        missing: 1,
+      });
+
+      expect(projected).toEqual({
+        id: 'g1',
+        audio: { intensity: 7 },
+        media: { audio: { mp3: { low: 'low.mp3' } } },
+      });
+      projected.audio.intensity = 1;
+      expect(doc.audio.intensity).toBe(7);
+    });
+
+    it('should remove excluded keys from exclusion-only projections', () => {
+      expect(applyProjection({ _id: 'x', id: 'g1' }, { _id: 0, __v: 0 })).toEqual({ id: 'g1' });
+    });
+  });
+
+  describe('pickFields', () => {
+    it('should trim each document or pass through when no fields requested', () => {
+      const docs = [{ id: 'a', title: 'A', date_added: '2020' }];
+
+      expect(pickFields(docs, ['id', 'title'])).toEqual([{ id: 'a', title: 'A' }]);
+      expect(pickFields(docs, null)).toBe(docs);
+    });
+
+    it('should strip the access fields unless they were requested', () => {
+      const docs = [
+        { _id: 'oid', id: 'a', title: 'A', stats: { last_accessed_date: '2026-10-19', plays: 3 } },
+      ];
+      const projected = docs.map(doc => applyProjection(doc, buildProjection(['id', 'title'])));
+      expect(projected).toEqual([
+        { _id: 'oid', id: 'a', title: 'A', stats: { last_accessed_date: '2026-10-19' } },
+      ]);
+
+      expect(pickFields(projected, ['id', 'title'])).toEqual([{ id: 'a', title: 'A' }]);
+      expect(pickFields(docs, ['id', 'stats'])).toEqual([
+        { id: 'a', stats: { last_accessed_date: '2026-10-19', plays: 3 } },
+      ]);
+      // Never `_id`, even for full documents
+      expect(pickFields(docs, null)).toEqual([
+        { id: 'a', title: 'A', stats: { last_accessed_date: '2026-10-19', plays: 3 } },
+      ]);
+    });
+  });
+});
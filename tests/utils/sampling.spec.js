@@ -0,0 +1,111 @@
+const {
+  parseSeed,
+  parseWeightBy,
+  hashUnit,
+  weightsFor,
+  seededOrder,
+  encodeSession,
+  decodeSession,
+} = require('../../src/utils/sampling');
+const { ValidationError } = require('../../src/errors');
+
+const pool = Array.from({ length: 20 }, (_, i) => ({
+  id: `s-${String(i).padStart(2, '0')}`,
+  audio: { intensity: i === 0 ? 10 : 1 },
+}));
+
+describe('sampling', () => {
+  describe('parseSeed / parseWeightBy', () => {
+    it('should accept seeds and known weightings', () => {
+      expect(parseSeed(42)).toBe('42');
+      expect(parseSeed('')).toBeUndefined();
+      expect(parseWeightBy('Intensity')).toBe('intensity');
+      expect(parseWeightBy(undefined)).toBeUndefined();
+    });
+
+    it('should reject long seeds and unknown weightings', () => {
+      expect(() => parseSeed('x'.repeat(101))).toThrow(ValidationError);
+      expect(() => parseWeightBy('loudness')).toThrow(/Allowed: intensity, popularity, recency/);
+    });
+  });
+
+  describe('hashUnit', () => {
+    it('should be deterministic and strictly between 0 and 1', () => {
+      expect(hashUnit('seed', 'a')).toBe(hashUnit('seed', 'a'));
+      expect(hashUnit('seed', 'a')).not.toBe(hashUnit('seed', 'b'));
+      expect(hashUnit('seed', 'a')).not.toBe(hashUnit('other', 'a'));
+      [hashUnit('seed', 'a'), hashUnit('', '')].forEach(u => {
+        expect(u).toBeGreaterThan(0);
+        expect(u).toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('seededOrder', () => {
+    it('should not depend on the input order', () => {
+      const forwards = seededOrder(pool, 'demo').map(doc => doc.id);
+      const backwards = seededOrder([...pool].reverse(), 'demo').map(doc => doc.id);
+
+      expect(backwards).toEqual(forwards);
+      expect(new Set(forwards).size).toBe(pool.length);
+    });
+
+    it('should give different orders for different seeds', () => {
+      expect(seededOrder(pool, 'a').map(doc => doc.id)).not.toEqual(
+        seededOrder(pool, 'b').map(doc => doc.id)
+      );
+    });
+
+    it('should favour heavier documents', () => {
+      let heavyFirst = 0;
+      for (let i = 0; i < 200; i += 1) {
+        if (seededOrder(pool, `seed-${i}`, 'intensity')[0].id === 's-00') heavyFirst += 1;
+      }
+      // Weight 10 against 19 × 1 gives about a one in three chance; uniform would be 1 in 20
+      expect(heavyFirst).toBeGreaterThan(40);
+    });
+  });
+
+  describe('weightsFor', () => {
+    it('should weight popularity with log damping', () => {
+      const [quiet, busy] = weightsFor(
+        [{ stats: { api_calls: 0 } }, { remix_count: 3, stats: { api_calls: 10, downloads: 6 } }],
+        'popularity'
+      );
+      expect(quiet).toBe(1);
+      expect(busy).toBeCloseTo(1 + Math.log1p(19));
+    });
+
+    it('should halve recency weight per year older than the newest scream', () => {
+      const weights = weightsFor(
+        [
+          { date_added: '2024-01-01T00:00:00Z' },
+          { date_added: '2023-01-01T00:00:00Z' },
+          { date_added: 'not a date' },
+        ],
+        'recency'
+      );
+      expect(weights[0]).toBe(1);
+      expect(weights[1]).toBeCloseTo(0.5, 2);
+      expect(weights[2]).toBeGreaterThan(0);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should round-trip session state', () => {
+      const token = encodeSession({ seed: 'abc', cycle: 2, offset: 7 });
+      expect(decodeSession(token)).toEqual({ seed: 'abc', cycle: 2, offset: 7 });
+    });
+
+    it('should start new sessions from the given or a random seed', () => {
+      expect(decodeSession('new', 'abc')).toEqual({ seed: 'abc', cycle: 0, offset: 0 });
+      expect(decodeSession('new').seed).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(() => decodeSession('garbage')).toThrow(ValidationError);
+      const negative = Buffer.from(JSON.stringify({ s: 'a', c: 0, o: -1 })).toString('base64url');
+      expect(() => decodeSession(negative)).toThrow(ValidationError);
+    });
+  });
+});
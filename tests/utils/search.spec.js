@@ -55,6 +55,12 @@ describe('search utilities', () => {
       expect(parseRange('-5--1')).toEqual({ min: -5, max: -1 });
     });
 
+    it('should parse open ranges with negative bounds', () => {
+      expect(parseRange('-30-')).toEqual({ min: -30, max: null });
+      expect(parseRange('--14')).toEqual({ min: null, max: -14 });
+      expect(parseRange('-23.5--14')).toEqual({ min: -23.5, max: -14 });
+    });
+
     it('should handle invalid/edge cases (null/undefined/empty/invalid format/mixed)', () => {
       expect(parseRange('')).toBeNull();
       expect(parseRange(null)).toBeNull();
@@ -0,0 +1,129 @@
+const {
+  maxEdits,
+  editDistance,
+  buildSearchIndex,
+  getSearchIndex,
+  expandTerm,
+  expandQuery,
+  searchIndex,
+  matchedFields,
+} = require('../../src/utils/searchIndex');
+const { getStaticScreams, reloadStaticScreams } = require('../../src/utils/staticScreams');
+
+describe('searchIndex', () => {
+  const docs = [
+    { id: 'title', title: 'Alarm Goat', context: 'barnyard' },
+    { id: 'tags', title: 'Barn clip', tags: ['alarm'] },
+    { id: 'descriptor', title: 'Barn clip', analysis: { descriptor: 'alarm like bleat' } },
+    { id: 'context', title: 'Barn clip', context: 'sounds like an alarm' },
+    { id: 'none', title: 'Quiet goat' },
+  ];
+  const byId = hits =>
+    Array.from(hits.entries())
+      .sort(([, a], [, b]) => b.score - a.score)
+      .map(([doc, hit]) => ({ id: doc.id, ...hit }));
+
+  describe('searchIndex', () => {
+    it('should rank fields by boost: title > tags > descriptor > context', () => {
+      const hits = byId(searchIndex(buildSearchIndex(docs), 'alarm'));
+
+      expect(hits.map(hit => hit.id)).toEqual(['title', 'tags', 'descriptor', 'context']);
+      expect(hits.map(hit => hit.matched_fields)).toEqual([
+        ['title'],
+        ['tags'],
+        ['analysis.descriptor'],
+        ['context'],
+      ]);
+    });
+
+    it('should weight rare terms above common ones', () => {
+      const corpus = ['bleat', 'bleat', 'bleat', 'yell'].map((title, i) => ({ id: `${i}`, title }));
+      const hits = byId(searchIndex(buildSearchIndex(corpus), 'bleat yell'));
+
+      expect(hits[0].id).toBe('3');
+      expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    });
+
+    it('should return no hits for unknown or empty queries', () => {
+      const index = buildSearchIndex(docs);
+
+      expect(searchIndex(index, 'llama').size).toBe(0);
+      expect(searchIndex(index, '!!!').size).toBe(0);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count adjacent transpositions as one edit', () => {
+      expect(editDistance('scremaing', 'screaming', 2)).toBe(1);
+      expect(editDistance('goat', 'gaot', 2)).toBe(1);
+      expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+    });
+
+    it('should stop at max + 1', () => {
+      expect(editDistance('alpine', 'nubian', 1)).toBe(2);
+      expect(editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+  });
+
+  describe('maxEdits', () => {
+    it('should scale with term length and never apply to numbers', () => {
+      expect(maxEdits('goa')).toBe(0);
+      expect(maxEdits('goat')).toBe(1);
+      expect(maxEdits('screaming')).toBe(2);
+      expect(maxEdits('20201')).toBe(0);
+    });
+  });
+
+  describe('fuzzy and prefix matching', () => {
+    const vocab = [
+      { id: 'scream', title: 'Screaming goat' },
+      { id: 'breed', title: 'Barn clip', goat: { breed: 'Nubian' } },
+      { id: 'year', title: 'Clip 2020' },
+    ];
+    const index = buildSearchIndex(vocab);
+
+    it('should expand a term to exact, prefix and typo variants with discounted weights', () => {
+      expect(Array.from(expandTerm(index, 'scremaing'))).toEqual([['screaming', 0.5]]);
+      expect(Array.from(expandTerm(index, 'nubi'))).toEqual([['nubian', 0.7]]);
+      expect(Array.from(expandTerm(index, 'goat'))).toEqual([['goat', 1]]);
+      expect(Array.from(expandTerm(index, '2021'))).toEqual([]);
+    });
+
+    it('should find documents despite typos and partial words', () => {
+      expect(byId(searchIndex(index, 'scremaing')).map(hit => hit.id)).toEqual(['scream']);
+      expect(byId(searchIndex(index, 'nubi'))).toEqual([
+        expect.objectContaining({ id: 'breed', matched_fields: ['goat.breed'] }),
+      ]);
+    });
+
+    it('should rank exact matches above fuzzy ones', () => {
+      const corpus = [
+        { id: 'exact', title: 'bleat' },
+        { id: 'typo', title: 'bleta' },
+      ];
+      const hits = byId(searchIndex(buildSearchIndex(corpus), 'bleat'));
+
+      expect(hits.map(hit => hit.id)).toEqual(['exact', 'typo']);
+    });
+
+    it('should expand a whole query into vocabulary terms', () => {
+      expect(expandQuery(index, 'scremaing nubi')).toEqual(['screaming', 'nubian']);
+    });
+  });
+
+  describe('getSearchIndex', () => {
+    it('should cache per dataset and rebuild after a reload', () => {
+      const first = getSearchIndex(getStaticScreams());
+
+      expect(getSearchIndex(getStaticScreams())).toBe(first);
+      expect(getSearchIndex(reloadStaticScreams())).not.toBe(first);
+    });
+  });
+
+  describe('matchedFields', () => {
+    it('should list fields containing any query term', () => {
+      expect(matchedFields(docs[0], 'goat barnyard')).toEqual(['title', 'context']);
+      expect(matchedFields(docs[4], 'alarm')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadWaveformSidecar, loadFingerprintSidecar } = require('../../src/utils/staticScreams');
+
+describe('staticScreams utils', () => {
+  describe('loadWaveformSidecar', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-waveforms-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read waveforms keyed by scream id', () => {
+      const file = path.join(dir, 'waveforms.json');
+      const sidecar = { 'goat-1': { duration: 1.2, resolutions: [{ points: 2, peaks: [1, 0] }] } };
+      fs.writeFileSync(file, JSON.stringify(sidecar));
+      expect(loadWaveformSidecar(file)).toEqual(sidecar);
+    });
+
+    it('should return an empty map when the file is missing or invalid', () => {
+      expect(loadWaveformSidecar(path.join(dir, 'missing.json'))).toEqual({});
+      const file = path.join(dir, 'broken.json');
+      fs.writeFileSync(file, '[1, 2]');
+      expect(loadWaveformSidecar(file)).toEqual({});
+    });
+  });
+
+  describe('loadFingerprintSidecar', () => {
+    it('should read fingerprints keyed by scream id', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goat-fingerprints-'));
+      try {
+        const file = path.join(dir, 'fingerprints.json');
+        fs.writeFileSync(file, JSON.stringify({ 'goat-1': 'AAAAAP////8=' }));
+        expect(loadFingerprintSidecar(file)).toEqual({ 'goat-1': 'AAAAAP////8=' });
+        expect(loadFingerprintSidecar(path.join(dir, 'missing.json'))).toEqual({});
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
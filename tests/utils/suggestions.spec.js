@@ -0,0 +1,71 @@
+const {
+  buildSuggestionIndex,
+  getSuggestionIndex,
+  suggest,
+} = require('../../src/utils/suggestions');
+const { getStaticScreams } = require('../../src/utils/staticScreams');
+
+describe('suggestions', () => {
+  const docs = [
+    { title: 'Alpine alarm', tags: ['alarm', 'loud'], goat: { breed: 'Alpine' } },
+    { title: 'Barn alarm', tags: ['alarm'], analysis: { tags: ['alarm'], vibe: 'panicked' } },
+    { title: 'Quiet afternoon', source: { title: 'Farm Alarms Compilation' } },
+  ];
+  const index = buildSuggestionIndex(docs);
+  const texts = query => suggest(index, query).map(s => `${s.type}:${s.text}`);
+
+  describe('buildSuggestionIndex', () => {
+    it('should count each phrase once per document', () => {
+      expect(
+        index.entries.find(entry => entry.type === 'tag' && entry.text === 'alarm').count
+      ).toBe(2);
+    });
+  });
+
+  describe('suggest', () => {
+    it('should rank phrase prefixes, then word prefixes, then by count and length', () => {
+      expect(texts('ala')).toEqual([
+        'tag:alarm',
+        'title:Barn alarm',
+        'title:Alpine alarm',
+        'source:Farm Alarms Compilation',
+      ]);
+    });
+
+    it('should report the source type and count', () => {
+      expect(suggest(index, 'alp')).toEqual([
+        { text: 'Alpine', type: 'breed', count: 1 },
+        { text: 'Alpine alarm', type: 'title', count: 1 },
+      ]);
+    });
+
+    it('should match every typed word', () => {
+      expect(texts('barn al')).toEqual(['title:Barn alarm']);
+    });
+
+    it('should fall back to typo-tolerant matches', () => {
+      expect(texts('panikced')).toEqual(['vibe:panicked']);
+      expect(texts('alrm')).toEqual(
+        expect.arrayContaining(['tag:alarm', 'title:Alpine alarm', 'title:Barn alarm'])
+      );
+    });
+
+    it('should respect the limit and ignore empty queries', () => {
+      expect(suggest(index, 'a', 2)).toHaveLength(2);
+      expect(suggest(index, '  ')).toEqual([]);
+    });
+
+    it.each(['s', 'scr', 'scremaing', 'goat c', 'frantik', 'screaming goat', 'goat scremaing'])(
+      'should answer %p within 20ms on the static dataset',
+      query => {
+        const staticIndex = getSuggestionIndex(getStaticScreams());
+        suggest(staticIndex, 'warmup');
+
+        // Typos take the fuzzy path over the whole vocabulary
+        const start = process.hrtime.bigint();
+        suggest(staticIndex, query);
+        expect(Number(process.hrtime.bigint() - start) / 1e6).toBeLessThan(20);
+      }
+    );
+  });
+});